@@ -0,0 +1,267 @@
+/**
+ * Market Analytics — volume, price and timing statistics over indexed listings
+ *
+ * Pure functions over the listing records (with history) kept by indexer.mjs.
+ * Time windows are counted in burn blocks back from the indexed burn height
+ * (~144 blocks a day); a trade falls in a window by the burn height of the
+ * event that resolved it (settle for volume, commit/cancel for failure rates).
+ *
+ * Usage:
+ *   import { parseAnalyticsQuery, getSummary } from './analytics.mjs';
+ *   const query = parseAnalyticsQuery(c.req.query());   // throws on bad input
+ *   const summary = getSummary(indexer.getListings(), { ...query, burnHeight });
+ */
+
+// Named windows in burn blocks (null = all history)
+export const WINDOWS = { '1d': 144, '7d': 1008, '30d': 4320, all: null };
+
+export const PERCENTILES = [10, 25, 50, 75, 90];
+
+const LEADERBOARD_ROLES = ['seller', 'buyer'];
+const LEADERBOARD_SORTS = ['volume', 'trades'];
+const MAX_LEADERBOARD = 100;
+const MAX_BUCKETS = 500;
+
+// --- Query ---
+
+function parsePositiveInt(name, value) {
+  if (!/^\d+$/.test(value) || parseInt(value) < 1) throw new Error(`Invalid ${name}: expected a positive integer`);
+  return parseInt(value);
+}
+
+/**
+ * Validate raw query-string params. `window` is a named window or a number of
+ * burn blocks; `interval` is the volume bucket size in burn blocks.
+ * Throws an Error with a client-facing message on invalid input.
+ */
+export function parseAnalyticsQuery(params = {}) {
+  const window = params.window || '30d';
+  const query = {
+    window,
+    windowBlocks: window in WINDOWS ? WINDOWS[window] : null,
+    interval: params.interval !== undefined ? parsePositiveInt('interval', params.interval) : WINDOWS['1d'],
+    role: params.role || 'seller',
+    sort: params.sort || 'volume',
+    limit: params.limit !== undefined ? Math.min(parsePositiveInt('limit', params.limit), MAX_LEADERBOARD) : 10,
+  };
+
+  if (!(window in WINDOWS)) {
+    if (!/^\d+$/.test(window)) {
+      throw new Error(`Invalid window: expected ${Object.keys(WINDOWS).join(', ')} or a number of burn blocks`);
+    }
+    query.windowBlocks = parsePositiveInt('window', window);
+  }
+  if (!LEADERBOARD_ROLES.includes(query.role)) throw new Error(`Invalid role: expected ${LEADERBOARD_ROLES.join(' or ')}`);
+  if (!LEADERBOARD_SORTS.includes(query.sort)) throw new Error(`Invalid sort: expected ${LEADERBOARD_SORTS.join(' or ')}`);
+  return query;
+}
+
+// --- Helpers ---
+
+/**
+ * count/min/max/mean and linear-interpolated percentiles (2 decimals); null fields when empty.
+ */
+export function distribution(values, percentiles = PERCENTILES) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const result = { count: sorted.length, min: null, max: null, mean: null };
+  for (const p of percentiles) result[`p${p}`] = null;
+  if (!sorted.length) return result;
+
+  result.min = sorted[0];
+  result.max = sorted[sorted.length - 1];
+  result.mean = round2(sorted.reduce((sum, v) => sum + v, 0) / sorted.length);
+  for (const p of percentiles) {
+    const rank = (p / 100) * (sorted.length - 1);
+    const lo = Math.floor(rank);
+    const hi = Math.ceil(rank);
+    result[`p${p}`] = round2(sorted[lo] + (sorted[hi] - sorted[lo]) * (rank - lo));
+  }
+  return result;
+}
+
+function findEntry(listing, event) {
+  return listing.history.find(entry => entry.event === event) ?? null;
+}
+
+function windowStart(burnHeight, windowBlocks) {
+  return windowBlocks === null ? 0 : Math.max(burnHeight - windowBlocks, 0);
+}
+
+/** Settled listings with the burn height they settled at */
+function settledTrades(listings, fromHeight) {
+  const trades = [];
+  for (const listing of listings) {
+    if (listing.status !== 'done') continue;
+    const settle = findEntry(listing, 'settle');
+    if (settle && settle.burnBlockHeight >= fromHeight) trades.push({ listing, settledAt: settle.burnBlockHeight });
+  }
+  return trades;
+}
+
+/**
+ * How each accepted listing left `escrowed`: 'committed', 'failed' (cancelled
+ * after COMMIT_EXPIRY — the seller never committed) or null while still escrowed.
+ */
+function escrowOutcome(listing) {
+  const commit = findEntry(listing, 'commit');
+  if (commit) return { outcome: 'committed', at: commit.burnBlockHeight };
+  const cancel = findEntry(listing, 'cancel');
+  if (cancel?.from === 'escrowed') return { outcome: 'failed', at: cancel.burnBlockHeight };
+  return null;
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const bps = (part, whole) => (whole > 0 ? Math.round((part / whole) * 10_000) : null);
+
+// --- Analytics ---
+
+/**
+ * Settled volume, price / premium / collateral distributions, phase timings
+ * and seller failure rate within a window.
+ *
+ * @param {Object[]} listings - indexed listings with history
+ * @param {Object} opts
+ * @param {number} opts.burnHeight - indexed burn height (window end)
+ * @param {number|null} opts.windowBlocks - window length in burn blocks (null = all)
+ */
+export function getSummary(listings, { burnHeight, windowBlocks }) {
+  const fromHeight = windowStart(burnHeight, windowBlocks);
+  const settled = settledTrades(listings, fromHeight);
+
+  const prices = settled.map(t => Number(t.listing.price ?? 0));
+  const premiums = settled.map(t => Number(t.listing.premium ?? 0));
+  const collaterals = settled.map(t => Number(t.listing.collateral ?? 0));
+
+  // Phase durations in burn blocks, for trades that completed the phase in the window
+  const acceptToCommit = [];
+  const commitToSettle = [];
+  let committed = 0;
+  let failed = 0;
+  for (const listing of listings) {
+    const accept = findEntry(listing, 'accept');
+    const resolved = accept ? escrowOutcome(listing) : null;
+    if (!resolved || resolved.at < fromHeight) continue;
+    if (resolved.outcome === 'failed') {
+      failed++;
+      continue;
+    }
+    committed++;
+    acceptToCommit.push(resolved.at - accept.burnBlockHeight);
+  }
+  for (const { listing, settledAt } of settled) {
+    const commit = findEntry(listing, 'commit');
+    if (commit) commitToSettle.push(settledAt - commit.burnBlockHeight);
+  }
+
+  return {
+    window: { fromHeight, toHeight: burnHeight, blocks: windowBlocks },
+    settled: {
+      count: settled.length,
+      volume: prices.reduce((sum, v) => sum + v, 0),
+      premiums: premiums.reduce((sum, v) => sum + v, 0),
+    },
+    prices: distribution(prices),
+    premiums: {
+      sats: distribution(premiums),
+      bpsOfPrice: distribution(settled.map(t => bps(Number(t.listing.premium ?? 0), Number(t.listing.price ?? 0))).filter(v => v !== null)),
+    },
+    collateral: {
+      sats: distribution(collaterals),
+      bpsOfPrice: distribution(settled.map(t => bps(Number(t.listing.collateral ?? 0), Number(t.listing.price ?? 0))).filter(v => v !== null)),
+    },
+    timing: {
+      acceptToCommit: distribution(acceptToCommit),
+      commitToSettle: distribution(commitToSettle),
+    },
+    sellerFailures: {
+      committed,
+      failed,
+      rate: committed + failed > 0 ? failed / (committed + failed) : null,
+    },
+  };
+}
+
+/**
+ * Settled count and volume per `interval` burn blocks across the window,
+ * oldest bucket first. The last bucket ends at the indexed burn height.
+ */
+export function getVolumeSeries(listings, { burnHeight, windowBlocks, interval }) {
+  let fromHeight = windowStart(burnHeight, windowBlocks);
+  const settled = settledTrades(listings, fromHeight);
+  // All-time series start at the first settlement rather than genesis
+  if (windowBlocks === null) {
+    fromHeight = settled.length ? Math.min(...settled.map(t => t.settledAt)) : burnHeight;
+  }
+
+  const span = burnHeight - fromHeight + 1;
+  if (Math.ceil(span / interval) > MAX_BUCKETS) {
+    throw new Error(`Too many buckets: use an interval of at least ${Math.ceil(span / MAX_BUCKETS)} blocks`);
+  }
+
+  // Buckets are aligned to the window end so the newest one is always complete
+  const buckets = [];
+  for (let end = burnHeight; end >= fromHeight; end -= interval) {
+    buckets.unshift({ fromHeight: Math.max(end - interval + 1, fromHeight), toHeight: end, count: 0, volume: 0, premiums: 0 });
+  }
+  for (const { listing, settledAt } of settled) {
+    const bucket = buckets.find(b => settledAt >= b.fromHeight && settledAt <= b.toHeight);
+    if (!bucket) continue;
+    bucket.count++;
+    bucket.volume += Number(listing.price ?? 0);
+    bucket.premiums += Number(listing.premium ?? 0);
+  }
+
+  return { window: { fromHeight, toHeight: burnHeight, blocks: windowBlocks }, interval, buckets };
+}
+
+/**
+ * Per-seller or per-buyer totals within the window, ranked by settled volume or trade count.
+ * Sellers also report commit failures; buyers report refunds (trades cancelled after accept).
+ */
+export function getLeaderboard(listings, { burnHeight, windowBlocks, role, sort, limit }) {
+  const fromHeight = windowStart(burnHeight, windowBlocks);
+  const rows = new Map();
+  const rowFor = (principal) => {
+    if (!rows.has(principal)) {
+      rows.set(principal, role === 'seller'
+        ? { principal, trades: 0, volume: 0, committed: 0, failed: 0 }
+        : { principal, trades: 0, volume: 0, refunds: 0 });
+    }
+    return rows.get(principal);
+  };
+
+  for (const listing of listings) {
+    const principal = listing[role];
+    if (!principal) continue;
+
+    const settle = findEntry(listing, 'settle');
+    if (settle && settle.burnBlockHeight >= fromHeight) {
+      const row = rowFor(principal);
+      row.trades++;
+      row.volume += Number(listing.price ?? 0);
+    }
+
+    if (role === 'seller') {
+      const resolved = findEntry(listing, 'accept') ? escrowOutcome(listing) : null;
+      if (resolved && resolved.at >= fromHeight) rowFor(principal)[resolved.outcome]++;
+    } else {
+      const cancel = findEntry(listing, 'cancel');
+      if (cancel && cancel.from !== 'open' && cancel.burnBlockHeight >= fromHeight) rowFor(principal).refunds++;
+    }
+  }
+
+  const ranked = [...rows.values()]
+    .map(row => role === 'seller'
+      ? { ...row, failureRate: row.committed + row.failed > 0 ? row.failed / (row.committed + row.failed) : null }
+      : row)
+    .sort((a, b) => b[sort] - a[sort] || b.volume - a.volume || a.principal.localeCompare(b.principal));
+
+  return {
+    window: { fromHeight, toHeight: burnHeight, blocks: windowBlocks },
+    role,
+    sort,
+    total: ranked.length,
+    entries: ranked.slice(0, limit).map((row, i) => ({ rank: i + 1, ...row })),
+  };
+}
@@ -0,0 +1,786 @@
+/**
+ * API Schemas — request/response schemas and OpenAPI route definitions for api.mjs
+ *
+ * Every route is declared here with createRoute() from @hono/zod-openapi:
+ * path/query/body schemas are validated before the handler runs, response
+ * schemas are checked in api.mjs (VALIDATE_RESPONSES), and the same
+ * definitions produce the OpenAPI 3 document served at /openapi.json.
+ *
+ * Query strings keep their domain parsers (parseListingQuery, parseAnalyticsQuery,
+ * parseFeedFilter): the schemas here document them and check their types.
+ *
+ * Every error response has the shape { error: { code, message, details? } }.
+ *
+ * Usage:
+ *   import { routeDefs, ErrorSchema } from './api-schemas.mjs';
+ *   routes.openapi(routeDefs.getTrade, handler);
+ */
+
+import { createRoute, z } from '@hono/zod-openapi';
+import { LISTING_STATUSES } from './indexer.mjs';
+import { PERCENTILES } from './analytics.mjs';
+import { WEBHOOK_EVENTS } from './webhooks.mjs';
+
+// --- Errors ---
+
+// Default error code per HTTP status; routes pass a more specific code where one helps
+export const ERROR_CODES = {
+  400: 'VALIDATION_ERROR',
+  401: 'UNAUTHORIZED',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'CONTENT_TOO_LARGE',
+  415: 'UNSUPPORTED_MEDIA_TYPE',
+  422: 'INVALID_PROOF',
+  429: 'RATE_LIMITED',
+  500: 'INTERNAL_ERROR',
+  502: 'UPSTREAM_ERROR',
+  503: 'UNAVAILABLE',
+};
+
+export const ErrorSchema = z.object({
+  error: z.object({
+    code: z.string().openapi({ example: 'NOT_FOUND' }),
+    message: z.string().openapi({ example: 'Trade not found' }),
+    details: z.any().optional().openapi({ description: 'Extra context: validation issues, the trade timeline, the proof, ...' }),
+  }),
+}).openapi('Error');
+
+const errorResponse = (description) => ({
+  description,
+  content: { 'application/json': { schema: ErrorSchema } },
+});
+
+const json = (schema, description) => ({
+  description,
+  content: { 'application/json': { schema } },
+});
+
+const jsonBody = (schema) => ({
+  required: true,
+  content: { 'application/json': { schema } },
+});
+
+// --- Shared shapes ---
+
+// Clarity uints come back as numbers, or decimal strings beyond 2^53
+const Amount = z.union([z.number(), z.string()]).openapi({ description: 'sats (number, or decimal string when above 2^53)' });
+const AmountInput = z.union([z.number().int().min(0), z.string().regex(/^\d+$/)]);
+const Hex = z.string().regex(/^(0x)?[0-9a-fA-F]*$/, 'expected hex');
+const Principal = z.string().openapi({ example: 'SP16H0KE0BPR4XNQ64115V5Y1V3XTPGMWG5YPC9TR' });
+const Nullable = (schema) => schema.nullable();
+
+const TradeIdParams = z.object({
+  id: z.coerce.number({ error: 'expected a trade id' }).int('expected a trade id').min(0, 'expected a trade id')
+    .openapi({ param: { name: 'id', in: 'path' }, example: 3 }),
+});
+
+const InscriptionIdParams = z.object({
+  id: z.string().openapi({ param: { name: 'id', in: 'path' }, example: `${'a'.repeat(64)}i0` }),
+});
+
+const OutputParams = z.object({
+  txid: z.string().regex(/^[0-9a-fA-F]{64}$/, 'expected a 32-byte hex txid')
+    .openapi({ param: { name: 'txid', in: 'path' }, description: 'display byte order (as explorers show it)', example: 'b'.repeat(64) }),
+  vout: z.coerce.number({ error: 'expected an output index' }).int('expected an output index').min(0, 'expected an output index')
+    .openapi({ param: { name: 'vout', in: 'path' }, example: 0 }),
+});
+
+const WebhookIdParams = z.object({
+  id: z.string().openapi({ param: { name: 'id', in: 'path' }, example: 'wh_0123456789abcdef' }),
+});
+
+const WebhookApiKeyHeader = z.object({
+  'x-api-key': z.string().optional().openapi({
+    param: { name: 'x-api-key', in: 'header' },
+    description: 'One of the server\'s WEBHOOK_API_KEYS',
+  }),
+});
+
+const WebhookSecretHeader = z.object({
+  'x-webhook-secret': z.string().optional().openapi({
+    param: { name: 'x-webhook-secret', in: 'header' },
+    description: 'The secret returned when the webhook was registered',
+  }),
+});
+
+const queryParam = (description, example) => z.string().optional().openapi({ description, ...(example !== undefined && { example }) });
+
+// --- Listings ---
+
+const HistoryEntry = z.object({
+  event: z.enum(['list', 'accept', 'commit', 'cancel', 'settle']),
+  txid: z.string(),
+  blockHeight: z.number(),
+  burnBlockHeight: z.number(),
+  collateral: Amount.optional(),
+  from: z.string().optional().openapi({ description: 'cancel: the status the listing left' }),
+  btcTxid: Nullable(z.string()).optional().openapi({ description: 'settle: Bitcoin txid of the proof (display order)' }),
+});
+
+const ListingSchema = z.object({
+  id: z.number(),
+  inscriptionTxid: Nullable(z.string()).openapi({ description: 'internal byte order, as stored on-chain' }),
+  inscriptionVout: Nullable(z.number()),
+  price: Nullable(Amount),
+  premium: Nullable(Amount),
+  seller: Principal,
+  buyer: Nullable(Principal),
+  sellerBtc: Nullable(z.string()).openapi({ description: 'scriptPubKey hex' }),
+  buyerBtc: Nullable(z.string()).openapi({ description: 'scriptPubKey hex' }),
+  collateral: Amount,
+  blockHeight: z.number().openapi({ description: 'burn height of the last status change' }),
+  status: z.enum(LISTING_STATUSES),
+  detailsError: z.string().optional().openapi({ description: 'get-listing failed; details are retried on the next sync' }),
+}).openapi('Listing');
+
+const ListingWithHistorySchema = ListingSchema.extend({
+  listedAt: z.number(),
+  updatedAt: z.number(),
+  history: z.array(HistoryEntry),
+}).openapi('ListingWithHistory');
+
+const ActionSchema = z.looseObject({
+  allowed: z.boolean(),
+  by: Nullable(z.string()),
+});
+
+const PayoutSchema = Nullable(z.object({ buyer: z.number(), seller: z.number() }));
+
+const TimelineSchema = z.object({
+  currentBurnHeight: z.number(),
+  commitDeadline: Nullable(z.number()),
+  deliveryDeadline: Nullable(z.number()),
+  blocksRemaining: Nullable(z.number()),
+  expired: z.boolean(),
+  actions: z.object({ accept: ActionSchema, commit: ActionSchema, cancel: ActionSchema, submitProof: ActionSchema }),
+  payouts: z.object({ onCancel: PayoutSchema, onSettle: PayoutSchema }),
+}).openapi('Timeline');
+
+const InscriptionSchema = z.object({
+  id: z.string(),
+  number: Nullable(z.number()),
+  contentType: Nullable(z.string()),
+  contentLength: Nullable(z.number()),
+  output: Nullable(z.string()),
+  sat: Nullable(z.string()),
+  address: Nullable(z.string()),
+  genesisHeight: Nullable(z.number()),
+  timestamp: Nullable(z.string()),
+}).openapi('Inscription');
+
+const OutputListingsSchema = z.object({
+  txid: z.string().openapi({ description: 'display byte order' }),
+  vout: z.number(),
+  listingId: Nullable(z.number()).openapi({ description: 'active listing in the contract\'s inscription-listings map' }),
+  listing: Nullable(ListingSchema).openapi({ description: 'the active listing, once indexed' }),
+  pastListings: z.array(ListingSchema).openapi({ description: 'settled or cancelled listings of the same output, ascending by id' }),
+  indexedHeight: z.number(),
+}).openapi('OutputListings');
+
+const InscriptionListingsSchema = OutputListingsSchema.extend({
+  inscription: InscriptionSchema,
+}).openapi('InscriptionListings');
+
+// --- Status ---
+
+const IndexStatusSchema = z.object({
+  contract: z.string(),
+  height: z.number(),
+  burnHeight: z.number(),
+  listings: z.number(),
+  events: z.number(),
+  lastSyncAt: Nullable(z.string()),
+  lastError: Nullable(z.string()),
+}).openapi('IndexStatus');
+
+const StacksStatusSchema = z.object({
+  nodes: z.array(z.object({
+    url: z.string(),
+    circuit: z.enum(['closed', 'open', 'half-open']),
+    consecutiveFailures: z.number(),
+    requests: z.number(),
+    lastError: Nullable(z.string()),
+  })),
+  inFlight: z.number(),
+  queued: z.number(),
+  cachedResponses: z.number(),
+}).openapi('StacksStatus');
+
+const DeploymentSchema = z.object({
+  key: z.string(),
+  network: z.string(),
+  contract: z.string(),
+  api: z.string(),
+  sbtc: z.object({ contract: z.string(), asset: z.string() }),
+  ordinals: Nullable(z.object({ provider: z.string(), url: z.string() })),
+  default: z.boolean(),
+  stacks: StacksStatusSchema,
+  index: IndexStatusSchema,
+}).openapi('Deployment');
+
+const HealthSchema = z.object({
+  status: z.literal('ok'),
+  deployment: z.string(),
+  contract: z.string(),
+  api: z.string(),
+  stacks: StacksStatusSchema,
+  index: IndexStatusSchema,
+  feedSubscribers: z.number(),
+  webhooks: z.object({
+    webhooks: z.number(),
+    deliveries: z.object({ pending: z.number(), delivered: z.number(), failed: z.number() }),
+  }),
+  timestamp: z.string(),
+});
+
+const StatsSchema = z.object({
+  total: z.number(),
+  ...Object.fromEntries(LISTING_STATUSES.map(status => [status, z.number()])),
+  indexedHeight: z.number(),
+});
+
+// --- Analytics ---
+
+const DistributionSchema = z.object({
+  count: z.number(),
+  min: Nullable(z.number()),
+  max: Nullable(z.number()),
+  mean: Nullable(z.number()),
+  ...Object.fromEntries(PERCENTILES.map(p => [`p${p}`, Nullable(z.number())])),
+}).openapi('Distribution');
+
+const WindowSchema = z.object({ fromHeight: z.number(), toHeight: z.number(), blocks: Nullable(z.number()) });
+
+const AnalyticsQuery = z.object({
+  window: queryParam('1d, 7d, 30d (default), all, or a number of burn blocks', '7d'),
+  interval: queryParam('volume: bucket size in burn blocks (default 144)'),
+  role: queryParam('leaderboard: seller (default) or buyer'),
+  sort: queryParam('leaderboard: volume (default) or trades'),
+  limit: queryParam('leaderboard: rows, at most 100 (default 10)'),
+});
+
+const SummarySchema = z.object({
+  window: WindowSchema,
+  settled: z.object({ count: z.number(), volume: z.number(), premiums: z.number() }),
+  prices: DistributionSchema,
+  premiums: z.object({ sats: DistributionSchema, bpsOfPrice: DistributionSchema }),
+  collateral: z.object({ sats: DistributionSchema, bpsOfPrice: DistributionSchema }),
+  timing: z.object({ acceptToCommit: DistributionSchema, commitToSettle: DistributionSchema }),
+  sellerFailures: z.object({ committed: z.number(), failed: z.number(), rate: Nullable(z.number()) }),
+  indexedHeight: z.number(),
+});
+
+const VolumeSchema = z.object({
+  window: WindowSchema,
+  interval: z.number(),
+  buckets: z.array(z.object({
+    fromHeight: z.number(),
+    toHeight: z.number(),
+    count: z.number(),
+    volume: z.number(),
+    premiums: z.number(),
+  })),
+  indexedHeight: z.number(),
+});
+
+const LeaderboardSchema = z.object({
+  window: WindowSchema,
+  role: z.enum(['seller', 'buyer']),
+  sort: z.enum(['volume', 'trades']),
+  total: z.number(),
+  entries: z.array(z.object({
+    rank: z.number(),
+    principal: z.string(),
+    trades: z.number(),
+    volume: z.number(),
+    committed: z.number().optional(),
+    failed: z.number().optional(),
+    failureRate: Nullable(z.number()).optional(),
+    refunds: z.number().optional(),
+  })),
+  indexedHeight: z.number(),
+});
+
+// --- Webhooks ---
+
+const WebhookFilterSchema = z.object({
+  ids: Nullable(z.array(z.number())),
+  seller: Nullable(z.string()),
+  buyer: Nullable(z.string()),
+  events: Nullable(z.array(z.enum(WEBHOOK_EVENTS))),
+});
+
+const WebhookSchema = z.object({
+  id: z.string(),
+  url: z.string(),
+  filter: WebhookFilterSchema,
+  createdAt: z.string(),
+}).openapi('Webhook');
+
+const WebhookInput = z.object({
+  url: z.string().openapi({
+    example: 'https://example.com/escrow-hook',
+    description: 'http(s) URL whose host resolves to public addresses only',
+  }),
+  secret: z.string().min(16).optional().openapi({ description: 'HMAC secret (generated when omitted)' }),
+  ids: z.array(z.number().int().min(0)).optional(),
+  seller: Principal.optional(),
+  buyer: Principal.optional(),
+  events: z.array(z.enum(WEBHOOK_EVENTS)).min(1).optional(),
+});
+
+const DeliverySchema = z.object({
+  id: z.string(),
+  webhookId: z.string(),
+  event: z.enum(WEBHOOK_EVENTS),
+  data: z.record(z.string(), z.any()),
+  status: z.enum(['pending', 'delivered', 'failed']),
+  attempts: z.array(z.object({
+    at: z.string(),
+    status: z.number().optional(),
+    error: z.string().optional(),
+    durationMs: z.number(),
+  })),
+  nextAttemptAt: Nullable(z.number()),
+  createdAt: z.string(),
+}).openapi('WebhookDelivery');
+
+// --- Transactions ---
+
+const TxOptions = {
+  publicKey: z.string().regex(/^(0x)?(02|03)[0-9a-fA-F]{64}$/, 'expected 33-byte compressed hex').openapi({ description: 'signer public key' }),
+  nonce: AmountInput.optional().openapi({ description: 'override the suggested nonce' }),
+  fee: AmountInput.optional().openapi({ description: 'override the suggested fee (micro-STX)' }),
+};
+
+const UnsignedTxSchema = z.object({
+  transaction: z.string().openapi({ description: 'serialized unsigned transaction (hex)' }),
+  contract: z.string(),
+  functionName: z.string(),
+  sender: z.string(),
+  nonce: z.number(),
+  nonceSource: z.enum(['caller', 'api']),
+  fee: z.number(),
+  feeEstimates: Nullable(z.object({ low: z.number(), medium: z.number(), high: z.number() }))
+    .openapi({ description: 'null when the caller passed fee' }),
+  postConditionMode: z.literal('deny'),
+  postConditions: z.array(z.object({
+    principal: z.string(),
+    condition: z.string(),
+    amount: z.string(),
+    asset: z.string(),
+  })),
+}).openapi('UnsignedTransaction');
+
+const ListInput = z.object({
+  ...TxOptions,
+  inscriptionTxid: Hex.openapi({ description: 'display byte order' }),
+  inscriptionVout: AmountInput,
+  price: AmountInput,
+  premium: AmountInput.optional(),
+  sellerBtc: Hex.openapi({ description: 'seller payout scriptPubKey' }),
+});
+
+const AcceptInput = z.object({ ...TxOptions, buyerBtc: Hex.openapi({ description: 'inscription delivery scriptPubKey' }) });
+const CommitInput = z.object({ ...TxOptions, collateral: AmountInput.optional().openapi({ description: 'default: the premium' }) });
+const CancelInput = z.object(TxOptions);
+
+const ProofInput = z.object({
+  rawTx: Hex.optional(),
+  txid: z.string().regex(/^[0-9a-fA-F]{64}$/).optional(),
+  rawBlock: Hex.optional(),
+  blockHeight: z.number().int().min(0).optional(),
+  segwit: z.boolean().optional(),
+  publicKey: TxOptions.publicKey.optional(),
+  nonce: TxOptions.nonce,
+  fee: TxOptions.fee,
+}).refine(body => body.rawTx || body.txid, { message: 'rawTx or txid is required' });
+
+const ProofSchema = z.looseObject({
+  valid: z.boolean(),
+  errors: z.array(z.string()),
+}).openapi('Proof');
+
+// --- Settlement ---
+
+const SettleInput = z.object({
+  from_agent: z.string().openapi({ description: 'seller BTC address (signs the settlement)' }),
+  to_agent: z.string().openapi({ description: 'buyer BTC address' }),
+  inscription_id: z.string().regex(/^[0-9a-f]{64}i\d+$/, 'expected <txid>i<index>'),
+  price_sats: z.number().int().positive(),
+  timestamp: z.string().openapi({ example: '2026-01-01T00:00:00.000Z' }),
+  signature: z.string().openapi({ description: 'base64 BIP-137 or BIP-322 signature' }),
+});
+
+// --- Feed ---
+
+const FeedQuery = z.object({
+  seller: queryParam('only trades by this seller'),
+  buyer: queryParam('only trades with this buyer'),
+  id: queryParam('comma-separated listing ids', '3,4'),
+  fromBlock: queryParam('replay events from this Stacks height (inclusive)'),
+});
+
+// --- Ledger ---
+
+const LedgerCheckSchema = z.object({
+  safe: Nullable(z.boolean()),
+  trades: z.array(z.any()),
+  warnings: z.array(z.string()),
+});
+
+const ReputationSchema = z.object({
+  totalTrades: z.number(),
+  completedTrades: z.number(),
+  asSellerCount: z.number(),
+  asBuyerCount: z.number(),
+  firstTradeDate: Nullable(z.string()),
+});
+
+// --- Routes ---
+
+const tradeErrors = {
+  400: errorResponse('Invalid request'),
+  404: errorResponse('Trade not found'),
+};
+
+const txErrors = {
+  ...tradeErrors,
+  409: errorResponse('Action not allowed for the listing\'s current state (details: timeline)'),
+  415: errorResponse('Body is not JSON'),
+  502: errorResponse('Nonce or fee lookup failed (pass nonce / fee, or retry)'),
+  503: errorResponse('Listing details not loaded yet'),
+};
+
+const webhookErrors = {
+  401: errorResponse('Missing X-Webhook-Secret'),
+  404: errorResponse('Webhook not found (or wrong secret)'),
+};
+
+export const routeDefs = {
+  deployments: createRoute({
+    method: 'get', path: '/deployments', tags: ['Deployments'],
+    summary: 'Configured deployments and their index status',
+    responses: { 200: json(z.object({ default: z.string(), deployments: z.array(DeploymentSchema) }), 'Deployments') },
+  }),
+
+  health: createRoute({
+    method: 'get', path: '/health', tags: ['Status'],
+    summary: 'Health check, Stacks node and index sync status',
+    responses: { 200: json(HealthSchema, 'Health') },
+  }),
+
+  metrics: createRoute({
+    method: 'get', path: '/metrics', tags: ['Status'],
+    summary: 'Prometheus metrics: request latency, upstream calls, cache hit rates, trade-state gauges (all deployments)',
+    responses: { 200: { description: 'Prometheus text exposition format', content: { 'text/plain': { schema: z.string() } } } },
+  }),
+
+  stats: createRoute({
+    method: 'get', path: '/trades/stats', tags: ['Trades'],
+    summary: 'Listing counts by status',
+    responses: { 200: json(StatsSchema, 'Stats') },
+  }),
+
+  analyticsSummary: createRoute({
+    method: 'get', path: '/analytics/summary', tags: ['Analytics'],
+    summary: 'Settled volume, price / premium / collateral percentiles, phase timings, seller failure rate',
+    request: { query: AnalyticsQuery },
+    responses: { 200: json(SummarySchema, 'Summary'), 400: errorResponse('Invalid query') },
+  }),
+
+  analyticsVolume: createRoute({
+    method: 'get', path: '/analytics/volume', tags: ['Analytics'],
+    summary: 'Settled count and volume per time bucket',
+    request: { query: AnalyticsQuery },
+    responses: { 200: json(VolumeSchema, 'Volume series'), 400: errorResponse('Invalid query') },
+  }),
+
+  analyticsLeaderboard: createRoute({
+    method: 'get', path: '/analytics/leaderboard', tags: ['Analytics'],
+    summary: 'Top sellers or buyers by volume or trade count',
+    request: { query: AnalyticsQuery },
+    responses: { 200: json(LeaderboardSchema, 'Leaderboard'), 400: errorResponse('Invalid query') },
+  }),
+
+  exportTrades: createRoute({
+    method: 'get', path: '/trades/export', tags: ['Trades'],
+    summary: 'Every trade a party was seller or buyer of, as CSV or JSON Lines (streamed)',
+    description: 'One record per listing: status history, heights, settlement proof BTC txid, and the sBTC '
+      + 'paid / refunded / received (premium and collateral included) with the net for the party. See trade-export.mjs.',
+    request: {
+      query: z.object({
+        principal: queryParam('Stacks principal (seller or buyer)'),
+        btc: queryParam('BTC address or scriptPubKey hex (seller-btc or buyer-btc)'),
+        format: queryParam('csv (default) or jsonl'),
+      }),
+    },
+    responses: {
+      200: {
+        description: 'Export, one line per trade (CSV with a header row)',
+        content: { 'text/csv': { schema: z.string() }, 'application/x-ndjson': { schema: z.string() } },
+      },
+      400: errorResponse('Missing party or invalid query'),
+    },
+  }),
+
+  listTrades: createRoute({
+    method: 'get', path: '/trades', tags: ['Trades'],
+    summary: 'List trades (filters, sorting, cursor pagination)',
+    request: {
+      query: z.object({
+        status: queryParam(LISTING_STATUSES.join(', ')),
+        seller: queryParam('seller principal'),
+        buyer: queryParam('buyer principal'),
+        inscriptionTxid: queryParam('inscription txid (internal byte order)'),
+        sellerBtc: queryParam('seller payout scriptPubKey hex'),
+        minPrice: queryParam('sats'),
+        maxPrice: queryParam('sats'),
+        minPremium: queryParam('sats'),
+        maxPremium: queryParam('sats'),
+        fromHeight: queryParam('listed at or after this Stacks height'),
+        toHeight: queryParam('listed at or before this Stacks height'),
+        sort: queryParam('id (default), price or age'),
+        order: queryParam('asc (default) or desc'),
+        limit: queryParam('page size, at most 100 (default 50)'),
+        cursor: queryParam('nextCursor from the previous page'),
+        offset: queryParam('skip this many results (prefer cursor)'),
+      }),
+    },
+    responses: {
+      200: json(z.object({
+        trades: z.array(ListingSchema),
+        total: z.number(),
+        limit: z.number(),
+        nextCursor: Nullable(z.string()),
+        hasMore: z.boolean(),
+        indexedHeight: z.number(),
+      }), 'A page of trades'),
+      400: errorResponse('Invalid query'),
+    },
+  }),
+
+  getTrade: createRoute({
+    method: 'get', path: '/trades/{id}', tags: ['Trades'],
+    summary: 'Trade details: event history, deadlines, allowed actions, payouts, inscription metadata',
+    request: { params: TradeIdParams },
+    responses: {
+      200: json(z.object({
+        trade: ListingWithHistorySchema,
+        timeline: TimelineSchema,
+        inscription: Nullable(InscriptionSchema),
+        inscriptions: z.array(InscriptionSchema),
+        inscriptionError: z.string().optional(),
+      }), 'Trade'),
+      ...tradeErrors,
+    },
+  }),
+
+  getInscription: createRoute({
+    method: 'get', path: '/inscriptions/{id}', tags: ['Inscriptions'],
+    summary: 'Inscription metadata from the deployment\'s Ordinals provider',
+    request: { params: InscriptionIdParams },
+    responses: {
+      200: json(InscriptionSchema, 'Inscription'),
+      400: errorResponse('Invalid inscription id'),
+      404: errorResponse('Inscription not found'),
+      502: errorResponse('Ordinals provider failed'),
+      503: errorResponse('No Ordinals provider for this network'),
+    },
+  }),
+
+  getInscriptionContent: createRoute({
+    method: 'get', path: '/inscriptions/{id}/content', tags: ['Inscriptions'],
+    summary: 'Inscription content proxy (cached, size-limited, sandboxed)',
+    request: { params: InscriptionIdParams },
+    responses: {
+      200: { description: 'Raw content with the inscription\'s content type', content: { '*/*': { schema: z.string().openapi({ format: 'binary' }) } } },
+      400: errorResponse('Invalid inscription id'),
+      404: errorResponse('Inscription not found'),
+      413: errorResponse('Content larger than ORDINALS_MAX_CONTENT_BYTES'),
+      502: errorResponse('Ordinals provider failed'),
+      503: errorResponse('No Ordinals provider for this network'),
+    },
+  }),
+
+  getInscriptionListing: createRoute({
+    method: 'get', path: '/inscriptions/{id}/listing', tags: ['Inscriptions'],
+    summary: 'Listings of the output an inscription sits on (resolved via the Ordinals provider)',
+    request: { params: InscriptionIdParams },
+    responses: {
+      200: json(InscriptionListingsSchema, 'Active and past listings'),
+      400: errorResponse('Invalid inscription id'),
+      404: errorResponse('Inscription not found'),
+      502: errorResponse('Ordinals provider or Stacks API failed'),
+      503: errorResponse('No Ordinals provider for this network'),
+    },
+  }),
+
+  getOutputListing: createRoute({
+    method: 'get', path: '/inscriptions/{txid}/{vout}', tags: ['Inscriptions'],
+    summary: 'Active listing of an inscription UTXO (contract map lookup) and its past listings',
+    request: { params: OutputParams },
+    responses: {
+      200: json(OutputListingsSchema, 'Active and past listings'),
+      400: errorResponse('Invalid txid or vout'),
+      502: errorResponse('Stacks API failed'),
+    },
+  }),
+
+  stream: createRoute({
+    method: 'get', path: '/stream', tags: ['Live updates'],
+    summary: 'Live trade updates (Server-Sent Events)',
+    description: 'Events: ready, listing, transition, expiry, reorg. Resume with Last-Event-ID or fromBlock. '
+      + 'The same messages are available as JSON text frames over WebSocket at /stream/ws (resume with ?lastEventId=).',
+    request: {
+      query: FeedQuery,
+      headers: z.object({ 'last-event-id': z.string().optional().openapi({ param: { name: 'last-event-id', in: 'header' } }) }),
+    },
+    responses: {
+      200: { description: 'Event stream', content: { 'text/event-stream': { schema: z.string() } } },
+      400: errorResponse('Invalid filter'),
+    },
+  }),
+
+  registerWebhook: createRoute({
+    method: 'post', path: '/webhooks', tags: ['Webhooks'],
+    summary: 'Register a webhook',
+    request: { headers: WebhookApiKeyHeader, body: jsonBody(WebhookInput) },
+    responses: {
+      201: json(WebhookSchema.extend({ secret: z.string() }), 'Registered webhook (the only response that includes the secret)'),
+      400: errorResponse('Invalid webhook, or a URL that is not public / does not resolve'),
+      401: errorResponse('Missing or invalid X-Api-Key'),
+      429: errorResponse('Webhook limit reached for the API key or the deployment'),
+      503: errorResponse('Webhook registration disabled (no API keys configured)'),
+    },
+  }),
+
+  getWebhook: createRoute({
+    method: 'get', path: '/webhooks/{id}', tags: ['Webhooks'],
+    summary: 'Webhook registration',
+    request: { params: WebhookIdParams, headers: WebhookSecretHeader },
+    responses: { 200: json(WebhookSchema, 'Webhook'), ...webhookErrors },
+  }),
+
+  deleteWebhook: createRoute({
+    method: 'delete', path: '/webhooks/{id}', tags: ['Webhooks'],
+    summary: 'Unregister a webhook',
+    request: { params: WebhookIdParams, headers: WebhookSecretHeader },
+    responses: { 200: json(z.object({ deleted: z.literal(true), id: z.string() }), 'Deleted'), ...webhookErrors },
+  }),
+
+  webhookDeliveries: createRoute({
+    method: 'get', path: '/webhooks/{id}/deliveries', tags: ['Webhooks'],
+    summary: 'Delivery log (attempts, status codes, errors), newest first',
+    request: {
+      params: WebhookIdParams,
+      headers: WebhookSecretHeader,
+      query: z.object({ limit: z.coerce.number().int().min(1).optional().openapi({ description: 'at most 100 (default 50)' }) }),
+    },
+    responses: {
+      200: json(z.object({ deliveries: z.array(DeliverySchema) }), 'Deliveries'),
+      400: errorResponse('Invalid limit'),
+      ...webhookErrors,
+    },
+  }),
+
+  buildList: createRoute({
+    method: 'post', path: '/listings', tags: ['Transactions'],
+    summary: 'Unsigned list-inscription transaction',
+    request: { body: jsonBody(ListInput) },
+    responses: {
+      200: json(UnsignedTxSchema, 'Unsigned transaction'),
+      400: errorResponse('Invalid request'),
+      502: errorResponse('Nonce or fee lookup failed (pass nonce / fee, or retry)'),
+    },
+  }),
+
+  buildAccept: createRoute({
+    method: 'post', path: '/trades/{id}/accept', tags: ['Transactions'],
+    summary: 'Unsigned accept-listing transaction (post-condition: price + premium)',
+    request: { params: TradeIdParams, body: jsonBody(AcceptInput) },
+    responses: { 200: json(UnsignedTxSchema, 'Unsigned transaction'), ...txErrors },
+  }),
+
+  buildCommit: createRoute({
+    method: 'post', path: '/trades/{id}/commit', tags: ['Transactions'],
+    summary: 'Unsigned commit-listing transaction (post-condition: collateral)',
+    request: { params: TradeIdParams, body: jsonBody(CommitInput) },
+    responses: { 200: json(UnsignedTxSchema, 'Unsigned transaction'), ...txErrors },
+  }),
+
+  buildCancel: createRoute({
+    method: 'post', path: '/trades/{id}/cancel', tags: ['Transactions'],
+    summary: 'Unsigned cancel-listing transaction (post-condition: refund to buyer)',
+    request: { params: TradeIdParams, body: jsonBody(CancelInput) },
+    responses: { 200: json(UnsignedTxSchema, 'Unsigned transaction'), ...txErrors },
+  }),
+
+  buildProof: createRoute({
+    method: 'post', path: '/trades/{id}/proof', tags: ['Transactions'],
+    summary: 'Build and verify submit-proof arguments from a BTC transaction',
+    description: 'With segwit: true, builds submit-proof-segwit arguments; the contract can only settle transactions without witness data that way '
+      + '(witness transactions come back 422 with contractCompatible: false; use the default submit-proof). With publicKey, also returns the unsigned transaction.',
+    request: { params: TradeIdParams, body: jsonBody(ProofInput) },
+    responses: {
+      200: json(z.object({ proof: ProofSchema }).extend(UnsignedTxSchema.partial().shape), 'Valid proof (and unsigned transaction when publicKey is given)'),
+      422: errorResponse('Proof fails the contract\'s checks (details: proof)'),
+      ...tradeErrors,
+      415: errorResponse('Body is not JSON'),
+      502: errorResponse('Nonce or fee lookup failed (pass nonce / fee, or retry)'),
+      503: errorResponse('Listing details not loaded yet'),
+    },
+  }),
+
+  settle: createRoute({
+    method: 'post', path: '/trades/{id}/settle', tags: ['Settlement'],
+    summary: 'Log a settled trade to the public ledger',
+    description: '`signature` is from_agent\'s BIP-137 or BIP-322 (SIGHASH_ALL) signature over settlementMessage() of the other fields, '
+      + 'the contract id and the listing id. '
+      + 'The listing must be done on-chain with matching BTC addresses, price and inscription.',
+    request: { params: TradeIdParams, body: jsonBody(SettleInput) },
+    responses: {
+      200: json(z.object({ success: z.literal(true), tradeId: Nullable(z.string()) }), 'Logged'),
+      ...tradeErrors,
+      401: errorResponse('Signature does not verify'),
+      409: errorResponse('Listing not done, does not match, or already logged'),
+      429: errorResponse('Rate limited per client IP or signing address (see Retry-After)'),
+      502: errorResponse('Ledger or Ordinals provider failed'),
+      503: errorResponse('Listing details not loaded, or no Ordinals provider'),
+    },
+  }),
+
+  validateInscription: createRoute({
+    method: 'get', path: '/validate/{inscriptionId}', tags: ['Ledger'],
+    summary: 'Prior ledger trades and risk warnings for an inscription',
+    request: { params: z.object({ inscriptionId: z.string().openapi({ param: { name: 'inscriptionId', in: 'path' } }) }) },
+    responses: { 200: json(LedgerCheckSchema, 'Ledger check') },
+  }),
+
+  reputation: createRoute({
+    method: 'get', path: '/reputation/{btcAddress}', tags: ['Ledger'],
+    summary: 'Ledger trade history for a BTC address',
+    request: { params: z.object({ btcAddress: z.string().openapi({ param: { name: 'btcAddress', in: 'path' } }) }) },
+    responses: { 200: json(ReputationSchema, 'Reputation'), 502: errorResponse('Ledger unavailable') },
+  }),
+
+  preCheck: createRoute({
+    method: 'get', path: '/pre-check/{inscriptionId}/{sellerBtcAddress}', tags: ['Ledger'],
+    summary: 'Inscription and seller checks before accepting a listing',
+    request: {
+      params: z.object({
+        inscriptionId: z.string().openapi({ param: { name: 'inscriptionId', in: 'path' } }),
+        sellerBtcAddress: z.string().openapi({ param: { name: 'sellerBtcAddress', in: 'path' } }),
+      }),
+    },
+    responses: {
+      200: json(z.object({
+        proceed: z.boolean(),
+        inscription: LedgerCheckSchema,
+        seller: Nullable(ReputationSchema),
+        summary: z.string(),
+      }), 'Pre-acceptance check'),
+    },
+  }),
+};
@@ -2,450 +2,1035 @@
  * Inscription Escrow API
  * 
  * REST API for querying inscription escrow trades.
- * Reads on-chain state via Stacks read-only contract calls.
+ * Serves listings from a local event index (see indexer.mjs) that is kept
+ * in sync with the contract's print events.
+ *
+ * One instance can serve several deployments (see deployments.mjs). Every
+ * route below is available under /<network>/<contractName>/... (e.g.
+ * /testnet/inscription-escrow/trades) and, for the default deployment, at
+ * the root as listed.
+ *   GET /deployments     — configured deployments and their index status
+ *   GET /openapi.json    — OpenAPI 3 document for every route (see api-schemas.mjs)
+ *   GET /docs            — interactive API docs
+ *   GET /metrics         — Prometheus metrics (see metrics.mjs)
+ *
+ * Requests are validated against the route schemas before handlers run.
+ * Errors on every route are { error: { code, message, details? } }.
+ *
+ * Logs are JSON lines (see logger.mjs, LOG_LEVEL). Every request gets a
+ * correlation id — the client's X-Request-Id or a new one — that is echoed
+ * in the X-Request-Id response header and logged with everything the
+ * request triggers.
  * 
  * Endpoints:
- *   GET /trades          — list open trades (with optional status filter)
- *   GET /trades/:id      — get trade details by listing ID
- *   GET /trades/stats    — summary stats (total, open, escrowed, done, cancelled)
- *   GET /health          — health check
+ *   GET /trades          — list trades (filters, sort, cursor pagination)
+ *   GET /trades/:id      — get trade details, event history, deadlines and allowed actions
+ *   GET /trades/stats    — summary stats (total, open, escrowed, committed, done, cancelled)
+ *   GET /trades/export   — a party's trades as CSV or JSON Lines (principal and/or btc; format)
+ *   GET /health          — health check + index sync status
+ *
+ * Analytics (window: 1d, 7d, 30d, all or a number of burn blocks):
+ *   GET /analytics/summary      — settled volume, price/premium/collateral percentiles,
+ *                                 accept→commit→settle timings, seller failure rate
+ *   GET /analytics/volume       — settled count + volume per `interval` burn blocks
+ *   GET /analytics/leaderboard  — top sellers or buyers by volume or trades
+ *
+ * Inscriptions (via the deployment's Ordinals provider — Hiro or a self-hosted ord server):
+ *   GET /inscriptions/:id          — inscription metadata
+ *   GET /inscriptions/:id/content  — content proxy (cached, size-limited, sandboxed)
+ *   GET /inscriptions/:id/listing  — active and past listings of the inscription's output
+ *   GET /inscriptions/:txid/:vout  — active listing of a UTXO (contract map lookup) and past listings
+ *
+ * Live updates (filters: seller, buyer, id; resume: fromBlock or Last-Event-ID):
+ *   GET /stream          — Server-Sent Events
+ *   GET /stream/ws       — WebSocket (same messages as JSON text frames)
+ *
+ * Webhooks (registration needs an X-Api-Key from WEBHOOK_API_KEYS; management
+ * calls send the webhook's secret in X-Webhook-Secret):
+ *   POST   /webhooks                  — register { url, secret?, ids?, seller?, buyer?, events? }
+ *   GET    /webhooks/:id              — webhook registration
+ *   DELETE /webhooks/:id              — unregister
+ *   GET    /webhooks/:id/deliveries   — delivery log (attempts, status codes, errors)
+ *
+ * Unsigned transaction builders (body includes the signer's publicKey):
+ *   POST /listings            — list-inscription
+ *   POST /trades/:id/accept   — accept-listing (post-condition: price + premium)
+ *   POST /trades/:id/commit   — commit-listing (post-condition: collateral)
+ *   POST /trades/:id/cancel   — cancel-listing (post-condition: refund to buyer)
+ *
+ * Settlement proofs:
+ *   POST /trades/:id/proof    — build + verify submit-proof (or, with segwit: true,
+ *                               submit-proof-segwit) arguments from a BTC tx
+ *                               (unsigned transaction too when publicKey is given)
+ *
+ * Settlement logging (public ledger):
+ *   POST /trades/:id/settle   — log a `done` listing, signed by the seller's BTC address
+ *                               (BIP-137 or BIP-322); checked against the listing on-chain
  */
 
-import { Hono } from 'hono';
+import { readFileSync } from 'fs';
+import { createHash, timingSafeEqual } from 'crypto';
+import { OpenAPIHono } from '@hono/zod-openapi';
+import { HTTPException } from 'hono/http-exception';
+import { routePath } from 'hono/route';
 import { serve } from '@hono/node-server';
+import { getConnInfo } from '@hono/node-server/conninfo';
+import { stream, streamSSE } from 'hono/streaming';
+import { createNodeWebSocket } from '@hono/node-ws';
+import { swaggerUI } from '@hono/swagger-ui';
+import { routeDefs, ERROR_CODES } from './api-schemas.mjs';
+import { createIndexer, createStacksEventSource } from './indexer.mjs';
+import { parseListingQuery, queryListings } from './listing-query.mjs';
+import { parseExportQuery, exportLines, CONTENT_TYPES } from './trade-export.mjs';
+import { getTradeTimeline } from './escrow-rules.mjs';
+import { createTxBuilder, txidToDisplayOrder, txidToInternalOrder } from './tx-builder.mjs';
+import { cvToHex, tupleCV, bufferCV, uintCV } from './clarity.mjs';
+import { buildSubmitProof, buildSubmitProofSegwit, blockSourceFromEnv } from './btc-proof.mjs';
+import { createTradeFeed, parseFeedFilter, DEFAULT_WARN_BLOCKS } from './trade-feed.mjs';
+import { createWebhookRegistry } from './webhooks.mjs';
+import { parseAnalyticsQuery, getSummary, getVolumeSeries, getLeaderboard } from './analytics.mjs';
+import { loadDeployments, NETWORKS } from './deployments.mjs';
+import { createStacksClient } from './stacks-client.mjs';
+import { logSettlement } from './settlement-logger.mjs';
+import {
+  parseSettlementInput,
+  checkListingMatch,
+  checkSignature,
+  checkInscription,
+  createSettlementStore,
+  createRateLimiter,
+} from './settlements.mjs';
+import { bitcoinNetwork } from './message-signing.mjs';
+import { createLogger, withRequestId, requestIdFrom } from './logger.mjs';
+import { createMetrics } from './metrics.mjs';
+import {
+  createOrdinalsProvider,
+  createContentCache,
+  isInscriptionId,
+  sanitizeContentType,
+  DEFAULT_MAX_CONTENT_BYTES,
+  DEFAULT_TIMEOUT_MS,
+} from './ordinals.mjs';
+
+const pkg = JSON.parse(readFileSync(new URL('./package.json', import.meta.url), 'utf8'));
 
 // --- Config ---
 const PORT = parseInt(process.env.PORT || '3100');
-const STACKS_API = process.env.STACKS_API || 'https://api.hiro.so';
-const CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS || 'SP16H0KE0BPR4XNQ64115V5Y1V3XTPGMWG5YPC9TR';
-const CONTRACT_NAME = process.env.CONTRACT_NAME || 'inscription-escrow';
+const INDEX_POLL_MS = parseInt(process.env.INDEX_POLL_MS || '30000');
+const EXPIRY_WARN_BLOCKS = parseInt(process.env.EXPIRY_WARN_BLOCKS || String(DEFAULT_WARN_BLOCKS));
+const STREAM_HEARTBEAT_MS = 15_000;
+const MAX_CONTENT_BYTES = parseInt(process.env.ORDINALS_MAX_CONTENT_BYTES || String(DEFAULT_MAX_CONTENT_BYTES));
+const CONTENT_CACHE_BYTES = parseInt(process.env.ORDINALS_CACHE_BYTES || String(64 * 1024 * 1024));
+const ORDINALS_TIMEOUT_MS = parseInt(process.env.ORDINALS_TIMEOUT_MS || String(DEFAULT_TIMEOUT_MS));
+// Stacks node client (see stacks-client.mjs); fallback nodes per deployment
+const STACKS_CLIENT_OPTIONS = {
+  timeoutMs: parseInt(process.env.STACKS_TIMEOUT_MS || '10000'),
+  retries: parseInt(process.env.STACKS_RETRIES || '2'),
+  concurrency: parseInt(process.env.STACKS_CONCURRENCY || '4'),
+  cacheSize: parseInt(process.env.STACKS_CACHE_SIZE || '1000'),
+};
+// Settlement logging requests per client IP (any request) and per verified signing address, per window
+const SETTLE_IP_RATE_LIMIT = parseInt(process.env.SETTLE_IP_RATE_LIMIT || '30');
+const SETTLE_RATE_LIMIT = parseInt(process.env.SETTLE_RATE_LIMIT || '5');
+const SETTLE_RATE_WINDOW_MS = parseInt(process.env.SETTLE_RATE_WINDOW_MS || '60000');
+// Behind a reverse proxy: take the client IP from the first X-Forwarded-For entry
+const TRUST_PROXY = process.env.TRUST_PROXY === '1';
+// Webhook registration: API keys (comma-separated; none disables POST /webhooks), limits per key and per deployment
+const WEBHOOK_API_KEYS = (process.env.WEBHOOK_API_KEYS || '').split(',').map(k => k.trim()).filter(Boolean);
+const WEBHOOK_MAX_PER_KEY = parseInt(process.env.WEBHOOK_MAX_PER_KEY || '20');
+const WEBHOOK_MAX_TOTAL = parseInt(process.env.WEBHOOK_MAX_TOTAL || '1000');
+// Local development only: deliver to loopback / private addresses
+const WEBHOOK_ALLOW_PRIVATE_NETWORKS = process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS === '1';
+// Check responses against their schemas: off, warn (log mismatches) or strict (mismatch → 500)
+const VALIDATE_RESPONSES = process.env.VALIDATE_RESPONSES || 'warn';
+// debug also logs /metrics and /health requests
+const LOG_LEVEL = process.env.LOG_LEVEL || 'info';
 
-// --- Stacks helpers ---
+const log = createLogger({ level: LOG_LEVEL });
+
+// DEPLOYMENTS_CONFIG file, or the single deployment from STACKS_API / CONTRACT_* / ...
+const { deployments, defaultKey } = loadDeployments();
 
 /**
- * Call a read-only function on the escrow contract
+ * Format an indexed listing for API response
  */
-async function callReadOnly(functionName, args = []) {
-  const url = `${STACKS_API}/v2/contracts/call-read/${CONTRACT_ADDRESS}/${CONTRACT_NAME}/${functionName}`;
-  const res = await fetch(url, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      sender: CONTRACT_ADDRESS,
-      arguments: args,
-    }),
+function formatListing(listing, { withHistory = false } = {}) {
+  const { history, listedAt, updatedAt, ...fields } = listing;
+  return withHistory ? { ...fields, listedAt, updatedAt, history } : fields;
+}
+
+// --- Metrics (see metrics.mjs) ---
+
+// State gauges are read from the deployment contexts on each scrape
+const metrics = createMetrics({
+  snapshot: () => ({
+    deployments: [...contexts.values()].map(({ deployment, stacks, indexer, feed, webhooks, settlements }) => ({
+      key: deployment.key,
+      stats: indexer.getStats(),
+      index: indexer.status(),
+      feedSubscribers: feed.size(),
+      webhooks: webhooks.status(),
+      settlements: settlements.size(),
+      stacks: stacks.status(),
+    })),
+    contentCache: contentCache.stats(),
+  }),
+});
+
+/**
+ * onRequest hook for a deployment's Stacks / Ordinals client: every request
+ * is timed, failures are also logged (with the triggering request's id).
+ */
+function upstreamObserver(service, deployment) {
+  return ({ url, path, status, durationMs, error }) => {
+    metrics.observeUpstream({ service, deployment: deployment.key, durationMs, error: !!error });
+    if (error) log.warn('upstream request failed', { service, deployment: deployment.key, url, path, status, error: error.message });
+  };
+}
+
+// --- Deployments ---
+
+/**
+ * Services for one deployment: Stacks client, event index, live feed, webhooks,
+ * transaction builder, the block source used for proofs and the Ordinals provider.
+ */
+function createDeploymentContext(deployment) {
+  const { contractAddress, contractName } = deployment;
+  const deploymentLog = log.child({ deployment: deployment.key });
+  const stacks = createStacksClient({
+    ...STACKS_CLIENT_OPTIONS,
+    urls: [deployment.stacksApi, ...deployment.stacksApiFallbacks],
+    onRequest: upstreamObserver('stacks', deployment),
+    onCacheLookup: (hit) => metrics.observeCache('stacks_read_only', hit),
   });
-  if (!res.ok) {
-    const text = await res.text();
-    throw new Error(`Stacks API ${res.status}: contract may not be deployed — ${text.slice(0, 200)}`);
-  }
-  const data = await res.json();
-  if (!data.okay && data.cause) {
-    throw new Error(`Contract error: ${data.cause}`);
-  }
-  return data;
+  const indexer = createIndexer({
+    source: createStacksEventSource({ client: stacks, contractAddress, contractName }),
+    storePath: deployment.indexPath,
+    log: deploymentLog,
+  });
+  const feed = createTradeFeed({ indexer, warnBlocks: EXPIRY_WARN_BLOCKS, format: formatListing, log: deploymentLog });
+
+  return {
+    deployment,
+    stacks,
+    indexer,
+    feed,
+    webhooks: createWebhookRegistry({
+      feed,
+      storePath: deployment.webhooksPath,
+      maxWebhooks: WEBHOOK_MAX_TOTAL,
+      maxWebhooksPerOwner: WEBHOOK_MAX_PER_KEY,
+      allowPrivateNetworks: WEBHOOK_ALLOW_PRIVATE_NETWORKS,
+      log: deploymentLog,
+    }),
+    settlements: createSettlementStore({ storePath: deployment.settlementsPath }),
+    txBuilder: createTxBuilder({
+      client: stacks,
+      contractAddress,
+      contractName,
+      sbtc: deployment.sbtc,
+      network: deployment.network,
+    }),
+    // Optional: bitcoind or Esplora for the deployment's Bitcoin network, used to fetch blocks for proofs
+    blockSource: blockSourceFromEnv({ BITCOIN_RPC_URL: deployment.bitcoinRpcUrl, ESPLORA_API: deployment.esploraApi }),
+    // null when the network has no Ordinals provider configured
+    ordinals: deployment.ordinals
+      ? createOrdinalsProvider({
+        ...deployment.ordinals,
+        timeoutMs: ORDINALS_TIMEOUT_MS,
+        onRequest: upstreamObserver('ordinals', deployment),
+      })
+      : null,
+  };
 }
 
+const contexts = new Map([...deployments].map(([key, deployment]) => [key, createDeploymentContext(deployment)]));
+
+// Inscription content is shared across deployments of the same network
+const contentCache = createContentCache({ maxBytes: CONTENT_CACHE_BYTES });
+
+// Shared across deployments: one client / signing address, one budget
+const settleIpLimiter = createRateLimiter({ limit: SETTLE_IP_RATE_LIMIT, windowMs: SETTLE_RATE_WINDOW_MS });
+const settleLimiter = createRateLimiter({ limit: SETTLE_RATE_LIMIT, windowMs: SETTLE_RATE_WINDOW_MS });
+
+// --- Hono App ---
+
 /**
- * Decode a Clarity value from hex to a JS object.
- * Simplified parser for the types we use.
+ * Structured error response: { error: { code, message, details? } }.
+ * `code` defaults by status (ERROR_CODES in api-schemas.mjs).
  */
-function decodeClarityHex(hex) {
-  if (!hex || typeof hex !== 'string') return null;
-  // Remove 0x prefix if present
-  if (hex.startsWith('0x')) hex = hex.slice(2);
-  if (!hex.length) return null;
-  const buf = Buffer.from(hex, 'hex');
-  return decodeClarityValue(buf, 0).value;
+function apiError(c, status, message, { code = ERROR_CODES[status] ?? 'ERROR', details } = {}) {
+  return c.json({ error: { code, message, ...(details !== undefined && { details }) } }, status);
 }
 
-function decodeClarityValue(buf, offset) {
-  const type = buf[offset];
-  offset++;
+const REQUEST_PARTS = { param: 'path', query: 'query', header: 'header', json: 'body' };
 
-  switch (type) {
-    case 0x00: // int
-      return { value: readInt128(buf, offset), size: 17 };
-    case 0x01: // uint
-      return { value: readUint128(buf, offset), size: 17 };
-    case 0x02: // buffer
-      {
-        const len = buf.readUInt32BE(offset);
-        offset += 4;
-        const data = buf.slice(offset, offset + len);
-        return { value: data.toString('hex'), size: 5 + len };
-      }
-    case 0x03: // true
-      return { value: true, size: 1 };
-    case 0x04: // false
-      return { value: false, size: 1 };
-    case 0x05: // standard principal
-      {
-        const version = buf[offset];
-        const hash = buf.slice(offset + 1, offset + 21);
-        // Simplified: return hex representation
-        return { value: `principal:${version}:${hash.toString('hex')}`, size: 22 };
-      }
-    case 0x06: // contract principal
-      {
-        const version = buf[offset];
-        const hash = buf.slice(offset + 1, offset + 21);
-        const nameLen = buf[offset + 21];
-        const name = buf.slice(offset + 22, offset + 22 + nameLen).toString('ascii');
-        return { value: `${version}:${hash.toString('hex')}.${name}`, size: 23 + nameLen };
-      }
-    case 0x07: // ok
-      {
-        const inner = decodeClarityValue(buf, offset);
-        return { value: { ok: inner.value }, size: 1 + inner.size };
-      }
-    case 0x08: // err
-      {
-        const inner = decodeClarityValue(buf, offset);
-        return { value: { err: inner.value }, size: 1 + inner.size };
-      }
-    case 0x09: // none
-      return { value: null, size: 1 };
-    case 0x0a: // some
-      {
-        const inner = decodeClarityValue(buf, offset);
-        return { value: inner.value, size: 1 + inner.size };
-      }
-    case 0x0b: // list
-      {
-        const len = buf.readUInt32BE(offset);
-        offset += 4;
-        const items = [];
-        let totalSize = 5;
-        for (let i = 0; i < len; i++) {
-          const item = decodeClarityValue(buf, offset);
-          items.push(item.value);
-          offset += item.size;
-          totalSize += item.size;
-        }
-        return { value: items, size: totalSize };
-      }
-    case 0x0c: // tuple
-      {
-        const len = buf.readUInt32BE(offset);
-        offset += 4;
-        const obj = {};
-        let totalSize = 5;
-        for (let i = 0; i < len; i++) {
-          const nameLen = buf[offset];
-          offset++;
-          const name = buf.slice(offset, offset + nameLen).toString('ascii');
-          offset += nameLen;
-          const val = decodeClarityValue(buf, offset);
-          obj[name] = val.value;
-          offset += val.size;
-          totalSize += 1 + nameLen + val.size;
-        }
-        return { value: obj, size: totalSize };
-      }
-    case 0x0d: // string-ascii
-      {
-        const len = buf.readUInt32BE(offset);
-        offset += 4;
-        const str = buf.slice(offset, offset + len).toString('ascii');
-        return { value: str, size: 5 + len };
-      }
-    case 0x0e: // string-utf8
-      {
-        const len = buf.readUInt32BE(offset);
-        offset += 4;
-        const str = buf.slice(offset, offset + len).toString('utf8');
-        return { value: str, size: 5 + len };
-      }
-    default:
-      return { value: `unknown_type_${type}`, size: 1 };
-  }
+/** Schema validation failures on path, query, headers or body */
+function validationHook(result, c) {
+  if (result.success) return;
+  const part = REQUEST_PARTS[result.target] ?? result.target;
+  const issues = result.error.issues.map(issue => ({ in: part, path: issue.path.join('.'), message: issue.message }));
+  const [first] = issues;
+  return apiError(c, 400, `Invalid ${part}${first.path ? ` ${first.path}` : ''}: ${first.message}`, { details: issues });
+}
+
+const app = new OpenAPIHono({ defaultHook: validationHook });
+const { injectWebSocket, upgradeWebSocket } = createNodeWebSocket({ app });
+
+/** Metric label for a request: the matched route pattern without the deployment prefix */
+function routeLabel(c) {
+  const path = routePath(c);
+  // Only the catch-all middleware matched: no route (404) or an unknown deployment
+  if (path.endsWith('*')) return 'unmatched';
+  return path.startsWith(DEPLOYMENT_PREFIX) ? path.slice(DEPLOYMENT_PREFIX.length) || '/' : path;
 }
 
-function readUint128(buf, offset) {
-  // Read as BigInt, convert to number if safe
-  const high = buf.readBigUInt64BE(offset);
-  const low = buf.readBigUInt64BE(offset + 8);
-  const val = (high << 64n) | low;
-  return val <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(val) : val.toString();
+// Scrapes and health checks are frequent and uninteresting: logged at debug
+const QUIET_ROUTES = new Set(['/metrics', '/health']);
+
+// Correlation id, request log line and latency metric for every request.
+// Streams (SSE, WebSocket) are timed to the response headers, not their whole life.
+app.use('*', async (c, next) => {
+  const reqId = requestIdFrom(c.req.header('X-Request-Id'));
+  const started = performance.now();
+  c.header('X-Request-Id', reqId);
+  await withRequestId(reqId, next);
+
+  const durationMs = performance.now() - started;
+  const route = routeLabel(c);
+  const deployment = ctxOf(c).deployment.key;
+  const { status } = c.res;
+  metrics.observeRequest({ method: c.req.method, route, status, deployment, durationMs });
+  withRequestId(reqId, () => log[QUIET_ROUTES.has(route) ? 'debug' : 'info']('request', {
+    method: c.req.method,
+    path: c.req.path,
+    route,
+    status,
+    durationMs: Math.round(durationMs * 10) / 10,
+    deployment,
+  }));
+});
+
+// Deployment-scoped routes are mounted twice: at the root for the default
+// deployment, and under /<network>/<contractName> for every deployment
+const routes = new OpenAPIHono({ defaultHook: validationHook });
+const DEPLOYMENT_PREFIX = `/:network{${NETWORKS.join('|')}}/:contract`;
+
+app.use(`${DEPLOYMENT_PREFIX}/*`, async (c, next) => {
+  const key = `${c.req.param('network')}/${c.req.param('contract')}`;
+  const ctx = contexts.get(key);
+  if (!ctx) return apiError(c, 404, `Unknown deployment ${key}`, { code: 'UNKNOWN_DEPLOYMENT' });
+  c.set('ctx', ctx);
+  await next();
+});
+
+app.notFound((c) => apiError(c, 404, `No route for ${c.req.method} ${c.req.path}`));
+
+app.onError((err, c) => {
+  // Raised by Hono itself, e.g. malformed JSON (400) or a non-JSON body (415)
+  if (err instanceof HTTPException) return apiError(c, err.status, err.message);
+  log.error('unhandled error', { method: c.req.method, path: c.req.path, err });
+  return apiError(c, 500, 'Internal server error');
+});
+
+/** Deployment context for a request (the default deployment for root routes) */
+function ctxOf(c) {
+  return c.get('ctx') ?? contexts.get(defaultKey);
 }
 
-function readInt128(buf, offset) {
-  const high = buf.readBigInt64BE(offset);
-  const low = buf.readBigUInt64BE(offset + 8);
-  const val = (high << 64n) | low;
-  return val <= BigInt(Number.MAX_SAFE_INTEGER) && val >= BigInt(Number.MIN_SAFE_INTEGER) 
-    ? Number(val) : val.toString();
+/** JSON response schema issues for a handler's response, or null if it conforms */
+async function responseIssues(route, res) {
+  const declared = route.responses[res.status];
+  if (!declared) return [{ path: '', message: `status ${res.status} is not declared` }];
+  const schema = declared.content?.['application/json']?.schema;
+  if (!schema || !res.headers.get('Content-Type')?.startsWith('application/json')) return null;
+  const result = schema.safeParse(await res.clone().json());
+  return result.success ? null : result.error.issues.map(issue => ({ path: issue.path.join('.'), message: issue.message }));
 }
 
 /**
- * Format a listing for API response
+ * Register a schema-defined route. Requests are validated before `handler`
+ * runs; responses are checked against the route's schemas per VALIDATE_RESPONSES.
  */
-function formatListing(id, raw) {
+function openapi(router, route, handler) {
+  if (VALIDATE_RESPONSES === 'off') return router.openapi(route, handler);
+  return router.openapi(route, async (c) => {
+    const res = await handler(c);
+    const issues = await responseIssues(route, res);
+    if (!issues) return res;
+    log.warn('response does not match its schema', { route: `${route.method.toUpperCase()} ${route.path}`, status: res.status, issues });
+    if (VALIDATE_RESPONSES !== 'strict') return res;
+    return apiError(c, 500, 'Response failed schema validation', { code: 'RESPONSE_VALIDATION_FAILED', details: issues });
+  });
+}
+
+function deploymentSummary({ deployment, stacks, indexer }) {
   return {
-    id,
-    inscriptionTxid: raw['inscription-txid'],
-    inscriptionVout: raw['inscription-vout'],
-    price: raw.price,
-    premium: raw.premium,
-    seller: raw.seller,
-    buyer: raw.buyer,
-    sellerBtc: raw['seller-btc'],
-    buyerBtc: raw['buyer-btc'],
-    blockHeight: raw.when,
-    status: raw.status?.trim?.() || raw.status,
+    key: deployment.key,
+    network: deployment.network,
+    contract: deployment.contractId,
+    api: deployment.stacksApi,
+    sbtc: deployment.sbtc,
+    ordinals: deployment.ordinals && { provider: deployment.ordinals.provider, url: deployment.ordinals.url },
+    default: deployment.key === defaultKey,
+    stacks: stacks.status(),
+    index: indexer.status(),
   };
 }
 
+openapi(app, routeDefs.metrics, async (c) => {
+  const { contentType, body } = await metrics.render();
+  return c.body(body, 200, { 'Content-Type': contentType });
+});
+
+openapi(app, routeDefs.deployments, (c) => {
+  return c.json({ default: defaultKey, deployments: [...contexts.values()].map(deploymentSummary) });
+});
+
+// Health check
+openapi(routes, routeDefs.health, (c) => {
+  const { deployment, stacks, indexer, feed, webhooks } = ctxOf(c);
+  return c.json({
+    status: 'ok',
+    deployment: deployment.key,
+    contract: deployment.contractId,
+    api: deployment.stacksApi,
+    stacks: stacks.status(),
+    index: indexer.status(),
+    feedSubscribers: feed.size(),
+    webhooks: webhooks.status(),
+    timestamp: new Date().toISOString(),
+  });
+});
+
+// Summary stats
+openapi(routes, routeDefs.stats, (c) => {
+  const { indexer } = ctxOf(c);
+  return c.json({ ...indexer.getStats(), indexedHeight: indexer.status().height });
+});
+
+// --- Analytics (see analytics.mjs) ---
+
 /**
- * Encode a uint as Clarity hex (for read-only call args)
+ * Route computing an analytics view over all indexed listings at the indexed burn height.
  */
-function encodeUint(n) {
-  const buf = Buffer.alloc(17);
-  buf[0] = 0x01; // uint type
-  buf.writeBigUInt64BE(0n, 1);
-  buf.writeBigUInt64BE(BigInt(n), 9);
-  return '0x' + buf.toString('hex');
+function analyticsRoute(compute) {
+  return (c) => {
+    const { indexer } = ctxOf(c);
+    try {
+      const query = parseAnalyticsQuery(c.req.valid('query'));
+      const { height, burnHeight } = indexer.status();
+      return c.json({ ...compute(indexer.getListings(), { ...query, burnHeight }), indexedHeight: height });
+    } catch (err) {
+      return apiError(c, 400, err.message);
+    }
+  };
 }
 
-// --- Hono App ---
+openapi(routes, routeDefs.analyticsSummary, analyticsRoute(getSummary));
+openapi(routes, routeDefs.analyticsVolume, analyticsRoute(getVolumeSeries));
+openapi(routes, routeDefs.analyticsLeaderboard, analyticsRoute(getLeaderboard));
 
-const app = new Hono();
+// List trades (filters, sorting, cursor pagination — see listing-query.mjs)
+openapi(routes, routeDefs.listTrades, (c) => {
+  const { indexer } = ctxOf(c);
+  let query;
+  try {
+    query = parseListingQuery(c.req.valid('query'));
+  } catch (err) {
+    return apiError(c, 400, err.message);
+  }
+
+  const page = queryListings(indexer.getListings(), query);
 
-// Health check
-app.get('/health', (c) => {
   return c.json({
-    status: 'ok',
-    contract: `${CONTRACT_ADDRESS}.${CONTRACT_NAME}`,
-    api: STACKS_API,
-    timestamp: new Date().toISOString(),
+    trades: page.items.map(l => formatListing(l)),
+    total: page.total,
+    limit: query.limit,
+    nextCursor: page.nextCursor,
+    hasMore: page.hasMore,
+    indexedHeight: indexer.status().height,
   });
 });
 
-// Get trade by ID
-app.get('/trades/stats', async (c) => {
+// Trade history export for one party (see trade-export.mjs); registered before /trades/:id
+openapi(routes, routeDefs.exportTrades, (c) => {
+  const { deployment, indexer } = ctxOf(c);
+  let query;
   try {
-    const nextIdRes = await callReadOnly('get-next-id');
-    const nextId = decodeClarityHex(nextIdRes.result);
-    
-    const stats = { total: nextId, open: 0, escrowed: 0, done: 0, cancelled: 0 };
-    
-    // Scan all listings (fine for small counts, paginate later)
-    const promises = [];
-    for (let i = 0; i < nextId && i < 100; i++) {
-      promises.push(
-        callReadOnly('get-listing', [encodeUint(i)])
-          .then(res => {
-            if (res.result && !res.result.includes('09')) { // not none
-              const listing = decodeClarityHex(res.result);
-              if (listing) {
-                const status = (listing.status?.trim?.() || listing.status || '').toLowerCase();
-                if (stats[status] !== undefined) stats[status]++;
-              }
-            }
-          })
-          .catch(() => {})
+    query = parseExportQuery(c.req.valid('query'), { network: deployment.network });
+  } catch (err) {
+    return apiError(c, 400, err.message);
+  }
+
+  c.header('Content-Type', CONTENT_TYPES[query.format]);
+  c.header('Content-Disposition', `attachment; filename="trades-${deployment.network}-${deployment.contractName}.${query.format}"`);
+  const listings = indexer.getListings();
+  return stream(c, async (out) => {
+    for (const line of exportLines(listings, query)) {
+      if (out.aborted) break;
+      await out.write(line);
+    }
+  });
+});
+
+// Get trade by ID
+openapi(routes, routeDefs.getTrade, async (c) => {
+  const { indexer, ordinals } = ctxOf(c);
+  const { id } = c.req.valid('param');
+
+  const listing = indexer.getListing(id);
+  if (!listing) {
+    return apiError(c, 404, 'Trade not found');
+  }
+
+  const trade = formatListing(listing, { withHistory: true });
+  const timeline = getTradeTimeline(listing, indexer.status().burnHeight);
+
+  // Enrichment is optional: a failed lookup is reported, not fatal
+  let inscriptions = [];
+  let inscriptionError;
+  if (ordinals && listing.inscriptionTxid) {
+    try {
+      // The contract stores the txid in internal byte order; Ordinals APIs use display order
+      inscriptions = await ordinals.getInscriptionsByOutput(
+        txidToDisplayOrder(listing.inscriptionTxid),
+        listing.inscriptionVout
       );
+    } catch (err) {
+      inscriptionError = err.message;
     }
-    await Promise.all(promises);
-    
-    return c.json(stats);
-  } catch (err) {
-    return c.json({ error: err.message }, 500);
   }
+
+  return c.json({
+    trade,
+    timeline,
+    inscription: inscriptions[0] ?? null,
+    inscriptions,
+    ...(inscriptionError && { inscriptionError }),
+  });
 });
 
-// List trades (with optional status filter)
-app.get('/trades', async (c) => {
-  const statusFilter = c.req.query('status'); // open, escrowed, done, cancelled
-  const limit = Math.min(parseInt(c.req.query('limit') || '50'), 100);
-  const offset = parseInt(c.req.query('offset') || '0');
+// --- Inscriptions (see ordinals.mjs) ---
+
+/**
+ * Route for one inscription id on a deployment with an Ordinals provider.
+ */
+function inscriptionRoute(handler) {
+  return async (c) => {
+    const { deployment, ordinals } = ctxOf(c);
+    const { id } = c.req.valid('param');
+    if (!isInscriptionId(id)) return apiError(c, 400, 'Invalid inscription id: expected <txid>i<index>');
+    if (!ordinals) return apiError(c, 503, `No Ordinals provider configured for ${deployment.network}`, { code: 'NO_ORDINALS_PROVIDER' });
+    return handler(c, { id, deployment, ordinals });
+  };
+}
 
+openapi(routes, routeDefs.getInscription, inscriptionRoute(async (c, { id, ordinals }) => {
+  let inscription;
   try {
-    // Get total count
-    const nextIdRes = await callReadOnly('get-next-id');
-    const nextId = decodeClarityHex(nextIdRes.result);
+    inscription = await ordinals.getInscription(id);
+  } catch (err) {
+    return apiError(c, 502, err.message);
+  }
+  if (!inscription) return apiError(c, 404, 'Inscription not found');
+  return c.json(inscription);
+}));
+
+// Content is served sandboxed (no scripts, no network) so HTML/SVG inscriptions render safely
+openapi(routes, routeDefs.getInscriptionContent, inscriptionRoute(async (c, { id, deployment, ordinals }) => {
+  const key = `${deployment.network}:${id}`;
+  let entry = contentCache.get(key);
+  const cached = !!entry;
+  metrics.observeCache('inscription_content', cached);
 
-    if (nextId === 0) {
-      return c.json({ trades: [], total: 0, hasMore: false });
+  if (!entry) {
+    let content;
+    try {
+      content = await ordinals.getContent(id, { maxBytes: MAX_CONTENT_BYTES });
+    } catch (err) {
+      return err.code === 'CONTENT_TOO_LARGE' ? apiError(c, 413, err.message) : apiError(c, 502, err.message);
     }
+    if (!content) return apiError(c, 404, 'Inscription not found');
+    entry = { contentType: sanitizeContentType(content.contentType), body: content.body };
+    contentCache.set(key, entry);
+  }
+
+  return c.body(entry.body, 200, {
+    'Content-Type': entry.contentType,
+    'Content-Length': String(entry.body.length),
+    'Cache-Control': 'public, max-age=31536000, immutable',
+    'Content-Security-Policy': "default-src 'none'; img-src data:; media-src data:; style-src 'unsafe-inline'; font-src data:; sandbox",
+    'X-Content-Type-Options': 'nosniff',
+    'X-Cache': cached ? 'HIT' : 'MISS',
+  });
+}));
 
-    // Fetch listings in parallel (batched)
-    const trades = [];
-    const batchSize = Math.min(nextId, 50);
-    const promises = [];
+// --- Listings by inscription output ---
 
-    for (let i = 0; i < batchSize; i++) {
-      promises.push(
-        callReadOnly('get-listing', [encodeUint(i)])
-          .then(res => ({ id: i, res }))
-          .catch(err => ({ id: i, error: err.message }))
-      );
+const CLOSED_STATUSES = new Set(['done', 'cancelled']);
+
+/**
+ * Active listing of an inscription output, read from the contract's
+ * inscription-listings map, and its past listings from the index.
+ * `txid` is in display order; the contract keys the map by internal order.
+ */
+async function outputListings({ deployment, stacks, indexer }, txid, vout) {
+  const internal = txidToInternalOrder(txid);
+  const key = cvToHex(tupleCV({ txid: bufferCV(internal), vout: uintCV(vout) }));
+  const listingId = await stacks.getMapEntry(deployment.contractAddress, deployment.contractName, 'inscription-listings', key);
+  const active = listingId !== null ? indexer.getListing(listingId) : null;
+
+  const internalHex = internal.toString('hex');
+  const past = indexer.getListings().filter(l =>
+    l.inscriptionTxid === internalHex && l.inscriptionVout === vout && CLOSED_STATUSES.has(l.status));
+
+  return {
+    txid: txid.toLowerCase(),
+    vout,
+    listingId,
+    listing: active && formatListing(active),
+    pastListings: past.map(l => formatListing(l)),
+    indexedHeight: indexer.status().height,
+  };
+}
+
+openapi(routes, routeDefs.getInscriptionListing, inscriptionRoute(async (c, { id, ordinals }) => {
+  let inscription;
+  try {
+    inscription = await ordinals.getInscription(id);
+  } catch (err) {
+    return apiError(c, 502, err.message);
+  }
+  if (!inscription) return apiError(c, 404, 'Inscription not found');
+  if (!inscription.output) return apiError(c, 502, `Ordinals provider returned no output for ${id}`);
+
+  const [txid, vout] = inscription.output.split(':');
+  try {
+    return c.json({ ...(await outputListings(ctxOf(c), txid, Number(vout))), inscription });
+  } catch (err) {
+    return apiError(c, 502, err.message);
+  }
+}));
+
+// Registered after /inscriptions/:id/content and /listing, which would otherwise match as a vout
+openapi(routes, routeDefs.getOutputListing, async (c) => {
+  const { txid, vout } = c.req.valid('param');
+  try {
+    return c.json(await outputListings(ctxOf(c), txid, vout));
+  } catch (err) {
+    return apiError(c, 502, err.message);
+  }
+});
+
+// --- Live updates (see trade-feed.mjs) ---
+
+// Missed events are replayed first; live messages subscribe in the same tick, so none are lost
+openapi(routes, routeDefs.stream, (c) => {
+  const { indexer, feed } = ctxOf(c);
+  let filter;
+  try {
+    filter = parseFeedFilter(c.req.valid('query'), c.req.header('Last-Event-ID'));
+  } catch (err) {
+    return apiError(c, 400, err.message);
+  }
+
+  return streamSSE(c, async (stream) => {
+    // Writes are chained so messages stay in order
+    let writing = Promise.resolve();
+    const send = (message) => {
+      writing = writing.then(() => stream.writeSSE({
+        event: message.type,
+        id: message.eventId,
+        data: JSON.stringify(message),
+      }));
+    };
+
+    // `ready` also flushes the response headers before any trade message arrives
+    send({ type: 'ready', height: indexer.status().height, burnHeight: indexer.status().burnHeight });
+    feed.replay(filter).forEach(send);
+    const unsubscribe = feed.subscribe(filter, send);
+    stream.onAbort(unsubscribe);
+
+    while (!stream.aborted) {
+      await stream.sleep(STREAM_HEARTBEAT_MS);
+      writing = writing.then(() => stream.write(': ping\n\n'));
     }
+  });
+});
+
+// Documented with /stream: an upgrade has no JSON request or response to validate
+routes.get('/stream/ws', upgradeWebSocket((c) => {
+  const { indexer, feed } = ctxOf(c);
+  let filter = null;
+  let error = null;
+  try {
+    filter = parseFeedFilter(c.req.query(), c.req.query('lastEventId'));
+  } catch (err) {
+    error = { code: ERROR_CODES[400], message: err.message };
+  }
+  let unsubscribe = null;
 
-    const results = await Promise.all(promises);
-
-    for (const { id, res, error } of results) {
-      if (error || !res?.result) continue;
-      try {
-        const raw = decodeClarityHex(res.result);
-        if (!raw || typeof raw !== 'object') continue;
-        const listing = formatListing(id, raw);
-        
-        // Apply status filter
-        if (statusFilter && listing.status !== statusFilter) continue;
-        trades.push(listing);
-      } catch {
-        // Skip unparseable
+  return {
+    onOpen(_event, ws) {
+      if (error) {
+        ws.send(JSON.stringify({ type: 'error', error }));
+        ws.close(1008, 'Invalid filter');
+        return;
       }
-    }
+      const send = (message) => ws.send(JSON.stringify(message));
+      send({ type: 'ready', height: indexer.status().height, burnHeight: indexer.status().burnHeight });
+      feed.replay(filter).forEach(send);
+      unsubscribe = feed.subscribe(filter, send);
+    },
+    onClose() {
+      unsubscribe?.();
+    },
+  };
+}));
 
-    // Apply pagination
-    const paginated = trades.slice(offset, offset + limit);
+// --- Webhooks (see webhooks.mjs) ---
 
-    return c.json({
-      trades: paginated,
-      total: trades.length,
-      offset,
-      limit,
-      hasMore: offset + limit < trades.length,
-    });
+const sha256 = value => createHash('sha256').update(value).digest();
+const webhookKeyHashes = WEBHOOK_API_KEYS.map(sha256);
+
+/**
+ * Webhook owner for an X-Api-Key header: a fingerprint of the matching key
+ * (so the key itself is never stored), or null when it matches none.
+ */
+function webhookOwner(apiKey) {
+  if (!apiKey) return null;
+  const hash = sha256(apiKey);
+  const match = webhookKeyHashes.some(expected => timingSafeEqual(expected, hash));
+  return match ? hash.toString('hex').slice(0, 16) : null;
+}
+
+openapi(routes, routeDefs.registerWebhook, async (c) => {
+  const { webhooks } = ctxOf(c);
+  if (!webhookKeyHashes.length) return apiError(c, 503, 'Webhook registration is disabled (no WEBHOOK_API_KEYS configured)');
+  const owner = webhookOwner(c.req.header('X-Api-Key'));
+  if (!owner) return apiError(c, 401, 'Missing or invalid X-Api-Key header');
+  try {
+    return c.json(await webhooks.register(c.req.valid('json'), { owner }), 201);
   } catch (err) {
-    return c.json({ error: err.message }, 500);
+    if (err.code === 'WEBHOOK_LIMIT') return apiError(c, 429, err.message);
+    return apiError(c, 400, err.message);
   }
 });
 
-// Get trade by ID
-app.get('/trades/:id', async (c) => {
-  const id = parseInt(c.req.param('id'));
-  
-  if (isNaN(id) || id < 0) {
-    return c.json({ error: 'Invalid trade ID' }, 400);
-  }
+/**
+ * Route for one webhook: only the holder of its secret may read or remove it.
+ */
+function webhookRoute(handler) {
+  return (c) => {
+    const { webhooks } = ctxOf(c);
+    const { id } = c.req.valid('param');
+    const secret = c.req.header('X-Webhook-Secret');
+    if (!secret) return apiError(c, 401, 'Missing X-Webhook-Secret header');
+    if (!webhooks.authorize(id, secret)) return apiError(c, 404, 'Webhook not found');
+    return handler(c, id, webhooks);
+  };
+}
+
+openapi(routes, routeDefs.getWebhook, webhookRoute((c, id, webhooks) => c.json(webhooks.get(id))));
+
+openapi(routes, routeDefs.deleteWebhook, webhookRoute((c, id, webhooks) => {
+  webhooks.remove(id);
+  return c.json({ deleted: true, id });
+}));
+
+openapi(routes, routeDefs.webhookDeliveries, webhookRoute((c, id, webhooks) => {
+  const { limit = 50 } = c.req.valid('query');
+  return c.json({ deliveries: webhooks.deliveries(id, { limit: Math.min(limit, 100) }) });
+}));
+
+// --- Unsigned transaction builders ---
+
+/** A builder rejected the input (400), or its nonce / fee lookup failed upstream (502) */
+function buildFailed(c, err, opts) {
+  return apiError(c, err.code === 'UPSTREAM_ERROR' ? 502 : 400, err.message, opts);
+}
 
+openapi(routes, routeDefs.buildList, async (c) => {
+  const { txBuilder } = ctxOf(c);
   try {
-    const res = await callReadOnly('get-listing', [encodeUint(id)]);
-    
-    if (!res.result) {
-      return c.json({ error: 'Trade not found' }, 404);
-    }
+    return c.json(await txBuilder.buildList(c.req.valid('json')));
+  } catch (err) {
+    return buildFailed(c, err);
+  }
+});
+
+/**
+ * The indexer could not read this listing's on-chain details (price, BTC
+ * addresses) yet; building a transaction without them would be wrong.
+ */
+function detailsUnavailable(c, listing) {
+  return apiError(c, 503, `Listing details unavailable: ${listing.detailsError}`, { code: 'DETAILS_UNAVAILABLE' });
+}
+
+/**
+ * Route for a listing action: checks the listing exists and the action is
+ * currently allowed by the contract rules before building the transaction.
+ */
+function txRoute(action, build) {
+  return async (c) => {
+    const { indexer, txBuilder } = ctxOf(c);
+    const { id } = c.req.valid('param');
+    const body = c.req.valid('json');
 
-    const raw = decodeClarityHex(res.result);
-    
-    if (!raw || raw === null) {
-      return c.json({ error: 'Trade not found' }, 404);
+    const listing = indexer.getListing(id);
+    if (!listing) return apiError(c, 404, 'Trade not found');
+    if (listing.detailsError) return detailsUnavailable(c, listing);
+
+    const timeline = getTradeTimeline(listing, indexer.status().burnHeight);
+    if (!timeline.actions[action].allowed) {
+      return apiError(c, 409, `${action} not allowed for ${listing.status} listing`, { code: 'ACTION_NOT_ALLOWED', details: { timeline } });
     }
 
-    const trade = formatListing(id, raw);
-
-    // Enrich with inscription data if possible
-    let inscription = null;
-    if (trade.inscriptionTxid) {
-      try {
-        const inscRes = await fetch(
-          `https://api.hiro.so/ordinals/v1/inscriptions?output=${trade.inscriptionTxid}:${trade.inscriptionVout}`
-        );
-        if (inscRes.ok) {
-          const inscData = await inscRes.json();
-          if (inscData.results?.length > 0) {
-            const insc = inscData.results[0];
-            inscription = {
-              id: insc.id,
-              number: insc.number,
-              contentType: insc.content_type,
-              contentLength: insc.content_length,
-            };
-          }
-        }
-      } catch {
-        // Inscription enrichment is optional
-      }
+    try {
+      return c.json(await build(txBuilder, listing, body));
+    } catch (err) {
+      return buildFailed(c, err);
     }
+  };
+}
 
-    return c.json({ trade, inscription });
+openapi(routes, routeDefs.buildAccept, txRoute('accept', (txBuilder, listing, body) => txBuilder.buildAccept(listing, body)));
+openapi(routes, routeDefs.buildCommit, txRoute('commit', (txBuilder, listing, body) => txBuilder.buildCommit(listing, body)));
+openapi(routes, routeDefs.buildCancel, txRoute('cancel', (txBuilder, listing, body) => txBuilder.buildCancel(listing, body)));
+
+// --- Settlement proofs ---
+
+// Body: { rawTx | txid, rawBlock?, blockHeight?, segwit?, publicKey?, nonce?, fee? }
+openapi(routes, routeDefs.buildProof, async (c) => {
+  const { indexer, txBuilder, blockSource } = ctxOf(c);
+  const { id } = c.req.valid('param');
+  const body = c.req.valid('json');
+
+  const listing = indexer.getListing(id);
+  if (!listing) return apiError(c, 404, 'Trade not found');
+  if (listing.detailsError) return detailsUnavailable(c, listing);
+
+  const build = body.segwit ? buildSubmitProofSegwit : buildSubmitProof;
+  let proof;
+  try {
+    proof = await build({
+      rawTx: body.rawTx,
+      txid: body.txid,
+      rawBlock: body.rawBlock,
+      blockHeight: body.blockHeight,
+      source: blockSource,
+      listing,
+    });
+  } catch (err) {
+    return apiError(c, 400, err.message);
+  }
+
+  if (!proof.valid) return apiError(c, 422, `Invalid proof: ${proof.errors.join('; ')}`, { details: { proof } });
+  if (!body.publicKey) return c.json({ proof });
+
+  try {
+    const unsigned = await txBuilder.buildSubmitProof(listing, {
+      publicKey: body.publicKey,
+      clarityArgs: proof.clarityArgs,
+      segwit: !!body.segwit,
+      nonce: body.nonce,
+      fee: body.fee,
+    });
+    return c.json({ proof, ...unsigned });
+  } catch (err) {
+    return buildFailed(c, err, { details: { proof } });
+  }
+});
+
+// --- Settlement logging (inscription-escrow#3 point 2) ---
+
+/** Client IP: the socket peer, or the first X-Forwarded-For entry with TRUST_PROXY=1 */
+function clientIp(c) {
+  const forwarded = TRUST_PROXY && c.req.header('X-Forwarded-For')?.split(',')[0].trim();
+  return forwarded || getConnInfo(c).remote.address || 'unknown';
+}
+
+function rateLimited(c, retryAfter, message) {
+  c.header('Retry-After', String(retryAfter));
+  return apiError(c, 429, message);
+}
+
+// Body: { from_agent, to_agent, inscription_id, price_sats, timestamp, signature }
+// `signature` is from_agent's BIP-137 or BIP-322 signature over settlementMessage()
+// (settlement-logger.mjs) of the other fields plus the deployment's contract id and
+// listing :id; it is forwarded to the ledger as is.
+openapi(routes, routeDefs.settle, async (c) => {
+  const { deployment, indexer, ordinals, settlements } = ctxOf(c);
+  const { id } = c.req.valid('param');
+
+  // Before any verification work; from_agent is only trusted once its signature checks out
+  const ipRetryAfter = settleIpLimiter.hit(clientIp(c));
+  if (ipRetryAfter) return rateLimited(c, ipRetryAfter, 'Too many settlement requests from this client');
+
+  let input;
+  try {
+    input = parseSettlementInput(c.req.valid('json'));
+  } catch (err) {
+    return apiError(c, err.status, err.message);
+  }
+
+  const listing = indexer.getListing(id);
+  if (!listing) return apiError(c, 404, 'Trade not found');
+  if (listing.detailsError) return detailsUnavailable(c, listing);
+
+  const logged = settlements.get(id);
+  if (logged) return apiError(c, 409, 'Settlement already logged', { code: 'ALREADY_LOGGED', details: { settlement: logged } });
+
+  const network = bitcoinNetwork(deployment.network);
+  try {
+    checkListingMatch(listing, input, { network });
+    checkSignature(input, { network, contractId: deployment.contractId, listingId: id });
+  } catch (err) {
+    return apiError(c, err.status, err.message);
+  }
+
+  const retryAfter = settleLimiter.hit(input.from_agent);
+  if (retryAfter) return rateLimited(c, retryAfter, 'Too many settlement requests for this address');
+
+  if (!ordinals) {
+    return apiError(c, 503, `No Ordinals provider configured for ${deployment.network}: cannot verify the inscription`, { code: 'NO_ORDINALS_PROVIDER' });
+  }
+  try {
+    await checkInscription(listing, input.inscription_id, { ordinals, network });
   } catch (err) {
-    return c.json({ error: err.message }, 500);
+    return apiError(c, err.status ?? 502, err.message);
   }
+
+  if (!settlements.claim(id)) return apiError(c, 409, 'Settlement already logged', { code: 'ALREADY_LOGGED' });
+  const { signature, ...rest } = input;
+  const tradeData = { contract_id: deployment.contractId, listing_id: id, ...rest };
+  const result = await observeLedger(c, () => logSettlement(tradeData, async () => signature), r => !r.success);
+  if (!result.success) {
+    settlements.release(id);
+    return apiError(c, 502, result.error);
+  }
+
+  settlements.record(id, { ...tradeData, tradeId: result.tradeId, loggedAt: new Date().toISOString() });
+  return c.json({ success: true, tradeId: result.tradeId });
 });
 
 // --- Ledger validation endpoints (inscription-escrow#3) ---
 
 import { validateInscription, getSellerReputation, preAcceptanceCheck } from './ledger-validator.mjs';
-import { logSettlement } from './settlement-logger.mjs';
 
-app.get('/validate/:inscriptionId', async (c) => {
+/**
+ * Time a ledger call for the metrics. The ledger modules report failures in
+ * their results instead of throwing; `failed(result)` tells them apart.
+ */
+async function observeLedger(c, call, failed) {
+  const started = performance.now();
+  const result = await call();
+  metrics.observeUpstream({ service: 'ledger', deployment: ctxOf(c).deployment.key, durationMs: performance.now() - started, error: failed(result) });
+  return result;
+}
+
+openapi(app, routeDefs.validateInscription, async (c) => {
   try {
-    const result = await validateInscription(c.req.param('inscriptionId'));
+    const { inscriptionId } = c.req.valid('param');
+    const result = await observeLedger(c, () => validateInscription(inscriptionId), r => r.safe === null);
     return c.json(result);
   } catch (err) {
-    return c.json({ error: err.message }, 500);
+    return apiError(c, 500, err.message);
   }
 });
 
-app.get('/reputation/:btcAddress', async (c) => {
+openapi(app, routeDefs.reputation, async (c) => {
   try {
-    const rep = await getSellerReputation(c.req.param('btcAddress'));
-    if (!rep) return c.json({ error: 'Could not fetch reputation' }, 502);
+    const { btcAddress } = c.req.valid('param');
+    const rep = await observeLedger(c, () => getSellerReputation(btcAddress), r => !r);
+    if (!rep) return apiError(c, 502, 'Could not fetch reputation');
     return c.json(rep);
   } catch (err) {
-    return c.json({ error: err.message }, 500);
+    return apiError(c, 500, err.message);
   }
 });
 
-app.get('/pre-check/:inscriptionId/:sellerBtcAddress', async (c) => {
+openapi(app, routeDefs.preCheck, async (c) => {
   try {
-    const result = await preAcceptanceCheck(
-      c.req.param('inscriptionId'),
-      c.req.param('sellerBtcAddress')
+    const { inscriptionId, sellerBtcAddress } = c.req.valid('param');
+    const result = await observeLedger(
+      c,
+      () => preAcceptanceCheck(inscriptionId, sellerBtcAddress),
+      r => r.inscription.safe === null || !r.seller
     );
     return c.json(result);
   } catch (err) {
-    return c.json({ error: err.message }, 500);
+    return apiError(c, 500, err.message);
   }
 });
 
-// POST /trades/:id/settle — settlement logging (inscription-escrow#3 point 2)
-// Body: { from_agent, to_agent, inscription_id, price_sats, signature }
-// Agents that prefer a REST interface over module import can use this endpoint
-// to record a completed trade on the public ledger without importing the SDK.
-app.post('/trades/:id/settle', async (c) => {
-  let body;
-  try {
-    body = await c.req.json();
-  } catch {
-    return c.json({ error: 'Invalid JSON body' }, 400);
-  }
-
-  const { from_agent, to_agent, inscription_id, price_sats, signature } = body;
-
-  if (!from_agent || !to_agent || !inscription_id || price_sats == null) {
-    return c.json(
-      { error: 'Missing required fields: from_agent, to_agent, inscription_id, price_sats' },
-      400
-    );
-  }
+app.route('/', routes);
+app.route(DEPLOYMENT_PREFIX, routes);
 
-  // Pass the caller-supplied signature through via a signFn that just returns it.
-  // If no signature is provided the logger proceeds without one.
-  const signFn = signature ? async () => signature : null;
+// --- OpenAPI document ---
 
-  const result = await logSettlement(
-    { from_agent, to_agent, inscription_id, price_sats },
-    signFn
-  );
+/**
+ * OpenAPI 3 document for every schema-defined route. Deployment-scoped routes
+ * are registered once per mount; they are documented once, with the
+ * deployment prefix as an alternative server.
+ */
+function buildOpenApiDocument() {
+  const defaultDeployment = deployments.get(defaultKey);
+  const doc = app.getOpenAPIDocument({
+    openapi: '3.0.3',
+    info: {
+      title: 'Inscription Escrow API',
+      version: pkg.version,
+      description: `Trades, transaction builders, live updates and analytics for the inscription escrow contract. Default deployment: ${defaultKey}.`,
+    },
+    servers: [{ url: '/' }],
+  });
 
-  if (!result.success) {
-    return c.json({ error: result.error }, 502);
+  const scoped = new Set();
+  for (const path of Object.keys(doc.paths)) {
+    const match = path.match(/^\/\{network[^/]*\}\/\{contract\}(\/.*)$/);
+    if (!match) continue;
+    scoped.add(match[1]);
+    delete doc.paths[path];
   }
+  for (const path of scoped) {
+    doc.paths[path].servers = [
+      { url: '/', description: `Default deployment (${defaultKey})` },
+      {
+        url: '/{network}/{contract}',
+        description: 'Any configured deployment (GET /deployments)',
+        variables: {
+          network: { enum: NETWORKS, default: defaultDeployment.network },
+          contract: { default: defaultDeployment.contractName },
+        },
+      },
+    ];
+  }
+  return doc;
+}
 
-  return c.json({ success: true, tradeId: result.tradeId });
-});
+// Built at startup so a bad route definition fails fast rather than on first request
+const openApiDocument = buildOpenApiDocument();
+
+app.get('/openapi.json', (c) => c.json(openApiDocument));
+app.get('/docs', swaggerUI({ url: '/openapi.json' }));
 
 // --- Start server ---
-console.log(`Inscription Escrow API starting on port ${PORT}`);
-console.log(`Contract: ${CONTRACT_ADDRESS}.${CONTRACT_NAME}`);
-console.log(`Stacks API: ${STACKS_API}`);
+log.info('starting', { service: pkg.name, version: pkg.version, port: PORT, indexPollMs: INDEX_POLL_MS });
+for (const { deployment, indexer, webhooks } of contexts.values()) {
+  log.info('serving deployment', {
+    deployment: deployment.key,
+    default: deployment.key === defaultKey,
+    contract: deployment.contractId,
+    stacksApi: deployment.stacksApi,
+    indexPath: deployment.indexPath,
+  });
+  indexer.start(INDEX_POLL_MS);
+  webhooks.start();
+}
 
-serve({ fetch: app.fetch, port: PORT }, (info) => {
-  console.log(`Listening on http://localhost:${info.port}`);
+const server = serve({ fetch: app.fetch, port: PORT }, (info) => {
+  log.info('listening', { url: `http://localhost:${info.port}` });
 });
+injectWebSocket(server);
@@ -0,0 +1,364 @@
+/**
+ * Clarity Value Codec
+ *
+ * Typed decoder/encoder for the Clarity consensus serialization used by
+ * read-only calls, map-entry reads and contract `print` events.
+ *
+ * Decoded values are tagged objects so they round-trip losslessly:
+ *   { type: 'uint', value: 42n }
+ *   { type: 'buffer', value: <Buffer> }
+ *   { type: 'principal', value: 'SP2J6ZY48GV1EZ5V2V5RB9MP66SW86PYKKNRV9EJ7' }
+ *   { type: 'contract', value: 'SP2J6ZY48GV1EZ5V2V5RB9MP66SW86PYKKNRV9EJ7.inscription-escrow' }
+ *   { type: 'some', value: <cv> }   { type: 'none' }
+ *   { type: 'ok', value: <cv> }     { type: 'err', value: <cv> }
+ *   { type: 'list', value: [<cv>] } { type: 'tuple', value: { name: <cv> } }
+ *
+ * Usage:
+ *   import { decodeCV, cvToValue, cvToHex, uintCV } from './clarity.mjs';
+ *   const listing = cvToValue(decodeCV(res.result));
+ *   const arg = cvToHex(uintCV(7));
+ */
+
+import { addressFromVersionHash, addressToString, createAddress } from '@stacks/transactions';
+
+// --- Type ids (SIP-005) ---
+const TYPE_IDS = {
+  int: 0x00,
+  uint: 0x01,
+  buffer: 0x02,
+  true: 0x03,
+  false: 0x04,
+  principal: 0x05,
+  contract: 0x06,
+  ok: 0x07,
+  err: 0x08,
+  none: 0x09,
+  some: 0x0a,
+  list: 0x0b,
+  tuple: 0x0c,
+  'string-ascii': 0x0d,
+  'string-utf8': 0x0e,
+};
+
+// --- Address versions ---
+export const ADDRESS_VERSIONS = {
+  mainnetSingleSig: 22,  // SP
+  mainnetMultiSig: 20,   // SM
+  testnetSingleSig: 26,  // ST
+  testnetMultiSig: 21,   // SN
+};
+
+// --- c32check (via @stacks/transactions, the reference implementation) ---
+
+/**
+ * Encode a version byte + 20-byte hash160 as a Stacks c32check address.
+ */
+export function c32address(version, hash160) {
+  const hash = Buffer.isBuffer(hash160) ? hash160 : Buffer.from(hash160, 'hex');
+  if (hash.length !== 20) throw new Error(`Invalid hash160 length: ${hash.length}`);
+  if (version < 0 || version >= 32) throw new Error(`Invalid address version: ${version}`);
+  return addressToString(addressFromVersionHash(version, hash.toString('hex')));
+}
+
+/**
+ * Decode a Stacks c32check address into { version, hash160 } (hash160 as Buffer).
+ * Throws on malformed input or checksum mismatch.
+ */
+export function c32addressDecode(address) {
+  if (typeof address !== 'string' || address.length < 5 || address[0] !== 'S') {
+    throw new Error(`Invalid Stacks address: ${address}`);
+  }
+  let decoded;
+  try {
+    decoded = createAddress(address);
+  } catch (err) {
+    throw new Error(`Invalid Stacks address ${address}: ${err.message}`);
+  }
+  if (decoded.hash160.length !== 40) throw new Error(`Invalid Stacks address length: ${address}`);
+  return { version: decoded.version, hash160: Buffer.from(decoded.hash160, 'hex') };
+}
+
+/**
+ * True if the string is a well-formed standard or contract principal.
+ */
+export function isValidPrincipal(principal) {
+  if (typeof principal !== 'string') return false;
+  const [address, name, ...rest] = principal.split('.');
+  if (rest.length) return false;
+  if (name !== undefined && !/^[a-zA-Z]([a-zA-Z0-9]|[-_])*$/.test(name)) return false;
+  try {
+    c32addressDecode(address);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// --- Constructors ---
+
+export const intCV = (value) => ({ type: 'int', value: BigInt(value) });
+export const uintCV = (value) => ({ type: 'uint', value: BigInt(value) });
+export const boolCV = (value) => ({ type: 'bool', value: !!value });
+export const noneCV = () => ({ type: 'none' });
+export const someCV = (value) => ({ type: 'some', value });
+export const okCV = (value) => ({ type: 'ok', value });
+export const errCV = (value) => ({ type: 'err', value });
+export const listCV = (value) => ({ type: 'list', value });
+export const tupleCV = (value) => ({ type: 'tuple', value });
+export const stringAsciiCV = (value) => ({ type: 'string-ascii', value });
+export const stringUtf8CV = (value) => ({ type: 'string-utf8', value });
+
+/**
+ * Buffer value from a Buffer/Uint8Array or hex string (0x prefix optional).
+ */
+export function bufferCV(value) {
+  if (typeof value === 'string') {
+    return { type: 'buffer', value: Buffer.from(value.replace(/^0x/, ''), 'hex') };
+  }
+  return { type: 'buffer', value: Buffer.from(value) };
+}
+
+/**
+ * Standard or contract principal value from its string form.
+ */
+export function principalCV(principal) {
+  if (!isValidPrincipal(principal)) throw new Error(`Invalid principal: ${principal}`);
+  return { type: principal.includes('.') ? 'contract' : 'principal', value: principal };
+}
+
+// --- Decoding ---
+
+function readBigUint128(buf, offset) {
+  return (buf.readBigUInt64BE(offset) << 64n) | buf.readBigUInt64BE(offset + 8);
+}
+
+function readPrincipal(buf, offset) {
+  const version = buf[offset];
+  const hash = buf.subarray(offset + 1, offset + 21);
+  if (hash.length !== 20) throw new Error('Truncated principal');
+  return c32address(version, hash);
+}
+
+function decodeAt(buf, offset) {
+  if (offset >= buf.length) throw new Error('Unexpected end of Clarity value');
+  const type = buf[offset];
+  offset++;
+
+  switch (type) {
+    case TYPE_IDS.int: {
+      const raw = readBigUint128(buf, offset);
+      return { cv: { type: 'int', value: BigInt.asIntN(128, raw) }, size: 17 };
+    }
+    case TYPE_IDS.uint:
+      return { cv: { type: 'uint', value: readBigUint128(buf, offset) }, size: 17 };
+    case TYPE_IDS.buffer: {
+      const len = buf.readUInt32BE(offset);
+      const data = buf.subarray(offset + 4, offset + 4 + len);
+      if (data.length !== len) throw new Error('Truncated buffer');
+      return { cv: { type: 'buffer', value: Buffer.from(data) }, size: 5 + len };
+    }
+    case TYPE_IDS.true:
+      return { cv: { type: 'bool', value: true }, size: 1 };
+    case TYPE_IDS.false:
+      return { cv: { type: 'bool', value: false }, size: 1 };
+    case TYPE_IDS.principal:
+      return { cv: { type: 'principal', value: readPrincipal(buf, offset) }, size: 22 };
+    case TYPE_IDS.contract: {
+      const address = readPrincipal(buf, offset);
+      const nameLen = buf[offset + 21];
+      const name = buf.subarray(offset + 22, offset + 22 + nameLen).toString('ascii');
+      return { cv: { type: 'contract', value: `${address}.${name}` }, size: 23 + nameLen };
+    }
+    case TYPE_IDS.ok:
+    case TYPE_IDS.err:
+    case TYPE_IDS.some: {
+      const inner = decodeAt(buf, offset);
+      const name = type === TYPE_IDS.ok ? 'ok' : type === TYPE_IDS.err ? 'err' : 'some';
+      return { cv: { type: name, value: inner.cv }, size: 1 + inner.size };
+    }
+    case TYPE_IDS.none:
+      return { cv: { type: 'none' }, size: 1 };
+    case TYPE_IDS.list: {
+      const len = buf.readUInt32BE(offset);
+      offset += 4;
+      const items = [];
+      let size = 5;
+      for (let i = 0; i < len; i++) {
+        const item = decodeAt(buf, offset);
+        items.push(item.cv);
+        offset += item.size;
+        size += item.size;
+      }
+      return { cv: { type: 'list', value: items }, size };
+    }
+    case TYPE_IDS.tuple: {
+      const len = buf.readUInt32BE(offset);
+      offset += 4;
+      const fields = {};
+      let size = 5;
+      for (let i = 0; i < len; i++) {
+        const nameLen = buf[offset];
+        const name = buf.subarray(offset + 1, offset + 1 + nameLen).toString('ascii');
+        offset += 1 + nameLen;
+        const field = decodeAt(buf, offset);
+        fields[name] = field.cv;
+        offset += field.size;
+        size += 1 + nameLen + field.size;
+      }
+      return { cv: { type: 'tuple', value: fields }, size };
+    }
+    case TYPE_IDS['string-ascii']:
+    case TYPE_IDS['string-utf8']: {
+      const len = buf.readUInt32BE(offset);
+      const data = buf.subarray(offset + 4, offset + 4 + len);
+      if (data.length !== len) throw new Error('Truncated string');
+      const ascii = type === TYPE_IDS['string-ascii'];
+      return {
+        cv: { type: ascii ? 'string-ascii' : 'string-utf8', value: data.toString(ascii ? 'ascii' : 'utf8') },
+        size: 5 + len,
+      };
+    }
+    default:
+      throw new Error(`Unknown Clarity type id 0x${type.toString(16).padStart(2, '0')}`);
+  }
+}
+
+/**
+ * Decode a serialized Clarity value (hex string with optional 0x, or Buffer).
+ */
+export function decodeCV(input) {
+  const buf = typeof input === 'string'
+    ? Buffer.from(input.replace(/^0x/, ''), 'hex')
+    : Buffer.from(input);
+  const { cv, size } = decodeAt(buf, 0);
+  if (size !== buf.length) {
+    throw new Error(`Trailing bytes after Clarity value (${buf.length - size})`);
+  }
+  return cv;
+}
+
+// --- Encoding ---
+
+function uint32(n) {
+  const buf = Buffer.alloc(4);
+  buf.writeUInt32BE(n);
+  return buf;
+}
+
+function int128(value, signed) {
+  const buf = Buffer.alloc(16);
+  const raw = signed ? BigInt.asUintN(128, value) : value;
+  if (!signed && (value < 0n || value >= 1n << 128n)) throw new Error(`uint out of range: ${value}`);
+  buf.writeBigUInt64BE(raw >> 64n, 0);
+  buf.writeBigUInt64BE(raw & 0xffffffffffffffffn, 8);
+  return buf;
+}
+
+function encodePrincipal(address) {
+  const { version, hash160 } = c32addressDecode(address);
+  return Buffer.concat([Buffer.from([version]), hash160]);
+}
+
+/**
+ * Serialize a typed Clarity value to a Buffer.
+ */
+export function encodeCV(cv) {
+  const tag = (name) => Buffer.from([TYPE_IDS[name]]);
+
+  switch (cv.type) {
+    case 'int':
+      return Buffer.concat([tag('int'), int128(BigInt(cv.value), true)]);
+    case 'uint':
+      return Buffer.concat([tag('uint'), int128(BigInt(cv.value), false)]);
+    case 'buffer':
+      return Buffer.concat([tag('buffer'), uint32(cv.value.length), Buffer.from(cv.value)]);
+    case 'bool':
+      return tag(cv.value ? 'true' : 'false');
+    case 'principal':
+      return Buffer.concat([tag('principal'), encodePrincipal(cv.value)]);
+    case 'contract': {
+      const [address, name] = cv.value.split('.');
+      const nameBuf = Buffer.from(name, 'ascii');
+      return Buffer.concat([tag('contract'), encodePrincipal(address), Buffer.from([nameBuf.length]), nameBuf]);
+    }
+    case 'ok':
+    case 'err':
+    case 'some':
+      return Buffer.concat([tag(cv.type), encodeCV(cv.value)]);
+    case 'none':
+      return tag('none');
+    case 'list':
+      return Buffer.concat([tag('list'), uint32(cv.value.length), ...cv.value.map(encodeCV)]);
+    case 'tuple': {
+      // Consensus serialization requires fields in lexicographic order
+      const names = Object.keys(cv.value).sort();
+      const parts = names.map(name => {
+        const nameBuf = Buffer.from(name, 'ascii');
+        return Buffer.concat([Buffer.from([nameBuf.length]), nameBuf, encodeCV(cv.value[name])]);
+      });
+      return Buffer.concat([tag('tuple'), uint32(names.length), ...parts]);
+    }
+    case 'string-ascii':
+    case 'string-utf8': {
+      const data = Buffer.from(cv.value, cv.type === 'string-ascii' ? 'ascii' : 'utf8');
+      return Buffer.concat([tag(cv.type), uint32(data.length), data]);
+    }
+    default:
+      throw new Error(`Cannot encode Clarity type: ${cv.type}`);
+  }
+}
+
+/**
+ * Serialize a typed Clarity value to 0x-prefixed hex (read-only call argument format).
+ */
+export function cvToHex(cv) {
+  return '0x' + encodeCV(cv).toString('hex');
+}
+
+// --- Plain JS conversion ---
+
+function toSafeNumber(value) {
+  return value <= BigInt(Number.MAX_SAFE_INTEGER) && value >= BigInt(Number.MIN_SAFE_INTEGER)
+    ? Number(value) : value.toString();
+}
+
+/**
+ * Convert a typed value to a JSON-friendly JS value:
+ * ints become numbers (or decimal strings beyond 2^53), buffers become hex,
+ * principals become addresses, optionals collapse to value/null, responses
+ * become { ok } / { err }.
+ */
+export function cvToValue(cv) {
+  switch (cv.type) {
+    case 'int':
+    case 'uint':
+      return toSafeNumber(cv.value);
+    case 'buffer':
+      return cv.value.toString('hex');
+    case 'ok':
+      return { ok: cvToValue(cv.value) };
+    case 'err':
+      return { err: cvToValue(cv.value) };
+    case 'none':
+      return null;
+    case 'some':
+      return cvToValue(cv.value);
+    case 'list':
+      return cv.value.map(cvToValue);
+    case 'tuple':
+      return Object.fromEntries(Object.entries(cv.value).map(([k, v]) => [k, cvToValue(v)]));
+    default:
+      return cv.value;
+  }
+}
+
+/**
+ * Decode a hex Clarity value straight to its plain JS form.
+ * Returns null for empty input.
+ */
+export function decodeClarityHex(hex) {
+  if (!hex || typeof hex !== 'string') return null;
+  if (hex.startsWith('0x')) hex = hex.slice(2);
+  if (!hex.length) return null;
+  return cvToValue(decodeCV(hex));
+}
@@ -0,0 +1,329 @@
+/**
+ * Coin Selection — the buyer's funding inputs, picked from their wallet
+ *
+ * Wallet UTXOs carrying inscriptions or runes must never fund a swap: they
+ * would be spent into the seller's payment, the change or the fee. An asset
+ * lookup checks every UTXO first; anything it can't vouch for is skipped,
+ * with a reason:
+ *   reserved        excluded by the caller (e.g. the swap's padding UTXO)
+ *   unsupported     a script whose input size can't be estimated
+ *   lookup-failed   the lookup threw (detail: the error) — treated as unsafe
+ *   inscription     carries inscriptions (detail: their ids)
+ *   rune            carries rune balances (detail: the rune names)
+ *   uneconomical    costs more in fees to spend than it is worth at the fee rate
+ *
+ * The rest are selected by effective value (value minus the fee to spend it):
+ *   1. branch and bound: a set covering the target with no change output,
+ *      overshooting by at most the cost of change (creating a change output
+ *      now and spending it later); the least overshoot wins
+ *   2. knapsack: the smallest random-subset approximation covering the target
+ *      plus a change output, or the smallest single UTXO that does
+ *   3. largest first, when only a change-less set can still cover the target
+ *
+ * An asset lookup is any object with:
+ *   name
+ *   getAssets(utxo) → { inscriptions: [id], runes: [name] }
+ * Implementations: the UTXO's own `inscriptions` / `runes` fields (as wallet
+ * APIs return them), an Ordinals provider (ordinals.mjs) and ord's
+ * `/output/<outpoint>` JSON (inscriptions and runes).
+ *
+ * Usage:
+ *   import { selectCoins, createOrdOutputLookup } from './coin-selection.mjs';
+ *   const { selected, skipped } = await selectCoins({ utxos, target: 50_000, feeRate: 8,
+ *     lookup: createOrdOutputLookup({ url: 'http://127.0.0.1:80' }) });
+ *
+ * CLI:
+ *   node coin-selection.mjs select <wallet.json> <target-sats> <sat/vB> [--ord <url>]
+ */
+
+import { readFileSync } from 'fs';
+import { inputVbytes, outputVbytes } from './fee-estimation.mjs';
+
+const DUST_LIMIT = 546;
+const LOOKUP_CONCURRENCY = 8;
+const KNAPSACK_ITERATIONS = 1000;
+
+// Change is assumed to be taproot when the caller doesn't say
+const P2TR_SCRIPT = new Uint8Array([0x51, 0x20, ...new Uint8Array(32)]);
+
+// --- Asset lookups ---
+
+/** Rune names from either shape ord has used: [[name, balance]] or { name: balance } */
+function runeNames(runes) {
+  if (!runes) return [];
+  if (Array.isArray(runes)) return runes.map(r => (Array.isArray(r) ? r[0] : r.name ?? r.rune ?? String(r)));
+  return Object.keys(runes);
+}
+
+/** Reads the UTXO's own `inscriptions` / `runes` fields */
+export function createUtxoFieldsLookup() {
+  return {
+    name: 'utxo-fields',
+    async getAssets(utxo) {
+      return { inscriptions: utxo.inscriptions ?? [], runes: runeNames(utxo.runes) };
+    },
+  };
+}
+
+/** Inscriptions from an Ordinals provider (ordinals.mjs); runes from the UTXO's fields */
+export function createOrdinalsLookup(provider) {
+  return {
+    name: `ordinals:${provider.name}`,
+    async getAssets(utxo) {
+      const inscriptions = await provider.getInscriptionsByOutput(utxo.txid, utxo.vout);
+      return { inscriptions: inscriptions.map(i => i.id), runes: runeNames(utxo.runes) };
+    },
+  };
+}
+
+/**
+ * ord's JSON API (`ord server --enable-json-api`), which reports inscriptions
+ * and runes per output. An output ord doesn't know (404) fails the lookup.
+ */
+export function createOrdOutputLookup({ url, timeoutMs = 10_000 }) {
+  const baseUrl = url.replace(/\/$/, '');
+  return {
+    name: 'ord',
+    async getAssets(utxo) {
+      const res = await fetch(`${baseUrl}/output/${utxo.txid}:${utxo.vout}`, {
+        headers: { Accept: 'application/json' },
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      if (!res.ok) throw new Error(`ord server ${res.status} on output ${utxo.txid}:${utxo.vout}`);
+      const output = await res.json();
+      return { inscriptions: output.inscriptions ?? [], runes: runeNames(output.runes) };
+    },
+  };
+}
+
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i]);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// --- Algorithms ---
+
+/**
+ * Depth-first search over `pool` (effective value, descending) for the set
+ * with sum in [target, target + costOfChange] and the least overshoot.
+ */
+function branchAndBound(pool, target, costOfChange, maxTries) {
+  const remaining = new Array(pool.length + 1).fill(0);
+  for (let i = pool.length - 1; i >= 0; i--) remaining[i] = remaining[i + 1] + pool[i].effective;
+
+  let best = null;
+  let bestWaste = Infinity;
+  let tries = 0;
+  const picked = [];
+
+  function search(i, sum) {
+    if (++tries > maxTries || bestWaste === 0) return;
+    if (sum > target + costOfChange) return;
+    if (sum >= target) {
+      if (sum - target < bestWaste) {
+        bestWaste = sum - target;
+        best = [...picked];
+      }
+      return;
+    }
+    if (i === pool.length || sum + remaining[i] < target) return;
+    picked.push(pool[i]);
+    search(i + 1, sum + pool[i].effective);
+    picked.pop();
+    // Leaving out a UTXO worth the same as one just left out repeats that branch
+    let j = i + 1;
+    while (j < pool.length && pool[j].effective === pool[i].effective) j++;
+    search(j, sum);
+  }
+
+  search(0, 0);
+  return best;
+}
+
+/** Smallest-sum subset covering target: random inclusion passes vs. the lowest larger single UTXO */
+function knapsack(pool, target, random) {
+  const total = pool.reduce((sum, c) => sum + c.effective, 0);
+  if (total < target) return null;
+
+  let best = pool.map(() => true);
+  let bestSum = total;
+  for (let rep = 0; rep < KNAPSACK_ITERATIONS && bestSum !== target; rep++) {
+    const included = pool.map(() => false);
+    let sum = 0;
+    let reached = false;
+    for (let pass = 0; pass < 2 && !reached; pass++) {
+      for (let i = 0; i < pool.length; i++) {
+        if (pass === 0 ? random() >= 0.5 : included[i]) continue;
+        sum += pool[i].effective;
+        included[i] = true;
+        if (sum >= target) {
+          reached = true;
+          if (sum < bestSum) {
+            bestSum = sum;
+            best = included.slice();
+          }
+          // Keep looking for a tighter fit without this one
+          sum -= pool[i].effective;
+          included[i] = false;
+        }
+      }
+    }
+  }
+
+  const lowestLarger = pool.filter(c => c.effective >= target).at(-1);
+  if (lowestLarger && lowestLarger.effective <= bestSum) return [lowestLarger];
+  return pool.filter((_, i) => best[i]);
+}
+
+function largestFirst(pool, target) {
+  const picked = [];
+  let sum = 0;
+  for (const candidate of pool) {
+    if (sum >= target) break;
+    picked.push(candidate);
+    sum += candidate.effective;
+  }
+  return sum >= target ? picked : null;
+}
+
+// --- Selection ---
+
+/**
+ * Pick funding UTXOs covering `target` plus their own input fees.
+ *
+ * Throws an Error with code 'INSUFFICIENT_FUNDS' (and `skipped`) when the
+ * usable UTXOs can't cover it.
+ *
+ * @param {Object} opts
+ * @param {Array} opts.utxos - wallet UTXOs [{ txid, vout, value, script, inscriptions?, runes? }]
+ * @param {number} opts.target - sats the inputs must provide beyond their own fees
+ *   (payments + the fee for the rest of the transaction)
+ * @param {number} opts.feeRate - sat/vB
+ * @param {Uint8Array} [opts.changeScript] - the change output's script (default: P2TR-sized)
+ * @param {Object} [opts.lookup] - asset lookup (default: the UTXOs' own fields)
+ * @param {string[]} [opts.reserved] - outpoints ("txid:vout") never to select
+ * @param {number} [opts.minChange] - smallest change output worth creating
+ * @param {number} [opts.maxTries] - branch and bound search budget
+ * @param {Function} [opts.random] - knapsack's random source, () → [0, 1)
+ * @returns {Promise<Object>} { selected, skipped, algorithm, inputValue, effectiveValue }
+ */
+export async function selectCoins({
+  utxos,
+  target,
+  feeRate,
+  changeScript = P2TR_SCRIPT,
+  lookup = createUtxoFieldsLookup(),
+  reserved = [],
+  minChange = DUST_LIMIT,
+  maxTries = 100_000,
+  random = Math.random,
+}) {
+  const reservedSet = new Set(reserved);
+  const skip = (utxo, reason, detail) => ({ utxo, reason, ...(detail !== undefined && { detail }) });
+
+  const checked = await mapLimit(utxos, LOOKUP_CONCURRENCY, async (utxo) => {
+    if (reservedSet.has(`${utxo.txid}:${utxo.vout}`)) return skip(utxo, 'reserved');
+    let vbytes;
+    try {
+      ({ vbytes } = inputVbytes(utxo.script));
+    } catch (err) {
+      return skip(utxo, 'unsupported', err.message);
+    }
+    let assets;
+    try {
+      assets = await lookup.getAssets(utxo);
+    } catch (err) {
+      return skip(utxo, 'lookup-failed', err.message);
+    }
+    if (assets.inscriptions?.length) return skip(utxo, 'inscription', assets.inscriptions);
+    if (assets.runes?.length) return skip(utxo, 'rune', assets.runes);
+    const effective = Number(utxo.value) - vbytes * feeRate;
+    if (effective <= 0) return skip(utxo, 'uneconomical', `spending it costs ${Math.ceil(vbytes * feeRate)} sats`);
+    return { utxo, effective };
+  });
+
+  const skipped = checked.filter(c => c.reason).map(({ utxo, reason, detail }) => ({
+    txid: utxo.txid, vout: utxo.vout, value: Number(utxo.value), reason, ...(detail !== undefined && { detail }),
+  }));
+  const pool = checked.filter(c => !c.reason).sort((a, b) => b.effective - a.effective);
+  const changeOutputFee = outputVbytes(changeScript) * feeRate;
+  const costOfChange = changeOutputFee + inputVbytes(changeScript).vbytes * feeRate;
+
+  let algorithm = 'branch-and-bound';
+  let picked = branchAndBound(pool, target, costOfChange, maxTries);
+  if (!picked) {
+    algorithm = 'knapsack';
+    picked = knapsack(pool, target + changeOutputFee + minChange, random);
+  }
+  if (!picked) {
+    algorithm = 'largest-first';
+    picked = largestFirst(pool, target);
+  }
+  if (!picked) {
+    const spendable = pool.reduce((sum, c) => sum + c.effective, 0);
+    const err = new Error(`Insufficient funds: need ${Math.ceil(target)} sats after input fees, usable UTXOs provide ${Math.floor(spendable)} (${skipped.length} skipped)`);
+    err.code = 'INSUFFICIENT_FUNDS';
+    err.skipped = skipped;
+    throw err;
+  }
+
+  return {
+    selected: picked.map(c => c.utxo),
+    skipped,
+    algorithm,
+    inputValue: picked.reduce((sum, c) => sum + Number(c.utxo.value), 0),
+    effectiveValue: Math.floor(picked.reduce((sum, c) => sum + c.effective, 0)),
+  };
+}
+
+// --- CLI interface (only when run directly) ---
+const isMain = import.meta.url === `file://${process.argv[1]}` || process.argv[1]?.endsWith('coin-selection.mjs');
+const [,, command, ...args] = process.argv;
+if (isMain) {
+
+if (command === 'select') {
+  const ordFlag = args.indexOf('--ord');
+  const ordUrl = ordFlag >= 0 ? args[ordFlag + 1] : null;
+  const [walletPath, target, feeRate] = ordFlag >= 0 ? args.filter((_, i) => i !== ordFlag && i !== ordFlag + 1) : args;
+  if (!walletPath || !target || !feeRate) {
+    console.error('Usage: node coin-selection.mjs select <wallet.json> <target-sats> <sat/vB> [--ord <url>]');
+    process.exit(1);
+  }
+  try {
+    // wallet.json: [{ txid, vout, value, script (hex), inscriptions?, runes? }]
+    const utxos = JSON.parse(readFileSync(walletPath, 'utf8')).map(u => ({ ...u, script: Buffer.from(u.script, 'hex') }));
+    const result = await selectCoins({
+      utxos,
+      target: Number(target),
+      feeRate: Number(feeRate),
+      ...(ordUrl && { lookup: createOrdOutputLookup({ url: ordUrl }) }),
+    });
+    console.log(JSON.stringify({
+      ...result,
+      selected: result.selected.map(({ txid, vout, value }) => ({ txid, vout, value })),
+    }, null, 2));
+  } catch (err) {
+    console.error(err.message);
+    if (err.skipped) console.error(JSON.stringify(err.skipped, null, 2));
+    process.exit(1);
+  }
+}
+
+else {
+  console.log(`Coin Selection
+
+Commands:
+  select <wallet.json> <target-sats> <sat/vB> [--ord <url>]
+      Pick funding UTXOs from a wallet export ([{ txid, vout, value, script, inscriptions?, runes? }],
+      script as hex); --ord checks each output against an ord server instead of the file's fields
+`);
+}
+} // end isMain
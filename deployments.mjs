@@ -0,0 +1,150 @@
+/**
+ * Deployments — which escrow contracts one API server instance serves
+ *
+ * With DEPLOYMENTS_CONFIG set, deployments are read from a JSON file:
+ *
+ *   {
+ *     "default": "mainnet/inscription-escrow",
+ *     "deployments": [
+ *       { "network": "mainnet", "contract": "SP16H0KE0BPR4XNQ64115V5Y1V3XTPGMWG5YPC9TR.inscription-escrow" },
+ *       { "network": "testnet", "contract": "ST3D88581D35Z0ZAM7QFVWTDRM14N1TBEYWCGE4Z3.inscription-escrow",
+ *         "esploraApi": "https://mempool.space/testnet4/api" }
+ *     ]
+ *   }
+ *
+ * Optional per-deployment fields: stacksApi, stacksApiFallbacks [urls], sbtc { contract, asset },
+ * ordinals { provider: 'hiro' | 'ord', url, apiKey? }, bitcoinRpcUrl,
+ * esploraApi, indexPath, webhooksPath, settlementsPath.
+ * Unset fields fall back to the network defaults below; testnet/devnet use
+ * the mock `sbtc-token` (contracts/sbtc-token.clar) from the escrow deployer.
+ *
+ * Without a config file the single deployment comes from the environment
+ * (STACKS_API, CONTRACT_ADDRESS, CONTRACT_NAME, SBTC_*, INDEX_PATH, ...), as before.
+ *
+ * Each deployment is keyed `<network>/<contractName>`, which is also its
+ * route prefix in api.mjs.
+ *
+ * Usage:
+ *   import { loadDeployments } from './deployments.mjs';
+ *   const { deployments, defaultKey } = loadDeployments();
+ */
+
+import { readFileSync } from 'fs';
+import { isValidPrincipal } from './clarity.mjs';
+import { networkForAddress, DEFAULT_SBTC } from './tx-builder.mjs';
+
+export const NETWORKS = ['mainnet', 'testnet', 'devnet'];
+
+// Hiro's Ordinals API only indexes mainnet; other networks need an `ord` server configured
+export const NETWORK_DEFAULTS = {
+  mainnet: { stacksApi: 'https://api.hiro.so', ordinals: { provider: 'hiro', url: 'https://api.hiro.so/ordinals/v1' } },
+  testnet: { stacksApi: 'https://api.testnet.hiro.so', ordinals: null },
+  devnet: { stacksApi: 'http://localhost:3999', ordinals: null },
+};
+
+const ORDINALS_PROVIDERS = ['hiro', 'ord'];
+
+const MOCK_SBTC_ASSET = 'sbtc';
+
+/**
+ * Validate and fill in one deployment entry. Throws on invalid config.
+ */
+export function normalizeDeployment(entry) {
+  const { network, contract } = entry;
+  if (!NETWORKS.includes(network)) {
+    throw new Error(`Invalid network "${network}": expected one of ${NETWORKS.join(', ')}`);
+  }
+  if (!isValidPrincipal(contract) || !contract.includes('.')) {
+    throw new Error(`Invalid contract "${contract}": expected <address>.<name>`);
+  }
+  const [contractAddress, contractName] = contract.split('.');
+  const addressNetwork = networkForAddress(contractAddress);
+  if ((network === 'mainnet') !== (addressNetwork === 'mainnet')) {
+    throw new Error(`Contract ${contract} is a ${addressNetwork} address but the deployment is ${network}`);
+  }
+
+  if (entry.stacksApiFallbacks !== undefined && (!Array.isArray(entry.stacksApiFallbacks)
+    || !entry.stacksApiFallbacks.every(url => typeof url === 'string' && url))) {
+    throw new Error(`Invalid stacksApiFallbacks for ${contract}: expected an array of URLs`);
+  }
+  if (entry.ordinals && (!ORDINALS_PROVIDERS.includes(entry.ordinals.provider) || !entry.ordinals.url)) {
+    throw new Error(`Invalid ordinals for ${contract}: expected { provider: ${ORDINALS_PROVIDERS.join(' | ')}, url }`);
+  }
+
+  const defaults = NETWORK_DEFAULTS[network];
+  const key = `${network}/${contractName}`;
+  return {
+    key,
+    network,
+    contractAddress,
+    contractName,
+    contractId: contract,
+    stacksApi: entry.stacksApi || defaults.stacksApi,
+    stacksApiFallbacks: entry.stacksApiFallbacks || [],
+    sbtc: entry.sbtc || (network === 'mainnet'
+      ? DEFAULT_SBTC
+      : { contract: `${contractAddress}.sbtc-token`, asset: MOCK_SBTC_ASSET }),
+    ordinals: entry.ordinals !== undefined ? entry.ordinals : defaults.ordinals,
+    bitcoinRpcUrl: entry.bitcoinRpcUrl || null,
+    esploraApi: entry.esploraApi || null,
+    indexPath: entry.indexPath || `.cache/${network}/${contractName}/index.json`,
+    webhooksPath: entry.webhooksPath || `.cache/${network}/${contractName}/webhooks.json`,
+    settlementsPath: entry.settlementsPath || `.cache/${network}/${contractName}/settlements.json`,
+  };
+}
+
+/** The single deployment described by environment variables */
+function deploymentFromEnv(env) {
+  const contractAddress = env.CONTRACT_ADDRESS || 'SP16H0KE0BPR4XNQ64115V5Y1V3XTPGMWG5YPC9TR';
+  const contractName = env.CONTRACT_NAME || 'inscription-escrow';
+  const network = env.STACKS_NETWORK || networkForAddress(contractAddress);
+  return normalizeDeployment({
+    network,
+    contract: `${contractAddress}.${contractName}`,
+    stacksApi: env.STACKS_API,
+    stacksApiFallbacks: env.STACKS_API_FALLBACKS ? env.STACKS_API_FALLBACKS.split(',').map(url => url.trim()) : undefined,
+    sbtc: env.SBTC_CONTRACT || env.SBTC_ASSET
+      ? { contract: env.SBTC_CONTRACT || DEFAULT_SBTC.contract, asset: env.SBTC_ASSET || DEFAULT_SBTC.asset }
+      : undefined,
+    ordinals: env.ORDINALS_API
+      ? { provider: env.ORDINALS_PROVIDER || 'hiro', url: env.ORDINALS_API, apiKey: env.ORDINALS_API_KEY }
+      : undefined,
+    bitcoinRpcUrl: env.BITCOIN_RPC_URL,
+    esploraApi: env.ESPLORA_API,
+    indexPath: env.INDEX_PATH || '.cache/escrow-index.json',
+    webhooksPath: env.WEBHOOKS_PATH || '.cache/webhooks.json',
+    settlementsPath: env.SETTLEMENTS_PATH || '.cache/settlements.json',
+  });
+}
+
+/**
+ * Load deployments from DEPLOYMENTS_CONFIG (or the environment).
+ * Returns { deployments: Map<key, deployment>, defaultKey }.
+ */
+export function loadDeployments(env = process.env) {
+  if (!env.DEPLOYMENTS_CONFIG) {
+    const deployment = deploymentFromEnv(env);
+    return { deployments: new Map([[deployment.key, deployment]]), defaultKey: deployment.key };
+  }
+
+  let config;
+  try {
+    config = JSON.parse(readFileSync(env.DEPLOYMENTS_CONFIG, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read ${env.DEPLOYMENTS_CONFIG}: ${err.message}`);
+  }
+  if (!Array.isArray(config.deployments) || !config.deployments.length) {
+    throw new Error(`${env.DEPLOYMENTS_CONFIG}: "deployments" must be a non-empty array`);
+  }
+
+  const deployments = new Map();
+  for (const entry of config.deployments) {
+    const deployment = normalizeDeployment(entry);
+    if (deployments.has(deployment.key)) throw new Error(`Duplicate deployment ${deployment.key}`);
+    deployments.set(deployment.key, deployment);
+  }
+
+  const defaultKey = config.default || deployments.keys().next().value;
+  if (!deployments.has(defaultKey)) throw new Error(`Default deployment ${defaultKey} is not configured`);
+  return { deployments, defaultKey };
+}
@@ -0,0 +1,88 @@
+/**
+ * Escrow Rules — contract timing and payout rules mirrored in JS
+ *
+ * Mirrors the constants and cancel/commit/settle conditions in
+ * contracts/inscription-escrow.clar so clients don't re-implement the
+ * deadline math. Keep in sync with the contract.
+ *
+ * Usage:
+ *   import { getTradeTimeline } from './escrow-rules.mjs';
+ *   const timeline = getTradeTimeline(listing, currentBurnHeight);
+ */
+
+// Contract constants (burn blocks / sats)
+export const MIN_PRICE = 1000;
+export const COMMIT_EXPIRY = 50;
+export const EXPIRY = 100;
+export const MIN_DELIVERY_VALUE = 546;
+
+/**
+ * Deadlines, callable actions and payouts for a listing at a burn height.
+ *
+ * `listing.blockHeight` is the contract's `when` (burn height of the last
+ * accept/commit). Deadlines are the first burn height at which the window
+ * has closed: commit-listing needs `height < commitDeadline`, and
+ * cancel-listing on an escrowed/committed listing needs `height >= deadline`.
+ *
+ * @param {Object} listing - indexed listing (see indexer.mjs)
+ * @param {number} burnHeight - current burn block height
+ */
+export function getTradeTimeline(listing, burnHeight) {
+  const price = Number(listing.price ?? 0);
+  const premium = Number(listing.premium ?? 0);
+  const collateral = Number(listing.collateral ?? 0);
+  const when = listing.blockHeight;
+
+  const commitDeadline = listing.status === 'escrowed' ? when + COMMIT_EXPIRY : null;
+  const deliveryDeadline = listing.status === 'committed' ? when + EXPIRY : null;
+  const deadline = commitDeadline ?? deliveryDeadline;
+
+  const none = { allowed: false, by: null };
+  const actions = {
+    accept: none,
+    commit: none,
+    cancel: none,
+    submitProof: none,
+  };
+  // What each party receives if the listing is cancelled now / settled
+  let payouts = { onCancel: null, onSettle: null };
+
+  switch (listing.status) {
+    case 'open':
+      actions.accept = { allowed: true, by: 'anyone except seller', amount: price + premium };
+      actions.cancel = { allowed: true, by: listing.seller };
+      payouts = { onCancel: { buyer: 0, seller: 0 }, onSettle: null };
+      break;
+    case 'escrowed':
+      actions.commit = {
+        allowed: burnHeight < commitDeadline,
+        by: listing.seller,
+        minCollateral: premium,
+      };
+      actions.cancel = { allowed: burnHeight >= commitDeadline, by: 'anyone', fromHeight: commitDeadline };
+      payouts = {
+        onCancel: { buyer: price + premium, seller: 0 },
+        onSettle: null,
+      };
+      break;
+    case 'committed':
+      // submit-proof has no expiry check: it stays callable until someone cancels
+      actions.submitProof = { allowed: true, by: 'anyone' };
+      actions.cancel = { allowed: burnHeight >= deliveryDeadline, by: 'anyone', fromHeight: deliveryDeadline };
+      payouts = {
+        onCancel: { buyer: price + premium + collateral, seller: 0 },
+        onSettle: { buyer: 0, seller: price + premium + collateral },
+      };
+      break;
+  }
+
+  return {
+    currentBurnHeight: burnHeight,
+    commitDeadline,
+    deliveryDeadline,
+    blocksRemaining: deadline !== null ? Math.max(deadline - burnHeight, 0) : null,
+    expired: deadline !== null ? burnHeight >= deadline : false,
+    actions,
+    payouts,
+  };
+}
@@ -0,0 +1,236 @@
+/**
+ * Fee Estimation — transaction vsize by script type, and fee rate sources
+ *
+ * Sizes follow BIP-141 weight (vsize = weight / 4), with worst-case
+ * signatures (72-byte DER for ECDSA) so estimates never underpay:
+ *
+ *   input                    vbytes      output      vbytes
+ *   p2pkh                    148         p2pkh       34
+ *   p2sh-p2wpkh              91          p2sh        32
+ *   p2wpkh                   68          p2wpkh      31
+ *   p2tr (key path)          57.5        p2wsh, p2tr 43
+ *     + 0.25 with a non-default sighash (65-byte signature)
+ *   overhead: 10, + 0.5 for the segwit marker and flag
+ *     + 0.25 per p2pkh input when any input is segwit (its empty witness)
+ *
+ * A fee source is any object with:
+ *   name
+ *   getFeeRate() → sat/vB
+ * Implementations: a static rate, a mempool.space-style `/api/v1/fees/recommended`
+ * endpoint, and bitcoind's `estimatesmartfee` over JSON-RPC (or anything that
+ * answers it).
+ *
+ * Usage:
+ *   import { estimateVsize, createMempoolFeeSource } from './fee-estimation.mjs';
+ *   const feeRate = await createMempoolFeeSource({ url: 'https://mempool.space' }).getFeeRate();
+ *   const { vsize } = estimateVsize({ inputs: [{ script }], outputs: [{ script }] });
+ *
+ * CLI:
+ *   node fee-estimation.mjs rate [static <sat/vB> | mempool [url] | bitcoind [url]]
+ */
+
+// --- Sizes ---
+
+/** Script type of a scriptPubKey: p2pkh, p2sh, p2wpkh, p2wsh, p2tr or null */
+export function scriptType(script) {
+  const s = script;
+  if (s.length === 25 && s[0] === 0x76 && s[1] === 0xa9 && s[2] === 0x14 && s[23] === 0x88 && s[24] === 0xac) return 'p2pkh';
+  if (s.length === 23 && s[0] === 0xa9 && s[1] === 0x14 && s[22] === 0x87) return 'p2sh';
+  if (s.length === 22 && s[0] === 0x00 && s[1] === 0x14) return 'p2wpkh';
+  if (s.length === 34 && s[0] === 0x00 && s[1] === 0x20) return 'p2wsh';
+  if (s.length === 34 && s[0] === 0x51 && s[1] === 0x20) return 'p2tr';
+  return null;
+}
+
+// Weight units per input: (non-witness bytes * 4) + witness bytes
+//   non-witness: outpoint 36 + scriptSig length 1 + scriptSig + sequence 4
+const INPUT_WEIGHT = {
+  p2pkh: (41 + 1 + 72 + 1 + 33) * 4,               // scriptSig: <sig> <pubkey>
+  'p2sh-p2wpkh': (41 + 23) * 4 + 1 + 1 + 72 + 1 + 33, // scriptSig: <0 <20-byte hash>>
+  p2wpkh: 41 * 4 + 1 + 1 + 72 + 1 + 33,             // witness: <sig> <pubkey>
+  p2tr: 41 * 4 + 1 + 1 + 64,                        // witness: <schnorr sig>
+};
+
+function varintSize(n) {
+  return n < 0xfd ? 1 : n <= 0xffff ? 3 : 5;
+}
+
+/**
+ * Weight of spending `script`. P2SH is assumed to wrap P2WPKH (the only P2SH
+ * wallets use for single-key funds); P2WSH and unknown scripts can't be
+ * estimated without the witness script and throw.
+ *
+ * @param {Uint8Array} script - the prevout's scriptPubKey
+ * @param {Object} [opts]
+ * @param {number} [opts.sighashType] - taproot signatures grow a byte unless SIGHASH_DEFAULT
+ */
+function inputWeight(script, { sighashType } = {}) {
+  const type = scriptType(script);
+  if (type === 'p2sh') return { type: 'p2sh-p2wpkh', weight: INPUT_WEIGHT['p2sh-p2wpkh'] };
+  if (type === 'p2tr') return { type, weight: INPUT_WEIGHT.p2tr + (sighashType ? 1 : 0) };
+  if (INPUT_WEIGHT[type]) return { type, weight: INPUT_WEIGHT[type] };
+  throw new Error(`Cannot estimate the size of a ${type ?? 'non-standard'} input`);
+}
+
+function outputWeight(script) {
+  return (8 + varintSize(script.length) + script.length) * 4;
+}
+
+/** vbytes one input spending `script` adds (see inputWeight) → { type, vbytes } */
+export function inputVbytes(script, opts) {
+  const { type, weight } = inputWeight(script, opts);
+  return { type, vbytes: weight / 4 };
+}
+
+/** vbytes one output paying to `script` adds */
+export function outputVbytes(script) {
+  return outputWeight(script) / 4;
+}
+
+/**
+ * Virtual size of a transaction from its prevout and output scripts.
+ *
+ * @param {Object} tx
+ * @param {Array} tx.inputs - [{ script, sighashType? }] (the spent outputs' scriptPubKeys)
+ * @param {Array} tx.outputs - [{ script }]
+ * @returns {{ vsize: number, weight: number, overhead: number, inputs: Array, outputs: Array }}
+ *   vsize rounded up; per-item sizes in vbytes (fractional)
+ */
+export function estimateVsize({ inputs, outputs }) {
+  const ins = inputs.map(({ script, sighashType }) => inputWeight(script, { sighashType }));
+  const outs = outputs.map(({ script }) => ({ type: scriptType(script) ?? 'nonstandard', weight: outputWeight(script) }));
+  const legacy = ins.filter(i => i.type === 'p2pkh').length;
+  const segwit = legacy < ins.length;
+  // version 4 + locktime 4 + input/output counts, + marker and flag (witness bytes)
+  // and, in a segwit transaction, an empty witness (one byte) per legacy input
+  const overheadWeight = (8 + varintSize(ins.length) + varintSize(outs.length)) * 4 + (segwit ? 2 + legacy : 0);
+  const weight = overheadWeight + ins.reduce((sum, i) => sum + i.weight, 0) + outs.reduce((sum, o) => sum + o.weight, 0);
+  return {
+    vsize: Math.ceil(weight / 4),
+    weight,
+    overhead: overheadWeight / 4,
+    inputs: ins.map(({ type, weight: w }) => ({ type, vbytes: w / 4 })),
+    outputs: outs.map(({ type, weight: w }) => ({ type, vbytes: w / 4 })),
+  };
+}
+
+// --- Fee sources ---
+
+function checkRate(rate, source) {
+  if (!Number.isFinite(rate) || rate <= 0) throw new Error(`${source} returned an invalid fee rate: ${rate}`);
+  return rate;
+}
+
+export function createStaticFeeSource(rate) {
+  checkRate(rate, 'Static fee source');
+  return {
+    name: 'static',
+    async getFeeRate() {
+      return rate;
+    },
+  };
+}
+
+/**
+ * mempool.space (or a self-hosted mempool / esplora-compatible) fee endpoint.
+ *
+ * @param {Object} [opts]
+ * @param {string} [opts.url] - base URL
+ * @param {string} [opts.priority] - fastestFee | halfHourFee | hourFee | economyFee | minimumFee
+ * @param {number} [opts.timeoutMs]
+ */
+export function createMempoolFeeSource({ url = 'https://mempool.space', priority = 'halfHourFee', timeoutMs = 10_000 } = {}) {
+  const baseUrl = url.replace(/\/$/, '');
+  return {
+    name: 'mempool',
+    async getFeeRate() {
+      const res = await fetch(`${baseUrl}/api/v1/fees/recommended`, { signal: AbortSignal.timeout(timeoutMs) });
+      if (!res.ok) throw new Error(`Fee endpoint ${res.status}: ${(await res.text()).slice(0, 200)}`);
+      const fees = await res.json();
+      if (!(priority in fees)) throw new Error(`Fee endpoint has no "${priority}" rate`);
+      return checkRate(fees[priority], 'Fee endpoint');
+    },
+  };
+}
+
+/**
+ * bitcoind `estimatesmartfee` over JSON-RPC (BTC/kvB, converted to sat/vB).
+ *
+ * @param {Object} [opts]
+ * @param {string} [opts.url] - RPC URL
+ * @param {string} [opts.username] - RPC user (or cookie user `__cookie__`)
+ * @param {string} [opts.password]
+ * @param {number} [opts.confTarget] - confirmation target in blocks
+ * @param {string} [opts.mode] - CONSERVATIVE | ECONOMICAL
+ * @param {number} [opts.timeoutMs]
+ */
+export function createBitcoindFeeSource({
+  url = 'http://127.0.0.1:8332',
+  username,
+  password,
+  confTarget = 6,
+  mode = 'CONSERVATIVE',
+  timeoutMs = 10_000,
+} = {}) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (username) headers.Authorization = `Basic ${Buffer.from(`${username}:${password ?? ''}`).toString('base64')}`;
+  return {
+    name: 'bitcoind',
+    async getFeeRate() {
+      const res = await fetch(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ jsonrpc: '1.0', id: 'fee', method: 'estimatesmartfee', params: [confTarget, mode] }),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      // bitcoind answers RPC errors with a 500 and a JSON body
+      const body = await res.json().catch(() => null);
+      if (!body) throw new Error(`bitcoind RPC ${res.status}`);
+      if (body.error) throw new Error(`bitcoind RPC error: ${body.error.message}`);
+      const { feerate, errors } = body.result;
+      if (feerate === undefined) throw new Error(`bitcoind has no fee estimate: ${errors?.join('; ') ?? 'unknown reason'}`);
+      return checkRate(feerate * 1e8 / 1000, 'bitcoind');
+    },
+  };
+}
+
+/** Fee rate from a number (sat/vB) or a fee source */
+export async function resolveFeeRate(feeRate) {
+  if (typeof feeRate === 'number') return checkRate(feeRate, 'Fee rate');
+  if (typeof feeRate?.getFeeRate === 'function') return checkRate(await feeRate.getFeeRate(), `Fee source ${feeRate.name}`);
+  throw new Error('feeRate must be a number (sat/vB) or a fee source');
+}
+
+// --- CLI interface (only when run directly) ---
+const isMain = import.meta.url === `file://${process.argv[1]}` || process.argv[1]?.endsWith('fee-estimation.mjs');
+const [,, command, ...args] = process.argv;
+if (isMain) {
+
+if (command === 'rate') {
+  const [kind = 'mempool', arg] = args;
+  try {
+    const source = kind === 'static' ? createStaticFeeSource(Number(arg))
+      : kind === 'bitcoind' ? createBitcoindFeeSource({
+        url: arg, username: process.env.BITCOIND_RPC_USER, password: process.env.BITCOIND_RPC_PASSWORD,
+      })
+      : kind === 'mempool' ? createMempoolFeeSource({ url: arg })
+      : null;
+    if (!source) throw new Error(`Unknown fee source "${kind}": expected static, mempool or bitcoind`);
+    console.log(JSON.stringify({ source: source.name, feeRate: await source.getFeeRate() }));
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+}
+
+else {
+  console.log(`Fee Estimation
+
+Commands:
+  rate static <sat/vB>     Echo a static rate (sanity check)
+  rate mempool [url]       Rate from a mempool.space-style endpoint (default https://mempool.space)
+  rate bitcoind [url]      Rate from bitcoind estimatesmartfee (default http://127.0.0.1:8332;
+                           BITCOIND_RPC_USER / BITCOIND_RPC_PASSWORD for auth)
+`);
+}
+} // end isMain
@@ -0,0 +1,507 @@
+/**
+ * Escrow Event Indexer
+ *
+ * Ingests the escrow contract's `print` events (list, accept, commit, cancel,
+ * settle) from the Stacks API into a local JSON store, so the API can serve
+ * every listing and its full history without one read-only call per id.
+ *
+ * Sync is incremental by Stacks block height. Each pass first re-checks the
+ * hashes of recently indexed blocks; if the chain reorganised, events above
+ * the common ancestor are rolled back and re-ingested from the new fork.
+ *
+ * Static listing fields (inscription UTXO, price, premium, BTC scripts) are
+ * not part of the print payloads, so they are read once per listing via
+ * `get-listing` when its `list` / `accept` event is first seen.
+ *
+ * Usage:
+ *   import { createIndexer, createStacksEventSource } from './indexer.mjs';
+ *   const indexer = createIndexer({ source: createStacksEventSource({...}), storePath });
+ *   await indexer.sync();
+ *   indexer.getListing(0);
+ *
+ * CLI:
+ *   node indexer.mjs sync          One-shot sync, print index status
+ *   node indexer.mjs show <id>     Print an indexed listing with history
+ */
+
+import { readFileSync, writeFileSync, renameSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { decodeClarityHex, cvToHex, uintCV } from './clarity.mjs';
+import { createStacksClient } from './stacks-client.mjs';
+import { createLogger } from './logger.mjs';
+import { clarityTxId } from './btc-proof.mjs';
+
+// 2: settle events carry the BTC txid of the proof (older indexes are rebuilt)
+const STORE_VERSION = 2;
+
+// Stacks reorgs are shallow; block hashes older than this are treated as final
+const REORG_WINDOW = 128;
+
+const PAGE_SIZE = 50;
+
+export const LISTING_STATUSES = ['open', 'escrowed', 'committed', 'done', 'cancelled'];
+
+// --- Stacks API event source ---
+
+/** Display-order BTC txid a submit-proof(-segwit) call settled with, from its `tx` / `wtx` argument */
+function proofTxid(tx) {
+  const arg = tx?.contract_call?.function_args?.find(a => a.name === 'tx' || a.name === 'wtx');
+  if (!arg) return null;
+  try {
+    return clarityTxId(decodeClarityHex(arg.hex));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Event source backed by the Stacks Blockchain API.
+ * Any object with the same methods can be passed to createIndexer instead
+ * (e.g. a fixture source in tests).
+ *
+ * @param {Object} opts
+ * @param {string} [opts.apiUrl] - Stacks API base URL (when no client is given)
+ * @param {Object} [opts.client] - shared Stacks client (see stacks-client.mjs)
+ * @param {string} opts.contractAddress - deployer address
+ * @param {string} opts.contractName - contract name
+ */
+export function createStacksEventSource({ apiUrl, client, contractAddress, contractName }) {
+  const contractId = `${contractAddress}.${contractName}`;
+  const stacks = client ?? createStacksClient({ urls: [apiUrl] });
+  const getJson = (path) => stacks.getJson(path);
+
+  return {
+    contractId,
+
+    /** Current chain tip: { height, hash, burnBlockHeight } */
+    getTip: () => stacks.getTip(),
+
+    /** Canonical block hash at a height, or null if unknown */
+    async getBlockHash(height) {
+      const block = await getJson(`/extended/v2/blocks/${height}`);
+      return block?.hash ?? null;
+    },
+
+    /**
+     * Contract print events mined in (fromHeight, toHeight], ascending.
+     * Returns [{ txid, blockHeight, blockHash, burnBlockHeight, txIndex, eventIndex, payload, btcTxid? }]
+     * (`btcTxid` on settle events: the Bitcoin transaction of the proof)
+     */
+    async getEvents({ fromHeight, toHeight }) {
+      const txs = new Map();
+      for (let offset = 0; ; offset += PAGE_SIZE) {
+        const page = await getJson(
+          `/extended/v1/address/${contractId}/transactions?limit=${PAGE_SIZE}&offset=${offset}`
+        );
+        const results = page?.results || [];
+        for (const tx of results) {
+          if (tx.block_height <= fromHeight || tx.block_height > toHeight) continue;
+          if (tx.tx_status !== 'success' || tx.canonical === false) continue;
+          if (tx.tx_type !== 'contract_call' || tx.contract_call?.contract_id !== contractId) continue;
+          txs.set(tx.tx_id, tx);
+        }
+        // Results are newest first: stop once we've paged below the sync window
+        const oldest = results[results.length - 1];
+        if (results.length < PAGE_SIZE || !oldest || oldest.block_height <= fromHeight) break;
+      }
+
+      // Fetched concurrently (bounded by the client); any failure fails the pass so no event is skipped
+      const details = await Promise.all(
+        [...txs.values()].map(tx => getJson(`/extended/v1/tx/${tx.tx_id}?event_limit=50`))
+      );
+      const events = [];
+      for (const [i, tx] of [...txs.values()].entries()) {
+        const detail = details[i];
+        for (const ev of detail?.events || []) {
+          if (ev.event_type !== 'smart_contract_log') continue;
+          if (ev.contract_log?.contract_id !== contractId || ev.contract_log?.topic !== 'print') continue;
+          const payload = decodeClarityHex(ev.contract_log.value.hex);
+          events.push({
+            txid: tx.tx_id,
+            blockHeight: tx.block_height,
+            blockHash: tx.block_hash,
+            burnBlockHeight: tx.burn_block_height,
+            txIndex: tx.tx_index,
+            eventIndex: ev.event_index,
+            payload,
+            ...(payload?.event === 'settle' && { btcTxid: proofTxid(tx) }),
+          });
+        }
+      }
+      return events.sort((a, b) =>
+        a.blockHeight - b.blockHeight || a.txIndex - b.txIndex || a.eventIndex - b.eventIndex
+      );
+    },
+
+    /** Current on-chain listing tuple (plain JS), or null */
+    async getListing(id) {
+      return stacks.callReadOnly(contractAddress, contractName, 'get-listing', [cvToHex(uintCV(id))]);
+    },
+  };
+}
+
+// --- Listing reducer ---
+
+/**
+ * Apply one print event to a listing record (or create it on `list`).
+ * Pure: returns a new record. `details` carries the static fields read via get-listing.
+ */
+export function applyEvent(listing, event, details) {
+  const { payload } = event;
+  const entry = {
+    event: payload.event,
+    txid: event.txid,
+    blockHeight: event.blockHeight,
+    burnBlockHeight: event.burnBlockHeight,
+  };
+
+  switch (payload.event) {
+    case 'list':
+      return {
+        id: payload.id,
+        inscriptionTxid: details?.inscriptionTxid ?? null,
+        inscriptionVout: details?.inscriptionVout ?? null,
+        price: details?.price ?? null,
+        premium: details?.premium ?? null,
+        seller: payload.seller,
+        buyer: null,
+        sellerBtc: details?.sellerBtc ?? null,
+        buyerBtc: null,
+        collateral: 0,
+        blockHeight: event.burnBlockHeight,
+        status: 'open',
+        listedAt: event.blockHeight,
+        updatedAt: event.blockHeight,
+        history: [entry],
+      };
+    case 'accept':
+      return {
+        ...listing,
+        buyer: payload.buyer,
+        buyerBtc: details?.buyerBtc ?? null,
+        blockHeight: event.burnBlockHeight,
+        status: 'escrowed',
+        updatedAt: event.blockHeight,
+        history: [...listing.history, entry],
+      };
+    case 'commit':
+      return {
+        ...listing,
+        collateral: payload.collateral,
+        blockHeight: event.burnBlockHeight,
+        status: 'committed',
+        updatedAt: event.blockHeight,
+        history: [...listing.history, { ...entry, collateral: payload.collateral }],
+      };
+    case 'cancel':
+      return {
+        ...listing,
+        status: 'cancelled',
+        updatedAt: event.blockHeight,
+        history: [...listing.history, { ...entry, from: payload.status }],
+      };
+    case 'settle':
+      return {
+        ...listing,
+        status: 'done',
+        updatedAt: event.blockHeight,
+        history: [...listing.history, { ...entry, btcTxid: event.btcTxid ?? null }],
+      };
+    default:
+      return listing;
+  }
+}
+
+function detailsFromChain(raw) {
+  return {
+    inscriptionTxid: raw['inscription-txid'],
+    inscriptionVout: raw['inscription-vout'],
+    price: raw.price,
+    premium: raw.premium,
+    sellerBtc: raw['seller-btc'],
+    buyerBtc: raw['buyer-btc'] ?? null,
+  };
+}
+
+// --- Store ---
+
+function emptyState(contractId) {
+  return { version: STORE_VERSION, contractId, height: 0, burnHeight: 0, blocks: {}, events: [], details: {} };
+}
+
+function loadState(storePath, contractId) {
+  if (!storePath) return emptyState(contractId);
+  try {
+    const state = JSON.parse(readFileSync(storePath, 'utf8'));
+    if (state.version !== STORE_VERSION || state.contractId !== contractId) {
+      return emptyState(contractId);
+    }
+    return state;
+  } catch {
+    return emptyState(contractId);
+  }
+}
+
+function saveState(storePath, state) {
+  if (!storePath) return;
+  mkdirSync(dirname(storePath), { recursive: true });
+  const tmp = `${storePath}.tmp`;
+  writeFileSync(tmp, JSON.stringify(state));
+  renameSync(tmp, storePath);
+}
+
+// --- Indexer ---
+
+/**
+ * Create an indexer over an event source.
+ *
+ * @param {Object} opts
+ * @param {Object} opts.source - event source (see createStacksEventSource)
+ * @param {string} [opts.storePath] - JSON file to persist the index (in-memory if omitted)
+ * @param {Object} [opts.log] - logger.mjs logger for listener failures
+ * @returns indexer with sync/start/stop and read accessors
+ */
+export function createIndexer({ source, storePath, log = createLogger() }) {
+  const state = loadState(storePath, source.contractId);
+  let listings = new Map();
+  let syncing = null;
+  let timer = null;
+  let lastSync = { at: null, error: null };
+  const listeners = new Set();
+  // get-listing failures by listing id; retried every sync until they succeed
+  const detailErrors = new Map();
+
+  function rebuild() {
+    listings = new Map();
+    for (const event of state.events) {
+      const { id } = event.payload;
+      const current = listings.get(id);
+      if (event.payload.event !== 'list' && !current) continue;
+      listings.set(id, applyEvent(current, event, state.details[id]));
+    }
+    for (const [id, error] of detailErrors) {
+      if (listings.has(id)) listings.set(id, { ...listings.get(id), detailsError: error });
+    }
+  }
+
+  function pruneBlocks() {
+    const floor = state.height - REORG_WINDOW;
+    for (const height of Object.keys(state.blocks)) {
+      if (Number(height) < floor) delete state.blocks[height];
+    }
+  }
+
+  /**
+   * Walk recorded block hashes from newest to oldest and return the highest
+   * height still on the canonical chain (null if the recorded tip is canonical).
+   */
+  async function findForkPoint() {
+    const heights = Object.keys(state.blocks).map(Number).sort((a, b) => b - a);
+    for (let i = 0; i < heights.length; i++) {
+      const canonical = await source.getBlockHash(heights[i]);
+      if (canonical === state.blocks[heights[i]]) return i === 0 ? null : heights[i];
+    }
+    return heights.length ? heights[heights.length - 1] - 1 : null;
+  }
+
+  function rollback(height) {
+    state.events = state.events.filter(e => e.blockHeight <= height);
+    for (const h of Object.keys(state.blocks)) {
+      if (Number(h) > height) delete state.blocks[h];
+    }
+    // Listing ids are reassigned on a fork, so drop details of rolled-back listings
+    const listed = new Set(state.events.filter(e => e.payload.event === 'list').map(e => e.payload.id));
+    for (const id of Object.keys(state.details)) {
+      if (!listed.has(Number(id))) delete state.details[id];
+    }
+    state.height = height;
+    rebuild();
+  }
+
+  /**
+   * Read static fields for listings. A failed read doesn't fail the sync:
+   * the listing is indexed without them and flagged with `detailsError`.
+   */
+  async function fetchDetails(ids) {
+    await Promise.all([...ids].map(async (id) => {
+      try {
+        const raw = await source.getListing(id);
+        if (raw && typeof raw === 'object') state.details[id] = detailsFromChain(raw);
+        detailErrors.delete(id);
+      } catch (err) {
+        detailErrors.set(id, `get-listing failed: ${err.message}`);
+      }
+    }));
+  }
+
+  // A failing listener must not fail the sync
+  function notify({ events, reorg }) {
+    const update = { events, reorg, height: state.height, burnHeight: state.burnHeight };
+    for (const fn of listeners) {
+      try {
+        fn(update);
+      } catch (err) {
+        log.warn('indexer listener failed', { height: state.height, error: err.message });
+      }
+    }
+  }
+
+  async function runSync() {
+    const tip = await source.getTip();
+    let reorg = null;
+    state.burnHeight = tip.burnBlockHeight ?? state.burnHeight;
+
+    if (Object.keys(state.blocks).length) {
+      const fork = await findForkPoint();
+      if (fork !== null) {
+        reorg = { from: state.height, to: fork };
+        rollback(fork);
+        saveState(storePath, state);
+      }
+    }
+
+    if (detailErrors.size) {
+      await fetchDetails(new Set(detailErrors.keys()));
+      saveState(storePath, state);
+      rebuild();
+    }
+
+    if (tip.height <= state.height) {
+      notify({ events: [], reorg });
+      return { height: state.height, newEvents: 0, reorg };
+    }
+
+    const events = await source.getEvents({ fromHeight: state.height, toHeight: tip.height });
+
+    // Static fields: needed for new listings, and buyer-btc once accepted
+    const needDetails = new Set();
+    for (const event of events) {
+      const { id, event: kind } = event.payload;
+      if (kind === 'list' && !state.details[id]) needDetails.add(id);
+      if (kind === 'accept' && !state.details[id]?.buyerBtc) needDetails.add(id);
+    }
+    await fetchDetails(needDetails);
+
+    for (const event of events) {
+      state.events.push(event);
+      state.blocks[event.blockHeight] = event.blockHash;
+    }
+    state.blocks[tip.height] = tip.hash;
+    state.height = tip.height;
+    pruneBlocks();
+    saveState(storePath, state);
+    rebuild();
+    notify({ events, reorg });
+
+    return { height: state.height, newEvents: events.length, reorg };
+  }
+
+  rebuild();
+
+  return {
+    /** Run one sync pass (concurrent callers share the in-flight pass) */
+    async sync() {
+      if (!syncing) {
+        syncing = runSync()
+          .then(result => { lastSync = { at: new Date().toISOString(), error: null }; return result; })
+          .catch(err => { lastSync = { at: new Date().toISOString(), error: err.message }; throw err; })
+          .finally(() => { syncing = null; });
+      }
+      return syncing;
+    },
+
+    /** Poll for new blocks every intervalMs; errors are recorded in status() */
+    start(intervalMs = 30_000) {
+      if (timer) return;
+      const tick = () => this.sync().catch(() => {});
+      tick();
+      timer = setInterval(tick, intervalMs);
+      timer.unref?.();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+
+    status() {
+      return {
+        contract: source.contractId,
+        height: state.height,
+        burnHeight: state.burnHeight,
+        listings: listings.size,
+        events: state.events.length,
+        lastSyncAt: lastSync.at,
+        lastError: lastSync.error,
+      };
+    },
+
+    /**
+     * Call fn({ events, reorg, height, burnHeight }) after every successful sync.
+     * `events` are the newly ingested print events; on a reorg, events above
+     * `reorg.to` were dropped first. Returns an unsubscribe function.
+     */
+    subscribe(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+
+    /** Indexed print events at Stacks heights >= fromHeight, ascending */
+    getEvents({ fromHeight = 0 } = {}) {
+      return state.events.filter(e => e.blockHeight >= fromHeight);
+    },
+
+    getListing(id) {
+      return listings.get(id) ?? null;
+    },
+
+    /** All indexed listings, ascending by id */
+    getListings() {
+      return [...listings.values()].sort((a, b) => a.id - b.id);
+    },
+
+    getStats() {
+      const stats = { total: listings.size };
+      for (const status of LISTING_STATUSES) stats[status] = 0;
+      for (const listing of listings.values()) stats[listing.status]++;
+      return stats;
+    },
+  };
+}
+
+// --- CLI interface (only when run directly) ---
+const isMain = import.meta.url === `file://${process.argv[1]}` || process.argv[1]?.endsWith('indexer.mjs');
+if (isMain) {
+  const [,, command, ...args] = process.argv;
+  const indexer = createIndexer({
+    source: createStacksEventSource({
+      apiUrl: process.env.STACKS_API || 'https://api.hiro.so',
+      contractAddress: process.env.CONTRACT_ADDRESS || 'SP16H0KE0BPR4XNQ64115V5Y1V3XTPGMWG5YPC9TR',
+      contractName: process.env.CONTRACT_NAME || 'inscription-escrow',
+    }),
+    storePath: process.env.INDEX_PATH || '.cache/escrow-index.json',
+  });
+
+  if (command === 'sync') {
+    const result = await indexer.sync();
+    console.log(JSON.stringify({ ...result, ...indexer.status() }, null, 2));
+  }
+
+  else if (command === 'show') {
+    const listing = indexer.getListing(parseInt(args[0]));
+    if (!listing) { console.error(`Listing ${args[0]} not indexed`); process.exit(1); }
+    console.log(JSON.stringify(listing, null, 2));
+  }
+
+  else {
+    console.log(`Escrow Event Indexer
+
+Commands:
+  sync          Sync the local index to the chain tip
+  show <id>     Print an indexed listing with its event history
+
+Environment:
+  STACKS_API, CONTRACT_ADDRESS, CONTRACT_NAME, INDEX_PATH
+`);
+  }
+}
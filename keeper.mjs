@@ -0,0 +1,264 @@
+/**
+ * Keeper — auto-settles and auto-cancels stale escrow trades
+ *
+ * `submit-proof` and expired `cancel-listing` are permissionless, so nobody
+ * has to wait for a human to notice. Each tick the keeper:
+ *   1. syncs the event index
+ *   2. for committed listings, checks whether the inscription UTXO has been
+ *      spent in a confirmed tx that pays buyer-btc, and submits the proof
+ *   3. cancels escrowed listings past COMMIT_EXPIRY and committed listings
+ *      past EXPIRY (settlement wins if a valid delivery exists, and an
+ *      unconfirmed spend holds the cancel back), refunding the buyer
+ * Listings whose details failed to load are skipped until the index has them.
+ *
+ * Backends are pluggable so the keeper can run against local stand-ins:
+ *   bitcoin — { getOutspend, getTxBlock, getRawBlock, getRawTransaction } (see btc-proof.mjs)
+ *   stacks  — { publicKey, signAndBroadcast(unsignedHex) → txid }
+ * In dry-run mode no key is needed: planned actions are reported, not sent.
+ *
+ * CLI:
+ *   node keeper.mjs once [--dry-run]   Run a single tick and print the report
+ *   node keeper.mjs run [--dry-run]    Run every KEEPER_INTERVAL_MS
+ */
+
+import {
+  deserializeTransaction,
+  broadcastTransaction,
+  privateKeyToPublic,
+  TransactionSigner,
+} from '@stacks/transactions';
+import { createIndexer, createStacksEventSource } from './indexer.mjs';
+import { createTxBuilder, txidToDisplayOrder, DEFAULT_SBTC } from './tx-builder.mjs';
+import { buildSubmitProof, createEsploraSource } from './btc-proof.mjs';
+import { createLogger } from './logger.mjs';
+import { getTradeTimeline } from './escrow-rules.mjs';
+
+// --- Stacks backend ---
+
+/**
+ * Signs unsigned transactions from tx-builder.mjs with a hot key and broadcasts them.
+ *
+ * @param {Object} opts
+ * @param {string} opts.apiUrl - Stacks API base URL
+ * @param {string} opts.network - 'mainnet' | 'testnet'
+ * @param {string} opts.senderKey - hex private key (compressed, 33 bytes with 01 suffix)
+ */
+export function createStacksBroadcaster({ apiUrl, network, senderKey }) {
+  const key = senderKey.length === 64 ? `${senderKey}01` : senderKey;
+  const client = { baseUrl: apiUrl };
+
+  return {
+    publicKey: privateKeyToPublic(key),
+
+    async signAndBroadcast(unsignedHex) {
+      const transaction = deserializeTransaction(unsignedHex);
+      new TransactionSigner(transaction).signOrigin(key);
+      const result = await broadcastTransaction({ transaction, network, client });
+      if (result.error) {
+        throw new Error(`Broadcast rejected: ${result.error}${result.reason ? ` (${result.reason})` : ''}`);
+      }
+      return result.txid;
+    },
+  };
+}
+
+// --- Keeper ---
+
+/**
+ * @param {Object} opts
+ * @param {Object} opts.indexer - see indexer.mjs
+ * @param {Object} opts.txBuilder - see tx-builder.mjs
+ * @param {Object} opts.bitcoin - Bitcoin backend (spend detection + blocks for proofs)
+ * @param {Object} [opts.stacks] - Stacks backend (required unless dryRun)
+ * @param {boolean} [opts.dryRun] - report actions without signing or broadcasting
+ * @param {number} [opts.retryAfterMs] - wait before re-sending an action for the same listing state
+ * @param {Object} [opts.log] - logger.mjs logger for unprovable spends and tick reports
+ */
+export function createKeeper({ indexer, txBuilder, bitcoin, stacks, dryRun = false, retryAfterMs = 10 * 60_000, log = createLogger() }) {
+  if (!dryRun && !stacks) throw new Error('Keeper needs a Stacks backend unless dryRun is set');
+
+  // Sent actions per listing id, so a pending tx isn't re-sent every tick
+  const pending = new Map();
+  let nonce = null;
+  let timer = null;
+  let running = false;
+
+  async function send(listing, action, build) {
+    if (dryRun) return { id: listing.id, action, dryRun: true };
+
+    const unsigned = await build({ publicKey: stacks.publicKey, ...(nonce !== null && { nonce }) });
+    const txid = await stacks.signAndBroadcast(unsigned.transaction);
+    // Track the nonce locally: the API's suggestion lags behind our own mempool txs
+    nonce = unsigned.nonce + 1;
+    pending.set(listing.id, { action, status: listing.status, txid, at: Date.now() });
+    return { id: listing.id, action, txid };
+  }
+
+  /**
+   * The tx spending the inscription UTXO: null if unspent, `{ confirmed: false, txid }`
+   * while it is unconfirmed, else its proof.
+   */
+  async function findDelivery(listing) {
+    const outspend = await bitcoin.getOutspend(
+      txidToDisplayOrder(listing.inscriptionTxid),
+      Number(listing.inscriptionVout)
+    );
+    if (!outspend.spent) return null;
+    if (!outspend.confirmed) return { confirmed: false, txid: outspend.txid };
+    return buildSubmitProof({ txid: outspend.txid, source: bitcoin, listing });
+  }
+
+  async function handle(listing, burnHeight) {
+    if (listing.status === 'committed') {
+      const proof = await findDelivery(listing);
+      if (proof?.confirmed === false) {
+        // Possibly an honest delivery in the mempool: cancelling now would race it
+        log.debug('keeper waiting for spend to confirm', { listing: listing.id, txid: proof.txid });
+        return null;
+      }
+      if (proof?.valid) {
+        return send(listing, 'submit-proof', (opts) =>
+          txBuilder.buildSubmitProof(listing, { ...opts, clarityArgs: proof.clarityArgs }));
+      }
+      if (proof) {
+        // Spent, but not in a way the contract accepts (e.g. not to buyer-btc)
+        log.warn('keeper spend not provable', { listing: listing.id, txid: proof.txid, errors: proof.errors });
+      }
+    }
+
+    const timeline = getTradeTimeline(listing, burnHeight);
+    if (timeline.actions.cancel.allowed) {
+      return send(listing, 'cancel', (opts) => txBuilder.buildCancel(listing, opts));
+    }
+    return null;
+  }
+
+  return {
+    /** One pass over all escrowed/committed listings. Returns the actions taken. */
+    async tick() {
+      await indexer.sync();
+      const { burnHeight } = indexer.status();
+      const report = [];
+
+      for (const listing of indexer.getListings()) {
+        if (listing.status !== 'escrowed' && listing.status !== 'committed') {
+          pending.delete(listing.id);
+          continue;
+        }
+        // Without price and premium, cancel-listing gets no refund post-condition and aborts on-chain
+        if (listing.detailsError) {
+          log.warn('keeper skipped listing: details unavailable', { listing: listing.id, error: listing.detailsError });
+          continue;
+        }
+        const sent = pending.get(listing.id);
+        if (sent && sent.status === listing.status && Date.now() - sent.at < retryAfterMs) continue;
+
+        try {
+          const result = await handle(listing, burnHeight);
+          if (result) report.push(result);
+        } catch (err) {
+          report.push({ id: listing.id, error: err.message });
+          // A failed broadcast may have been a nonce clash; re-fetch next time
+          nonce = null;
+        }
+      }
+      return report;
+    },
+
+    start(intervalMs = 60_000) {
+      if (timer) return;
+      const run = async () => {
+        if (running) return;
+        running = true;
+        try {
+          for (const entry of await this.tick()) {
+            if (entry.error) log.warn('keeper action failed', entry);
+            else log.info('keeper action', entry);
+          }
+        } catch (err) {
+          log.warn('keeper tick failed', { error: err.message });
+        } finally {
+          running = false;
+        }
+      };
+      run();
+      timer = setInterval(run, intervalMs);
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+  };
+}
+
+// --- CLI interface (only when run directly) ---
+const isMain = import.meta.url === `file://${process.argv[1]}` || process.argv[1]?.endsWith('keeper.mjs');
+if (isMain) {
+  const [,, command, ...flags] = process.argv;
+  const dryRun = flags.includes('--dry-run') || process.env.KEEPER_DRY_RUN === '1';
+
+  const STACKS_API = process.env.STACKS_API || 'https://api.hiro.so';
+  const CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS || 'SP16H0KE0BPR4XNQ64115V5Y1V3XTPGMWG5YPC9TR';
+  const CONTRACT_NAME = process.env.CONTRACT_NAME || 'inscription-escrow';
+
+  if (command === 'once' || command === 'run') {
+    if (!process.env.ESPLORA_API) {
+      console.error('ESPLORA_API is required (spend detection), e.g. https://mempool.space/api');
+      process.exit(1);
+    }
+    if (!dryRun && !process.env.KEEPER_PRIVATE_KEY) {
+      console.error('KEEPER_PRIVATE_KEY is required (or pass --dry-run)');
+      process.exit(1);
+    }
+
+    const txBuilder = createTxBuilder({
+      apiUrl: STACKS_API,
+      contractAddress: CONTRACT_ADDRESS,
+      contractName: CONTRACT_NAME,
+      sbtc: {
+        contract: process.env.SBTC_CONTRACT || DEFAULT_SBTC.contract,
+        asset: process.env.SBTC_ASSET || DEFAULT_SBTC.asset,
+      },
+    });
+    const log = createLogger({ level: process.env.LOG_LEVEL || 'info' });
+    const keeper = createKeeper({
+      indexer: createIndexer({
+        source: createStacksEventSource({ apiUrl: STACKS_API, contractAddress: CONTRACT_ADDRESS, contractName: CONTRACT_NAME }),
+        storePath: process.env.INDEX_PATH || '.cache/keeper-index.json',
+        log,
+      }),
+      txBuilder,
+      bitcoin: createEsploraSource({ url: process.env.ESPLORA_API }),
+      stacks: dryRun ? null : createStacksBroadcaster({
+        apiUrl: STACKS_API,
+        network: txBuilder.network,
+        senderKey: process.env.KEEPER_PRIVATE_KEY,
+      }),
+      dryRun,
+      log,
+    });
+
+    if (command === 'once') {
+      console.log(JSON.stringify(await keeper.tick(), null, 2));
+    } else {
+      const interval = parseInt(process.env.KEEPER_INTERVAL_MS || '60000');
+      console.log(`[keeper] watching ${CONTRACT_ADDRESS}.${CONTRACT_NAME} every ${interval}ms${dryRun ? ' (dry run)' : ''}`);
+      keeper.start(interval);
+    }
+  }
+
+  else {
+    console.log(`Escrow Keeper
+
+Commands:
+  once [--dry-run]    Run one settle/cancel pass and print the report
+  run [--dry-run]     Keep running every KEEPER_INTERVAL_MS (default 60000)
+
+Environment:
+  ESPLORA_API          Esplora REST base for spend detection + proofs (required)
+  KEEPER_PRIVATE_KEY   Stacks key that pays fees (not needed with --dry-run)
+  STACKS_API, CONTRACT_ADDRESS, CONTRACT_NAME, INDEX_PATH, SBTC_CONTRACT, SBTC_ASSET, LOG_LEVEL
+`);
+  }
+}
@@ -0,0 +1,138 @@
+/**
+ * Listing Query — filtering, sorting and cursor pagination over indexed listings
+ *
+ * Used by GET /trades. Cursors are opaque tokens that encode the sort key and
+ * id of the last returned listing, so pages stay stable while new listings
+ * arrive (unlike offsets, which shift).
+ *
+ * Usage:
+ *   import { parseListingQuery, queryListings } from './listing-query.mjs';
+ *   const query = parseListingQuery(c.req.query());   // throws on bad input
+ *   const page = queryListings(indexer.getListings(), query);
+ */
+
+import { LISTING_STATUSES } from './indexer.mjs';
+
+export const DEFAULT_LIMIT = 50;
+export const MAX_LIMIT = 100;
+
+// Sort key per `sort` param. `age` orders by listing height (youngest first when asc).
+const SORT_KEYS = {
+  id: (l) => l.id,
+  price: (l) => Number(l.price ?? 0),
+  age: (l) => -l.listedAt,
+};
+
+const NUMERIC_PARAMS = ['minPrice', 'maxPrice', 'minPremium', 'maxPremium', 'fromHeight', 'toHeight'];
+
+function parseNonNegativeInt(name, value) {
+  if (!/^\d+$/.test(value)) throw new Error(`Invalid ${name}: expected a non-negative integer`);
+  return parseInt(value);
+}
+
+/**
+ * Validate raw query-string params into a query object.
+ * Throws an Error with a client-facing message on invalid input.
+ */
+export function parseListingQuery(params = {}) {
+  const query = {
+    status: params.status,
+    seller: params.seller,
+    buyer: params.buyer,
+    inscriptionTxid: params.inscriptionTxid?.toLowerCase().replace(/^0x/, ''),
+    sellerBtc: params.sellerBtc?.toLowerCase().replace(/^0x/, ''),
+    sort: params.sort || 'id',
+    order: params.order || 'asc',
+    limit: params.limit !== undefined ? parseNonNegativeInt('limit', params.limit) : DEFAULT_LIMIT,
+    cursor: params.cursor ? decodeCursor(params.cursor) : null,
+    offset: params.offset !== undefined ? parseNonNegativeInt('offset', params.offset) : 0,
+  };
+
+  if (query.status && !LISTING_STATUSES.includes(query.status)) {
+    throw new Error(`Invalid status: expected one of ${LISTING_STATUSES.join(', ')}`);
+  }
+  if (!SORT_KEYS[query.sort]) {
+    throw new Error(`Invalid sort: expected one of ${Object.keys(SORT_KEYS).join(', ')}`);
+  }
+  if (query.order !== 'asc' && query.order !== 'desc') {
+    throw new Error('Invalid order: expected asc or desc');
+  }
+  if (query.cursor && (query.cursor.sort !== query.sort || query.cursor.order !== query.order)) {
+    throw new Error('Cursor does not match sort/order');
+  }
+  for (const name of NUMERIC_PARAMS) {
+    if (params[name] !== undefined) query[name] = parseNonNegativeInt(name, params[name]);
+  }
+  query.limit = Math.min(Math.max(query.limit, 1), MAX_LIMIT);
+
+  return query;
+}
+
+export function encodeCursor({ sort, order, key, id }) {
+  return Buffer.from(JSON.stringify({ s: sort, o: order, k: key, i: id })).toString('base64url');
+}
+
+export function decodeCursor(cursor) {
+  try {
+    const { s, o, k, i } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof k !== 'number' || !Number.isInteger(i)) throw new Error();
+    return { sort: s, order: o, key: k, id: i };
+  } catch {
+    throw new Error('Invalid cursor');
+  }
+}
+
+function matches(listing, query) {
+  if (query.status && listing.status !== query.status) return false;
+  if (query.seller && listing.seller !== query.seller) return false;
+  if (query.buyer && listing.buyer !== query.buyer) return false;
+  if (query.inscriptionTxid && listing.inscriptionTxid !== query.inscriptionTxid) return false;
+  if (query.sellerBtc && listing.sellerBtc !== query.sellerBtc) return false;
+
+  const price = Number(listing.price ?? 0);
+  const premium = Number(listing.premium ?? 0);
+  if (query.minPrice !== undefined && price < query.minPrice) return false;
+  if (query.maxPrice !== undefined && price > query.maxPrice) return false;
+  if (query.minPremium !== undefined && premium < query.minPremium) return false;
+  if (query.maxPremium !== undefined && premium > query.maxPremium) return false;
+
+  // Height window applies to the burn height of the last state change
+  if (query.fromHeight !== undefined && listing.blockHeight < query.fromHeight) return false;
+  if (query.toHeight !== undefined && listing.blockHeight > query.toHeight) return false;
+  return true;
+}
+
+/**
+ * Filter, sort and paginate listings.
+ * Returns { items, total, nextCursor, hasMore } where total counts every match.
+ */
+export function queryListings(listings, query) {
+  const keyOf = SORT_KEYS[query.sort];
+  const dir = query.order === 'desc' ? -1 : 1;
+  // Id breaks ties so the order is total and cursors never skip or repeat
+  const compare = (a, b) => dir * (a.key - b.key || a.id - b.id);
+
+  const sorted = listings
+    .filter(l => matches(l, query))
+    .map(l => ({ key: keyOf(l), id: l.id, listing: l }))
+    .sort(compare);
+
+  let start = query.offset;
+  if (query.cursor) {
+    start = sorted.findIndex(entry => compare(entry, query.cursor) > 0);
+    if (start < 0) start = sorted.length;
+  }
+
+  const page = sorted.slice(start, start + query.limit);
+  const hasMore = start + query.limit < sorted.length;
+  const last = page[page.length - 1];
+
+  return {
+    items: page.map(entry => entry.listing),
+    total: sorted.length,
+    nextCursor: hasMore && last
+      ? encodeCursor({ sort: query.sort, order: query.order, key: last.key, id: last.id })
+      : null,
+    hasMore,
+  };
+}
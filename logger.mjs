@@ -0,0 +1,88 @@
+/**
+ * Logger — structured JSON logs with request correlation ids
+ *
+ * Every line is one JSON object on stdout:
+ *
+ *   {"time":"2026-01-01T00:00:00.000Z","level":"info","msg":"request","reqId":"…","method":"GET","route":"/trades/:id","status":200,"durationMs":3.1}
+ *
+ * Code running while a request is handled (including upstream calls it
+ * triggers) logs that request's `reqId` automatically: withRequestId() binds
+ * it for the rest of the async call chain.
+ *
+ * Usage:
+ *   import { createLogger, withRequestId, requestIdFrom } from './logger.mjs';
+ *   const log = createLogger({ level: process.env.LOG_LEVEL });
+ *   await withRequestId(requestIdFrom(req.headers['x-request-id']), () => handle(req));
+ *   log.warn('upstream request failed', { service: 'stacks', error: err.message });
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { randomUUID } from 'crypto';
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Incoming ids are echoed back and logged, so only short opaque tokens are accepted
+const REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+const requestContext = new AsyncLocalStorage();
+
+/** The client's X-Request-Id if it is a sane token, else a new UUID */
+export function requestIdFrom(header) {
+  return header && REQUEST_ID.test(header) ? header : randomUUID();
+}
+
+/** Run fn with `reqId` attached to every log line it (transitively) writes */
+export function withRequestId(reqId, fn) {
+  return requestContext.run({ reqId }, fn);
+}
+
+/** Correlation id of the request being handled, or null outside one */
+export function currentRequestId() {
+  return requestContext.getStore()?.reqId ?? null;
+}
+
+/** Errors don't survive JSON.stringify; keep their message and stack */
+function serialize(fields) {
+  const out = {};
+  for (const [key, value] of Object.entries(fields)) {
+    out[key] = value instanceof Error ? { message: value.message, stack: value.stack } : value;
+  }
+  return out;
+}
+
+/**
+ * @param {Object} [opts]
+ * @param {string} [opts.level] - minimum level written (debug, info, warn, error)
+ * @param {Object} [opts.fields] - fields added to every line
+ * @param {Function} [opts.write] - line sink (default: stdout)
+ */
+export function createLogger({ level = 'info', fields = {}, write = line => process.stdout.write(`${line}\n`) } = {}) {
+  if (!LOG_LEVELS.includes(level)) throw new Error(`Invalid log level "${level}": expected one of ${LOG_LEVELS.join(', ')}`);
+  const threshold = LOG_LEVELS.indexOf(level);
+
+  function log(lineLevel, msg, extra = {}) {
+    if (LOG_LEVELS.indexOf(lineLevel) < threshold) return;
+    const reqId = currentRequestId();
+    write(JSON.stringify({
+      time: new Date().toISOString(),
+      level: lineLevel,
+      msg,
+      ...fields,
+      ...(reqId && { reqId }),
+      ...serialize(extra),
+    }));
+  }
+
+  return {
+    level,
+    debug: (msg, extra) => log('debug', msg, extra),
+    info: (msg, extra) => log('info', msg, extra),
+    warn: (msg, extra) => log('warn', msg, extra),
+    error: (msg, extra) => log('error', msg, extra),
+
+    /** Logger that adds `extra` fields to every line */
+    child(extra) {
+      return createLogger({ level, fields: { ...fields, ...extra }, write });
+    },
+  };
+}
@@ -0,0 +1,122 @@
+/**
+ * Metrics — Prometheus metrics for api.mjs
+ *
+ * Served in the text exposition format at GET /metrics:
+ *
+ *   http_request_duration_seconds{method,route,status,deployment}   histogram
+ *   upstream_request_duration_seconds{service,deployment,outcome}   histogram
+ *       service: stacks | ordinals | ledger; outcome: ok | error
+ *       (_count gives call counts, outcome="error" the error rate)
+ *   cache_lookups_total{cache,result}                               counter
+ *       cache: stacks_read_only | inscription_content; result: hit | miss
+ *   escrow_listings{deployment,status}                              gauge
+ *   escrow_index_height / escrow_index_burn_height{deployment}      gauge
+ *   escrow_index_last_sync_timestamp_seconds{deployment}            gauge
+ *   escrow_index_sync_failing{deployment}                           gauge (1 if the last sync failed)
+ *   escrow_feed_subscribers{deployment}                             gauge
+ *   escrow_webhook_deliveries{deployment,status}                    gauge
+ *   escrow_settlements_logged{deployment}                           gauge
+ *   stacks_node_circuit_open{deployment,node}                       gauge
+ *   stacks_client_requests_in_flight / _queued{deployment}          gauge
+ *   inscription_content_cache_bytes                                 gauge
+ * plus prom-client's default process metrics (CPU, memory, event loop lag, GC).
+ *
+ * Request and upstream metrics are recorded as they happen; the state gauges
+ * are read from a snapshot (see createMetrics' `snapshot`) on each scrape.
+ *
+ * Usage:
+ *   import { createMetrics } from './metrics.mjs';
+ *   const metrics = createMetrics({ snapshot: () => ({ deployments: [...], contentCache }) });
+ *   metrics.observeRequest({ method: 'GET', route: '/trades/:id', status: 200, deployment, durationMs: 3.1 });
+ *   const { contentType, body } = await metrics.render();
+ */
+
+import client from 'prom-client';
+
+// Seconds; API handlers answer from the local index, upstream calls cross the network
+const HTTP_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const UPSTREAM_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+/**
+ * @param {Object} opts
+ * @param {Function} opts.snapshot - () => { deployments: [{ key, stats, index, feedSubscribers,
+ *   webhooks, settlements, stacks }], contentCache } — see api.mjs
+ * @param {boolean} [opts.defaultMetrics] - include process metrics
+ */
+export function createMetrics({ snapshot, defaultMetrics = true }) {
+  const registry = new client.Registry();
+  if (defaultMetrics) client.collectDefaultMetrics({ register: registry });
+
+  const registers = [registry];
+  const histogram = (name, help, labelNames, buckets) => new client.Histogram({ name, help, labelNames, buckets, registers });
+  const gauge = (name, help, labelNames = []) => new client.Gauge({ name, help, labelNames, registers });
+
+  const httpDuration = histogram('http_request_duration_seconds', 'API request latency by route and status',
+    ['method', 'route', 'status', 'deployment'], HTTP_BUCKETS);
+  const upstreamDuration = histogram('upstream_request_duration_seconds', 'Upstream (Stacks, Ordinals, ledger) call latency by outcome',
+    ['service', 'deployment', 'outcome'], UPSTREAM_BUCKETS);
+  const cacheLookups = new client.Counter({
+    name: 'cache_lookups_total', help: 'Cache lookups by result', labelNames: ['cache', 'result'], registers,
+  });
+
+  const state = {
+    listings: gauge('escrow_listings', 'Indexed listings by status', ['deployment', 'status']),
+    height: gauge('escrow_index_height', 'Stacks block height the index is synced to', ['deployment']),
+    burnHeight: gauge('escrow_index_burn_height', 'Bitcoin block height of the indexed tip', ['deployment']),
+    lastSync: gauge('escrow_index_last_sync_timestamp_seconds', 'Time of the last index sync attempt', ['deployment']),
+    syncFailing: gauge('escrow_index_sync_failing', '1 if the last index sync failed', ['deployment']),
+    subscribers: gauge('escrow_feed_subscribers', 'Live update subscribers (SSE, WebSocket, webhooks)', ['deployment']),
+    deliveries: gauge('escrow_webhook_deliveries', 'Webhook deliveries in the log by status', ['deployment', 'status']),
+    settlements: gauge('escrow_settlements_logged', 'Settlements logged to the public ledger', ['deployment']),
+    circuitOpen: gauge('stacks_node_circuit_open', '1 while a Stacks node is skipped by its circuit breaker', ['deployment', 'node']),
+    inFlight: gauge('stacks_client_requests_in_flight', 'Stacks requests in flight', ['deployment']),
+    queued: gauge('stacks_client_requests_queued', 'Stacks requests waiting for a concurrency slot', ['deployment']),
+    contentBytes: gauge('inscription_content_cache_bytes', 'Inscription content held in the cache'),
+  };
+
+  /** Refresh the state gauges; series for removed nodes / statuses are dropped with reset() */
+  function collectState() {
+    const { deployments, contentCache } = snapshot();
+    for (const g of Object.values(state)) g.reset();
+
+    for (const { key: deployment, stats, index, feedSubscribers, webhooks, settlements, stacks } of deployments) {
+      const { total, ...byStatus } = stats;
+      for (const [status, count] of Object.entries(byStatus)) state.listings.set({ deployment, status }, count);
+      state.height.set({ deployment }, index.height);
+      state.burnHeight.set({ deployment }, index.burnHeight);
+      if (index.lastSyncAt) state.lastSync.set({ deployment }, Date.parse(index.lastSyncAt) / 1000);
+      state.syncFailing.set({ deployment }, index.lastError ? 1 : 0);
+      state.subscribers.set({ deployment }, feedSubscribers);
+      for (const [status, count] of Object.entries(webhooks.deliveries)) state.deliveries.set({ deployment, status }, count);
+      state.settlements.set({ deployment }, settlements);
+      for (const node of stacks.nodes) state.circuitOpen.set({ deployment, node: node.url }, node.circuit === 'open' ? 1 : 0);
+      state.inFlight.set({ deployment }, stacks.inFlight);
+      state.queued.set({ deployment }, stacks.queued);
+    }
+    if (contentCache) state.contentBytes.set(contentCache.bytes);
+  }
+
+  return {
+    registry,
+
+    /** One API request; `route` is the matched route pattern, never the raw path */
+    observeRequest({ method, route, status, deployment, durationMs }) {
+      httpDuration.observe({ method, route, status: String(status), deployment }, durationMs / 1000);
+    },
+
+    /** One upstream call (an HTTP request for Stacks / Ordinals, an operation for the ledger) */
+    observeUpstream({ service, deployment, durationMs, error = false }) {
+      upstreamDuration.observe({ service, deployment, outcome: error ? 'error' : 'ok' }, durationMs / 1000);
+    },
+
+    observeCache(cache, hit) {
+      cacheLookups.inc({ cache, result: hit ? 'hit' : 'miss' });
+    },
+
+    /** Exposition text for a scrape: { contentType, body } */
+    async render() {
+      collectState();
+      return { contentType: registry.contentType, body: await registry.metrics() };
+    },
+  };
+}
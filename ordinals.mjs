@@ -0,0 +1,311 @@
+/**
+ * Ordinals Providers — inscription metadata and content lookups
+ *
+ * A provider is any object with:
+ *   name
+ *   getInscriptionsByOutput(txid, vout) → [metadata]   (display-order txid)
+ *   getInscription(id)                  → metadata | null
+ *   getContent(id, { maxBytes })        → { contentType, body: Buffer } | null
+ *
+ * Implementations: Hiro's Ordinals API, a self-hosted `ord` server (JSON API),
+ * and an in-memory fixture provider for tests. Providers throw on upstream
+ * failures (so callers can tell "no inscription" from "lookup failed"), including
+ * requests that take longer than timeoutMs; content larger than maxBytes throws
+ * an Error with code 'CONTENT_TOO_LARGE'.
+ *
+ * Metadata is normalized to:
+ *   { id, number, contentType, contentLength, output, sat, address, genesisHeight, timestamp }
+ *
+ * Usage:
+ *   import { createOrdinalsProvider, createContentCache } from './ordinals.mjs';
+ *   const ordinals = createOrdinalsProvider({ provider: 'ord', url: 'http://127.0.0.1:80' });
+ *   const [inscription] = await ordinals.getInscriptionsByOutput(txid, 0);
+ */
+
+export const DEFAULT_MAX_CONTENT_BYTES = 2 * 1024 * 1024;
+export const DEFAULT_TIMEOUT_MS = 10_000;
+
+const INSCRIPTION_ID = /^[0-9a-f]{64}i\d+$/;
+const MIME_TYPE = /^[a-z0-9!#$&^_.+-]+\/[a-z0-9!#$&^_.+-]+(\s*;\s*[a-z0-9!#$&^_.+-]+=("[^"]*"|[a-z0-9!#$&^_.+-]+))*$/i;
+
+export function isInscriptionId(id) {
+  return typeof id === 'string' && INSCRIPTION_ID.test(id);
+}
+
+/** Upstream content type if well-formed, else application/octet-stream */
+export function sanitizeContentType(contentType) {
+  const value = String(contentType ?? '').trim();
+  return MIME_TYPE.test(value) ? value : 'application/octet-stream';
+}
+
+function tooLarge(maxBytes) {
+  const err = new Error(`Inscription content exceeds ${maxBytes} bytes`);
+  err.code = 'CONTENT_TOO_LARGE';
+  return err;
+}
+
+/** Read a fetch response body, aborting once it passes maxBytes */
+async function readLimited(res, maxBytes) {
+  const declared = Number(res.headers.get('content-length'));
+  if (declared > maxBytes) {
+    await res.body?.cancel();
+    throw tooLarge(maxBytes);
+  }
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of res.body) {
+    size += chunk.length;
+    if (size > maxBytes) throw tooLarge(maxBytes);
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * `onRequest({ url, path, status, durationMs, error })` is called after every request (e.g. for metrics).
+ * The timeout covers the whole request, including reading the body.
+ */
+function createHttpClient(name, baseUrl, { headers = {}, onRequest = () => {}, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  return async function request(path, { json = true } = {}) {
+    const started = performance.now();
+    const report = (status, error = null) => onRequest({ url: baseUrl, path, status, durationMs: performance.now() - started, error });
+    let res;
+    try {
+      res = await fetch(`${baseUrl}${path}`, {
+        headers: { ...(json && { Accept: 'application/json' }), ...headers },
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+    } catch (err) {
+      const error = err.name === 'TimeoutError' ? new Error(`${name} timed out after ${timeoutMs}ms on ${path}`) : err;
+      report(null, error);
+      throw error;
+    }
+    if (res.status === 404) {
+      await res.body?.cancel();
+      report(404);
+      return null;
+    }
+    if (!res.ok) {
+      const text = await res.text();
+      const error = new Error(`${name} ${res.status} on ${path}: ${text.slice(0, 200)}`);
+      report(res.status, error);
+      throw error;
+    }
+    report(res.status);
+    return json ? res.json() : res;
+  };
+}
+
+// --- Hiro Ordinals API ---
+
+/**
+ * @param {Object} opts
+ * @param {string} opts.url - API base, e.g. https://api.hiro.so/ordinals/v1
+ * @param {string} [opts.apiKey] - sent as x-api-key (higher rate limits)
+ * @param {Function} [opts.onRequest] - called after every upstream request
+ * @param {number} [opts.timeoutMs] - per-request timeout
+ */
+export function createHiroProvider({ url, apiKey, onRequest, timeoutMs }) {
+  const request = createHttpClient('Hiro Ordinals API', url, {
+    headers: apiKey ? { 'x-api-key': apiKey } : {},
+    onRequest,
+    timeoutMs,
+  });
+
+  const normalize = (insc) => ({
+    id: insc.id,
+    number: insc.number,
+    contentType: insc.content_type,
+    contentLength: insc.content_length,
+    output: insc.output,
+    sat: insc.sat_ordinal !== undefined ? String(insc.sat_ordinal) : null,
+    address: insc.address ?? null,
+    genesisHeight: insc.genesis_block_height ?? null,
+    timestamp: insc.timestamp ? new Date(insc.timestamp).toISOString() : null,
+  });
+
+  return {
+    name: 'hiro',
+
+    async getInscriptionsByOutput(txid, vout) {
+      const data = await request(`/inscriptions?output=${txid}:${vout}&limit=60`);
+      return (data?.results ?? []).map(normalize);
+    },
+
+    async getInscription(id) {
+      const data = await request(`/inscriptions/${id}`);
+      return data ? normalize(data) : null;
+    },
+
+    async getContent(id, { maxBytes = DEFAULT_MAX_CONTENT_BYTES } = {}) {
+      const res = await request(`/inscriptions/${id}/content`, { json: false });
+      if (!res) return null;
+      const contentType = res.headers.get('content-type');
+      return { contentType, body: await readLimited(res, maxBytes) };
+    },
+  };
+}
+
+// --- Self-hosted ord server ---
+
+/**
+ * ord's JSON API (`ord server --enable-json-api`; responses need Accept: application/json).
+ *
+ * @param {Object} opts
+ * @param {string} opts.url - ord server base URL
+ * @param {Function} [opts.onRequest] - called after every upstream request
+ * @param {number} [opts.timeoutMs] - per-request timeout
+ * @param {number} [opts.concurrency] - max inscription lookups in flight per output
+ */
+export function createOrdProvider({ url, onRequest, timeoutMs, concurrency = 4 }) {
+  const request = createHttpClient('ord server', url, { onRequest, timeoutMs });
+
+  const normalize = (insc) => ({
+    id: insc.id,
+    number: insc.number,
+    contentType: insc.content_type ?? null,
+    contentLength: insc.content_length ?? null,
+    // satpoint is <txid>:<vout>:<offset>
+    output: insc.satpoint ? insc.satpoint.split(':').slice(0, 2).join(':') : null,
+    sat: insc.sat !== undefined && insc.sat !== null ? String(insc.sat) : null,
+    address: insc.address ?? null,
+    genesisHeight: insc.height ?? null,
+    timestamp: insc.timestamp ? new Date(insc.timestamp * 1000).toISOString() : null,
+  });
+
+  async function getInscription(id) {
+    const data = await request(`/inscription/${id}`);
+    return data ? normalize(data) : null;
+  }
+
+  return {
+    name: 'ord',
+
+    async getInscriptionsByOutput(txid, vout) {
+      const output = await request(`/output/${txid}:${vout}`);
+      const ids = output?.inscriptions ?? [];
+      // ord has no batch lookup: fetch a few at a time, keeping the output's order
+      const inscriptions = new Array(ids.length);
+      let next = 0;
+      async function worker() {
+        while (next < ids.length) {
+          const index = next++;
+          inscriptions[index] = await getInscription(ids[index]);
+        }
+      }
+      await Promise.all(Array.from({ length: Math.min(concurrency, ids.length) }, worker));
+      return inscriptions.filter(Boolean);
+    },
+
+    getInscription,
+
+    async getContent(id, { maxBytes = DEFAULT_MAX_CONTENT_BYTES } = {}) {
+      const res = await request(`/content/${id}`, { json: false });
+      if (!res) return null;
+      const contentType = res.headers.get('content-type');
+      return { contentType, body: await readLimited(res, maxBytes) };
+    },
+  };
+}
+
+// --- Fixture provider ---
+
+/**
+ * In-memory provider for tests and local development.
+ *
+ * @param {Object[]} inscriptions - [{ id, number?, contentType, content (Buffer | string), output }]
+ */
+export function createFixtureProvider(inscriptions = []) {
+  const byId = new Map();
+  for (const insc of inscriptions) {
+    const body = Buffer.isBuffer(insc.content) ? insc.content : Buffer.from(insc.content ?? '');
+    byId.set(insc.id, {
+      meta: {
+        id: insc.id,
+        number: insc.number ?? byId.size,
+        contentType: insc.contentType,
+        contentLength: body.length,
+        output: insc.output,
+        sat: insc.sat ?? null,
+        address: insc.address ?? null,
+        genesisHeight: insc.genesisHeight ?? null,
+        timestamp: insc.timestamp ?? null,
+      },
+      body,
+    });
+  }
+
+  return {
+    name: 'fixture',
+
+    async getInscriptionsByOutput(txid, vout) {
+      const output = `${txid}:${vout}`;
+      return [...byId.values()].filter(e => e.meta.output === output).map(e => e.meta);
+    },
+
+    async getInscription(id) {
+      return byId.get(id)?.meta ?? null;
+    },
+
+    async getContent(id, { maxBytes = DEFAULT_MAX_CONTENT_BYTES } = {}) {
+      const entry = byId.get(id);
+      if (!entry) return null;
+      if (entry.body.length > maxBytes) throw tooLarge(maxBytes);
+      return { contentType: entry.meta.contentType, body: entry.body };
+    },
+  };
+}
+
+/**
+ * Provider from config: { provider: 'hiro' | 'ord', url, apiKey? }, plus
+ * optional onRequest, timeoutMs and (ord) concurrency. Returns null when no
+ * provider is configured.
+ */
+export function createOrdinalsProvider({ provider, url, apiKey, onRequest, timeoutMs, concurrency }) {
+  if (!provider || !url) return null;
+  if (provider === 'hiro') return createHiroProvider({ url, apiKey, onRequest, timeoutMs });
+  if (provider === 'ord') return createOrdProvider({ url, onRequest, timeoutMs, concurrency });
+  throw new Error(`Unknown ordinals provider "${provider}": expected hiro or ord`);
+}
+
+// --- Content cache ---
+
+/**
+ * LRU cache for inscription content, bounded by total bytes.
+ * Inscription content is immutable, so entries never go stale.
+ *
+ * @param {Object} [opts]
+ * @param {number} [opts.maxBytes] - total cache size
+ */
+export function createContentCache({ maxBytes = 64 * 1024 * 1024 } = {}) {
+  // Map iteration order doubles as recency order
+  const entries = new Map();
+  let size = 0;
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry;
+    },
+
+    set(key, entry) {
+      if (entry.body.length > maxBytes) return;
+      if (entries.has(key)) size -= entries.get(key).body.length;
+      entries.delete(key);
+      entries.set(key, entry);
+      size += entry.body.length;
+      for (const [oldest, old] of entries) {
+        if (size <= maxBytes) break;
+        entries.delete(oldest);
+        size -= old.body.length;
+      }
+    },
+
+    stats() {
+      return { entries: entries.size, bytes: size, maxBytes };
+    },
+  };
+}
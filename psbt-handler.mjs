@@ -2,152 +2,334 @@
  * PSBT Atomic Swap Handler for Ordinals Inscriptions
  * 
  * Implements the standard 2-step PSBT atomic swap:
- * 1. Seller creates PSBT with inscription input + buyer payment output
- * 2. Buyer adds funding input(s) + signs → broadcasts
+ * 1. Seller creates PSBT with inscription input + payment output, signed
+ *    SIGHASH_SINGLE|ANYONECANPAY (see psbt-signer.mjs for key sources)
+ * 2. Buyer rebuilds it around their padding + funding inputs, signs → broadcasts
  * 
  * The seller's inscription UTXO goes to the buyer's address,
  * the buyer's BTC goes to the seller's address, atomically.
+ *
+ * SINGLE|ANYONECANPAY commits the seller's signature to their own input and
+ * the output at the same index, not to the input's position: the buyer moves
+ * the inscription input behind one or two padding inputs and the payment to
+ * the matching output, and the signature stays valid:
+ *
+ *   one padding UTXO
+ *     inputs:  0 padding   1 inscription   2.. funding
+ *     outputs: 0 buyer (padding + inscription value)   1 payment   2 change
+ *   two padding ("dummy") UTXOs — the buyer output holds exactly the inscription UTXO's sats
+ *     inputs:  0, 1 padding   2 inscription   3.. funding
+ *     outputs: 0 padding merged (to the change address)   1 buyer (inscription value)   2 payment   3 change
+ *
+ * Padding keeps the inscribed sat out of the payment: by first-in-first-out
+ * sat assignment (sat-flow.mjs) the sats ahead of the inscription fill the
+ * outputs ahead of the payment. completeBuyerPsbt and validateSellerPsbt
+ * simulate the flow with the inscription's offset in its UTXO and refuse
+ * swaps where it wouldn't land in the buyer's output.
+ *
+ * Every export takes a `network` option: 'mainnet' (default), 'testnet',
+ * 'signet', 'regtest' or a bitcoinjs network object. Addresses from another
+ * network are rejected with an error naming both networks.
  */
 
 import * as bitcoin from 'bitcoinjs-lib';
 import * as ecc from 'tiny-secp256k1';
-import ECPairFactory from 'ecpair';
+import { createSigner, SIGHASH_SINGLE_ANYONECANPAY } from './psbt-signer.mjs';
+import { estimateVsize, resolveFeeRate, scriptType } from './fee-estimation.mjs';
+import { selectCoins } from './coin-selection.mjs';
+import { checkInscriptionFlow, simulateSatFlow, traceSat } from './sat-flow.mjs';
 
 bitcoin.initEccLib(ecc);
-const ECPair = ECPairFactory(ecc);
 
 const DUST_LIMIT = 546;
 
+// Signet shares testnet's address and key prefixes
+export const NETWORKS = {
+  mainnet: bitcoin.networks.bitcoin,
+  testnet: bitcoin.networks.testnet,
+  signet: bitcoin.networks.testnet,
+  regtest: bitcoin.networks.regtest,
+};
+
+/** bitcoinjs network for a network name (or a bitcoinjs network, passed through) */
+export function resolveNetwork(network = 'mainnet') {
+  if (typeof network === 'object' && network.bech32) return network;
+  const resolved = NETWORKS[network];
+  if (!resolved) throw new Error(`Unknown network "${network}": expected one of ${Object.keys(NETWORKS).join(', ')}`);
+  return resolved;
+}
+
+const NETWORK_LABELS = { bc: 'mainnet', tb: 'testnet/signet', bcrt: 'regtest' };
+const networkLabel = (network) => NETWORK_LABELS[network.bech32] ?? `"${network.bech32}"`;
+
+/** scriptPubKey of `address` on `network`; names the address's own network if it is another one */
+function addressScript(address, network, role) {
+  const decodes = (net) => {
+    try {
+      return bitcoin.address.toOutputScript(address, net);
+    } catch {
+      return null;
+    }
+  };
+  const script = decodes(network);
+  if (script) return script;
+  const other = [NETWORKS.mainnet, NETWORKS.testnet, NETWORKS.regtest].find(decodes);
+  throw new Error(other
+    ? `${role} ${address} is a ${networkLabel(other)} address, but this swap is on ${networkLabel(network)}`
+    : `${role} ${address} is not a valid Bitcoin address`);
+}
+
+/**
+ * Outputs ahead of the payment for a swap with these padding input values
+ * (layouts in the module header). The inscription input and the payment
+ * output both sit at index `paddingValues.length`.
+ */
+function swapLayout(paddingValues, inscriptionValue) {
+  if (paddingValues.length === 1) {
+    return { buyerOutput: 0, outputs: [{ role: 'buyer', value: paddingValues[0] + inscriptionValue }] };
+  }
+  if (paddingValues.length === 2) {
+    return {
+      buyerOutput: 1,
+      outputs: [{ role: 'padding', value: paddingValues[0] + paddingValues[1] }, { role: 'buyer', value: inscriptionValue }],
+    };
+  }
+  throw new Error(`Expected one or two padding UTXOs, got ${paddingValues.length}`);
+}
+
 /**
- * Create a seller-side PSBT for an inscription swap.
- * Seller signs their inscription input, buyer adds funding later.
+ * Create a seller-side PSBT for an inscription swap, signed by the seller.
  * 
  * @param {Object} opts
  * @param {string} opts.inscriptionUtxoTxid - txid of the inscription UTXO
  * @param {number} opts.inscriptionUtxoVout - vout of the inscription UTXO
  * @param {number} opts.inscriptionUtxoValue - value in sats of the inscription UTXO
- * @param {Buffer} opts.inscriptionUtxoScript - scriptPubKey of the inscription UTXO
+ * @param {Buffer} opts.inscriptionUtxoScript - scriptPubKey of the inscription UTXO (P2WPKH or P2TR)
  * @param {string} opts.sellerAddress - seller's payment receive address
- * @param {string} opts.buyerAddress - buyer's inscription receive address (taproot preferred)
  * @param {number} opts.priceSats - agreed price in satoshis
- * @param {Buffer} opts.sellerPrivKey - seller's private key (WIF or Buffer)
- * @returns {string} base64 PSBT (partially signed — seller's input signed)
+ * @param {Object} opts.signer - createSigner() result, or a key source to build one from
+ * @param {string|Object} [opts.network] - see the module header
+ * @returns {Promise<string>} base64 PSBT (seller's input signed SIGHASH_SINGLE|ANYONECANPAY)
  */
-export function createSellerPsbt({
+export async function createSellerPsbt({
   inscriptionUtxoTxid,
   inscriptionUtxoVout,
   inscriptionUtxoValue,
   inscriptionUtxoScript,
   sellerAddress,
-  buyerAddress,
   priceSats,
+  signer,
+  network: networkOpt,
 }) {
-  const network = bitcoin.networks.bitcoin;
+  if (!signer) throw new Error('createSellerPsbt needs a signer for the inscription input');
+  const network = resolveNetwork(networkOpt);
   const psbt = new bitcoin.Psbt({ network });
 
-  // Input 0: Seller's inscription UTXO (seller will sign)
+  // Input 0: Seller's inscription UTXO
   psbt.addInput({
     hash: inscriptionUtxoTxid,
     index: inscriptionUtxoVout,
     witnessUtxo: {
       script: inscriptionUtxoScript,
-      value: inscriptionUtxoValue,
+      value: BigInt(inscriptionUtxoValue),
     },
   });
 
-  // Output 0: Inscription goes to buyer (dust value to carry inscription)
+  // Output 0: Payment goes to seller — the output the signature commits to
   psbt.addOutput({
-    address: buyerAddress,
-    value: DUST_LIMIT,
+    script: addressScript(sellerAddress, network, 'Seller address'),
+    value: BigInt(priceSats),
   });
 
-  // Output 1: Payment goes to seller
-  psbt.addOutput({
-    address: sellerAddress,
-    value: priceSats,
-  });
+  // WIF / xprv key sources are checked against the swap's network too
+  const keySigner = signer.signPsbtInput ? signer : createSigner({ network, ...signer });
+  await keySigner.signPsbtInput(psbt, 0, SIGHASH_SINGLE_ANYONECANPAY);
 
-  // Note: Buyer will add their funding input(s) and change output
-  // Seller signs input 0 with SIGHASH_SINGLE | SIGHASH_ANYONECANPAY
-  // This allows the buyer to add inputs/outputs without invalidating seller's sig
-  
   return psbt.toBase64();
 }
 
 /**
- * Buyer completes the PSBT by adding funding inputs and signing.
+ * Buyer completes the seller's PSBT: builds the swap transaction around the
+ * seller's signed input (layout in the module header) and adds change.
+ *
+ * The fee is sized from each input's witnessUtxo script type and each
+ * output's script (see fee-estimation.mjs). Change at or below dust is
+ * left to the fee instead.
+ *
+ * Refuses to build a swap whose inscription wouldn't land in the buyer's
+ * output (see sat-flow.mjs).
+ *
+ * Funding is either `fundingUtxos`, all spent, or picked from `walletUtxos`
+ * by selectCoins (coin-selection.mjs), which skips inscription- and
+ * rune-bearing UTXOs and reports them in `selection.skipped`.
  * 
  * @param {Object} opts
- * @param {string} opts.psbtBase64 - seller's partially signed PSBT (base64)
- * @param {Array} opts.fundingUtxos - buyer's UTXOs [{txid, vout, value, script}]
+ * @param {string} opts.psbtBase64 - seller's signed PSBT (base64)
+ * @param {string} opts.buyerAddress - buyer's inscription receive address (taproot preferred)
+ * @param {Object} [opts.paddingUtxo] - buyer's small UTXO placed ahead of the inscription {txid, vout, value, script}
+ * @param {Array} [opts.paddingUtxos] - or two of them, for the dummy layout
+ * @param {number} [opts.inscriptionOffset] - the inscription's offset in its UTXO (ord satpoint)
+ * @param {Array} [opts.fundingUtxos] - buyer's UTXOs to spend [{txid, vout, value, script}]
+ * @param {Array} [opts.walletUtxos] - or the buyer's wallet UTXOs to select from
+ * @param {Object} [opts.assetLookup] - inscription / rune lookup for walletUtxos (default: their own fields)
  * @param {string} opts.changeAddress - buyer's change address
- * @param {number} opts.feeRate - fee rate in sat/vB
- * @param {Buffer} opts.buyerPrivKey - buyer's private key
- * @returns {string} hex of the fully signed transaction ready to broadcast
+ * @param {number|Object} opts.feeRate - fee rate in sat/vB, or a fee source ({ getFeeRate() })
+ * @param {string|Object} [opts.network] - see the module header
+ * @returns {Promise<Object>} { psbtBase64, feeRate, fee, vsize, change, sizes: { overhead, inputs, outputs },
+ *   inscription: { input, output, offset }, selection?: { algorithm, skipped } };
+ *   the buyer signs every input but the seller's (SIGHASH_ALL) and broadcasts
  */
-export function completeBuyerPsbt({
+export async function completeBuyerPsbt({
   psbtBase64,
+  buyerAddress,
+  paddingUtxo,
+  paddingUtxos,
+  inscriptionOffset = 0,
   fundingUtxos,
+  walletUtxos,
+  assetLookup,
   changeAddress,
   feeRate = 5,
+  network: networkOpt,
 }) {
-  const network = bitcoin.networks.bitcoin;
-  const psbt = bitcoin.Psbt.fromBase64(psbtBase64, { network });
+  const network = resolveNetwork(networkOpt);
+  const buyerScript = addressScript(buyerAddress, network, 'Buyer address');
+  const changeScript = addressScript(changeAddress, network, 'Change address');
+  const seller = bitcoin.Psbt.fromBase64(psbtBase64, { network });
+
+  if (seller.inputCount !== 1 || seller.txOutputs.length !== 1) {
+    throw new Error('Seller PSBT must have exactly one input (inscription) and one output (payment)');
+  }
+  const sellerInput = seller.data.inputs[0];
+  if (!sellerInput.partialSig?.length && !sellerInput.tapKeySig) {
+    throw new Error('Seller PSBT is not signed');
+  }
+  if (sellerInput.sighashType !== SIGHASH_SINGLE_ANYONECANPAY) {
+    throw new Error('Seller input must be signed SIGHASH_SINGLE|ANYONECANPAY');
+  }
+  const padding = paddingUtxos ?? (paddingUtxo ? [paddingUtxo] : []);
+  if (!padding.length) throw new Error('A padding UTXO is required ahead of the inscription input');
+  if (!fundingUtxos?.length && !walletUtxos) throw new Error('Pass fundingUtxos or walletUtxos to fund the purchase');
+
+  const rate = await resolveFeeRate(feeRate);
+  const { hash, index, sequence } = seller.txInputs[0];
+  const payment = seller.txOutputs[0];
+  const inscriptionValue = sellerInput.witnessUtxo.value;
+  const layout = swapLayout(padding.map(utxo => BigInt(utxo.value)), inscriptionValue);
+  if (layout.outputs[0].role === 'padding' && layout.outputs[0].value < DUST_LIMIT) {
+    throw new Error(`Padding UTXOs total ${layout.outputs[0].value} sats: the merged padding output would be dust`);
+  }
+
+  const psbt = new bitcoin.Psbt({ network });
+
+  // Buyer's padding UTXOs (their sats fill the outputs ahead of the inscription),
+  // then the seller's signed inscription input, carried over as is
+  for (const utxo of padding) {
+    psbt.addInput({
+      hash: utxo.txid,
+      index: utxo.vout,
+      witnessUtxo: { script: utxo.script, value: BigInt(utxo.value) },
+    });
+  }
+  psbt.addInput({ hash, index, sequence, ...sellerInput });
 
-  // Calculate how much the buyer needs to fund
-  // Output 0 = inscription (dust to buyer) — already in PSBT
-  // Output 1 = payment to seller — already in PSBT
-  const paymentToSeller = psbt.txOutputs[1].value;
-  const inscriptionDust = psbt.txOutputs[0].value;
+  // Inscription to the buyer (plus any merged padding output), then the
+  // payment to the seller at the seller input's index
+  for (const output of layout.outputs) {
+    psbt.addOutput({ script: output.role === 'buyer' ? buyerScript : changeScript, value: output.value });
+  }
+  psbt.addOutput({ script: payment.script, value: payment.value });
+
+  let funding = fundingUtxos;
+  let selection = null;
+  if (walletUtxos) {
+    // Inputs must cover the payment and the fee for everything but themselves
+    // (+1 vbyte: the whole transaction's vsize is rounded up once)
+    const base = estimateVsize({
+      inputs: psbt.data.inputs.map(input => ({ script: input.witnessUtxo.script, sighashType: input.sighashType })),
+      outputs: psbt.txOutputs.map(output => ({ script: output.script })),
+    });
+    selection = await selectCoins({
+      utxos: walletUtxos,
+      target: Number(payment.value) + (base.vsize + 1) * rate,
+      feeRate: rate,
+      changeScript,
+      lookup: assetLookup,
+      reserved: padding.map(utxo => `${utxo.txid}:${utxo.vout}`),
+    });
+    funding = selection.selected;
+  }
 
   // Add buyer's funding inputs
-  let totalFunding = 0;
-  for (const utxo of fundingUtxos) {
+  let totalFunding = 0n;
+  for (const utxo of funding) {
     psbt.addInput({
       hash: utxo.txid,
       index: utxo.vout,
       witnessUtxo: {
         script: utxo.script,
-        value: utxo.value,
+        value: BigInt(utxo.value),
       },
     });
-    totalFunding += utxo.value;
+    totalFunding += BigInt(utxo.value);
   }
 
-  // Estimate fee (rough: inputs * 68 + outputs * 31 + 10 overhead for segwit)
-  const estimatedInputs = psbt.inputCount;
-  const estimatedOutputs = 3; // inscription + payment + change
-  const estimatedVsize = estimatedInputs * 68 + estimatedOutputs * 31 + 10;
-  const fee = Math.ceil(estimatedVsize * feeRate);
-
-  // Buyer needs to cover: payment to seller + inscription dust + fee
-  // (The inscription input value comes from seller, but dust goes to buyer output)
-  const buyerNeeds = paymentToSeller + fee;
-  const change = totalFunding - buyerNeeds;
+  // Size the transaction with and without a change output
+  const inputs = psbt.data.inputs.map(input => ({ script: input.witnessUtxo.script, sighashType: input.sighashType }));
+  const outputs = psbt.txOutputs.map(output => ({ script: output.script }));
+  const feeFor = (size) => BigInt(Math.ceil(size.vsize * rate));
 
-  if (change < 0) {
-    throw new Error(`Insufficient funds: need ${buyerNeeds} sats, have ${totalFunding} sats`);
-  }
+  // Buyer needs to cover: payment to seller + fee
+  // (padding and inscription sats pass through to the outputs ahead of the payment)
+  let size = estimateVsize({ inputs, outputs: [...outputs, { script: changeScript }] });
+  let fee = feeFor(size);
+  let change = totalFunding - payment.value - fee;
 
-  // Add change output if above dust
   if (change > DUST_LIMIT) {
-    psbt.addOutput({
-      address: changeAddress,
-      value: change,
-    });
+    psbt.addOutput({ script: changeScript, value: change });
+  } else {
+    // No change output: whatever is left over goes to the fee
+    size = estimateVsize({ inputs, outputs });
+    const buyerNeeds = payment.value + feeFor(size);
+    if (totalFunding < buyerNeeds) {
+      throw new Error(`Insufficient funds: need ${buyerNeeds} sats, have ${totalFunding} sats`);
+    }
+    fee = totalFunding - payment.value;
+    change = 0n;
   }
 
-  return psbt.toBase64();
+  const flow = checkInscriptionFlow({
+    inputs: psbt.data.inputs.map(input => input.witnessUtxo.value),
+    outputs: psbt.txOutputs.map(output => output.value),
+  }, { input: padding.length, offset: inscriptionOffset, expectedOutput: layout.buyerOutput });
+  if (!flow.ok) throw new Error(flow.error);
+
+  return {
+    psbtBase64: psbt.toBase64(),
+    feeRate: rate,
+    fee: Number(fee),
+    vsize: size.vsize,
+    change: Number(change),
+    sizes: {
+      overhead: size.overhead,
+      inputs: size.inputs.map((input, i) => ({ index: i, ...input })),
+      outputs: size.outputs.map((output, i) => ({ index: i, ...output })),
+    },
+    inscription: { input: padding.length, output: flow.output, offset: Number(flow.offset) },
+    ...(selection && { selection: { algorithm: selection.algorithm, skipped: selection.skipped } }),
+  };
 }
 
 /**
  * Parse and display PSBT details for verification before signing.
  * 
  * @param {string} psbtBase64 
+ * @param {Object} [opts]
+ * @param {string|Object} [opts.network] - for decoding output addresses (see the module header)
  * @returns {Object} parsed PSBT summary
  */
-export function parsePsbt(psbtBase64) {
-  const network = bitcoin.networks.bitcoin;
+export function parsePsbt(psbtBase64, { network: networkOpt } = {}) {
+  const network = resolveNetwork(networkOpt);
   const psbt = bitcoin.Psbt.fromBase64(psbtBase64, { network });
 
   const inputs = psbt.txInputs.map((input, i) => ({
@@ -155,16 +337,17 @@ export function parsePsbt(psbtBase64) {
     txid: Buffer.from(input.hash).reverse().toString('hex'),
     vout: input.index,
     witnessUtxo: psbt.data.inputs[i].witnessUtxo ? {
-      value: psbt.data.inputs[i].witnessUtxo.value,
-      script: psbt.data.inputs[i].witnessUtxo.script.toString('hex'),
+      value: Number(psbt.data.inputs[i].witnessUtxo.value),
+      script: Buffer.from(psbt.data.inputs[i].witnessUtxo.script).toString('hex'),
     } : null,
-    signed: !!(psbt.data.inputs[i].partialSig?.length || psbt.data.inputs[i].finalScriptWitness),
+    signed: !!(psbt.data.inputs[i].partialSig?.length || psbt.data.inputs[i].tapKeySig || psbt.data.inputs[i].finalScriptWitness),
+    sighashType: psbt.data.inputs[i].sighashType ?? null,
   }));
 
   const outputs = psbt.txOutputs.map((output, i) => ({
     index: i,
     address: output.address,
-    value: output.value,
+    value: Number(output.value),
   }));
 
   return {
@@ -179,61 +362,325 @@ export function parsePsbt(psbtBase64) {
 }
 
 /**
- * Validate a seller's PSBT before buyer completes it.
- * Checks: correct inscription input, correct outputs, sane values.
+ * Validate a seller's PSBT before the buyer completes or signs it.
+ *
+ * Takes the seller's PSBT (inscription input + payment output) or the
+ * completed swap (completeBuyerPsbt's result, before the buyer signs).
+ * The seller's input is the one spending the expected inscription outpoint;
+ * its payment is the output at the same index (what SIGHASH_SINGLE covers).
+ * Checks:
+ *   - the inscription outpoint (txid and vout) and the payment amount / address
+ *   - the seller's signature: present, SIGHASH_SINGLE|ANYONECANPAY (signature
+ *     and PSBT_IN_SIGHASH_TYPE agreeing), by the input's key, and valid
+ *   - the witnessUtxo against the previous transaction, when it is in the
+ *     PSBT (non-witness UTXO) or passed in `prevTxs`
+ *   - where the inscription lands (sat-flow.mjs): in the planned layout for a
+ *     seller's PSBT, in the actual outputs — paying `buyerAddress` — for a
+ *     completed one
+ *   - outputs the seller's signature doesn't cover and nobody expects
+ *
+ * Findings are { severity: 'error' | 'warning' | 'info', code, message, input?, output? };
+ * the PSBT is valid when there are no errors.
+ *
+ * @param {string} psbtBase64
+ * @param {string} expectedInscription - inscription UTXO as "txid:vout" (or a txid; the vout is then unchecked)
+ * @param {number} expectedPrice - payment to the seller in sats
+ * @param {Object} [opts]
+ * @param {string|Object} [opts.network] - see the module header
+ * @param {number} [opts.inscriptionOffset] - the inscription's offset in its UTXO (ord satpoint)
+ * @param {number} [opts.paddingCount] - padding inputs the buyer will use (1, or 2 for the dummy layout)
+ * @param {string} [opts.sellerAddress] - where the payment must go
+ * @param {string} [opts.buyerAddress] - where the inscription must go (completed swaps)
+ * @param {string} [opts.changeAddress] - the buyer's change / padding address (completed swaps)
+ * @param {string[]} [opts.prevTxs] - raw previous transactions (hex) to check witnessUtxos against
+ * @returns {{ valid: boolean, errors: string[], findings: Object[], parsed: Object|null }}
  */
-export function validateSellerPsbt(psbtBase64, expectedInscriptionTxid, expectedPrice) {
-  const parsed = parsePsbt(psbtBase64);
-  const errors = [];
+export function validateSellerPsbt(psbtBase64, expectedInscription, expectedPrice, {
+  network: networkOpt,
+  inscriptionOffset = 0,
+  paddingCount = 1,
+  sellerAddress,
+  buyerAddress,
+  changeAddress,
+  prevTxs = [],
+} = {}) {
+  const findings = [];
+  const finding = (severity, code, message, where = {}) => findings.push({ severity, code, message, ...where });
+  const result = (parsed) => ({
+    valid: !findings.some(f => f.severity === 'error'),
+    errors: findings.filter(f => f.severity === 'error').map(f => f.message),
+    findings,
+    parsed,
+  });
 
-  if (parsed.inputCount < 1) errors.push('No inputs in PSBT');
-  if (parsed.outputCount < 2) errors.push('Expected at least 2 outputs (inscription + payment)');
-  
-  // Check inscription input
-  if (parsed.inputs[0]?.txid !== expectedInscriptionTxid) {
-    errors.push(`Input 0 txid mismatch: expected ${expectedInscriptionTxid}, got ${parsed.inputs[0]?.txid}`);
+  const network = resolveNetwork(networkOpt);
+  let psbt, parsed;
+  try {
+    psbt = bitcoin.Psbt.fromBase64(psbtBase64, { network });
+    parsed = parsePsbt(psbtBase64, { network });
+  } catch (err) {
+    finding('error', 'psbt-decode', `Not a valid PSBT: ${err.message}`);
+    return result(null);
+  }
+  const partyScript = (address, role) => {
+    if (!address) return null;
+    try {
+      return addressScript(address, network, role);
+    } catch (err) {
+      finding('error', 'address-invalid', err.message);
+      return null;
+    }
+  };
+  const sellerScript = partyScript(sellerAddress, 'Seller address');
+  const buyerScript = partyScript(buyerAddress, 'Buyer address');
+  const changeScript = partyScript(changeAddress, 'Change address');
+  const sameScript = (a, b) => Buffer.from(a).equals(Buffer.from(b));
+
+  // --- Inscription input ---
+  const [expectedTxid, expectedVout] = expectedInscription.split(':');
+  const candidates = parsed.inputs.filter(i => i.txid === expectedTxid);
+  const sellerIndex = (expectedVout === undefined ? candidates[0] : candidates.find(i => i.vout === Number(expectedVout)))?.index;
+  if (sellerIndex === undefined) {
+    finding('error', 'inscription-input', candidates.length
+      ? `No input spends ${expectedInscription}: inputs from that transaction spend vout ${candidates.map(i => i.vout).join(', ')}`
+      : `No input spends the inscription transaction ${expectedTxid}`);
+    return result(parsed);
+  }
+  const at = { input: sellerIndex };
+  if (expectedVout === undefined) {
+    finding('warning', 'inscription-vout-unchecked', `Input ${sellerIndex} spends ${expectedTxid}:${parsed.inputs[sellerIndex].vout}; no vout was given to check it against`, at);
+  }
+  const completed = parsed.inputCount > 1;
+  if (!completed && parsed.outputCount !== 1) {
+    finding('error', 'output-count', `Expected 1 output (payment) in the seller's PSBT, got ${parsed.outputCount}`);
   }
 
-  // Check payment output matches expected price
-  if (parsed.outputs[1]?.value !== expectedPrice) {
-    errors.push(`Payment amount mismatch: expected ${expectedPrice}, got ${parsed.outputs[1]?.value}`);
+  // --- Payment ---
+  const payment = parsed.outputs[sellerIndex];
+  if (!payment) {
+    finding('error', 'payment-missing', `No output ${sellerIndex}: SIGHASH_SINGLE on input ${sellerIndex} has no payment to commit to`, at);
+  } else {
+    if (payment.value !== expectedPrice) {
+      finding('error', 'payment-amount', `Payment amount mismatch: expected ${expectedPrice}, got ${payment.value}`, { output: sellerIndex });
+    }
+    if (sellerScript && !sameScript(psbt.txOutputs[sellerIndex].script, sellerScript)) {
+      finding('error', 'payment-address', `Payment goes to ${payment.address ?? 'a non-standard script'}, not the seller's ${sellerAddress}`, { output: sellerIndex });
+    }
   }
 
-  // Check inscription output is dust
-  if (parsed.outputs[0]?.value > 1000) {
-    errors.push(`Inscription output too large (${parsed.outputs[0]?.value} sats) — should be dust`);
+  // --- Seller signature ---
+  const input = psbt.data.inputs[sellerIndex];
+  const utxo = input.witnessUtxo;
+  if (!utxo) finding('error', 'witness-utxo-missing', 'Inscription input has no witnessUtxo', at);
+
+  const sigHashTypes = input.tapKeySig
+    ? [input.tapKeySig.length === 65 ? input.tapKeySig[64] : bitcoin.Transaction.SIGHASH_DEFAULT]
+    : (input.partialSig ?? []).map(({ signature }) => bitcoin.script.signature.decode(signature).hashType);
+  if (!sigHashTypes.length) {
+    finding('error', 'signature-missing', 'Inscription input is not signed', at);
+  } else {
+    if (sigHashTypes.some(type => type !== SIGHASH_SINGLE_ANYONECANPAY)) {
+      finding('error', 'sighash-type', `Inscription input must be signed SIGHASH_SINGLE|ANYONECANPAY (0x83), got 0x${sigHashTypes[0].toString(16).padStart(2, '0')}`, at);
+    }
+    if (input.sighashType !== undefined && sigHashTypes.some(type => type !== input.sighashType)) {
+      finding('error', 'sighash-mismatch', `The signature's sighash type differs from the PSBT's recorded one (0x${input.sighashType.toString(16)})`, at);
+    }
+    if (input.sighashType === undefined) {
+      finding('info', 'sighash-unrecorded', 'The sighash type is not recorded on the input (PSBT_IN_SIGHASH_TYPE)', at);
+    }
+    if (utxo && input.partialSig) {
+      const program = Buffer.from(utxo.script).subarray(2);
+      if (scriptType(utxo.script) !== 'p2wpkh' || input.partialSig.some(({ pubkey }) => !program.equals(Buffer.from(bitcoin.crypto.hash160(pubkey))))) {
+        finding('error', 'signature-key', 'The signing key does not match the inscription UTXO\'s script', at);
+      }
+    }
+    if (utxo && payment) {
+      let valid = false;
+      try {
+        valid = psbt.validateSignaturesOfInput(sellerIndex, (pubkey, hash, signature) => (
+          pubkey.length === 32 ? ecc.verifySchnorr(hash, pubkey, signature) : ecc.verify(hash, pubkey, signature)
+        ));
+      } catch (err) {
+        finding('error', 'signature-invalid', `Seller signature cannot be verified: ${err.message}`, at);
+      }
+      if (!valid && !findings.some(f => f.code === 'signature-invalid')) {
+        finding('error', 'signature-invalid', 'Seller signature does not verify against this input and payment', at);
+      }
+    }
   }
 
-  return {
-    valid: errors.length === 0,
-    errors,
-    parsed,
+  // --- Previous transaction ---
+  const spentTxid = parsed.inputs[sellerIndex].txid;
+  const decodeTx = (hex, source) => {
+    try {
+      return bitcoin.Transaction.fromHex(hex);
+    } catch {
+      finding('warning', 'prev-tx-decode', `${source} could not be decoded`, at);
+      return null;
+    }
   };
+  const nonWitnessTx = input.nonWitnessUtxo && decodeTx(Buffer.from(input.nonWitnessUtxo).toString('hex'), 'The input\'s non-witness UTXO');
+  if (nonWitnessTx && nonWitnessTx.getId() !== spentTxid) {
+    finding('error', 'prev-tx-mismatch', `The input's non-witness UTXO is ${nonWitnessTx.getId()}, not the transaction it spends from`, at);
+  }
+  const prevTx = [nonWitnessTx, ...prevTxs.map((hex, i) => decodeTx(hex, `Previous transaction ${i}`))]
+    .find(tx => tx?.getId() === spentTxid);
+  if (!prevTx) {
+    finding('warning', 'prev-tx-unchecked', prevTxs.length
+      ? `witnessUtxo not checked: none of the given previous transactions is ${spentTxid}`
+      : 'witnessUtxo not checked against the previous transaction (pass it in prevTxs)', at);
+  } else if (utxo) {
+    const prevOut = prevTx.outs[parsed.inputs[sellerIndex].vout];
+    if (!prevOut) {
+      finding('error', 'prev-tx-vout', `The previous transaction has no output ${parsed.inputs[sellerIndex].vout}`, at);
+    } else if (prevOut.value !== utxo.value || !sameScript(prevOut.script, utxo.script)) {
+      finding('error', 'witness-utxo-mismatch', `witnessUtxo (${utxo.value} sats) does not match the previous output (${prevOut.value} sats${sameScript(prevOut.script, utxo.script) ? '' : ', different script'})`, at);
+    }
+  }
+
+  // --- Where the inscription lands ---
+  if (utxo && (inscriptionOffset < 0 || inscriptionOffset >= utxo.value)) {
+    finding('error', 'inscription-offset', `Inscription offset ${inscriptionOffset} is outside the inscription UTXO (${utxo.value} sats)`, at);
+  } else if (utxo && payment && !completed) {
+    // Planned layout; padding values are nominal: in both layouts only the
+    // inscription's offset and its UTXO's value decide
+    const paddingValues = Array(paddingCount).fill(BigInt(DUST_LIMIT));
+    const layout = swapLayout(paddingValues, utxo.value);
+    const flow = checkInscriptionFlow({
+      inputs: [...paddingValues, utxo.value],
+      outputs: [...layout.outputs, psbt.txOutputs[sellerIndex]],
+    }, { input: paddingCount, offset: inscriptionOffset, expectedOutput: layout.buyerOutput });
+    if (!flow.ok) finding('error', 'inscription-flow', flow.error, at);
+    if (buyerAddress) finding('info', 'buyer-destination-deferred', 'The buyer output is added when the swap is completed', at);
+  } else if (utxo && completed) {
+    let landed = null;
+    if (psbt.data.inputs.some(i => !i.witnessUtxo)) {
+      finding('warning', 'inscription-flow-unchecked', 'Some inputs have no witnessUtxo: the inscription\'s destination cannot be simulated');
+    } else {
+      landed = traceSat({
+        inputs: psbt.data.inputs.map(i => i.witnessUtxo.value),
+        outputs: psbt.txOutputs.map(o => o.value),
+      }, { input: sellerIndex, offset: inscriptionOffset });
+      if (landed.output === null) {
+        finding('error', 'inscription-flow', 'Inscription would be spent as fee', at);
+      } else if (landed.output === sellerIndex) {
+        finding('error', 'inscription-flow', 'Inscription would land in the seller\'s payment output', { output: landed.output });
+      } else if (!buyerScript) {
+        finding('warning', 'buyer-destination-unchecked', `Inscription lands in output ${landed.output} (${parsed.outputs[landed.output].address ?? 'non-standard script'}); no buyer address was given to check it against`, { output: landed.output });
+      } else if (!sameScript(psbt.txOutputs[landed.output].script, buyerScript)) {
+        finding('error', 'buyer-destination', `Inscription lands in output ${landed.output}, paying ${parsed.outputs[landed.output].address ?? 'a non-standard script'}, not the buyer's ${buyerAddress}`, { output: landed.output });
+      }
+    }
+
+    // Anything but the payment, the inscription's output and the buyer's own outputs
+    psbt.txOutputs.forEach((output, i) => {
+      if (i === sellerIndex || i === landed?.output) return;
+      if ((buyerScript && sameScript(output.script, buyerScript)) || (changeScript && sameScript(output.script, changeScript))) return;
+      finding('warning', 'unexpected-output', `Output ${i} pays ${output.value} sats to ${parsed.outputs[i].address ?? 'a non-standard script'}, not a known buyer address`, { output: i });
+    });
+  }
+  if (!completed) {
+    parsed.outputs.forEach((output, i) => {
+      if (i !== sellerIndex) finding('error', 'unexpected-output', `Output ${i} (${output.value} sats to ${output.address ?? 'a non-standard script'}) is not covered by the seller's signature`, { output: i });
+    });
+  }
+
+  return result(parsed);
 }
 
 // --- CLI interface (only when run directly) ---
 const isMain = import.meta.url === `file://${process.argv[1]}` || process.argv[1]?.endsWith('psbt-handler.mjs');
-const [,, command, ...args] = process.argv;
+const [,, command, ...argv] = process.argv;
 if (isMain) {
 
+// --<name> <value> options; --network applies to every command
+const flags = {};
+const args = [];
+for (let i = 0; i < argv.length; i++) {
+  if (argv[i].startsWith('--')) flags[argv[i].slice(2)] = argv[++i];
+  else args.push(argv[i]);
+}
+const network = flags.network ?? 'mainnet';
+try {
+  resolveNetwork(network);
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+
 if (command === 'parse') {
   const psbtBase64 = args[0];
-  if (!psbtBase64) { console.error('Usage: node psbt-handler.mjs parse <base64>'); process.exit(1); }
-  console.log(JSON.stringify(parsePsbt(psbtBase64), null, 2));
+  if (!psbtBase64) { console.error('Usage: node psbt-handler.mjs parse <base64> [--network <name>]'); process.exit(1); }
+  console.log(JSON.stringify(parsePsbt(psbtBase64, { network }), null, 2));
 }
 
 else if (command === 'validate') {
-  const [psbtBase64, inscTxid, price] = args;
-  if (!psbtBase64 || !inscTxid || !price) {
-    console.error('Usage: node psbt-handler.mjs validate <base64> <inscription-txid> <price-sats>');
+  const [psbtBase64, inscription, price] = args;
+  if (!psbtBase64 || !inscription || !price) {
+    console.error('Usage: node psbt-handler.mjs validate <base64> <inscription-txid[:vout]> <price-sats> [--offset <n>] [--padding 1|2]\n'
+      + '  [--seller <address>] [--buyer <address>] [--change <address>] [--prev-tx <hex>[,<hex>...]] [--network <name>]');
     process.exit(1);
   }
-  const result = validateSellerPsbt(psbtBase64, inscTxid, parseInt(price));
+  const result = validateSellerPsbt(psbtBase64, inscription, parseInt(price), {
+    network,
+    inscriptionOffset: parseInt(flags.offset ?? '0'),
+    paddingCount: parseInt(flags.padding ?? '1'),
+    sellerAddress: flags.seller,
+    buyerAddress: flags.buyer,
+    changeAddress: flags.change,
+    prevTxs: flags['prev-tx']?.split(',') ?? [],
+  });
   console.log(JSON.stringify(result, null, 2));
+  if (!result.valid) process.exitCode = 1;
+}
+
+else if (command === 'flow') {
+  const [psbtBase64, input, offset = '0'] = args;
+  if (!psbtBase64 || input === undefined) {
+    console.error('Usage: node psbt-handler.mjs flow <base64> <inscription-input> [offset] [--network <name>]');
+    process.exit(1);
+  }
+  const { inputs, outputs } = parsePsbt(psbtBase64, { network });
+  const tx = { inputs: inputs.map(i => i.witnessUtxo?.value ?? 0), outputs: outputs.map(o => o.value) };
+  try {
+    // output null: spent as fee
+    const inscription = traceSat(tx, { input: parseInt(input), offset: parseInt(offset) });
+    console.log(JSON.stringify({ inscription, ...simulateSatFlow(tx) },
+      (key, value) => (typeof value === 'bigint' ? Number(value) : value), 2));
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
 }
 
 else if (command === 'create-seller') {
-  console.log('Seller PSBT creation requires private key — use programmatically, not CLI');
+  // Keys come from the environment, not argv, to keep them out of shell history and `ps`
+  const [inscription, value, utxoAddress, sellerAddress, price] = args;
+  const keySource = process.env.SELLER_WIF
+    ? { wif: process.env.SELLER_WIF }
+    : process.env.SELLER_XPRV ? { xprv: process.env.SELLER_XPRV, path: process.env.SELLER_KEY_PATH } : null;
+  const [txid, vout] = inscription?.split(':') ?? [];
+  if (!txid || vout === undefined || !value || !utxoAddress || !sellerAddress || !price || !keySource) {
+    console.error('Usage: SELLER_WIF=<wif> node psbt-handler.mjs create-seller <insc-txid:vout> <utxo-value> <utxo-address> <seller-address> <price-sats> [--network <name>]\n'
+      + '  (or SELLER_XPRV=<xprv> SELLER_KEY_PATH=<path> instead of SELLER_WIF)');
+    process.exit(1);
+  }
+  try {
+    const psbtBase64 = await createSellerPsbt({
+      inscriptionUtxoTxid: txid,
+      inscriptionUtxoVout: parseInt(vout),
+      inscriptionUtxoValue: parseInt(value),
+      inscriptionUtxoScript: addressScript(utxoAddress, resolveNetwork(network), 'Inscription UTXO address'),
+      sellerAddress,
+      priceSats: parseInt(price),
+      signer: keySource,
+      network,
+    });
+    console.log(psbtBase64);
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
 }
 
 else {
@@ -241,13 +688,26 @@ else {
   
 Commands:
   parse <base64>                          Parse and display PSBT details
-  validate <base64> <insc-txid> <price>   Validate a seller's PSBT
+  validate <base64> <insc-txid[:vout]> <price>
+                                          Validate a seller's (or completed) PSBT; exits 1 on errors
+      [--offset <n>] [--padding 1|2]        inscription offset in its UTXO; padding inputs planned
+      [--seller <addr>] [--buyer <addr>]    expected payment / inscription destinations
+      [--change <addr>]                     the buyer's change address (completed PSBTs)
+      [--prev-tx <hex>[,<hex>...]]          raw previous transactions to check witnessUtxos against
+  flow <base64> <input> [offset]          Trace every input's sats (FIFO) and where the
+                                          inscription at <input>:<offset> lands
+  create-seller <insc-txid:vout> <utxo-value> <utxo-address> <seller-address> <price>
+                                          Create + sign the seller's PSBT (SIGHASH_SINGLE|ANYONECANPAY)
+                                          with the key in SELLER_WIF, or SELLER_XPRV + SELLER_KEY_PATH
+
+Options:
+  --network <name>    mainnet (default), testnet, signet or regtest
   
 Programmatic API:
-  createSellerPsbt({...})     Create seller-side PSBT
-  completeBuyerPsbt({...})    Add funding + complete as buyer
+  createSellerPsbt({...})     Create + sign seller-side PSBT (async)
+  completeBuyerPsbt({...})    Add padding + funding as buyer, size the fee (async)
   parsePsbt(base64)           Parse PSBT details
-  validateSellerPsbt(...)     Validate before buying
+  validateSellerPsbt(...)     Validate before buying (findings with severities)
 `);
 }
 } // end isMain
@@ -0,0 +1,139 @@
+/**
+ * PSBT Signer — one signing interface over the ways a key can be held
+ *
+ * Key sources:
+ *   { privateKey }          raw 32-byte key (Buffer, Uint8Array or hex)
+ *   { wif }                 WIF-encoded key (mainnet or testnet prefix)
+ *   { xprv, path }          BIP32 extended private key + derivation path
+ *   { publicKey, sign }     external signer (hardware wallet, KMS, remote service):
+ *                           async sign(hash, { schnorr, tapTweak }) → 64-byte signature
+ *
+ * signPsbtInput() picks the spend from the input's witnessUtxo script:
+ *   - P2WPKH: ECDSA over the BIP-143 sighash, stored in partialSig
+ *   - P2TR key path: Schnorr with the BIP-86 tweaked key (internal key with
+ *     no script tree), stored in tapKeySig, with tapInternalKey recorded
+ * The sighash type is recorded on the input (PSBT_IN_SIGHASH_TYPE), so the
+ * counterparty can see what the signature commits to. An external signer
+ * asked for a Schnorr signature must sign with its key tweaked by `tapTweak`.
+ *
+ * Usage:
+ *   import { createSigner, SIGHASH_SINGLE_ANYONECANPAY } from './psbt-signer.mjs';
+ *   const signer = createSigner({ xprv: process.env.SELLER_XPRV, path: "m/86'/0'/0'/0/0" });
+ *   await signer.signPsbtInput(psbt, 0, SIGHASH_SINGLE_ANYONECANPAY);
+ */
+
+import * as bitcoin from 'bitcoinjs-lib';
+import * as ecc from 'tiny-secp256k1';
+import ECPairFactory from 'ecpair';
+import { BIP32Factory } from 'bip32';
+
+bitcoin.initEccLib(ecc);
+const ECPair = ECPairFactory(ecc);
+const bip32 = BIP32Factory(ecc);
+
+const { SIGHASH_ALL, SIGHASH_SINGLE, SIGHASH_ANYONECANPAY } = bitcoin.Transaction;
+
+/** Commits to this input and the output at the same index only */
+export const SIGHASH_SINGLE_ANYONECANPAY = SIGHASH_SINGLE | SIGHASH_ANYONECANPAY;
+
+const equalBytes = (a, b) => Buffer.from(a).equals(Buffer.from(b));
+
+/** 'p2wpkh', 'p2tr' or null for scripts this signer can't spend */
+function spendType(script) {
+  if (script.length === 22 && script[0] === 0x00 && script[1] === 0x14) return 'p2wpkh';
+  if (script.length === 34 && script[0] === 0x51 && script[1] === 0x20) return 'p2tr';
+  return null;
+}
+
+// --- Key sources ---
+
+function keyPairFrom({ privateKey, wif, xprv, path, network }) {
+  if (privateKey) {
+    const key = typeof privateKey === 'string' ? Buffer.from(privateKey, 'hex') : privateKey;
+    if (key.length !== 32) throw new Error('privateKey must be 32 bytes');
+    return ECPair.fromPrivateKey(key, { network });
+  }
+  if (wif) {
+    try {
+      return ECPair.fromWIF(wif, network ?? [bitcoin.networks.bitcoin, bitcoin.networks.testnet]);
+    } catch (err) {
+      throw new Error(network && /network/i.test(err.message) ? 'WIF key is for another network than this signer\'s' : `Invalid WIF key: ${err.message}`);
+    }
+  }
+  if (xprv) {
+    if (!path) throw new Error('xprv needs a derivation path');
+    let node;
+    try {
+      node = bip32.fromBase58(xprv, network ?? (xprv.startsWith('tprv') ? bitcoin.networks.testnet : bitcoin.networks.bitcoin));
+    } catch (err) {
+      throw new Error(network && /network/i.test(err.message) ? 'Extended key is for another network than this signer\'s' : `Invalid extended key: ${err.message}`);
+    }
+    const child = node.derivePath(path);
+    if (!child.privateKey) throw new Error('Extended key is public (xpub): it cannot sign');
+    return ECPair.fromPrivateKey(child.privateKey, { network });
+  }
+  throw new Error('Signer needs one of: privateKey, wif, xprv + path, or publicKey + sign');
+}
+
+/**
+ * @param {Object} spec - a key source (see the module header)
+ * @param {Object} [spec.network] - bitcoinjs network WIF / xprv keys must be for
+ *   (default: mainnet or testnet, from the key's prefix)
+ * @returns {{ publicKey: Uint8Array, signPsbtInput: Function }}
+ */
+export function createSigner(spec) {
+  let publicKey, ecdsa, schnorr;
+  if (typeof spec.sign === 'function') {
+    if (!spec.publicKey || spec.publicKey.length !== 33) throw new Error('External signer needs its 33-byte compressed publicKey');
+    publicKey = Uint8Array.from(spec.publicKey);
+    ecdsa = (hash) => spec.sign(hash, { schnorr: false });
+    schnorr = (hash, tapTweak) => spec.sign(hash, { schnorr: true, tapTweak });
+  } else {
+    const keyPair = keyPairFrom(spec);
+    publicKey = keyPair.publicKey;
+    ecdsa = (hash) => keyPair.sign(hash);
+    schnorr = (hash, tapTweak) => keyPair.tweak(tapTweak).signSchnorr(hash);
+  }
+  const internalKey = publicKey.subarray(1, 33);
+
+  return {
+    publicKey,
+
+    /**
+     * Sign one input of `psbt` in place. Throws if the input isn't a P2WPKH
+     * or P2TR output of this key.
+     */
+    async signPsbtInput(psbt, inputIndex, sighashType = SIGHASH_ALL) {
+      const input = psbt.data.inputs[inputIndex];
+      if (!input) throw new Error(`PSBT has no input ${inputIndex}`);
+      const script = input.witnessUtxo?.script;
+      if (!script) throw new Error(`Input ${inputIndex} has no witnessUtxo: only segwit inputs can be signed`);
+
+      const type = spendType(script);
+      if (type === 'p2wpkh') {
+        if (!equalBytes(script.subarray(2), bitcoin.crypto.hash160(publicKey))) {
+          throw new Error(`Signer key does not control input ${inputIndex} (P2WPKH)`);
+        }
+        psbt.updateInput(inputIndex, { sighashType });
+        await psbt.signInputAsync(inputIndex, { publicKey, sign: ecdsa }, [sighashType]);
+        return;
+      }
+      if (type === 'p2tr') {
+        const tapTweak = bitcoin.crypto.taggedHash('TapTweak', internalKey);
+        const outputKey = ecc.xOnlyPointAddTweak(internalKey, tapTweak).xOnlyPubkey;
+        if (!equalBytes(script.subarray(2), outputKey)) {
+          throw new Error(`Signer key does not control input ${inputIndex} (P2TR key path, no script tree)`);
+        }
+        psbt.updateInput(inputIndex, { sighashType, tapInternalKey: internalKey });
+        // bitcoinjs matches the signer against the output key
+        await psbt.signInputAsync(inputIndex, {
+          publicKey: outputKey,
+          sign: () => { throw new Error('ECDSA signature requested for a taproot input'); },
+          signSchnorr: (hash) => schnorr(hash, tapTweak),
+        }, [sighashType]);
+        return;
+      }
+      throw new Error(`Input ${inputIndex}: unsupported script type (P2WPKH or P2TR key path only)`);
+    },
+  };
+}
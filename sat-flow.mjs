@@ -0,0 +1,109 @@
+/**
+ * Sat Flow — where each input's sats end up, by ordinal theory's first-in-first-out rule
+ *
+ * A transaction's input sats, in input order, are laid end to end and handed
+ * out to its outputs in output order; whatever is left after the last output
+ * is the fee (it goes to the miner, and an inscription there goes with it).
+ * An inscription sits on one sat: the one at its offset within its UTXO
+ * (the third field of ord's satpoint `<txid>:<vout>:<offset>`).
+ *
+ * So which output an inscription lands in depends on the values *before* it:
+ * a buyer input ordered ahead of the inscription input, or an inscription at
+ * a non-zero offset, shifts it — possibly into the seller's payment or the fee.
+ *
+ * Values are sats (number or BigInt); results use BigInt.
+ *
+ * Usage:
+ *   import { traceSat } from './sat-flow.mjs';
+ *   traceSat({ inputs: [600, 10_000, 50_000], outputs: [10_600, 30_000, 28_000] }, { input: 1, offset: 0 });
+ *   // → { output: 0, offset: 600n }
+ */
+
+const sats = (value) => BigInt(value?.value ?? value);
+
+/**
+ * Every input's sat range and the outputs it is split across.
+ *
+ * @param {Object} tx
+ * @param {Array} tx.inputs - input values, or objects with `value`
+ * @param {Array} tx.outputs - output values, or objects with `value`
+ * @returns {{ ranges: Array, fee: bigint }} ranges: [{ input, start, end, output, outputOffset }],
+ *   `start`/`end` offsets within the input (end exclusive), `output` null for the fee
+ */
+export function simulateSatFlow({ inputs, outputs }) {
+  const outputValues = outputs.map(sats);
+  const ranges = [];
+  let out = 0;
+  let used = 0n; // sats of outputs[out] already filled
+
+  inputs.forEach((input, index) => {
+    const value = sats(input);
+    let start = 0n;
+    while (start < value) {
+      // Skip filled (and zero-value) outputs
+      while (out < outputValues.length && used === outputValues[out]) {
+        out++;
+        used = 0n;
+      }
+      if (out === outputValues.length) {
+        ranges.push({ input: index, start, end: value, output: null, outputOffset: null });
+        break;
+      }
+      const take = value - start < outputValues[out] - used ? value - start : outputValues[out] - used;
+      ranges.push({ input: index, start, end: start + take, output: out, outputOffset: used });
+      start += take;
+      used += take;
+    }
+  });
+
+  const totalIn = inputs.reduce((sum, input) => sum + sats(input), 0n);
+  const totalOut = outputValues.reduce((sum, value) => sum + value, 0n);
+  return { ranges, fee: totalIn - totalOut };
+}
+
+/**
+ * The output (and offset in it) a sat ends up in; `output` is null when the
+ * sat is spent as fee. Throws if the sat isn't in the input.
+ *
+ * @param {Object} tx - { inputs, outputs } as for simulateSatFlow
+ * @param {Object} sat - { input: index, offset: within that input }
+ */
+export function traceSat(tx, { input, offset = 0 }) {
+  const position = BigInt(offset);
+  // Bounds, not truthiness: a zero-value input (0) is still an input
+  if (!Number.isInteger(input) || input < 0 || input >= tx.inputs.length) throw new Error(`No input ${input}`);
+  if (position < 0n || position >= sats(tx.inputs[input])) {
+    throw new Error(`Offset ${offset} is outside input ${input} (${sats(tx.inputs[input])} sats)`);
+  }
+  const range = simulateSatFlow(tx).ranges.find(r => r.input === input && r.start <= position && position < r.end);
+  return range.output === null
+    ? { output: null, offset: null }
+    : { output: range.output, offset: range.outputOffset + position - range.start };
+}
+
+/**
+ * Check that the inscribed sat lands in `expectedOutput`.
+ *
+ * @param {Object} tx - { inputs, outputs } as for simulateSatFlow
+ * @param {Object} opts
+ * @param {number} opts.input - index of the inscription input
+ * @param {number} [opts.offset] - inscription offset within that input
+ * @param {number} opts.expectedOutput - the buyer's output index
+ * @returns {{ ok: boolean, output: number|null, offset: bigint|null, error: string|null }}
+ */
+export function checkInscriptionFlow(tx, { input, offset = 0, expectedOutput }) {
+  let landed;
+  try {
+    landed = traceSat(tx, { input, offset });
+  } catch (err) {
+    return { ok: false, output: null, offset: null, error: `Inscription not found: ${err.message}` };
+  }
+  if (landed.output === expectedOutput) return { ...landed, ok: true, error: null };
+  return {
+    ...landed,
+    ok: false,
+    error: landed.output === null
+      ? 'Inscription would be spent as fee'
+      : `Inscription would land in output ${landed.output}, not the buyer's output ${expectedOutput}`,
+  };
+}
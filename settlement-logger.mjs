@@ -13,37 +13,53 @@
  * The signFn abstraction allows different agents to use their own signing
  * method (BIP-137, Schnorr, etc.) without coupling this module to any
  * particular key management approach.
+ *
+ * The signed message is settlementMessage(tradeData): callers that sign
+ * ahead of time pass the same `timestamp` they signed.
  */
 
 const LEDGER_API = process.env.LEDGER_API || 'https://ledger.drx4.xyz/api';
 
+/**
+ * Canonical message signed for a settlement: the ledger payload without its
+ * signature, in a fixed key order. Escrow settlements name the contract and
+ * listing, so a signature can't be replayed for another listing; trades
+ * outside the escrow contract leave them out, keeping the original format.
+ */
+export function settlementMessage({ contract_id, listing_id, from_agent, to_agent, inscription_id, price_sats, timestamp }) {
+  return JSON.stringify({
+    type: 'swap',
+    ...(contract_id != null && { contract_id }),
+    ...(listing_id != null && { listing_id }),
+    from_agent,
+    to_agent,
+    inscription_id,
+    price_sats,
+    timestamp,
+  });
+}
+
 /**
  * Log a completed inscription trade to the public ledger.
  *
  * @param {Object} tradeData - Completed trade info
+ * @param {string} [tradeData.contract_id] - Escrow contract (`<address>.<name>`) of the listing
+ * @param {number} [tradeData.listing_id]  - Escrow listing id
  * @param {string} tradeData.from_agent  - Seller BTC address
  * @param {string} tradeData.to_agent    - Buyer BTC address
  * @param {string} tradeData.inscription_id - Inscription ID being traded
  * @param {number} tradeData.price_sats  - Final agreed price in satoshis
+ * @param {string} [tradeData.timestamp] - ISO time the trade was signed at (default: now)
  * @param {Function} signFn - Async function(message: string) => base64 BIP-137 signature
  * @returns {Promise<{success: boolean, tradeId: string|null, error: string|null}>}
  */
 export async function logSettlement(tradeData, signFn) {
   try {
-    const timestamp = new Date().toISOString();
-
-    // Build the payload without signature first so we can sign it
-    const unsigned = {
-      type: 'swap',
-      from_agent: tradeData.from_agent,
-      to_agent: tradeData.to_agent,
-      inscription_id: tradeData.inscription_id,
-      price_sats: tradeData.price_sats,
-      timestamp,
-    };
+    const timestamp = tradeData.timestamp || new Date().toISOString();
 
     // Sign the canonical JSON string (no signature field, deterministic key order)
-    const message = JSON.stringify(unsigned);
+    const message = settlementMessage({ ...tradeData, timestamp });
+    const unsigned = JSON.parse(message);
     let signature = null;
     if (typeof signFn === 'function') {
       try {
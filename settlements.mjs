@@ -0,0 +1,217 @@
+/**
+ * Settlements — checks before a trade is logged to the public ledger
+ *
+ * `POST /trades/:id/settle` only forwards a settlement that:
+ *   - is signed by `from_agent` (BIP-137 or BIP-322, see message-signing.mjs)
+ *     over settlementMessage() from settlement-logger.mjs for this contract and
+ *     listing, with a recent timestamp
+ *   - matches listing :id on-chain: status `done`, `from_agent` / `to_agent`
+ *     are the listing's seller / buyer BTC addresses, `price_sats` is its price
+ *   - names an inscription that was in the escrowed output, or that the
+ *     listing's buyer now holds (checked with the deployment's Ordinals provider)
+ *   - has not been logged for this listing before
+ *
+ * Logged settlements are persisted to a JSON store; a fixed-window limiter
+ * caps requests per client IP and per verified signing address.
+ *
+ * Usage:
+ *   import { parseSettlementInput, checkListingMatch, createSettlementStore } from './settlements.mjs';
+ *   const input = parseSettlementInput(body);          // throws (err.status) on bad input
+ *   checkListingMatch(listing, input, { network });    // throws (err.status) on mismatch
+ *   checkSignature(input, { network, contractId, listingId });
+ */
+
+import { readFileSync, writeFileSync, renameSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { isInscriptionId } from './ordinals.mjs';
+import { txidToDisplayOrder } from './tx-builder.mjs';
+import { verifyMessage, addressToScriptHex } from './message-signing.mjs';
+import { settlementMessage } from './settlement-logger.mjs';
+
+const STORE_VERSION = 1;
+
+// How far a signed timestamp may be from the server clock
+export const SETTLE_MAX_AGE_SEC = 600;
+
+function settleError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// --- Input ---
+
+/**
+ * Validate the request body into { from_agent, to_agent, inscription_id, price_sats, timestamp, signature }.
+ * Throws an Error with a client-facing message and `status` 400.
+ */
+export function parseSettlementInput(body = {}, { now = Date.now() } = {}) {
+  const { from_agent, to_agent, inscription_id, price_sats, timestamp, signature } = body;
+  if (!from_agent || !to_agent || !inscription_id || price_sats == null || !timestamp || !signature) {
+    throw settleError('Missing required fields: from_agent, to_agent, inscription_id, price_sats, timestamp, signature', 400);
+  }
+  if (typeof from_agent !== 'string' || typeof to_agent !== 'string') {
+    throw settleError('Invalid from_agent / to_agent: expected Bitcoin addresses', 400);
+  }
+  if (!isInscriptionId(inscription_id)) throw settleError('Invalid inscription_id: expected <txid>i<index>', 400);
+  if (!Number.isSafeInteger(price_sats) || price_sats <= 0) throw settleError('Invalid price_sats: expected a positive integer', 400);
+  if (typeof signature !== 'string') throw settleError('Invalid signature: expected base64', 400);
+
+  const signedAt = typeof timestamp === 'string' ? Date.parse(timestamp) : NaN;
+  if (isNaN(signedAt)) throw settleError('Invalid timestamp: expected an ISO 8601 time', 400);
+  if (Math.abs(now - signedAt) > SETTLE_MAX_AGE_SEC * 1000) {
+    throw settleError(`Timestamp is more than ${SETTLE_MAX_AGE_SEC}s from server time: sign a fresh settlement`, 400);
+  }
+
+  return { from_agent, to_agent, inscription_id, price_sats, timestamp, signature };
+}
+
+// --- Verification ---
+
+/**
+ * Check the settlement against the indexed listing. Throws with `status`
+ * 409 when the listing isn't settled or doesn't match.
+ *
+ * @param {Object} listing - indexed listing (with on-chain details)
+ * @param {Object} input - parseSettlementInput() result
+ * @param {Object} opts
+ * @param {Object} opts.network - bitcoinjs network of the deployment
+ */
+export function checkListingMatch(listing, input, { network }) {
+  if (listing.status !== 'done') {
+    throw settleError(`Listing ${listing.id} is ${listing.status} on-chain, not done`, 409);
+  }
+  if (BigInt(input.price_sats) !== BigInt(listing.price)) {
+    throw settleError(`price_sats ${input.price_sats} does not match listing price ${listing.price}`, 409);
+  }
+  if (addressToScriptHex(input.from_agent, network) !== listing.sellerBtc) {
+    throw settleError('from_agent is not the listing\'s seller BTC address', 409);
+  }
+  if (addressToScriptHex(input.to_agent, network) !== listing.buyerBtc) {
+    throw settleError('to_agent is not the listing\'s buyer BTC address', 409);
+  }
+}
+
+/**
+ * Check `from_agent`'s signature over the settlement message for listing
+ * `listingId` of contract `contractId`. Throws with `status` 401 when it
+ * doesn't verify.
+ */
+export function checkSignature(input, { network, contractId, listingId }) {
+  const message = settlementMessage({ ...input, contract_id: contractId, listing_id: listingId });
+  let valid;
+  try {
+    valid = verifyMessage({ address: input.from_agent, message, signature: input.signature, network });
+  } catch (err) {
+    throw settleError(`Cannot verify signature: ${err.message}`, 401);
+  }
+  if (!valid) throw settleError('Signature does not verify for from_agent', 401);
+}
+
+/**
+ * Check the inscription was the one escrowed: it is still indexed at the
+ * listing's output (provider lag), or it is now held by the listing's buyer.
+ * Throws with `status` 409 on mismatch; provider failures propagate.
+ */
+export async function checkInscription(listing, inscriptionId, { ordinals, network }) {
+  // The contract stores the txid in internal byte order; Ordinals APIs use display order
+  const atOutput = await ordinals.getInscriptionsByOutput(
+    txidToDisplayOrder(listing.inscriptionTxid),
+    listing.inscriptionVout
+  );
+  if (atOutput.some(insc => insc.id === inscriptionId)) return;
+
+  const inscription = await ordinals.getInscription(inscriptionId);
+  if (!inscription) throw settleError(`Inscription ${inscriptionId} not found`, 409);
+  if (!inscription.address || addressToScriptHex(inscription.address, network) !== listing.buyerBtc) {
+    throw settleError(`Inscription ${inscriptionId} was not delivered by listing ${listing.id}`, 409);
+  }
+}
+
+// --- Store ---
+
+function loadState(storePath) {
+  const empty = { version: STORE_VERSION, settlements: {} };
+  if (!storePath) return empty;
+  try {
+    const state = JSON.parse(readFileSync(storePath, 'utf8'));
+    return state.version === STORE_VERSION ? state : empty;
+  } catch {
+    return empty;
+  }
+}
+
+function saveState(storePath, state) {
+  if (!storePath) return;
+  mkdirSync(dirname(storePath), { recursive: true });
+  const tmp = `${storePath}.tmp`;
+  writeFileSync(tmp, JSON.stringify(state));
+  renameSync(tmp, storePath);
+}
+
+/**
+ * Logged settlements per listing id. `claim` reserves a listing while its
+ * ledger request is in flight so concurrent duplicates are rejected too.
+ *
+ * @param {Object} [opts]
+ * @param {string} [opts.storePath] - JSON file (in-memory if omitted)
+ */
+export function createSettlementStore({ storePath } = {}) {
+  const state = loadState(storePath);
+  const inFlight = new Set();
+
+  return {
+    /** Logged settlement for a listing, or null */
+    get(id) {
+      return state.settlements[id] ?? null;
+    },
+
+    /** Reserve a listing; false if it is logged or being logged */
+    claim(id) {
+      if (state.settlements[id] || inFlight.has(id)) return false;
+      inFlight.add(id);
+      return true;
+    },
+
+    release(id) {
+      inFlight.delete(id);
+    },
+
+    record(id, settlement) {
+      state.settlements[id] = settlement;
+      inFlight.delete(id);
+      saveState(storePath, state);
+    },
+
+    size() {
+      return Object.keys(state.settlements).length;
+    },
+  };
+}
+
+// --- Rate limiting ---
+
+/**
+ * Fixed-window request limiter: at most `limit` hits per key per `windowMs`.
+ */
+export function createRateLimiter({ limit, windowMs }) {
+  const windows = new Map();
+
+  return {
+    /** Count a hit; returns 0 if allowed, else seconds until the window resets */
+    hit(key, now = Date.now()) {
+      let window = windows.get(key);
+      if (!window || now - window.start >= windowMs) {
+        window = { start: now, count: 0 };
+        windows.set(key, window);
+      }
+      // Expired windows are dropped lazily so the map stays bounded by active keys
+      if (windows.size > 10_000) {
+        for (const [k, w] of windows) if (now - w.start >= windowMs) windows.delete(k);
+      }
+      if (window.count >= limit) return Math.ceil((window.start + windowMs - now) / 1000);
+      window.count++;
+      return 0;
+    },
+  };
+}
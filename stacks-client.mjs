@@ -0,0 +1,291 @@
+/**
+ * Stacks Client — resilient access to one or more Stacks API nodes
+ *
+ * Shared by the indexer's event source and the transaction builder so every
+ * Stacks read gets the same behaviour:
+ *   - per-request timeout
+ *   - retries with exponential backoff (network errors, timeouts, 429, 5xx)
+ *   - fallback: each attempt walks the node list in order, primary first
+ *   - a circuit breaker per node: after `failureThreshold` consecutive
+ *     failures the node is skipped for `resetMs`, then tried once (half-open)
+ *   - bounded concurrency across all requests (batch reads can't flood a node)
+ *   - a response cache for read-only calls keyed by the chain tip's block
+ *     hash, so repeated reads at the same tip never leave the process
+ *
+ * Client errors (other 4xx) are not retried: every node would answer the same.
+ *
+ * Optional hooks report each node attempt (`onRequest`) and each cache lookup
+ * (`onCacheLookup`), e.g. for metrics; they must not throw.
+ *
+ * Usage:
+ *   import { createStacksClient } from './stacks-client.mjs';
+ *   const client = createStacksClient({ urls: ['https://api.hiro.so', 'https://stacks-node.example'] });
+ *   const tip = await client.getTip();
+ *   const listing = await client.callReadOnly(contractAddress, contractName, 'get-listing', [cvToHex(uintCV(0))]);
+ *   const results = await client.mapSettled(ids, id => ...);  // [{ ok, value } | { ok: false, error }]
+ */
+
+import { decodeClarityHex } from './clarity.mjs';
+
+const RETRIABLE_STATUS = (status) => status === 408 || status === 429 || status >= 500;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * @param {Object} opts
+ * @param {string[]} opts.urls - node base URLs, primary first
+ * @param {number} [opts.timeoutMs] - per-request timeout
+ * @param {number} [opts.retries] - extra passes over the node list after the first
+ * @param {number} [opts.backoffMs] - wait before the first retry pass (doubles each pass)
+ * @param {number} [opts.failureThreshold] - consecutive failures that open a node's circuit
+ * @param {number} [opts.resetMs] - how long an open circuit skips the node
+ * @param {number} [opts.concurrency] - max requests in flight
+ * @param {number} [opts.cacheSize] - max cached read-only responses
+ * @param {number} [opts.tipTtlMs] - how long a fetched tip is reused as the cache key
+ * @param {Function} [opts.onRequest] - ({ url, path, status, durationMs, error }) after every node attempt
+ * @param {Function} [opts.onCacheLookup] - (hit) on every cached read
+ */
+export function createStacksClient({
+  urls,
+  timeoutMs = 10_000,
+  retries = 2,
+  backoffMs = 500,
+  failureThreshold = 5,
+  resetMs = 30_000,
+  concurrency = 4,
+  cacheSize = 1000,
+  tipTtlMs = 5_000,
+  onRequest = () => {},
+  onCacheLookup = () => {},
+}) {
+  if (!urls?.length) throw new Error('Stacks client needs at least one node URL');
+
+  const nodes = urls.map(url => ({
+    url: url.replace(/\/$/, ''),
+    failures: 0,
+    openedAt: null,
+    lastError: null,
+    requests: 0,
+  }));
+
+  // --- Concurrency limit ---
+
+  let active = 0;
+  const waiting = [];
+
+  async function limited(fn) {
+    // A queued request inherits the slot of the one that releases it, so
+    // `active` never drops below the limit while requests are waiting
+    if (active < concurrency) active++;
+    else await new Promise(resolve => waiting.push(resolve));
+    try {
+      return await fn();
+    } finally {
+      const next = waiting.shift();
+      if (next) next();
+      else active--;
+    }
+  }
+
+  // --- Circuit breaker ---
+
+  function available(node) {
+    if (node.openedAt === null) return true;
+    // Half-open: let one request through once the reset period has passed
+    if (Date.now() - node.openedAt >= resetMs) {
+      node.openedAt = Date.now();
+      return true;
+    }
+    return false;
+  }
+
+  function recordSuccess(node) {
+    node.failures = 0;
+    node.openedAt = null;
+  }
+
+  function recordFailure(node, err) {
+    node.failures++;
+    node.lastError = err.message;
+    if (node.failures >= failureThreshold) node.openedAt = Date.now();
+  }
+
+  // --- Requests ---
+
+  /** One attempt against one node. Returns { status, data } or throws (retriable flag on the error). */
+  async function attempt(node, path, init) {
+    node.requests++;
+    const started = performance.now();
+    const report = (status, error = null) => onRequest({ url: node.url, path, status, durationMs: performance.now() - started, error });
+    let res;
+    try {
+      res = await fetch(`${node.url}${path}`, { ...init, signal: AbortSignal.timeout(timeoutMs) });
+    } catch (err) {
+      const error = new Error(err.name === 'TimeoutError'
+        ? `Stacks API timed out after ${timeoutMs}ms on ${path}`
+        : `Stacks API unreachable (${node.url}): ${err.message}`);
+      error.retriable = true;
+      report(null, error);
+      throw error;
+    }
+    if (res.status === 404) {
+      await res.body?.cancel();
+      report(404);
+      return null;
+    }
+    if (!res.ok) {
+      const text = await res.text();
+      const error = new Error(`Stacks API ${res.status} on ${path}: ${text.slice(0, 200)}`);
+      error.status = res.status;
+      error.retriable = RETRIABLE_STATUS(res.status);
+      report(res.status, error);
+      throw error;
+    }
+    report(res.status);
+    return res.json();
+  }
+
+  async function request(path, init = {}) {
+    let lastError = null;
+    for (let pass = 0; pass <= retries; pass++) {
+      if (pass > 0) await sleep(backoffMs * 2 ** (pass - 1));
+
+      for (const node of nodes) {
+        if (!available(node)) continue;
+        try {
+          const data = await limited(() => attempt(node, path, init));
+          recordSuccess(node);
+          return data;
+        } catch (err) {
+          if (!err.retriable) {
+            // The node answered; the request itself is bad
+            recordSuccess(node);
+            throw err;
+          }
+          recordFailure(node, err);
+          lastError = err;
+        }
+      }
+    }
+    throw lastError ?? new Error('All Stacks API nodes unavailable (circuit open)');
+  }
+
+  // --- Tip-keyed cache ---
+
+  const cache = new Map();
+  let tip = null;
+  let tipFetchedAt = 0;
+
+  async function fetchTip() {
+    const data = await request('/extended/v2/blocks?limit=1');
+    const block = data?.results?.[0];
+    if (!block) throw new Error('Stacks API returned no blocks');
+    tip = { height: block.height, hash: block.hash, burnBlockHeight: block.burn_block_height };
+    tipFetchedAt = Date.now();
+    return tip;
+  }
+
+  async function cached(key, load) {
+    const current = tip && Date.now() - tipFetchedAt < tipTtlMs ? tip : await fetchTip();
+    const cacheKey = `${current.hash}:${key}`;
+    const hit = cache.has(cacheKey);
+    onCacheLookup(hit);
+    if (hit) return cache.get(cacheKey);
+    const value = await load();
+    cache.set(cacheKey, value);
+    // Oldest entries go first; entries from older tips age out this way
+    if (cache.size > cacheSize) cache.delete(cache.keys().next().value);
+    return value;
+  }
+
+  return {
+    /** Primary node URL (for libraries that take a single base URL) */
+    baseUrl: nodes[0].url,
+
+    /** Current chain tip { height, hash, burnBlockHeight } (always fetched fresh) */
+    getTip: fetchTip,
+
+    /** GET JSON, or null on 404. `cache: true` reuses the response while the tip is unchanged. */
+    async getJson(path, { cache: useCache = false } = {}) {
+      return useCache ? cached(`GET ${path}`, () => request(path)) : request(path);
+    },
+
+    async postJson(path, body, { cache: useCache = false } = {}) {
+      const init = {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      };
+      return useCache ? cached(`POST ${path} ${init.body}`, () => request(path, init)) : request(path, init);
+    },
+
+    /**
+     * Read-only contract call (cached per tip). Returns the decoded Clarity value;
+     * throws if the node rejects the call.
+     */
+    async callReadOnly(contractAddress, contractName, functionName, args, { sender = contractAddress } = {}) {
+      const data = await this.postJson(
+        `/v2/contracts/call-read/${contractAddress}/${contractName}/${functionName}`,
+        { sender, arguments: args },
+        { cache: true }
+      );
+      if (!data) throw new Error(`Contract ${contractAddress}.${contractName} not found`);
+      if (!data.okay) throw new Error(`Contract error: ${data.cause}`);
+      return decodeClarityHex(data.result);
+    },
+
+    /**
+     * Contract data map entry (cached per tip). `keyHex` is the serialized
+     * Clarity key; returns the decoded value, or null if the key is unset.
+     */
+    async getMapEntry(contractAddress, contractName, mapName, keyHex) {
+      const data = await this.postJson(
+        `/v2/map_entry/${contractAddress}/${contractName}/${mapName}?proof=0`,
+        keyHex,
+        { cache: true }
+      );
+      if (!data) throw new Error(`Map ${contractAddress}.${contractName}::${mapName} not found`);
+      // `data` is the entry as a serialized optional
+      return decodeClarityHex(data.data);
+    },
+
+    /**
+     * Run fn over items, at most `concurrency` calls at a time (their requests
+     * also share the client's limit), collecting a result per item instead of
+     * failing the batch: { ok: true, value } or { ok: false, error }.
+     */
+    async mapSettled(items, fn) {
+      const results = new Array(items.length);
+      let next = 0;
+      async function worker() {
+        while (next < items.length) {
+          const index = next++;
+          try {
+            results[index] = { ok: true, value: await fn(items[index]) };
+          } catch (err) {
+            results[index] = { ok: false, error: err.message };
+          }
+        }
+      }
+      await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+      return results;
+    },
+
+    status() {
+      return {
+        nodes: nodes.map(node => ({
+          url: node.url,
+          circuit: node.openedAt === null ? 'closed' : Date.now() - node.openedAt >= resetMs ? 'half-open' : 'open',
+          consecutiveFailures: node.failures,
+          requests: node.requests,
+          lastError: node.lastError,
+        })),
+        inFlight: active,
+        queued: waiting.length,
+        cachedResponses: cache.size,
+      };
+    },
+  };
+}
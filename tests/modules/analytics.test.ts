@@ -0,0 +1,142 @@
+import { describe, it, expect } from "vitest";
+import { parseAnalyticsQuery, getSummary, getVolumeSeries, getLeaderboard, distribution } from "../../analytics.mjs";
+
+type Entry = { event: string; burnBlockHeight: number; from?: string };
+
+/** Indexed listing; `history` is [event, burn height] pairs, cancels as [event, height, from] */
+function listing(
+  id: number,
+  status: string,
+  { seller, buyer = null, price, premium = 0, collateral = 0 }: { seller: string; buyer?: string | null; price: number; premium?: number; collateral?: number },
+  history: [string, number, string?][],
+) {
+  return {
+    id,
+    status,
+    seller,
+    buyer,
+    price,
+    premium,
+    collateral,
+    history: history.map(([event, burnBlockHeight, from]): Entry => ({ event, burnBlockHeight, ...(from && { from }) })),
+  };
+}
+
+// Indexed at 1000; a 100-block window starts at 900 (inclusive)
+const BURN_HEIGHT = 1000;
+const LISTINGS = [
+  listing(1, "done", { seller: "S1", buyer: "B1", price: 10_000, premium: 500, collateral: 1000 },
+    [["list", 850], ["accept", 880], ["commit", 890], ["settle", 950]]),
+  // Settled on the window's first block
+  listing(2, "done", { seller: "S1", buyer: "B2", price: 20_000, premium: 1000, collateral: 2000 },
+    [["list", 850], ["accept", 895], ["commit", 900], ["settle", 900]]),
+  // Settled one block before the window
+  listing(3, "done", { seller: "S2", buyer: "B1", price: 5000, premium: 100, collateral: 100 },
+    [["list", 800], ["accept", 850], ["commit", 860], ["settle", 899]]),
+  // The seller never committed
+  listing(4, "cancelled", { seller: "S2", buyer: "B1", price: 8000, premium: 200 },
+    [["list", 900], ["accept", 920], ["cancel", 975, "escrowed"]]),
+  // The seller committed but never delivered
+  listing(5, "cancelled", { seller: "S1", buyer: "B2", price: 7000, premium: 300, collateral: 300 },
+    [["list", 900], ["accept", 930], ["commit", 940], ["cancel", 1000, "committed"]]),
+  // Cancelled before anyone accepted
+  listing(6, "cancelled", { seller: "S3", price: 9000 }, [["list", 910], ["cancel", 960, "open"]]),
+  // Still waiting for the seller
+  listing(7, "escrowed", { seller: "S3", buyer: "B3", price: 4000 }, [["list", 950], ["accept", 990]]),
+];
+
+const window100 = { burnHeight: BURN_HEIGHT, windowBlocks: 100 };
+
+describe("getSummary", () => {
+  it("counts settlements from the window's first block and nothing before it", () => {
+    const summary = getSummary(LISTINGS, window100);
+    expect(summary.window).toEqual({ fromHeight: 900, toHeight: 1000, blocks: 100 });
+    expect(summary.settled).toEqual({ count: 2, volume: 30_000, premiums: 1500 });
+    expect(summary.prices).toMatchObject({ count: 2, min: 10_000, max: 20_000, mean: 15_000, p50: 15_000 });
+    expect(summary.premiums.bpsOfPrice).toMatchObject({ count: 2, min: 500, max: 500 });
+    expect(summary.collateral.bpsOfPrice).toMatchObject({ min: 1000, max: 1000 });
+  });
+
+  it("counts commits and failed commits by when they happened, ignoring open cancels and pending trades", () => {
+    const { sellerFailures, timing } = getSummary(LISTINGS, window100);
+    // Listings 2 and 5 committed in the window, listing 4 was cancelled uncommitted; listing 1 committed at 890
+    expect(sellerFailures).toEqual({ committed: 2, failed: 1, rate: 1 / 3 });
+    expect(timing.acceptToCommit).toMatchObject({ count: 2, min: 5, max: 10 });
+    // Settled in the window, whenever they committed
+    expect(timing.commitToSettle).toMatchObject({ count: 2, min: 0, max: 60 });
+  });
+
+  it("covers all history without a window", () => {
+    const summary = getSummary(LISTINGS, { burnHeight: BURN_HEIGHT, windowBlocks: null });
+    expect(summary.window.fromHeight).toBe(0);
+    expect(summary.settled).toMatchObject({ count: 3, volume: 35_000 });
+    expect(summary.sellerFailures).toEqual({ committed: 4, failed: 1, rate: 0.2 });
+  });
+});
+
+describe("getVolumeSeries", () => {
+  it("aligns buckets to the window end, with a partial oldest bucket", () => {
+    const series = getVolumeSeries(LISTINGS, { ...window100, interval: 50 });
+    expect(series.buckets).toEqual([
+      { fromHeight: 900, toHeight: 900, count: 1, volume: 20_000, premiums: 1000 },
+      { fromHeight: 901, toHeight: 950, count: 1, volume: 10_000, premiums: 500 },
+      { fromHeight: 951, toHeight: 1000, count: 0, volume: 0, premiums: 0 },
+    ]);
+  });
+
+  it("starts an all-time series at the first settlement", () => {
+    const series = getVolumeSeries(LISTINGS, { burnHeight: BURN_HEIGHT, windowBlocks: null, interval: 50 });
+    expect(series.window.fromHeight).toBe(899);
+    expect(series.buckets[0]).toEqual({ fromHeight: 899, toHeight: 900, count: 2, volume: 25_000, premiums: 1100 });
+    expect(series.buckets.reduce((sum: number, b: { count: number }) => sum + b.count, 0)).toBe(3);
+  });
+
+  it("refuses more than 500 buckets", () => {
+    expect(() => getVolumeSeries(LISTINGS, { burnHeight: BURN_HEIGHT, windowBlocks: 1000, interval: 1 }))
+      .toThrow("Too many buckets: use an interval of at least 3 blocks");
+    expect(getVolumeSeries(LISTINGS, { burnHeight: BURN_HEIGHT, windowBlocks: 1000, interval: 3 }).buckets).toHaveLength(334);
+  });
+});
+
+describe("getLeaderboard", () => {
+  it("ranks sellers with their commit failures", () => {
+    const board = getLeaderboard(LISTINGS, { ...window100, role: "seller", sort: "volume", limit: 10 });
+    expect(board.total).toBe(2);
+    expect(board.entries).toEqual([
+      { rank: 1, principal: "S1", trades: 2, volume: 30_000, committed: 2, failed: 0, failureRate: 0 },
+      { rank: 2, principal: "S2", trades: 0, volume: 0, committed: 0, failed: 1, failureRate: 1 },
+    ]);
+  });
+
+  it("ranks buyers with refunds from escrowed and committed cancels, but not open ones", () => {
+    const board = getLeaderboard(LISTINGS, { ...window100, role: "buyer", sort: "trades", limit: 1 });
+    expect(board.total).toBe(2);
+    // Tied on trades: volume breaks the tie
+    expect(board.entries).toEqual([{ rank: 1, principal: "B2", trades: 1, volume: 20_000, refunds: 1 }]);
+    expect(getLeaderboard(LISTINGS, { ...window100, role: "buyer", sort: "trades", limit: 10 }).entries[1])
+      .toEqual({ rank: 2, principal: "B1", trades: 1, volume: 10_000, refunds: 1 });
+  });
+});
+
+describe("parseAnalyticsQuery", () => {
+  it("reads named and numeric windows and caps the limit", () => {
+    expect(parseAnalyticsQuery({})).toEqual({ window: "30d", windowBlocks: 4320, interval: 144, role: "seller", sort: "volume", limit: 10 });
+    expect(parseAnalyticsQuery({ window: "all" }).windowBlocks).toBeNull();
+    expect(parseAnalyticsQuery({ window: "250", limit: "500" })).toMatchObject({ windowBlocks: 250, limit: 100 });
+  });
+
+  it("rejects bad windows, intervals, roles and sorts", () => {
+    expect(() => parseAnalyticsQuery({ window: "2w" })).toThrow("Invalid window");
+    expect(() => parseAnalyticsQuery({ window: "0" })).toThrow("Invalid window");
+    expect(() => parseAnalyticsQuery({ interval: "0" })).toThrow("Invalid interval");
+    expect(() => parseAnalyticsQuery({ role: "keeper" })).toThrow("Invalid role");
+    expect(() => parseAnalyticsQuery({ sort: "price" })).toThrow("Invalid sort");
+  });
+});
+
+describe("distribution", () => {
+  it("interpolates percentiles and reports nulls when empty", () => {
+    expect(distribution([40, 10, 30, 20])).toEqual({ count: 4, min: 10, max: 40, mean: 25, p10: 13, p25: 17.5, p50: 25, p75: 32.5, p90: 37 });
+    expect(distribution([])).toMatchObject({ count: 0, min: null, mean: null, p50: null });
+  });
+});
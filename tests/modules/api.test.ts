@@ -0,0 +1,250 @@
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { spawn, type ChildProcess } from "child_process";
+import { createServer, type Server } from "http";
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { fileURLToPath } from "url";
+
+const ROOT = fileURLToPath(new URL("../..", import.meta.url));
+const PORT = 3999;
+const BASE = `http://127.0.0.1:${PORT}`;
+const ORD_PORT = 3997;
+const STACKS_PORT = 3998;
+const CONTRACT = "SP16H0KE0BPR4XNQ64115V5Y1V3XTPGMWG5YPC9TR.inscription-escrow";
+const INSCRIPTION = `${"ab".repeat(32)}i0`;
+
+type ApiError = { error: { code: string; message: string; details?: unknown } };
+
+let dir: string;
+let ord: Server;
+
+/** ord server stand-in whose inscription metadata has a non-numeric `number` */
+beforeAll(async () => {
+  dir = mkdtempSync(join(tmpdir(), "api-"));
+  ord = createServer((req, res) => {
+    res.setHeader("Content-Type", "application/json");
+    res.end(JSON.stringify({ id: INSCRIPTION, number: "seventy", satpoint: `${"ab".repeat(32)}:0:0` }));
+  });
+  await new Promise(resolve => ord.listen(ORD_PORT, "127.0.0.1", () => resolve(null)));
+});
+
+afterAll(async () => {
+  await new Promise(resolve => ord.close(resolve));
+  rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Start api.mjs with VALIDATE_RESPONSES set, run `fn` against it, then stop it.
+ * Stacks calls go to a closed port unless `stacksApi` is given; `index` seeds the
+ * deployment's index store.
+ */
+async function withApi(
+  validateResponses: string,
+  fn: (logs: Record<string, unknown>[]) => Promise<void>,
+  { stacksApi = "http://127.0.0.1:9", index = null as object | null } = {},
+) {
+  const run = mkdtempSync(join(dir, `${validateResponses}-`));
+  const config = join(run, "deployments.json");
+  writeFileSync(config, JSON.stringify({
+    deployments: [{
+      network: "mainnet",
+      contract: CONTRACT,
+      stacksApi,
+      ordinals: { provider: "ord", url: `http://127.0.0.1:${ORD_PORT}` },
+      indexPath: join(run, "index", "index.json"),
+      webhooksPath: join(run, "webhooks.json"),
+      settlementsPath: join(run, "settlements.json"),
+    }],
+  }));
+  if (index) {
+    mkdirSync(join(run, "index"));
+    writeFileSync(join(run, "index", "index.json"), JSON.stringify(index));
+  }
+  const child: ChildProcess = spawn(process.execPath, ["api.mjs"], {
+    cwd: ROOT,
+    env: { ...process.env, PORT: String(PORT), DEPLOYMENTS_CONFIG: config, VALIDATE_RESPONSES: validateResponses, STACKS_RETRIES: "0" },
+    stdio: ["ignore", "pipe", "inherit"],
+  });
+  const logs: Record<string, unknown>[] = [];
+  let buffered = "";
+  const listening = new Promise((resolve, reject) => {
+    child.stdout!.on("data", (chunk) => {
+      buffered += chunk;
+      const lines = buffered.split("\n");
+      buffered = lines.pop()!;
+      for (const line of lines) {
+        const entry = JSON.parse(line);
+        logs.push(entry);
+        if (entry.msg === "listening") resolve(null);
+      }
+    });
+    child.on("exit", code => reject(new Error(`api.mjs exited with ${code}`)));
+  });
+  try {
+    await listening;
+    await fn(logs);
+  } finally {
+    const exited = new Promise(resolve => child.once("exit", resolve));
+    child.kill();
+    await exited;
+  }
+}
+
+async function getJson(path: string) {
+  const res = await fetch(`${BASE}${path}`);
+  return { status: res.status, body: await res.json() };
+}
+
+describe("request validation", () => {
+  it("answers schema failures with the error envelope, naming where the input was wrong", async () => {
+    await withApi("warn", async () => {
+      const vout = await getJson(`/inscriptions/${"b".repeat(64)}/x`);
+      expect(vout).toEqual({
+        status: 400,
+        body: {
+          error: {
+            code: "VALIDATION_ERROR",
+            message: "Invalid path vout: expected an output index",
+            details: [{ in: "path", path: "vout", message: "expected an output index" }],
+          },
+        },
+      });
+
+      const body = await fetch(`${BASE}/trades/1/settle`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ from_agent: "bc1q" }),
+      });
+      expect(body.status).toBe(400);
+      const { error } = await body.json() as ApiError;
+      expect(error.code).toBe("VALIDATION_ERROR");
+      expect(error.message).toMatch(/^Invalid body /);
+      expect(error.details).toEqual(expect.arrayContaining([expect.objectContaining({ in: "body", path: "to_agent" })]));
+
+      // Rejected by Hono before the schema: same envelope
+      const malformed = await fetch(`${BASE}/trades/1/settle`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: "{",
+      });
+      expect(malformed.status).toBe(400);
+      expect(await malformed.json()).toEqual({ error: { code: "VALIDATION_ERROR", message: expect.any(String) } });
+
+      expect(await getJson("/no/such/route")).toEqual({
+        status: 404,
+        body: { error: { code: "NOT_FOUND", message: "No route for GET /no/such/route" } },
+      });
+    });
+  });
+});
+
+describe("VALIDATE_RESPONSES", () => {
+  it("warn: serves a non-conforming response and logs the mismatch", async () => {
+    await withApi("warn", async (logs) => {
+      const { status, body } = await getJson(`/inscriptions/${INSCRIPTION}`);
+      expect(status).toBe(200);
+      expect(body.number).toBe("seventy");
+      expect(logs).toContainEqual(expect.objectContaining({
+        level: "warn",
+        msg: "response does not match its schema",
+        route: "GET /inscriptions/{id}",
+        status: 200,
+        issues: [expect.objectContaining({ path: "number" })],
+      }));
+    });
+  });
+
+  it("strict: replaces a non-conforming response with a 500", async () => {
+    await withApi("strict", async () => {
+      const { status, body } = await getJson(`/inscriptions/${INSCRIPTION}`);
+      expect(status).toBe(500);
+      expect(body.error).toMatchObject({
+        code: "RESPONSE_VALIDATION_FAILED",
+        message: "Response failed schema validation",
+        details: [expect.objectContaining({ path: "number" })],
+      });
+    });
+  });
+
+  it("off: does not check responses", async () => {
+    await withApi("off", async (logs) => {
+      expect((await getJson(`/inscriptions/${INSCRIPTION}`)).status).toBe(200);
+      expect(logs.filter(entry => entry.msg === "response does not match its schema")).toEqual([]);
+    });
+  });
+});
+
+describe("GET /inscriptions/:txid/:vout", () => {
+  // Internal byte order (as in the contract's map and the index) is the reverse of what explorers show
+  const INTERNAL = Buffer.from(Array.from({ length: 32 }, (_, i) => i + 1)).toString("hex");
+  const DISPLAY = Buffer.from(INTERNAL, "hex").reverse().toString("hex");
+
+  const event = (blockHeight: number, payload: object) => ({
+    txid: `0x${String(blockHeight % 10).repeat(64)}`,
+    blockHeight,
+    blockHash: `0x${"cc".repeat(32)}`,
+    burnBlockHeight: 800_000 + blockHeight,
+    txIndex: 0,
+    eventIndex: 0,
+    payload,
+  });
+  const details = { inscriptionTxid: INTERNAL, inscriptionVout: 1, price: 10_000, premium: 100, sellerBtc: "0014" + "0a".repeat(20), buyerBtc: null };
+  const INDEX = {
+    version: 2,
+    contractId: CONTRACT,
+    height: 5,
+    burnHeight: 800_005,
+    blocks: {},
+    events: [
+      event(1, { event: "list", id: 1, seller: "SP16H0KE0BPR4XNQ64115V5Y1V3XTPGMWG5YPC9TR" }),
+      event(2, { event: "cancel", id: 1, status: "open" }),
+      event(3, { event: "list", id: 2, seller: "SP16H0KE0BPR4XNQ64115V5Y1V3XTPGMWG5YPC9TR" }),
+    ],
+    details: { 1: details, 2: details },
+  };
+
+  let stacks: Server;
+  const mapKeys: string[] = [];
+
+  /** Stacks node stand-in: tip at the indexed height; the map holds listing 2 under the internal-order txid */
+  beforeAll(async () => {
+    stacks = createServer((req, res) => {
+      let body = "";
+      req.on("data", chunk => (body += chunk));
+      req.on("end", () => {
+        res.setHeader("Content-Type", "application/json");
+        if (req.url!.startsWith("/extended/v2/blocks")) {
+          return res.end(JSON.stringify({ results: [{ height: 5, hash: `0x${"cc".repeat(32)}`, burn_block_height: 800_005 }] }));
+        }
+        if (req.url!.startsWith("/v2/map_entry/SP16H0KE0BPR4XNQ64115V5Y1V3XTPGMWG5YPC9TR/inscription-escrow/inscription-listings")) {
+          mapKeys.push(JSON.parse(body));
+          // (some u2) if keyed by the internal-order txid, else none
+          const data = body.includes(INTERNAL) ? `0x0a01${"00".repeat(15)}02` : "0x09";
+          return res.end(JSON.stringify({ data }));
+        }
+        res.statusCode = 404;
+        res.end("{}");
+      });
+    });
+    await new Promise(resolve => stacks.listen(STACKS_PORT, "127.0.0.1", () => resolve(null)));
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => stacks.close(resolve));
+  });
+
+  it("takes the txid in display order and looks the output up in internal order", async () => {
+    await withApi("strict", async () => {
+      const { status, body } = await getJson(`/inscriptions/${DISPLAY.toUpperCase()}/1`);
+      expect(status).toBe(200);
+      expect(body).toMatchObject({ txid: DISPLAY, vout: 1, listingId: 2, listing: { id: 2, status: "open" }, indexedHeight: 5 });
+      expect(body.pastListings.map((l: { id: number }) => l.id)).toEqual([1]);
+      expect(mapKeys.at(-1)).toContain(INTERNAL);
+
+      // The same bytes in internal order name another output: nothing listed there
+      const reversed = await getJson(`/inscriptions/${INTERNAL}/1`);
+      expect(reversed.body).toMatchObject({ txid: INTERNAL, listingId: null, listing: null, pastListings: [] });
+    }, { stacksApi: `http://127.0.0.1:${STACKS_PORT}`, index: INDEX });
+  });
+});
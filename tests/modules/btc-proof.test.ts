@@ -0,0 +1,148 @@
+import { describe, it, expect } from "vitest";
+import * as bitcoin from "bitcoinjs-lib";
+import {
+  buildMerkleProof,
+  verifyMerkleProof,
+  checkListingMatch,
+  buildSubmitProof,
+  buildSubmitProofSegwit,
+  SEGWIT_CONTRACT_LIMITATION,
+} from "../../btc-proof.mjs";
+
+const internal = (displayHex: string) => Buffer.from(displayHex, "hex").reverse();
+
+// Mainnet block 100000 (000000000003ba27aa200b1cecaad478d2b00432346c3f1f3986da1afd33e506)
+const BLOCK_100000_TXIDS = [
+  "8c14f0db3df150123e6f3dbbf30f8b955a8249b62ac1d1ff16284aefa3d06d87",
+  "fff2525b8931402dd09222c50775608f75787bd2b87e56995a7bdd30f79702c4",
+  "6359f0868171b1d194cbee1af2f16ea598ae8fad666d9b012c8ed2b79a236ec4",
+  "e9a66845e05d5abc0ad04ec80f774a7e585c6e8db975962d069a522137b80c1d",
+].map(internal);
+const BLOCK_100000_MERKLE_ROOT = internal("f3e94742aca4b5ef85488dc37c06c3282295ffec960994b2c0d5ac2a25a95766");
+
+const INSCRIPTION_TXID = Buffer.alloc(32, 0xab);
+const BUYER_BTC = Buffer.from("0014" + "02".repeat(20), "hex");
+const OTHER = Buffer.from("0014" + "03".repeat(20), "hex");
+
+function listing(overrides = {}) {
+  return {
+    id: 3,
+    status: "committed",
+    inscriptionTxid: INSCRIPTION_TXID.toString("hex"),
+    inscriptionVout: 1,
+    buyerBtc: BUYER_BTC.toString("hex"),
+    ...overrides,
+  };
+}
+
+function delivery(outs: [Buffer, bigint][]) {
+  const tx = new bitcoin.Transaction();
+  tx.version = 2;
+  tx.addInput(INSCRIPTION_TXID, 1);
+  for (const [script, value] of outs) tx.addOutput(script, value);
+  return tx;
+}
+
+describe("merkle proofs", () => {
+  it("recomputes block 100000's merkle root for every transaction", () => {
+    for (let i = 0; i < BLOCK_100000_TXIDS.length; i++) {
+      const proof = buildMerkleProof(BLOCK_100000_TXIDS, i);
+      expect(proof.merkleRoot).toEqual(BLOCK_100000_MERKLE_ROOT);
+      expect(proof.treeDepth).toBe(2);
+      expect(verifyMerkleProof(BLOCK_100000_TXIDS[i], BLOCK_100000_MERKLE_ROOT, proof)).toBe(true);
+    }
+  });
+
+  it("rejects a proof for another leaf or index", () => {
+    const proof = buildMerkleProof(BLOCK_100000_TXIDS, 2);
+    expect(verifyMerkleProof(BLOCK_100000_TXIDS[1], BLOCK_100000_MERKLE_ROOT, proof)).toBe(false);
+    expect(verifyMerkleProof(BLOCK_100000_TXIDS[2], BLOCK_100000_MERKLE_ROOT, { ...proof, txIndex: 3 })).toBe(false);
+  });
+
+  it("pairs the last node of an odd level with itself", () => {
+    const leaves = BLOCK_100000_TXIDS.slice(0, 3);
+    const proof = buildMerkleProof(leaves, 2);
+    expect(proof.hashes[0]).toEqual(leaves[2]);
+    expect(verifyMerkleProof(leaves[2], proof.merkleRoot, proof)).toBe(true);
+  });
+});
+
+describe("checkListingMatch", () => {
+  it("accepts a delivery to buyer-btc", () => {
+    expect(checkListingMatch(delivery([[BUYER_BTC, 546n]]), listing())).toEqual([]);
+  });
+
+  it("checks the last output to buyer-btc, as the contract's find-out fold does", () => {
+    expect(checkListingMatch(delivery([[BUYER_BTC, 10_000n], [OTHER, 5000n], [BUYER_BTC, 500n]]), listing()))
+      .toEqual([expect.stringMatching(/Output 2 .* 500 sats/)]);
+    expect(checkListingMatch(delivery([[BUYER_BTC, 500n], [BUYER_BTC, 10_000n]]), listing())).toEqual([]);
+  });
+
+  it("reads only the low 32 bits of the value", () => {
+    // 2^32 + 100 sats: the contract reads 100
+    expect(checkListingMatch(delivery([[BUYER_BTC, 2n ** 32n + 100n]]), listing()))
+      .toEqual([expect.stringMatching(/100 sats as read on-chain/)]);
+  });
+
+  it("reports the wrong UTXO, status and missing outputs", () => {
+    const errors = checkListingMatch(delivery([[OTHER, 10_000n]]), listing({ inscriptionVout: 0, status: "escrowed" }));
+    expect(errors).toEqual([
+      expect.stringMatching(/requires committed/),
+      expect.stringMatching(/does not spend inscription UTXO/),
+      "No output pays buyer-btc",
+    ]);
+  });
+});
+
+/** Block at BIP34 height 100000 holding `tx`, with a BIP141 witness commitment */
+function blockWith(tx: bitcoin.Transaction) {
+  const coinbase = new bitcoin.Transaction();
+  coinbase.addInput(Buffer.alloc(32), 0xffffffff, 0xffffffff, Buffer.from("03a08601", "hex"));
+  coinbase.setWitness(0, [Buffer.alloc(32)]);
+  coinbase.addOutput(OTHER, 50_0000_0000n);
+
+  const block = new bitcoin.Block();
+  block.version = 0x20000000;
+  block.prevHash = Buffer.alloc(32, 1);
+  block.timestamp = 1_700_000_000;
+  block.bits = 0x1d00ffff;
+  block.nonce = 0;
+  block.transactions = [coinbase, tx];
+  // With forWitness, bitcoinjs returns the commitment: hash256(witness root || reserved value)
+  const commitment = bitcoin.Block.calculateMerkleRoot(block.transactions, true);
+  coinbase.addOutput(Buffer.concat([Buffer.from("6a24aa21a9ed", "hex"), commitment]), 0n);
+  block.merkleRoot = bitcoin.Block.calculateMerkleRoot(block.transactions);
+  return block;
+}
+
+describe("buildSubmitProof", () => {
+  it("builds a proof from a raw block that verifies against its header", async () => {
+    const tx = delivery([[BUYER_BTC, 600n]]);
+    const block = blockWith(tx);
+
+    const proof = await buildSubmitProof({ rawTx: tx.toHex(), rawBlock: block.toHex(), listing: listing() });
+    expect(proof).toMatchObject({ valid: true, errors: [], height: 100_000, txid: tx.getId() });
+    expect(proof.args.proof).toMatchObject({ txIndex: 1, treeDepth: 1 });
+    expect(proof.clarityArgs).toHaveLength(5);
+  });
+});
+
+describe("buildSubmitProofSegwit", () => {
+  it("accepts a transaction without witness data", async () => {
+    const tx = delivery([[BUYER_BTC, 600n]]);
+    const proof = await buildSubmitProofSegwit({ rawTx: tx.toHex(), rawBlock: blockWith(tx).toHex(), listing: listing() });
+    expect(proof).toMatchObject({ valid: true, contractCompatible: true, errors: [] });
+  });
+
+  it("reports the contract limitation for a witness transaction, which submit-proof settles", async () => {
+    const tx = delivery([[BUYER_BTC, 600n]]);
+    tx.setWitness(0, [Buffer.alloc(64, 1)]);
+    const rawBlock = blockWith(tx).toHex();
+
+    const segwit = await buildSubmitProofSegwit({ rawTx: tx.toHex(), rawBlock, listing: listing() });
+    expect(segwit).toMatchObject({ valid: false, contractCompatible: false, errors: [SEGWIT_CONTRACT_LIMITATION] });
+
+    const legacy = await buildSubmitProof({ rawTx: tx.toHex(), rawBlock, listing: listing() });
+    expect(legacy).toMatchObject({ valid: true, errors: [] });
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, it, expect } from "vitest";
+import { randomBytes } from "crypto";
+import { Cl, serializeCV, deserializeCV } from "@stacks/transactions";
+import {
+  c32address,
+  c32addressDecode,
+  isValidPrincipal,
+  decodeCV,
+  cvToHex,
+  cvToValue,
+  tupleCV,
+  uintCV,
+  intCV,
+  bufferCV,
+  principalCV,
+  someCV,
+  noneCV,
+  listCV,
+  stringAsciiCV,
+  okCV,
+} from "../../clarity.mjs";
+
+const SELLER = "SP2J6ZY48GV1EZ5V2V5RB9MP66SW86PYKKNRV9EJ7";
+const CONTRACT = "SP16H0KE0BPR4XNQ64115V5Y1V3XTPGMWG5YPC9TR.inscription-escrow";
+
+describe("c32check addresses", () => {
+  it("round-trips random hash160s and matches @stacks/transactions", () => {
+    for (let i = 0; i < 200; i++) {
+      const hash = randomBytes(20);
+      const version = [22, 20, 26, 21][i % 4];
+      const address = c32address(version, hash);
+      // The library's principal serialization decodes the address independently
+      expect(serializeCV(Cl.standardPrincipal(address))).toBe(`05${version.toString(16).padStart(2, "0")}${hash.toString("hex")}`);
+      expect(c32addressDecode(address)).toEqual({ version, hash160: hash });
+    }
+  });
+
+  it("keeps leading zero bytes", () => {
+    const hash = Buffer.alloc(20);
+    hash[19] = 1;
+    const address = c32address(22, hash);
+    expect(c32addressDecode(address).hash160).toEqual(hash);
+  });
+
+  it("rejects bad checksums and malformed addresses", () => {
+    const last = SELLER.at(-1) === "7" ? "8" : "7";
+    expect(() => c32addressDecode(SELLER.slice(0, -1) + last)).toThrow(/Invalid Stacks address/);
+    expect(() => c32addressDecode("bc1qxyz")).toThrow(/Invalid Stacks address/);
+    expect(isValidPrincipal(CONTRACT)).toBe(true);
+    expect(isValidPrincipal(`${SELLER}.1bad-name`)).toBe(false);
+  });
+});
+
+describe("Clarity codec", () => {
+  const ours = tupleCV({
+    id: uintCV(7),
+    delta: intCV(-5),
+    txid: bufferCV(Buffer.from("ab".repeat(32), "hex")),
+    seller: principalCV(SELLER),
+    contract: principalCV(CONTRACT),
+    buyer: noneCV(),
+    fee: someCV(uintCV(10)),
+    outs: listCV([uintCV(1), uintCV(2)]),
+    event: stringAsciiCV("list"),
+  });
+  const library = Cl.tuple({
+    id: Cl.uint(7),
+    delta: Cl.int(-5),
+    txid: Cl.bufferFromHex("ab".repeat(32)),
+    seller: Cl.standardPrincipal(SELLER),
+    contract: Cl.contractPrincipal(...(CONTRACT.split(".") as [string, string])),
+    buyer: Cl.none(),
+    fee: Cl.some(Cl.uint(10)),
+    outs: Cl.list([Cl.uint(1), Cl.uint(2)]),
+    event: Cl.stringAscii("list"),
+  });
+
+  it("serializes like @stacks/transactions", () => {
+    expect(cvToHex(ours)).toBe(`0x${serializeCV(library)}`);
+  });
+
+  it("decodes the library's serialization back to the same value", () => {
+    const decoded = decodeCV(serializeCV(library));
+    expect(decoded).toEqual(ours);
+    expect(cvToValue(decoded)).toMatchObject({ id: 7, delta: -5, seller: SELLER, contract: CONTRACT, buyer: null, fee: 10 });
+  });
+
+  it("round-trips responses", () => {
+    const hex = cvToHex(okCV(uintCV(3)));
+    expect(deserializeCV(hex)).toEqual(Cl.ok(Cl.uint(3)));
+    expect(decodeCV(hex)).toEqual(okCV(uintCV(3)));
+  });
+
+  it("rejects trailing bytes", () => {
+    expect(() => decodeCV(`${serializeCV(Cl.uint(1))}00`)).toThrow(/Trailing bytes/);
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, it, expect } from "vitest";
+import { selectCoins, createUtxoFieldsLookup } from "../../coin-selection.mjs";
+
+// P2WPKH: 68 vB to spend, so at 1 sat/vB a UTXO's effective value is its value - 68
+const P2WPKH = Buffer.from("0014" + "0a".repeat(20), "hex");
+const P2WSH = Buffer.from("0020" + "0b".repeat(32), "hex");
+
+type Assets = { inscriptions?: string[]; runes?: string[] };
+
+const utxo = (byte: number, value: number, script = P2WPKH) => ({ txid: Buffer.alloc(32, byte).toString("hex"), vout: 0, value, script });
+const outpoint = (u: { txid: string; vout: number }) => `${u.txid}:${u.vout}`;
+
+/** Asset lookup answering from a fixture keyed by outpoint; an Error entry makes the lookup throw */
+function fixtureLookup(fixture: Map<string, Assets | Error>) {
+  return {
+    name: "fixture",
+    async getAssets(u: { txid: string; vout: number }) {
+      const assets = fixture.get(outpoint(u));
+      if (assets instanceof Error) throw assets;
+      return { inscriptions: [], runes: [], ...assets };
+    },
+  };
+}
+
+// Clean UTXOs worth 30k, 20k and 10k after their input fee
+const CLEAN = [utxo(1, 30_068), utxo(2, 20_068), utxo(3, 10_068)];
+
+describe("selectCoins: what must never be spent", () => {
+  // Each larger than everything clean, so a selection that ignored the checks would take them
+  const inscribed = utxo(0x10, 1_000_000);
+  const runic = utxo(0x11, 1_000_000);
+  const reserved = utxo(0x12, 1_000_000);
+  const unknown = utxo(0x13, 1_000_000);
+  const unsupported = utxo(0x14, 1_000_000, P2WSH);
+  const dust = utxo(0x15, 60);
+  const UTXOS = [inscribed, runic, reserved, unknown, unsupported, dust, ...CLEAN];
+  const lookup = fixtureLookup(new Map<string, Assets | Error>([
+    [outpoint(inscribed), { inscriptions: [`${inscribed.txid}i0`] }],
+    [outpoint(runic), { runes: ["UNCOMMON•GOODS"] }],
+    [outpoint(reserved), {}],
+    [outpoint(unknown), new Error("ord server 404 on output")],
+  ]));
+
+  it("skips UTXOs with inscriptions, runes, reservations or failed lookups, with a reason for each", async () => {
+    const { selected, skipped } = await selectCoins({ utxos: UTXOS, target: 40_000, feeRate: 1, lookup, reserved: [outpoint(reserved)] });
+    expect(selected).toEqual([CLEAN[0], CLEAN[2]]);
+    expect(skipped).toEqual([
+      { txid: inscribed.txid, vout: 0, value: 1_000_000, reason: "inscription", detail: [`${inscribed.txid}i0`] },
+      { txid: runic.txid, vout: 0, value: 1_000_000, reason: "rune", detail: ["UNCOMMON•GOODS"] },
+      { txid: reserved.txid, vout: 0, value: 1_000_000, reason: "reserved" },
+      { txid: unknown.txid, vout: 0, value: 1_000_000, reason: "lookup-failed", detail: "ord server 404 on output" },
+      { txid: unsupported.txid, vout: 0, value: 1_000_000, reason: "unsupported", detail: "Cannot estimate the size of a p2wsh input" },
+      { txid: dust.txid, vout: 0, value: 60, reason: "uneconomical", detail: "spending it costs 68 sats" },
+    ]);
+  });
+
+  it("fails rather than touch them when the rest can't cover the target", async () => {
+    const err = await selectCoins({ utxos: UTXOS, target: 100_000, feeRate: 1, lookup, reserved: [outpoint(reserved)] })
+      .catch((e: Error & { code?: string; skipped?: unknown[] }) => e);
+    expect(err).toMatchObject({
+      code: "INSUFFICIENT_FUNDS",
+      message: "Insufficient funds: need 100000 sats after input fees, usable UTXOs provide 60000 (6 skipped)",
+    });
+    expect((err as { skipped: unknown[] }).skipped).toHaveLength(6);
+  });
+
+  it("reads the UTXOs' own fields by default, in either rune shape", async () => {
+    const withFields = [
+      { ...utxo(0x20, 1_000_000), inscriptions: [`${"cc".repeat(32)}i3`] },
+      { ...utxo(0x21, 1_000_000), runes: [["DOG•GO•TO•THE•MOON", 5]] },
+      { ...utxo(0x22, 1_000_000), runes: { "Z•Z•Z": 1 } },
+      ...CLEAN,
+    ];
+    const { selected, skipped } = await selectCoins({ utxos: withFields, target: 50_000, feeRate: 1 });
+    expect(selected).toEqual([CLEAN[0], CLEAN[1]]);
+    expect(skipped.map((s: { reason: string; detail: unknown }) => [s.reason, s.detail])).toEqual([
+      ["inscription", [`${"cc".repeat(32)}i3`]],
+      ["rune", ["DOG•GO•TO•THE•MOON"]],
+      ["rune", ["Z•Z•Z"]],
+    ]);
+    expect(await createUtxoFieldsLookup().getAssets(CLEAN[0])).toEqual({ inscriptions: [], runes: [] });
+  });
+});
+
+describe("selectCoins: algorithms", () => {
+  const select = (target: number) => selectCoins({ utxos: CLEAN, target, feeRate: 1, random: () => 0.25 });
+
+  it("finds a change-less set with branch and bound, overshooting by at most the cost of change", async () => {
+    expect(await select(40_000)).toEqual({
+      selected: [CLEAN[0], CLEAN[2]],
+      skipped: [],
+      algorithm: "branch-and-bound",
+      inputValue: 40_136,
+      effectiveValue: 40_000,
+    });
+    // 50 over: less than a P2TR change output (43 vB) plus spending it later (57.5 vB)
+    expect(await select(39_950)).toMatchObject({ algorithm: "branch-and-bound", effectiveValue: 40_000 });
+    // Exact match wins over a looser one
+    expect((await select(30_000)).selected).toEqual([CLEAN[0]]);
+  });
+
+  it("falls back to knapsack with room for change when no set is close enough", async () => {
+    // 40,050 + 43 change fee + 546 minimum change: 30k + 20k is the smallest cover
+    const result = await select(40_050);
+    expect(result).toMatchObject({ algorithm: "knapsack", effectiveValue: 50_000 });
+    expect(result.selected).toEqual([CLEAN[0], CLEAN[1]]);
+
+    // A single UTXO covering it beats any larger subset
+    const single = await selectCoins({ utxos: [utxo(4, 45_068), ...CLEAN], target: 40_050, feeRate: 1, random: () => 0.75 });
+    expect(single).toMatchObject({ algorithm: "knapsack", selected: [expect.objectContaining({ value: 45_068 })] });
+  });
+
+  it("falls back to largest first when only a change-less set covers the target", async () => {
+    // 200 over with everything, but no room for change
+    expect(await select(59_800)).toMatchObject({ algorithm: "largest-first", selected: CLEAN, effectiveValue: 60_000 });
+  });
+});
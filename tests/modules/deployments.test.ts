@@ -0,0 +1,109 @@
+import { describe, it, expect, afterEach } from "vitest";
+import { mkdtempSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { normalizeDeployment, loadDeployments } from "../../deployments.mjs";
+
+const MAINNET = "SP16H0KE0BPR4XNQ64115V5Y1V3XTPGMWG5YPC9TR.inscription-escrow";
+const TESTNET = "ST3D88581D35Z0ZAM7QFVWTDRM14N1TBEYWCGE4Z3.inscription-escrow";
+const DEVNET = "ST1PQHQKV0RJXZFY1DGX8MNSNYVE3VGZJSRTPGZGM.inscription-escrow";
+
+const dirs: string[] = [];
+
+afterEach(() => {
+  for (const dir of dirs.splice(0)) rmSync(dir, { recursive: true, force: true });
+});
+
+/** Environment pointing DEPLOYMENTS_CONFIG at a temporary file holding `config` */
+function configEnv(config: unknown) {
+  const dir = mkdtempSync(join(tmpdir(), "deployments-"));
+  dirs.push(dir);
+  const path = join(dir, "deployments.json");
+  writeFileSync(path, typeof config === "string" ? config : JSON.stringify(config));
+  return { DEPLOYMENTS_CONFIG: path };
+}
+
+describe("normalizeDeployment", () => {
+  it("fills in network defaults and keys by network and contract name", () => {
+    expect(normalizeDeployment({ network: "testnet", contract: TESTNET })).toMatchObject({
+      key: "testnet/inscription-escrow",
+      contractAddress: "ST3D88581D35Z0ZAM7QFVWTDRM14N1TBEYWCGE4Z3",
+      contractName: "inscription-escrow",
+      stacksApi: "https://api.testnet.hiro.so",
+      sbtc: { contract: "ST3D88581D35Z0ZAM7QFVWTDRM14N1TBEYWCGE4Z3.sbtc-token", asset: "sbtc" },
+      ordinals: null,
+      indexPath: ".cache/testnet/inscription-escrow/index.json",
+    });
+    expect(normalizeDeployment({ network: "mainnet", contract: MAINNET }).ordinals).toMatchObject({ provider: "hiro" });
+  });
+
+  it("refuses a contract address from the other network", () => {
+    expect(() => normalizeDeployment({ network: "testnet", contract: MAINNET }))
+      .toThrow(`Contract ${MAINNET} is a mainnet address but the deployment is testnet`);
+    expect(() => normalizeDeployment({ network: "mainnet", contract: TESTNET }))
+      .toThrow(`Contract ${TESTNET} is a testnet address but the deployment is mainnet`);
+    expect(() => normalizeDeployment({ network: "devnet", contract: MAINNET })).toThrow("deployment is devnet");
+    expect(normalizeDeployment({ network: "devnet", contract: DEVNET }).key).toBe("devnet/inscription-escrow");
+  });
+
+  it("rejects unknown networks, malformed contracts and bad optional fields", () => {
+    expect(() => normalizeDeployment({ network: "regtest", contract: TESTNET })).toThrow('Invalid network "regtest"');
+    expect(() => normalizeDeployment({ network: "testnet", contract: "ST3D88581D35Z0ZAM7QFVWTDRM14N1TBEYWCGE4Z3" }))
+      .toThrow("expected <address>.<name>");
+    expect(() => normalizeDeployment({ network: "testnet", contract: TESTNET, stacksApiFallbacks: "https://x" }))
+      .toThrow("Invalid stacksApiFallbacks");
+    expect(() => normalizeDeployment({ network: "testnet", contract: TESTNET, ordinals: { provider: "magiceden", url: "https://x" } }))
+      .toThrow("Invalid ordinals");
+  });
+});
+
+describe("loadDeployments", () => {
+  it("loads every configured deployment and the named default", () => {
+    const { deployments, defaultKey } = loadDeployments(configEnv({
+      default: "testnet/inscription-escrow",
+      deployments: [{ network: "mainnet", contract: MAINNET }, { network: "testnet", contract: TESTNET }],
+    }));
+    expect([...deployments.keys()]).toEqual(["mainnet/inscription-escrow", "testnet/inscription-escrow"]);
+    expect(defaultKey).toBe("testnet/inscription-escrow");
+  });
+
+  it("defaults to the first deployment", () => {
+    const { defaultKey } = loadDeployments(configEnv({ deployments: [{ network: "testnet", contract: TESTNET }, { network: "mainnet", contract: MAINNET }] }));
+    expect(defaultKey).toBe("testnet/inscription-escrow");
+  });
+
+  it("refuses two deployments with the same key", () => {
+    // Different contracts, but both would be served under /testnet/inscription-escrow
+    expect(() => loadDeployments(configEnv({
+      deployments: [{ network: "testnet", contract: TESTNET }, { network: "testnet", contract: DEVNET }],
+    }))).toThrow("Duplicate deployment testnet/inscription-escrow");
+  });
+
+  it("refuses a default that is not configured", () => {
+    expect(() => loadDeployments(configEnv({
+      default: "mainnet/inscription-escrow",
+      deployments: [{ network: "testnet", contract: TESTNET }],
+    }))).toThrow("Default deployment mainnet/inscription-escrow is not configured");
+  });
+
+  it("reports unreadable and empty configs", () => {
+    expect(() => loadDeployments(configEnv("{ not json"))).toThrow(/^Could not read .*deployments\.json/);
+    expect(() => loadDeployments(configEnv({ deployments: [] }))).toThrow('"deployments" must be a non-empty array');
+  });
+
+  it("builds the single deployment from the environment without a config file", () => {
+    const { deployments, defaultKey } = loadDeployments({
+      CONTRACT_ADDRESS: "ST3D88581D35Z0ZAM7QFVWTDRM14N1TBEYWCGE4Z3",
+      CONTRACT_NAME: "escrow-v2",
+      STACKS_API_FALLBACKS: "https://a.example, https://b.example",
+    });
+    expect(defaultKey).toBe("testnet/escrow-v2");
+    expect(deployments.get(defaultKey)).toMatchObject({
+      network: "testnet",
+      stacksApiFallbacks: ["https://a.example", "https://b.example"],
+      indexPath: ".cache/escrow-index.json",
+    });
+    expect(() => loadDeployments({ CONTRACT_ADDRESS: "ST3D88581D35Z0ZAM7QFVWTDRM14N1TBEYWCGE4Z3", STACKS_NETWORK: "mainnet" }))
+      .toThrow("is a testnet address but the deployment is mainnet");
+  });
+});
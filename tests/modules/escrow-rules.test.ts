@@ -0,0 +1,75 @@
+import { describe, it, expect } from "vitest";
+import { getTradeTimeline, COMMIT_EXPIRY, EXPIRY } from "../../escrow-rules.mjs";
+
+// `when` (blockHeight) is the burn height of the accept or commit
+const WHEN = 1000;
+const listing = (status: string, overrides = {}) => ({
+  id: 1,
+  status,
+  seller: "SP1SELLER",
+  price: 50_000,
+  premium: 2000,
+  collateral: 3000,
+  blockHeight: WHEN,
+  ...overrides,
+});
+
+describe("getTradeTimeline", () => {
+  it("uses the contract's expiry constants", () => {
+    expect(COMMIT_EXPIRY).toBe(50);
+    expect(EXPIRY).toBe(100);
+  });
+
+  it("closes the commit window and opens cancel at when + COMMIT_EXPIRY, inclusive", () => {
+    const open = getTradeTimeline(listing("escrowed"), WHEN + 49);
+    expect(open).toMatchObject({ commitDeadline: WHEN + 50, deliveryDeadline: null, blocksRemaining: 1, expired: false });
+    expect(open.actions.commit).toEqual({ allowed: true, by: "SP1SELLER", minCollateral: 2000 });
+    expect(open.actions.cancel).toEqual({ allowed: false, by: "anyone", fromHeight: WHEN + 50 });
+
+    // Contract: commit needs height < when + 50, cancel needs when + 50 <= height
+    const closed = getTradeTimeline(listing("escrowed"), WHEN + 50);
+    expect(closed).toMatchObject({ blocksRemaining: 0, expired: true });
+    expect(closed.actions.commit.allowed).toBe(false);
+    expect(closed.actions.cancel.allowed).toBe(true);
+    expect(getTradeTimeline(listing("escrowed"), WHEN + 500).blocksRemaining).toBe(0);
+  });
+
+  it("opens cancel on a committed listing at when + EXPIRY, inclusive, and keeps submit-proof open", () => {
+    const before = getTradeTimeline(listing("committed"), WHEN + 99);
+    expect(before).toMatchObject({ commitDeadline: null, deliveryDeadline: WHEN + 100, blocksRemaining: 1, expired: false });
+    expect(before.actions.cancel).toEqual({ allowed: false, by: "anyone", fromHeight: WHEN + 100 });
+
+    const after = getTradeTimeline(listing("committed"), WHEN + 100);
+    expect(after.expired).toBe(true);
+    expect(after.actions.cancel.allowed).toBe(true);
+    expect(after.actions.submitProof).toEqual({ allowed: true, by: "anyone" });
+  });
+
+  it("refunds price + premium for an escrowed listing and adds the collateral once committed", () => {
+    expect(getTradeTimeline(listing("escrowed"), WHEN).payouts).toEqual({
+      onCancel: { buyer: 52_000, seller: 0 },
+      onSettle: null,
+    });
+    expect(getTradeTimeline(listing("committed"), WHEN).payouts).toEqual({
+      onCancel: { buyer: 55_000, seller: 0 },
+      onSettle: { buyer: 0, seller: 55_000 },
+    });
+  });
+
+  it("lets anyone but the seller accept an open listing, and only the seller cancel it", () => {
+    const timeline = getTradeTimeline(listing("open"), WHEN);
+    expect(timeline).toMatchObject({ commitDeadline: null, deliveryDeadline: null, blocksRemaining: null, expired: false });
+    expect(timeline.actions.accept).toEqual({ allowed: true, by: "anyone except seller", amount: 52_000 });
+    expect(timeline.actions.cancel).toEqual({ allowed: true, by: "SP1SELLER" });
+    expect(timeline.payouts.onCancel).toEqual({ buyer: 0, seller: 0 });
+  });
+
+  it("allows nothing on a finished listing", () => {
+    for (const status of ["done", "cancelled"]) {
+      const { actions, payouts, expired } = getTradeTimeline(listing(status), WHEN + 1000);
+      expect(Object.values(actions).every(action => !action.allowed), status).toBe(true);
+      expect(payouts).toEqual({ onCancel: null, onSettle: null });
+      expect(expired).toBe(false);
+    }
+  });
+});
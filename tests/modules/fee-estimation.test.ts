@@ -0,0 +1,130 @@
+import { describe, it, expect } from "vitest";
+import * as bitcoin from "bitcoinjs-lib";
+import * as ecc from "tiny-secp256k1";
+import { ECPairFactory } from "ecpair";
+import { inputVbytes, outputVbytes, estimateVsize } from "../../fee-estimation.mjs";
+
+bitcoin.initEccLib(ecc);
+const ECPair = ECPairFactory(ecc);
+
+type InputType = "p2pkh" | "p2sh-p2wpkh" | "p2wpkh" | "p2tr";
+
+// Fixed keys: RFC 6979 signatures, so the same lengths on every run
+const keyFor = (byte: number) => ECPair.fromPrivateKey(Buffer.alloc(32, byte));
+
+function paymentFor(type: InputType, key: ReturnType<typeof keyFor>) {
+  switch (type) {
+    case "p2pkh": return bitcoin.payments.p2pkh({ pubkey: key.publicKey });
+    case "p2sh-p2wpkh": return bitcoin.payments.p2sh({ redeem: bitcoin.payments.p2wpkh({ pubkey: key.publicKey }) });
+    case "p2wpkh": return bitcoin.payments.p2wpkh({ pubkey: key.publicKey });
+    case "p2tr": return bitcoin.payments.p2tr({ internalPubkey: key.publicKey.subarray(1, 33) });
+  }
+}
+
+const OUTPUTS = {
+  p2pkh: bitcoin.payments.p2pkh({ hash: Buffer.alloc(20, 1) }).output!,
+  p2sh: bitcoin.payments.p2sh({ hash: Buffer.alloc(20, 2) }).output!,
+  p2wpkh: bitcoin.payments.p2wpkh({ hash: Buffer.alloc(20, 3) }).output!,
+  p2wsh: bitcoin.payments.p2wsh({ hash: Buffer.alloc(32, 4) }).output!,
+  p2tr: bitcoin.payments.p2tr({ pubkey: keyFor(5).publicKey.subarray(1, 33) }).output!,
+};
+
+/**
+ * Sign and extract a transaction spending one 100k-sat output per entry of
+ * `inputs`. Returns it with how many bytes its ECDSA signatures fall short of
+ * the 72 the estimate assumes, weighted as the estimate counts them.
+ */
+function signedTx(inputs: { type: InputType; sighashType?: number }[], outputs: Uint8Array[]) {
+  const psbt = new bitcoin.Psbt();
+  const signers = inputs.map(({ type }, i) => {
+    const key = keyFor(i + 1);
+    const payment = paymentFor(type, key);
+    const funding = new bitcoin.Transaction();
+    funding.addInput(Buffer.alloc(32, 0xee), i);
+    funding.addOutput(payment.output!, 100_000n);
+    psbt.addInput({
+      hash: funding.getHash(),
+      index: 0,
+      ...(type === "p2pkh"
+        ? { nonWitnessUtxo: funding.toBuffer() }
+        : { witnessUtxo: { script: payment.output!, value: 100_000n } }),
+      ...(type === "p2sh-p2wpkh" && { redeemScript: payment.redeem!.output! }),
+      ...(type === "p2tr" && { tapInternalKey: key.publicKey.subarray(1, 33) }),
+    });
+    return type === "p2tr"
+      ? key.tweak(bitcoin.crypto.taggedHash("TapTweak", key.publicKey.subarray(1, 33)))
+      : key;
+  });
+  const value = BigInt(Math.floor((inputs.length * 100_000 - 2000) / outputs.length));
+  for (const script of outputs) psbt.addOutput({ script, value });
+  inputs.forEach(({ sighashType }, i) => {
+    if (sighashType) psbt.updateInput(i, { sighashType });
+    psbt.signInput(i, signers[i], sighashType ? [sighashType] : undefined);
+  });
+  psbt.finalizeAllInputs();
+  const tx = psbt.extractTransaction();
+
+  const shortfall = inputs.reduce((sum, { type }, i) => {
+    if (type === "p2tr") return sum;
+    if (type === "p2pkh") return sum + (72 - bitcoin.script.decompile(tx.ins[i].script)![0].length) * 4;
+    return sum + 72 - tx.ins[i].witness[0].length;
+  }, 0);
+  return { tx, shortfall };
+}
+
+describe("estimateVsize against signed transactions", () => {
+  it.each(["p2pkh", "p2sh-p2wpkh", "p2wpkh", "p2tr"] as const)("matches a %s spend, less any signature shorter than 72 bytes", (type) => {
+    const { tx, shortfall } = signedTx([{ type }], [OUTPUTS.p2wpkh]);
+    const estimate = estimateVsize({
+      inputs: [{ script: paymentFor(type, keyFor(1)).output! }],
+      outputs: [{ script: OUTPUTS.p2wpkh }],
+    });
+    expect(estimate.inputs[0].type).toBe(type);
+    expect(estimate.weight - shortfall).toBe(tx.weight());
+    // Never below the real size, and at most a vbyte over
+    expect(estimate.vsize).toBeGreaterThanOrEqual(tx.virtualSize());
+    expect(estimate.vsize - tx.virtualSize()).toBeLessThanOrEqual(1);
+  });
+
+  it("counts the longer taproot signature of a non-default sighash", () => {
+    const { tx } = signedTx([{ type: "p2tr", sighashType: bitcoin.Transaction.SIGHASH_ALL }], [OUTPUTS.p2tr]);
+    expect(tx.ins[0].witness[0]).toHaveLength(65);
+    const script = paymentFor("p2tr", keyFor(1)).output!;
+    expect(estimateVsize({ inputs: [{ script, sighashType: bitcoin.Transaction.SIGHASH_ALL }], outputs: [{ script: OUTPUTS.p2tr }] }).weight)
+      .toBe(tx.weight());
+    expect(inputVbytes(script, { sighashType: bitcoin.Transaction.SIGHASH_ALL }).vbytes - inputVbytes(script).vbytes).toBe(0.25);
+  });
+
+  it("sizes every output type", () => {
+    const outputs = Object.values(OUTPUTS);
+    const { tx, shortfall } = signedTx([{ type: "p2wpkh" }], outputs);
+    const estimate = estimateVsize({ inputs: [{ script: paymentFor("p2wpkh", keyFor(1)).output! }], outputs: outputs.map(script => ({ script })) });
+    expect(estimate.weight - shortfall).toBe(tx.weight());
+    expect(estimate.outputs.map(o => o.type)).toEqual(Object.keys(OUTPUTS));
+    expect(Object.values(OUTPUTS).map(outputVbytes)).toEqual([34, 32, 31, 43, 43]);
+  });
+
+  it("counts the empty witness of a legacy input in a segwit transaction", () => {
+    const types = ["p2pkh", "p2wpkh", "p2tr"] as const;
+    const { tx, shortfall } = signedTx(types.map(type => ({ type })), [OUTPUTS.p2tr, OUTPUTS.p2wpkh]);
+    const estimate = estimateVsize({
+      inputs: types.map((type, i) => ({ script: paymentFor(type, keyFor(i + 1)).output! })),
+      outputs: [{ script: OUTPUTS.p2tr }, { script: OUTPUTS.p2wpkh }],
+    });
+    expect(estimate.weight - shortfall).toBe(tx.weight());
+  });
+});
+
+describe("inputVbytes", () => {
+  it("reports the documented worst-case sizes and refuses scripts it can't size", () => {
+    expect(["p2pkh", "p2sh-p2wpkh", "p2wpkh", "p2tr"].map(type => inputVbytes(paymentFor(type as InputType, keyFor(1)).output!)))
+      .toEqual([
+        { type: "p2pkh", vbytes: 148 },
+        { type: "p2sh-p2wpkh", vbytes: 91 },
+        { type: "p2wpkh", vbytes: 68 },
+        { type: "p2tr", vbytes: 57.5 },
+      ]);
+    expect(() => inputVbytes(OUTPUTS.p2wsh)).toThrow("Cannot estimate the size of a p2wsh input");
+    expect(() => inputVbytes(Buffer.from("6a", "hex"))).toThrow("Cannot estimate the size of a non-standard input");
+  });
+});
@@ -0,0 +1,122 @@
+import { describe, it, expect } from "vitest";
+import { createIndexer } from "../../indexer.mjs";
+import { createLogger } from "../../logger.mjs";
+
+const SELLER = "SP2J6ZY48GV1EZ5V2V5RB9MP66SW86PYKKNRV9EJ7";
+const BUYER = "SP3FBR2AGK5H9QBDH3EEN6DF8EK8JY7RX8QJ5SVTE";
+
+const listEvent = (id: number) => ({ event: "list", id, seller: SELLER });
+const acceptEvent = (id: number) => ({ event: "accept", id, buyer: BUYER });
+
+/**
+ * In-memory event source: `chain` maps height → { hash, events }.
+ * Replacing entries simulates a fork.
+ */
+function fixtureSource(chain: Map<number, { hash: string; events: object[] }>) {
+  return {
+    contractId: `${SELLER}.inscription-escrow`,
+    async getTip() {
+      const height = Math.max(...chain.keys());
+      return { height, hash: chain.get(height)!.hash, burnBlockHeight: 800_000 + height };
+    },
+    async getBlockHash(height: number) {
+      return chain.get(height)?.hash ?? null;
+    },
+    async getEvents({ fromHeight, toHeight }: { fromHeight: number; toHeight: number }) {
+      const events = [];
+      for (const [height, block] of [...chain].sort(([a], [b]) => a - b)) {
+        if (height <= fromHeight || height > toHeight) continue;
+        for (const [eventIndex, payload] of block.events.entries()) {
+          events.push({
+            txid: `0x${block.hash}${eventIndex}`,
+            blockHeight: height,
+            blockHash: block.hash,
+            burnBlockHeight: 800_000 + height,
+            txIndex: 0,
+            eventIndex,
+            payload,
+          });
+        }
+      }
+      return events;
+    },
+    async getListing(id: number) {
+      return {
+        "inscription-txid": "ab".repeat(32),
+        "inscription-vout": id,
+        price: 100_000,
+        premium: 0,
+        "seller-btc": "0014" + "01".repeat(20),
+        "buyer-btc": "0014" + "02".repeat(20),
+      };
+    },
+  };
+}
+
+describe("indexer", () => {
+  it("indexes listings and their history", async () => {
+    const chain = new Map([
+      [1, { hash: "a1", events: [listEvent(0)] }],
+      [2, { hash: "a2", events: [acceptEvent(0), listEvent(1)] }],
+    ]);
+    const indexer = createIndexer({ source: fixtureSource(chain) });
+
+    const result = await indexer.sync();
+
+    expect(result).toEqual({ height: 2, newEvents: 3, reorg: null });
+    expect(indexer.getListing(0)).toMatchObject({ status: "escrowed", buyer: BUYER, inscriptionVout: 0 });
+    expect(indexer.getListing(0)!.history.map((h: { event: string }) => h.event)).toEqual(["list", "accept"]);
+    expect(indexer.getStats()).toMatchObject({ total: 2, open: 1, escrowed: 1 });
+  });
+
+  it("rolls back events above the fork point and re-ingests the new fork", async () => {
+    const chain = new Map([
+      [1, { hash: "a1", events: [listEvent(0)] }],
+      [2, { hash: "a2", events: [acceptEvent(0)] }],
+      [3, { hash: "a3", events: [listEvent(1)] }],
+    ]);
+    const indexer = createIndexer({ source: fixtureSource(chain) });
+    await indexer.sync();
+    expect(indexer.getListing(1)).not.toBeNull();
+
+    // Blocks 2 and 3 are replaced: the accept moves to block 3, listing 1 disappears
+    chain.set(2, { hash: "b2", events: [] });
+    chain.set(3, { hash: "b3", events: [acceptEvent(0)] });
+    chain.set(4, { hash: "b4", events: [] });
+    const updates: { reorg: unknown }[] = [];
+    indexer.subscribe((update: { reorg: unknown }) => updates.push(update));
+
+    const result = await indexer.sync();
+
+    expect(result.reorg).toEqual({ from: 3, to: 1 });
+    expect(updates[0].reorg).toEqual({ from: 3, to: 1 });
+    expect(indexer.getListing(1)).toBeNull();
+    expect(indexer.getListing(0)).toMatchObject({ status: "escrowed", updatedAt: 3 });
+    expect(indexer.getEvents().map((e: { blockHash: string }) => e.blockHash)).toEqual(["a1", "b3"]);
+    expect(indexer.status()).toMatchObject({ height: 4, events: 2 });
+  });
+
+  it("keeps events when the recorded tip is still canonical", async () => {
+    const chain = new Map([[1, { hash: "a1", events: [listEvent(0)] }]]);
+    const indexer = createIndexer({ source: fixtureSource(chain) });
+    await indexer.sync();
+
+    chain.set(2, { hash: "a2", events: [acceptEvent(0)] });
+    const result = await indexer.sync();
+
+    expect(result).toEqual({ height: 2, newEvents: 1, reorg: null });
+    expect(indexer.getEvents()).toHaveLength(2);
+  });
+
+  it("logs a failing listener as JSON and still completes the sync", async () => {
+    const lines: string[] = [];
+    const chain = new Map([[1, { hash: "a1", events: [listEvent(0)] }]]);
+    const indexer = createIndexer({ source: fixtureSource(chain), log: createLogger({ write: line => lines.push(line) }) });
+    indexer.subscribe(() => { throw new Error("listener broke"); });
+
+    expect(await indexer.sync()).toMatchObject({ height: 1, newEvents: 1 });
+    expect(lines.map(line => JSON.parse(line))).toEqual([
+      expect.objectContaining({ level: "warn", msg: "indexer listener failed", height: 1, error: "listener broke" }),
+    ]);
+  });
+});
@@ -0,0 +1,205 @@
+import { describe, it, expect, vi } from "vitest";
+import * as bitcoin from "bitcoinjs-lib";
+import { createKeeper } from "../../keeper.mjs";
+import { createLogger } from "../../logger.mjs";
+
+// Internal byte order, as the contract stores it
+const INSCRIPTION_TXID = Buffer.from(Array.from({ length: 32 }, (_, i) => i + 1));
+const BUYER_BTC = Buffer.from("0014" + "02".repeat(20), "hex");
+
+/** Indexer stand-in over a fixed set of listings at burn height 200 */
+function fixtureIndexer(listings: object[], sync = async () => {}) {
+  return {
+    sync,
+    status: () => ({ burnHeight: 200 }),
+    getListings: () => listings,
+  };
+}
+
+function jsonLogger() {
+  const lines: string[] = [];
+  return { lines, log: createLogger({ level: "debug", write: line => lines.push(line) }) };
+}
+
+/** Committed listing; at burn height 200 it is cancellable once committed at 100 or earlier */
+function committed(overrides = {}) {
+  return {
+    id: 7,
+    status: "committed",
+    blockHeight: 150,
+    price: 50_000,
+    premium: 1000,
+    collateral: 1000,
+    inscriptionTxid: INSCRIPTION_TXID.toString("hex"),
+    inscriptionVout: 1,
+    buyerBtc: BUYER_BTC.toString("hex"),
+    ...overrides,
+  };
+}
+
+/** Delivery of the inscription UTXO to buyer-btc, mined in a block at height 100000 */
+function minedDelivery() {
+  const tx = new bitcoin.Transaction();
+  tx.version = 2;
+  tx.addInput(INSCRIPTION_TXID, 1);
+  tx.addOutput(BUYER_BTC, 600n);
+
+  const coinbase = new bitcoin.Transaction();
+  coinbase.addInput(Buffer.alloc(32), 0xffffffff, 0xffffffff, Buffer.from("03a08601", "hex"));
+  coinbase.addOutput(BUYER_BTC, 50_0000_0000n);
+  const block = new bitcoin.Block();
+  block.version = 0x20000000;
+  block.prevHash = Buffer.alloc(32, 1);
+  block.timestamp = 1_700_000_000;
+  block.bits = 0x1d00ffff;
+  block.nonce = 0;
+  block.transactions = [coinbase, tx];
+  block.merkleRoot = bitcoin.Block.calculateMerkleRoot(block.transactions);
+  return { tx, block };
+}
+
+/** Bitcoin backend stand-in whose inscription UTXO is unspent, or spent by `tx` */
+function fixtureBitcoin({ tx = null as bitcoin.Transaction | null, block = null as bitcoin.Block | null, confirmed = true } = {}) {
+  const outspends: [string, number][] = [];
+  return {
+    outspends,
+    async getOutspend(txid: string, vout: number) {
+      outspends.push([txid, vout]);
+      return tx ? { spent: true, confirmed, txid: tx.getId() } : { spent: false };
+    },
+    getRawTransaction: async () => tx!.toHex(),
+    getTxBlock: async () => ({ blockHash: block!.getId(), height: 100_000 }),
+    getRawBlock: async () => block!.toHex(),
+  };
+}
+
+describe("keeper tick", () => {
+  it("cancels an escrowed listing past COMMIT_EXPIRY", async () => {
+    const keeper = createKeeper({
+      indexer: fixtureIndexer([{ id: 1, status: "escrowed", blockHeight: 150 }, { id: 2, status: "escrowed", blockHeight: 151 }]),
+      txBuilder: {},
+      bitcoin: fixtureBitcoin(),
+      dryRun: true,
+      log: jsonLogger().log,
+    });
+    expect(await keeper.tick()).toEqual([{ id: 1, action: "cancel", dryRun: true }]);
+  });
+
+  it("submits the proof of a confirmed delivery, looking the UTXO up in display order", async () => {
+    const { tx, block } = minedDelivery();
+    const source = fixtureBitcoin({ tx, block });
+    const built: { clarityArgs: string[]; nonce?: number }[] = [];
+    const keeper = createKeeper({
+      // Past EXPIRY as well: a valid delivery wins over the cancel
+      indexer: fixtureIndexer([committed({ blockHeight: 100 })]),
+      txBuilder: {
+        async buildSubmitProof(_listing: object, opts: { clarityArgs: string[]; nonce?: number }) {
+          built.push(opts);
+          return { transaction: "00", nonce: 5 };
+        },
+      },
+      bitcoin: source,
+      stacks: { publicKey: "02" + "11".repeat(32), signAndBroadcast: async () => "stx-txid" },
+      log: jsonLogger().log,
+    });
+
+    expect(await keeper.tick()).toEqual([{ id: 7, action: "submit-proof", txid: "stx-txid" }]);
+    expect(source.outspends).toEqual([[Buffer.from(INSCRIPTION_TXID).reverse().toString("hex"), 1]]);
+    expect(built).toEqual([expect.objectContaining({ clarityArgs: expect.any(Array) })]);
+    expect(built[0].clarityArgs).toHaveLength(5);
+    // Sent: not re-sent on the next tick while the tx is pending
+    expect(await keeper.tick()).toEqual([]);
+  });
+
+  it("does not cancel while the inscription UTXO's spend is unconfirmed", async () => {
+    const { lines, log } = jsonLogger();
+    const keeper = createKeeper({
+      indexer: fixtureIndexer([committed({ blockHeight: 100 })]),
+      txBuilder: {},
+      bitcoin: fixtureBitcoin({ tx: minedDelivery().tx, confirmed: false }),
+      dryRun: true,
+      log,
+    });
+
+    expect(await keeper.tick()).toEqual([]);
+    expect(JSON.parse(lines[0])).toMatchObject({ level: "debug", msg: "keeper waiting for spend to confirm", listing: 7 });
+  });
+
+  it("cancels a committed listing past EXPIRY with an unspent inscription UTXO", async () => {
+    const keeper = createKeeper({
+      indexer: fixtureIndexer([committed({ blockHeight: 100 }), committed({ id: 8 })]),
+      txBuilder: {},
+      bitcoin: fixtureBitcoin(),
+      dryRun: true,
+      log: jsonLogger().log,
+    });
+    expect(await keeper.tick()).toEqual([{ id: 7, action: "cancel", dryRun: true }]);
+  });
+
+  it("skips and logs listings whose details failed to load", async () => {
+    const { lines, log } = jsonLogger();
+    const source = fixtureBitcoin();
+    const keeper = createKeeper({
+      indexer: fixtureIndexer([
+        { id: 1, status: "escrowed", blockHeight: 100, price: null, detailsError: "get-listing timed out" },
+        committed({ blockHeight: 100, detailsError: "get-listing timed out" }),
+      ]),
+      txBuilder: {},
+      bitcoin: source,
+      dryRun: true,
+      log,
+    });
+
+    expect(await keeper.tick()).toEqual([]);
+    expect(source.outspends).toEqual([]);
+    expect(lines.map(line => JSON.parse(line))).toEqual([1, 7].map(listing => expect.objectContaining({
+      level: "warn",
+      msg: "keeper skipped listing: details unavailable",
+      listing,
+      error: "get-listing timed out",
+    })));
+  });
+});
+
+describe("keeper start", () => {
+  it("logs each action and failure of a running keeper as JSON", async () => {
+    const { lines, log } = jsonLogger();
+    const keeper = createKeeper({
+      indexer: fixtureIndexer([
+        // Escrowed at 100: past COMMIT_EXPIRY, cancellable
+        { id: 1, status: "escrowed", blockHeight: 100 },
+        committed({ id: 2 }),
+      ]),
+      txBuilder: {},
+      bitcoin: { getOutspend: async () => { throw new Error("esplora down"); } },
+      dryRun: true,
+      log,
+    });
+
+    keeper.start(60_000);
+    await vi.waitFor(() => expect(lines).toHaveLength(2));
+    keeper.stop();
+
+    expect(lines.map(line => JSON.parse(line))).toEqual([
+      expect.objectContaining({ level: "info", msg: "keeper action", id: 1, action: "cancel", dryRun: true }),
+      expect.objectContaining({ level: "warn", msg: "keeper action failed", id: 2, error: "esplora down" }),
+    ]);
+  });
+
+  it("logs a failed tick and keeps running", async () => {
+    const { lines, log } = jsonLogger();
+    const keeper = createKeeper({
+      indexer: fixtureIndexer([], async () => { throw new Error("stacks api down"); }),
+      txBuilder: {},
+      bitcoin: {},
+      dryRun: true,
+      log,
+    });
+
+    keeper.start(5);
+    await vi.waitFor(() => expect(lines.length).toBeGreaterThanOrEqual(2));
+    keeper.stop();
+
+    expect(JSON.parse(lines[0])).toMatchObject({ level: "warn", msg: "keeper tick failed", error: "stacks api down" });
+  });
+});
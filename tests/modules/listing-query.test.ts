@@ -0,0 +1,125 @@
+import { describe, it, expect } from "vitest";
+import {
+  parseListingQuery,
+  queryListings,
+  encodeCursor,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+} from "../../listing-query.mjs";
+
+type Listing = { id: number; status: string; price: number; premium: number; listedAt: number; blockHeight: number; seller: string };
+
+// Prices and heights repeat, so ties have to be broken by id
+const LISTINGS: Listing[] = [
+  [1, "open", 5000, 100],
+  [2, "escrowed", 3000, 120],
+  [3, "open", 5000, 120],
+  [4, "done", 1000, 90],
+  [5, "open", 3000, 150],
+  [6, "cancelled", 8000, 100],
+  [7, "open", 5000, 160],
+].map(([id, status, price, listedAt]) => ({
+  id: id as number,
+  status: status as string,
+  price: price as number,
+  premium: 10 * (id as number),
+  listedAt: listedAt as number,
+  blockHeight: (listedAt as number) + 5,
+  seller: (id as number) % 2 ? "SP1" : "SP2",
+}));
+
+/** Follow nextCursor to the end; ids in the order they were returned */
+function pageThrough(params: Record<string, string>) {
+  const ids: number[] = [];
+  let cursor: string | null = null;
+  for (let pages = 0; pages < 20; pages++) {
+    const page = queryListings(LISTINGS, parseListingQuery({ ...params, ...(cursor && { cursor }) }));
+    ids.push(...page.items.map((l: Listing) => l.id));
+    expect(page.total).toBe(LISTINGS.length);
+    if (!page.hasMore) {
+      expect(page.nextCursor).toBeNull();
+      return ids;
+    }
+    cursor = page.nextCursor;
+  }
+  throw new Error("cursor never ended");
+}
+
+describe("queryListings", () => {
+  it.each([
+    ["id", "asc", [1, 2, 3, 4, 5, 6, 7]],
+    ["id", "desc", [7, 6, 5, 4, 3, 2, 1]],
+    ["price", "asc", [4, 2, 5, 1, 3, 7, 6]],
+    ["price", "desc", [6, 7, 3, 1, 5, 2, 4]],
+    // age asc: youngest (highest listedAt) first
+    ["age", "asc", [7, 5, 2, 3, 1, 6, 4]],
+    ["age", "desc", [4, 6, 1, 3, 2, 5, 7]],
+  ])("pages sort=%s order=%s with cursors, without skipping or repeating", (sort, order, expected) => {
+    expect(pageThrough({ sort, order, limit: "2" })).toEqual(expected);
+    expect(queryListings(LISTINGS, parseListingQuery({ sort, order })).items.map((l: Listing) => l.id)).toEqual(expected);
+  });
+
+  it("keeps a cursor's place when listings are added before it", () => {
+    const first = queryListings(LISTINGS, parseListingQuery({ sort: "price", limit: "3" }));
+    const more = [...LISTINGS, { ...LISTINGS[0], id: 8, price: 500 }];
+    const next = queryListings(more, parseListingQuery({ sort: "price", limit: "3", cursor: first.nextCursor }));
+    expect(next.items.map((l: Listing) => l.id)).toEqual([1, 3, 7]);
+  });
+
+  it("filters by status, seller, price, premium and height", () => {
+    const ids = (params: Record<string, string>) =>
+      queryListings(LISTINGS, parseListingQuery(params)).items.map((l: Listing) => l.id);
+    expect(ids({ status: "open" })).toEqual([1, 3, 5, 7]);
+    expect(ids({ status: "open", seller: "SP1" })).toEqual([1, 3, 5, 7]);
+    expect(ids({ seller: "SP2" })).toEqual([2, 4, 6]);
+    expect(ids({ minPrice: "3000", maxPrice: "5000" })).toEqual([1, 2, 3, 5, 7]);
+    expect(ids({ minPremium: "30", maxPremium: "50" })).toEqual([3, 4, 5]);
+    expect(ids({ fromHeight: "125", toHeight: "155" })).toEqual([2, 3, 5]);
+  });
+
+  it("applies offset when no cursor is given", () => {
+    const page = queryListings(LISTINGS, parseListingQuery({ offset: "5", limit: "5" }));
+    expect(page).toMatchObject({ total: 7, hasMore: false, nextCursor: null });
+    expect(page.items.map((l: Listing) => l.id)).toEqual([6, 7]);
+  });
+});
+
+describe("parseListingQuery", () => {
+  it("defaults and clamps the limit", () => {
+    expect(parseListingQuery({}).limit).toBe(DEFAULT_LIMIT);
+    expect(parseListingQuery({ limit: "0" }).limit).toBe(1);
+    expect(parseListingQuery({ limit: "7" }).limit).toBe(7);
+    expect(parseListingQuery({ limit: String(MAX_LIMIT) }).limit).toBe(MAX_LIMIT);
+    expect(parseListingQuery({ limit: "100000" }).limit).toBe(MAX_LIMIT);
+    for (const limit of ["-1", "1.5", "ten", ""]) {
+      expect(() => parseListingQuery({ limit }), limit).toThrow("Invalid limit");
+    }
+  });
+
+  it("rejects malformed cursors", () => {
+    const encode = (value: unknown) => Buffer.from(JSON.stringify(value)).toString("base64url");
+    for (const cursor of [
+      "not-a-cursor",
+      Buffer.from("{").toString("base64url"),
+      encode({ s: "id", o: "asc", k: "1", i: 1 }),
+      encode({ s: "id", o: "asc", k: 1, i: 1.5 }),
+      encode(null),
+    ]) {
+      expect(() => parseListingQuery({ cursor }), cursor).toThrow("Invalid cursor");
+    }
+  });
+
+  it("rejects a cursor from another sort or order", () => {
+    const cursor = encodeCursor({ sort: "price", order: "asc", key: 3000, id: 2 });
+    expect(parseListingQuery({ sort: "price", cursor }).cursor).toEqual({ sort: "price", order: "asc", key: 3000, id: 2 });
+    expect(() => parseListingQuery({ sort: "id", cursor })).toThrow("Cursor does not match sort/order");
+    expect(() => parseListingQuery({ sort: "price", order: "desc", cursor })).toThrow("Cursor does not match sort/order");
+  });
+
+  it("rejects unknown statuses, sorts and orders", () => {
+    expect(() => parseListingQuery({ status: "sold" })).toThrow("Invalid status");
+    expect(() => parseListingQuery({ sort: "premium" })).toThrow("Invalid sort");
+    expect(() => parseListingQuery({ order: "up" })).toThrow("Invalid order");
+    expect(() => parseListingQuery({ minPrice: "-5" })).toThrow("Invalid minPrice");
+  });
+});
@@ -0,0 +1,128 @@
+import { describe, it, expect } from "vitest";
+import * as bitcoin from "bitcoinjs-lib";
+import * as ecc from "tiny-secp256k1";
+import { ECPairFactory } from "ecpair";
+import { verifyMessage, bip137MessageHash } from "../../message-signing.mjs";
+import { settlementMessage } from "../../settlement-logger.mjs";
+import { checkSignature } from "../../settlements.mjs";
+
+const ECPair = ECPairFactory(ecc);
+
+// BIP-322 test vectors (https://github.com/bitcoin/bips/blob/master/bip-0322.mediawiki#test-vectors)
+const WIF = "L3VFeEujGtevx9w18HD1fhRbCH67Az2dpCymeRE1SoPK6XQtaN2k";
+const P2WPKH = "bc1q9vza2e8x573nczrlzms0wvx3gsqjx7vavgkx0l";
+const P2TR = "bc1ppv609nr0vr25u07u95waq5lucwfm6tde4nydujnu8npg4q75mr5sxq8lt3";
+const BIP322_VECTORS = [
+  { address: P2WPKH, message: "", signature: "AkcwRAIgM2gBAQqvZX15ZiysmKmQpDrG83avLIT492QBzLnQIxYCIBaTpOaD20qRlEylyxFSeEA2ba9YOixpX8z46TSDtS40ASECx/EgAxlkQpQ9hYjgGu6EBCPMVPwVIVJqO4XCsMvViHI=" },
+  { address: P2WPKH, message: "Hello World", signature: "AkcwRAIgZRfIY3p7/DoVTty6YZbWS71bc5Vct9p9Fia83eRmw2QCICK/ENGfwLtptFluMGs2KsqoNSk89pO7F29zJLUx9a/sASECx/EgAxlkQpQ9hYjgGu6EBCPMVPwVIVJqO4XCsMvViHI=" },
+  { address: P2WPKH, message: "Hello World", signature: "AkgwRQIhAOzyynlqt93lOKJr+wmmxIens//zPzl9tqIOua93wO6MAiBi5n5EyAcPScOjf1lAqIUIQtr3zKNeavYabHyR8eGhowEhAsfxIAMZZEKUPYWI4BruhAQjzFT8FSFSajuFwrDL1Yhy" },
+  { address: P2TR, message: "Hello World", signature: "AUHd69PrJQEv+oKTfZ8l+WROBHuy9HKrbFCJu7U1iK2iiEy1vMU5EfMtjc+VSHM7aU0SDbak5IUZRVno2P5mjSafAQ==" },
+];
+
+const key = ECPair.fromWIF(WIF);
+const pubkey = Buffer.from(key.publicKey);
+
+/** BIP-137 signature: header byte (base + recovery id) and the compact signature */
+function signBip137(message: string, headerBase: number) {
+  const { signature, recoveryId } = ecc.signRecoverable(bip137MessageHash(message), key.privateKey!);
+  return Buffer.concat([Buffer.from([headerBase + recoveryId]), signature]).toString("base64");
+}
+
+/** BIP-322 simple P2WPKH signature with any sighash type (the spec's to_spend / to_sign) */
+function signBip322P2wpkh(message: string, hashType: number) {
+  const tag = bitcoin.crypto.sha256(Buffer.from("BIP0322-signed-message"));
+  const messageHash = bitcoin.crypto.sha256(Buffer.concat([tag, tag, Buffer.from(message)]));
+  const toSpend = new bitcoin.Transaction();
+  toSpend.version = 0;
+  toSpend.addInput(Buffer.alloc(32), 0xffffffff, 0, bitcoin.script.compile([bitcoin.opcodes.OP_0, messageHash]));
+  toSpend.addOutput(bitcoin.address.toOutputScript(P2WPKH), 0n);
+  const toSign = new bitcoin.Transaction();
+  toSign.version = 0;
+  toSign.addInput(toSpend.getHash(), 0, 0);
+  toSign.addOutput(bitcoin.script.compile([bitcoin.opcodes.OP_RETURN]), 0n);
+
+  const scriptCode = bitcoin.payments.p2pkh({ pubkey }).output!;
+  const hash = toSign.hashForWitnessV0(0, scriptCode, 0n, hashType);
+  const sig = bitcoin.script.signature.encode(Buffer.from(key.sign(hash)), hashType);
+  const witness = [sig, pubkey];
+  return Buffer.concat([
+    Buffer.from([witness.length]),
+    ...witness.flatMap(item => [Buffer.from([item.length]), item]),
+  ]).toString("base64");
+}
+
+describe("BIP-322", () => {
+  it("verifies the BIP's test vectors", () => {
+    for (const vector of BIP322_VECTORS) {
+      expect(verifyMessage(vector), vector.signature).toBe(true);
+    }
+  });
+
+  it("rejects a vector for another message or address", () => {
+    const [, hello] = BIP322_VECTORS;
+    expect(verifyMessage({ ...hello, message: "Hello World!" })).toBe(false);
+    expect(() => verifyMessage({ ...hello, address: P2TR })).not.toThrow();
+    expect(verifyMessage({ ...hello, address: P2TR })).toBe(false);
+  });
+
+  it("accepts SIGHASH_ALL and refuses other sighash types", () => {
+    const { SIGHASH_ALL, SIGHASH_NONE, SIGHASH_SINGLE, SIGHASH_ANYONECANPAY } = bitcoin.Transaction;
+    expect(verifyMessage({ address: P2WPKH, message: "settle", signature: signBip322P2wpkh("settle", SIGHASH_ALL) })).toBe(true);
+    for (const hashType of [SIGHASH_NONE, SIGHASH_SINGLE, SIGHASH_ALL | SIGHASH_ANYONECANPAY]) {
+      const signature = signBip322P2wpkh("settle", hashType);
+      expect(verifyMessage({ address: P2WPKH, message: "settle", signature }), `sighash ${hashType}`).toBe(false);
+    }
+  });
+});
+
+describe("BIP-137", () => {
+  const p2pkh = bitcoin.payments.p2pkh({ pubkey }).address!;
+  const p2shP2wpkh = bitcoin.payments.p2sh({ redeem: bitcoin.payments.p2wpkh({ pubkey }) }).address!;
+
+  it("verifies compressed P2PKH, P2SH-P2WPKH and P2WPKH signatures", () => {
+    expect(verifyMessage({ address: p2pkh, message: "Hello World", signature: signBip137("Hello World", 31) })).toBe(true);
+    expect(verifyMessage({ address: p2shP2wpkh, message: "Hello World", signature: signBip137("Hello World", 35) })).toBe(true);
+    expect(verifyMessage({ address: P2WPKH, message: "Hello World", signature: signBip137("Hello World", 39) })).toBe(true);
+  });
+
+  it("rejects another message, another key's address and an uncompressed header", () => {
+    const signature = signBip137("Hello World", 31);
+    expect(verifyMessage({ address: p2pkh, message: "Hello World.", signature })).toBe(false);
+    expect(verifyMessage({ address: "1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2", message: "Hello World", signature })).toBe(false);
+    // Header 27–30: the key recovers uncompressed, to a different P2PKH address
+    expect(verifyMessage({ address: p2pkh, message: "Hello World", signature: signBip137("Hello World", 27) })).toBe(false);
+  });
+});
+
+describe("settlement signatures", () => {
+  const input = {
+    from_agent: P2WPKH,
+    to_agent: P2TR,
+    inscription_id: `${"ab".repeat(32)}i0`,
+    price_sats: 50_000,
+    timestamp: "2026-01-01T00:00:00.000Z",
+  };
+  const CONTRACT = "SP16H0KE0BPR4XNQ64115V5Y1V3XTPGMWG5YPC9TR.inscription-escrow";
+  const network = bitcoin.networks.bitcoin;
+  const signature = signBip137(settlementMessage({ ...input, contract_id: CONTRACT, listing_id: 1 }), 39);
+
+  it("signs the legacy message for non-escrow trades and names the listing for escrow ones", () => {
+    expect(settlementMessage(input)).toBe(
+      `{"type":"swap","from_agent":"${P2WPKH}","to_agent":"${P2TR}","inscription_id":"${"ab".repeat(32)}i0",`
+      + `"price_sats":50000,"timestamp":"2026-01-01T00:00:00.000Z"}`);
+    expect(settlementMessage({ ...input, contract_id: CONTRACT, listing_id: 0 })).toBe(
+      `{"type":"swap","contract_id":"${CONTRACT}","listing_id":0,"from_agent":"${P2WPKH}","to_agent":"${P2TR}",`
+      + `"inscription_id":"${"ab".repeat(32)}i0","price_sats":50000,"timestamp":"2026-01-01T00:00:00.000Z"}`);
+  });
+
+  it("verifies a signature for the listing it names", () => {
+    expect(() => checkSignature({ ...input, signature }, { network, contractId: CONTRACT, listingId: 1 })).not.toThrow();
+  });
+
+  it("refuses the signature for another listing or contract", () => {
+    expect(() => checkSignature({ ...input, signature }, { network, contractId: CONTRACT, listingId: 2 }))
+      .toThrow(expect.objectContaining({ status: 401 }));
+    expect(() => checkSignature({ ...input, signature }, { network, contractId: `${CONTRACT}-v2`, listingId: 1 }))
+      .toThrow(expect.objectContaining({ status: 401 }));
+  });
+});
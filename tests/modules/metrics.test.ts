@@ -0,0 +1,85 @@
+import { describe, it, expect } from "vitest";
+import { createMetrics } from "../../metrics.mjs";
+
+const DEPLOYMENT = "mainnet/inscription-escrow";
+
+/** What api.mjs reports for one deployment; `nodes` and `deliveries` vary per scrape */
+function snapshotOf({ nodes = [{ url: "https://api.hiro.so", circuit: "closed" }], deliveries = { pending: 2, failed: 1 } } = {}) {
+  return {
+    deployments: [{
+      key: DEPLOYMENT,
+      stats: { total: 5, open: 3, done: 2 },
+      index: { height: 150_000, burnHeight: 880_000, lastSyncAt: "2026-01-01T00:00:00.000Z", lastError: "timeout" },
+      feedSubscribers: 4,
+      webhooks: { deliveries },
+      settlements: 7,
+      stacks: { nodes, inFlight: 1, queued: 0 },
+    }],
+    contentCache: { bytes: 1024 },
+  };
+}
+
+describe("metrics exposition", () => {
+  it("renders request, upstream and cache metrics with their labels", async () => {
+    const metrics = createMetrics({ snapshot: () => snapshotOf(), defaultMetrics: false });
+    metrics.observeRequest({ method: "GET", route: "/trades/:id", status: 200, deployment: DEPLOYMENT, durationMs: 7 });
+    metrics.observeUpstream({ service: "stacks", deployment: DEPLOYMENT, durationMs: 300, error: true });
+    metrics.observeCache("inscription_content", true);
+    metrics.observeCache("inscription_content", false);
+    metrics.observeCache("inscription_content", false);
+
+    const { contentType, body } = await metrics.render();
+    expect(contentType).toMatch(/^text\/plain; version=0\.0\.4/);
+    const lines = body.split("\n");
+    expect(lines).toContain("# TYPE http_request_duration_seconds histogram");
+    expect(lines).toContain(`http_request_duration_seconds_bucket{le="0.01",method="GET",route="/trades/:id",status="200",deployment="${DEPLOYMENT}"} 1`);
+    expect(lines).toContain(`http_request_duration_seconds_bucket{le="0.005",method="GET",route="/trades/:id",status="200",deployment="${DEPLOYMENT}"} 0`);
+    expect(lines).toContain(`http_request_duration_seconds_sum{method="GET",route="/trades/:id",status="200",deployment="${DEPLOYMENT}"} 0.007`);
+    expect(lines).toContain(`upstream_request_duration_seconds_count{service="stacks",deployment="${DEPLOYMENT}",outcome="error"} 1`);
+    expect(lines).toContain("# TYPE cache_lookups_total counter");
+    expect(lines).toContain('cache_lookups_total{cache="inscription_content",result="hit"} 1');
+    expect(lines).toContain('cache_lookups_total{cache="inscription_content",result="miss"} 2');
+    // Without defaultMetrics, no process_* series
+    expect(body).not.toMatch(/^process_/m);
+  });
+
+  it("reads the state gauges from the snapshot on each scrape", async () => {
+    const metrics = createMetrics({ snapshot: () => snapshotOf(), defaultMetrics: false });
+    const lines = (await metrics.render()).body.split("\n");
+    expect(lines).toEqual(expect.arrayContaining([
+      "# TYPE escrow_listings gauge",
+      `escrow_listings{deployment="${DEPLOYMENT}",status="open"} 3`,
+      `escrow_listings{deployment="${DEPLOYMENT}",status="done"} 2`,
+      `escrow_index_height{deployment="${DEPLOYMENT}"} 150000`,
+      `escrow_index_burn_height{deployment="${DEPLOYMENT}"} 880000`,
+      `escrow_index_last_sync_timestamp_seconds{deployment="${DEPLOYMENT}"} 1767225600`,
+      `escrow_index_sync_failing{deployment="${DEPLOYMENT}"} 1`,
+      `escrow_feed_subscribers{deployment="${DEPLOYMENT}"} 4`,
+      `escrow_webhook_deliveries{deployment="${DEPLOYMENT}",status="pending"} 2`,
+      `escrow_settlements_logged{deployment="${DEPLOYMENT}"} 7`,
+      `stacks_node_circuit_open{deployment="${DEPLOYMENT}",node="https://api.hiro.so"} 0`,
+      `stacks_client_requests_in_flight{deployment="${DEPLOYMENT}"} 1`,
+      `stacks_client_requests_queued{deployment="${DEPLOYMENT}"} 0`,
+      "inscription_content_cache_bytes 1024",
+    ]));
+    // `total` is not a status
+    expect(lines.some(line => line.includes('status="total"'))).toBe(false);
+  });
+
+  it("drops series for nodes and statuses that are gone", async () => {
+    let snapshot = snapshotOf({ nodes: [{ url: "https://a.example", circuit: "open" }], deliveries: { pending: 1, failed: 3 } });
+    const metrics = createMetrics({ snapshot: () => snapshot, defaultMetrics: false });
+    expect((await metrics.render()).body).toContain(`stacks_node_circuit_open{deployment="${DEPLOYMENT}",node="https://a.example"} 1`);
+
+    snapshot = snapshotOf({ nodes: [{ url: "https://b.example", circuit: "closed" }], deliveries: { pending: 1 } });
+    const { body } = await metrics.render();
+    expect(body).not.toContain("https://a.example");
+    expect(body).not.toContain('status="failed"');
+    expect(body).toContain(`stacks_node_circuit_open{deployment="${DEPLOYMENT}",node="https://b.example"} 0`);
+  });
+
+  it("includes process metrics by default", async () => {
+    const metrics = createMetrics({ snapshot: () => snapshotOf() });
+    expect((await metrics.render()).body).toMatch(/^process_cpu_seconds_total /m);
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, it, expect, afterEach } from "vitest";
+import { createServer, type Server } from "http";
+import { createOrdProvider, createHiroProvider } from "../../ordinals.mjs";
+
+// Separate origins, so fetch never reuses a keep-alive socket to an earlier test's server
+const PORT = 3997;
+const URL = `http://127.0.0.1:${PORT}`;
+const SILENT_PORT = 3998;
+const TXID = "ab".repeat(32);
+const IDS = Array.from({ length: 7 }, (_, i) => `${TXID}i${i}`);
+
+let server: Server | null = null;
+
+afterEach(async () => {
+  await new Promise(resolve => (server ? server.close(resolve) : resolve(null)));
+  server = null;
+});
+
+/** ord server stand-in: one output holding IDS; later inscriptions answer sooner; i3 is unknown */
+async function ordServer() {
+  const seen = { open: 0, maxOpen: 0 };
+  server = createServer((req, res) => {
+    res.setHeader("Content-Type", "application/json");
+    if (req.url === `/output/${TXID}:0`) return res.end(JSON.stringify({ inscriptions: IDS }));
+    const id = req.url!.replace("/inscription/", "");
+    const index = IDS.indexOf(id);
+    seen.open++;
+    seen.maxOpen = Math.max(seen.maxOpen, seen.open);
+    setTimeout(() => {
+      seen.open--;
+      if (index === 3) {
+        res.statusCode = 404;
+        return res.end();
+      }
+      res.end(JSON.stringify({ id, number: index, satpoint: `${TXID}:0:0` }));
+    }, 5 * (IDS.length - index));
+  });
+  await new Promise(resolve => server!.listen(PORT, "127.0.0.1", () => resolve(null)));
+  return seen;
+}
+
+describe("ord provider", () => {
+  it("looks up an output's inscriptions a few at a time, in the output's order", async () => {
+    const seen = await ordServer();
+    const ord = createOrdProvider({ url: URL, concurrency: 3 });
+
+    const inscriptions = await ord.getInscriptionsByOutput(TXID, 0);
+
+    expect(inscriptions.map((insc: { id: string }) => insc.id)).toEqual(IDS.filter((_, i) => i !== 3));
+    expect(inscriptions[0]).toMatchObject({ number: 0, output: `${TXID}:0` });
+    expect(seen.maxOpen).toBe(3);
+  });
+});
+
+describe("provider timeouts", () => {
+  it("fails a request the upstream does not answer in time", async () => {
+    server = createServer(() => {});
+    await new Promise(resolve => server!.listen(SILENT_PORT, "127.0.0.1", () => resolve(null)));
+    const requests: { status: number | null; error: Error | null }[] = [];
+    const hiro = createHiroProvider({ url: `http://127.0.0.1:${SILENT_PORT}`, timeoutMs: 50, onRequest: (r: never) => requests.push(r) });
+
+    await expect(hiro.getInscription(IDS[0])).rejects.toThrow(`Hiro Ordinals API timed out after 50ms on /inscriptions/${IDS[0]}`);
+    expect(requests).toEqual([expect.objectContaining({ status: null, error: expect.any(Error) })]);
+    // The request is still open on the server side
+    server!.closeAllConnections();
+  });
+});
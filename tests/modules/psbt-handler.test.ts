@@ -0,0 +1,269 @@
+import { describe, it, expect } from "vitest";
+import * as bitcoin from "bitcoinjs-lib";
+import * as ecc from "tiny-secp256k1";
+import { ECPairFactory } from "ecpair";
+import { createSellerPsbt, completeBuyerPsbt, validateSellerPsbt, parsePsbt } from "../../psbt-handler.mjs";
+import { createSigner, SIGHASH_SINGLE_ANYONECANPAY } from "../../psbt-signer.mjs";
+
+bitcoin.initEccLib(ecc);
+const ECPair = ECPairFactory(ecc);
+
+type Wallet = { wif: string; address: string; script: Uint8Array };
+
+/** P2WPKH or BIP-86 P2TR (key path, no script tree) wallet for a fresh key */
+function wallet(type: "p2wpkh" | "p2tr", network = bitcoin.networks.bitcoin): Wallet {
+  const key = ECPair.makeRandom({ network });
+  const payment = type === "p2wpkh"
+    ? bitcoin.payments.p2wpkh({ pubkey: key.publicKey, network })
+    : bitcoin.payments.p2tr({ internalPubkey: key.publicKey.subarray(1, 33), network });
+  return { wif: key.toWIF(), address: payment.address!, script: payment.output! };
+}
+
+const INSCRIPTION_TXID = Buffer.alloc(32, 0xab).toString("hex");
+const INSCRIPTION = `${INSCRIPTION_TXID}:0`;
+const PRICE = 50_000;
+
+const utxo = (owner: Wallet, byte: number, value: number) => ({
+  txid: Buffer.alloc(32, byte).toString("hex"),
+  vout: 0,
+  value,
+  script: owner.script,
+});
+
+const validator = (pubkey: Uint8Array, hash: Uint8Array, signature: Uint8Array) =>
+  pubkey.length === 32 ? ecc.verifySchnorr(hash, pubkey, signature) : ecc.verify(hash, pubkey, signature);
+
+describe.each(["p2wpkh", "p2tr"] as const)("PSBT swap with a %s seller and buyer", (type) => {
+  const seller = wallet(type);
+  const buyer = wallet(type);
+  const sellerPsbt = () => createSellerPsbt({
+    inscriptionUtxoTxid: INSCRIPTION_TXID,
+    inscriptionUtxoVout: 0,
+    inscriptionUtxoValue: 10_000,
+    inscriptionUtxoScript: seller.script,
+    sellerAddress: seller.address,
+    priceSats: PRICE,
+    signer: { wif: seller.wif },
+  });
+
+  it("signs the seller's input SIGHASH_SINGLE|ANYONECANPAY and validates it", async () => {
+    const psbtBase64 = await sellerPsbt();
+    expect(parsePsbt(psbtBase64)).toMatchObject({
+      inputs: [{ signed: true, sighashType: SIGHASH_SINGLE_ANYONECANPAY }],
+      outputs: [{ address: seller.address, value: PRICE }],
+    });
+    const result = validateSellerPsbt(psbtBase64, INSCRIPTION, PRICE, { sellerAddress: seller.address });
+    expect(result.errors).toEqual([]);
+    expect(result.valid).toBe(true);
+  });
+
+  it("completes, validates, signs and finalizes the swap", async () => {
+    const swap = await completeBuyerPsbt({
+      psbtBase64: await sellerPsbt(),
+      buyerAddress: buyer.address,
+      changeAddress: buyer.address,
+      paddingUtxo: utxo(buyer, 1, 600),
+      fundingUtxos: [utxo(buyer, 2, 100_000)],
+      feeRate: 3,
+    });
+    expect(swap.inscription).toEqual({ input: 1, output: 0, offset: 600 });
+
+    const validation = validateSellerPsbt(swap.psbtBase64, INSCRIPTION, PRICE, {
+      sellerAddress: seller.address,
+      buyerAddress: buyer.address,
+      changeAddress: buyer.address,
+    });
+    expect(validation.errors).toEqual([]);
+
+    const psbt = bitcoin.Psbt.fromBase64(swap.psbtBase64);
+    const buyerSigner = createSigner({ wif: buyer.wif });
+    for (const index of [0, 2]) await buyerSigner.signPsbtInput(psbt, index);
+    expect(psbt.validateSignaturesOfAllInputs(validator)).toBe(true);
+
+    const tx = psbt.finalizeAllInputs().extractTransaction();
+    expect(tx.outs.map(out => Number(out.value))).toEqual([10_600, PRICE, swap.change]);
+    expect(psbt.getFee()).toBe(BigInt(swap.fee));
+    // The estimate may round up by a few vbytes, never under
+    expect(swap.vsize).toBeGreaterThanOrEqual(tx.virtualSize());
+    expect(swap.vsize - tx.virtualSize()).toBeLessThanOrEqual(2);
+  });
+
+  it("reports a wrong price, payee and sighash type", async () => {
+    const psbtBase64 = await sellerPsbt();
+    const other = wallet(type);
+    const result = validateSellerPsbt(psbtBase64, INSCRIPTION, PRICE + 1, { sellerAddress: other.address });
+    expect(result.findings.map((f: { code: string }) => f.code)).toEqual(expect.arrayContaining(["payment-amount", "payment-address"]));
+
+    // Signed SIGHASH_ALL: the buyer could not add inputs without breaking it
+    const psbt = new bitcoin.Psbt();
+    psbt.addInput({ hash: INSCRIPTION_TXID, index: 0, witnessUtxo: { script: seller.script, value: 10_000n } });
+    psbt.addOutput({ script: seller.script, value: BigInt(PRICE) });
+    await createSigner({ wif: seller.wif }).signPsbtInput(psbt, 0);
+    expect(validateSellerPsbt(psbt.toBase64(), INSCRIPTION, PRICE).findings)
+      .toContainEqual(expect.objectContaining({ code: "sighash-type" }));
+    await expect(completeBuyerPsbt({
+      psbtBase64: psbt.toBase64(),
+      buyerAddress: buyer.address,
+      changeAddress: buyer.address,
+      paddingUtxo: utxo(buyer, 1, 600),
+      fundingUtxos: [utxo(buyer, 2, 100_000)],
+    })).rejects.toThrow(/SIGHASH_SINGLE\|ANYONECANPAY/);
+  });
+});
+
+describe("createSellerPsbt", () => {
+  it("refuses a key that does not control the inscription UTXO", async () => {
+    const seller = wallet("p2tr");
+    await expect(createSellerPsbt({
+      inscriptionUtxoTxid: INSCRIPTION_TXID,
+      inscriptionUtxoVout: 0,
+      inscriptionUtxoValue: 10_000,
+      inscriptionUtxoScript: seller.script,
+      sellerAddress: seller.address,
+      priceSats: PRICE,
+      signer: { wif: wallet("p2tr").wif },
+    })).rejects.toThrow(/does not control input 0/);
+  });
+});
+
+describe("network mismatch", () => {
+  const mainnet = wallet("p2wpkh");
+  const testnet = wallet("p2tr", bitcoin.networks.testnet);
+  const sellerPsbt = (owner: Wallet, sellerAddress: string, network: string) => createSellerPsbt({
+    inscriptionUtxoTxid: INSCRIPTION_TXID,
+    inscriptionUtxoVout: 0,
+    inscriptionUtxoValue: 10_000,
+    inscriptionUtxoScript: owner.script,
+    sellerAddress,
+    priceSats: PRICE,
+    signer: { wif: owner.wif },
+    network,
+  });
+
+  it("refuses a mainnet address on a testnet swap", async () => {
+    await expect(sellerPsbt(testnet, mainnet.address, "testnet"))
+      .rejects.toThrow(`Seller address ${mainnet.address} is a mainnet address, but this swap is on testnet/signet`);
+    // Keys are checked too
+    await expect(sellerPsbt(mainnet, testnet.address, "testnet"))
+      .rejects.toThrow("WIF key is for another network than this signer's");
+
+    const psbtBase64 = await sellerPsbt(testnet, testnet.address, "signet");
+    await expect(completeBuyerPsbt({
+      psbtBase64,
+      buyerAddress: mainnet.address,
+      changeAddress: testnet.address,
+      paddingUtxo: utxo(testnet, 1, 600),
+      fundingUtxos: [utxo(testnet, 2, 100_000)],
+      network: "testnet",
+    })).rejects.toThrow(`Buyer address ${mainnet.address} is a mainnet address, but this swap is on testnet/signet`);
+    expect(validateSellerPsbt(psbtBase64, INSCRIPTION, PRICE, { sellerAddress: mainnet.address, network: "testnet" }).findings)
+      .toContainEqual(expect.objectContaining({
+        severity: "error",
+        code: "address-invalid",
+        message: `Seller address ${mainnet.address} is a mainnet address, but this swap is on testnet/signet`,
+      }));
+  });
+
+  it("refuses a testnet address on a mainnet swap", async () => {
+    // mainnet is the default
+    await expect(sellerPsbt(mainnet, testnet.address, "mainnet"))
+      .rejects.toThrow(`Seller address ${testnet.address} is a testnet/signet address, but this swap is on mainnet`);
+
+    const psbtBase64 = await sellerPsbt(mainnet, mainnet.address, "mainnet");
+    await expect(completeBuyerPsbt({
+      psbtBase64,
+      buyerAddress: mainnet.address,
+      changeAddress: testnet.address,
+      paddingUtxo: utxo(mainnet, 1, 600),
+      fundingUtxos: [utxo(mainnet, 2, 100_000)],
+    })).rejects.toThrow(`Change address ${testnet.address} is a testnet/signet address, but this swap is on mainnet`);
+    const { valid, findings } = validateSellerPsbt(psbtBase64, INSCRIPTION, PRICE, { sellerAddress: testnet.address });
+    expect(valid).toBe(false);
+    expect(findings).toContainEqual(expect.objectContaining({
+      code: "address-invalid",
+      message: `Seller address ${testnet.address} is a testnet/signet address, but this swap is on mainnet`,
+    }));
+
+    expect(() => parsePsbt(psbtBase64, { network: "testnet3" })).toThrow('Unknown network "testnet3"');
+  });
+});
+
+describe("validateSellerPsbt findings", () => {
+  const seller = wallet("p2wpkh");
+  const OTHER_TXID = Buffer.alloc(32, 0xcd).toString("hex");
+
+  /** Seller-style PSBT over `inputs` (the inscription one signed with `sighashType`) paying `outputs` */
+  async function signedPsbt(
+    inputs: { txid: string; script: Uint8Array }[],
+    outputs: { script: Uint8Array; value: number }[],
+    { owner = seller, sighashType = SIGHASH_SINGLE_ANYONECANPAY } = {},
+  ) {
+    const psbt = new bitcoin.Psbt();
+    for (const { txid, script } of inputs) psbt.addInput({ hash: txid, index: 0, witnessUtxo: { script, value: 10_000n } });
+    for (const { script, value } of outputs) psbt.addOutput({ script, value: BigInt(value) });
+    const index = inputs.findIndex(i => i.txid === INSCRIPTION_TXID);
+    await createSigner({ wif: owner.wif }).signPsbtInput(psbt, index, sighashType);
+    return psbt.toBase64();
+  }
+  const codes = (findings: { code: string }[]) => findings.map(f => f.code);
+
+  it("reports a signature that does not commit SIGHASH_SINGLE|ANYONECANPAY", async () => {
+    const all = await signedPsbt([{ txid: INSCRIPTION_TXID, script: seller.script }], [{ script: seller.script, value: PRICE }],
+      { sighashType: bitcoin.Transaction.SIGHASH_ALL });
+    expect(validateSellerPsbt(all, INSCRIPTION, PRICE).findings).toContainEqual({
+      severity: "error",
+      code: "sighash-type",
+      message: "Inscription input must be signed SIGHASH_SINGLE|ANYONECANPAY (0x83), got 0x01",
+      input: 0,
+    });
+
+    // SIGHASH_SINGLE alone commits to every input: the buyer can't add theirs
+    const taproot = wallet("p2tr");
+    const single = await signedPsbt([{ txid: INSCRIPTION_TXID, script: taproot.script }], [{ script: taproot.script, value: PRICE }],
+      { owner: taproot, sighashType: bitcoin.Transaction.SIGHASH_SINGLE });
+    const result = validateSellerPsbt(single, INSCRIPTION, PRICE, { sellerAddress: taproot.address });
+    expect(result.valid).toBe(false);
+    expect(result.findings.filter((f: { code: string }) => f.code.startsWith("sighash"))).toEqual([
+      expect.objectContaining({ code: "sighash-type", message: expect.stringMatching(/got 0x03$/) }),
+    ]);
+  });
+
+  it("checks the payment at the seller input's index, not the first output", async () => {
+    const inputs = [{ txid: OTHER_TXID, script: seller.script }, { txid: INSCRIPTION_TXID, script: seller.script }];
+    // The right payment, but at output 0: SIGHASH_SINGLE on input 1 covers output 1
+    const early = await signedPsbt(inputs, [{ script: seller.script, value: PRICE }]);
+    expect(validateSellerPsbt(early, INSCRIPTION, PRICE, { sellerAddress: seller.address }).findings).toContainEqual({
+      severity: "error",
+      code: "payment-missing",
+      message: "No output 1: SIGHASH_SINGLE on input 1 has no payment to commit to",
+      input: 1,
+    });
+
+    const other = wallet("p2wpkh");
+    const swapped = await signedPsbt(inputs, [{ script: seller.script, value: PRICE }, { script: other.script, value: 600 }]);
+    const { findings } = validateSellerPsbt(swapped, INSCRIPTION, PRICE, { sellerAddress: seller.address });
+    expect(findings).toEqual(expect.arrayContaining([
+      { severity: "error", code: "payment-amount", message: `Payment amount mismatch: expected ${PRICE}, got 600`, output: 1 },
+      { severity: "error", code: "payment-address", message: `Payment goes to ${other.address}, not the seller's ${seller.address}`, output: 1 },
+    ]));
+    // Output 0 is not the payment, whatever it pays
+    expect(findings.some((f: { output?: number; code: string }) => f.output === 0 && f.code.startsWith("payment"))).toBe(false);
+  });
+
+  it("reports a payment below the price, and only that", async () => {
+    const below = await createSellerPsbt({
+      inscriptionUtxoTxid: INSCRIPTION_TXID,
+      inscriptionUtxoVout: 0,
+      inscriptionUtxoValue: 10_000,
+      inscriptionUtxoScript: seller.script,
+      sellerAddress: seller.address,
+      priceSats: PRICE - 1,
+      signer: { wif: seller.wif },
+    });
+    const result = validateSellerPsbt(below, INSCRIPTION, PRICE, { sellerAddress: seller.address });
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([`Payment amount mismatch: expected ${PRICE}, got ${PRICE - 1}`]);
+    expect(result.findings).toContainEqual({ severity: "error", code: "payment-amount", message: result.errors[0], output: 0 });
+    expect(codes(validateSellerPsbt(below, INSCRIPTION, PRICE - 1, { sellerAddress: seller.address }).findings)).not.toContain("payment-amount");
+  });
+});
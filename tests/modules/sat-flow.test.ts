@@ -0,0 +1,114 @@
+import { describe, it, expect } from "vitest";
+import * as bitcoin from "bitcoinjs-lib";
+import * as ecc from "tiny-secp256k1";
+import { ECPairFactory } from "ecpair";
+import { simulateSatFlow, traceSat, checkInscriptionFlow } from "../../sat-flow.mjs";
+import { createSellerPsbt, completeBuyerPsbt, validateSellerPsbt } from "../../psbt-handler.mjs";
+
+const ECPair = ECPairFactory(ecc);
+
+describe("simulateSatFlow", () => {
+  it("hands input sats to outputs first-in-first-out, the rest to the fee", () => {
+    const { ranges, fee } = simulateSatFlow({ inputs: [600, 10_000], outputs: [1000, 9000] });
+    expect(ranges).toEqual([
+      { input: 0, start: 0n, end: 600n, output: 0, outputOffset: 0n },
+      { input: 1, start: 0n, end: 400n, output: 0, outputOffset: 600n },
+      { input: 1, start: 400n, end: 9400n, output: 1, outputOffset: 0n },
+      { input: 1, start: 9400n, end: 10_000n, output: null, outputOffset: null },
+    ]);
+    expect(fee).toBe(600n);
+  });
+});
+
+describe("traceSat", () => {
+  it("follows a sat past the inputs ahead of it", () => {
+    const tx = { inputs: [600, 10_000, 50_000], outputs: [10_600, 30_000, 15_000] };
+    expect(traceSat(tx, { input: 1, offset: 0 })).toEqual({ output: 0, offset: 600n });
+    expect(traceSat(tx, { input: 2, offset: 44_999 })).toEqual({ output: 2, offset: 14_999n });
+    expect(traceSat(tx, { input: 2, offset: 45_000 })).toEqual({ output: null, offset: null });
+  });
+
+  it("treats a zero-value input as an input, with no sats in it", () => {
+    const tx = { inputs: [1000, 0], outputs: [1000] };
+    expect(() => traceSat(tx, { input: 1, offset: 0 })).toThrow(/Offset 0 is outside input 1 \(0 sats\)/);
+    expect(() => traceSat(tx, { input: 2 })).toThrow(/No input 2/);
+    expect(() => traceSat(tx, { input: -1 })).toThrow(/No input -1/);
+  });
+});
+
+describe("checkInscriptionFlow", () => {
+  it("refuses a swap that pays the inscription to the seller or the fee", () => {
+    // Inscription at offset 700 of a 1000-sat UTXO behind 600 sats of padding: sat 1300 of the buyer's 1600
+    const tx = { inputs: [600, 1000, 20_000], outputs: [1600, 10_000, 9000] };
+    expect(checkInscriptionFlow(tx, { input: 1, offset: 700, expectedOutput: 0 })).toMatchObject({ ok: true, output: 0, offset: 1300n });
+
+    // Without padding, the inscription's sats run into the payment
+    const unpadded = { inputs: [1000, 20_000], outputs: [600, 10_000, 9000] };
+    expect(checkInscriptionFlow(unpadded, { input: 0, offset: 700, expectedOutput: 0 })).toMatchObject({
+      ok: false,
+      output: 1,
+      error: "Inscription would land in output 1, not the buyer's output 0",
+    });
+    expect(checkInscriptionFlow({ inputs: [1000], outputs: [500] }, { input: 0, offset: 700, expectedOutput: 0 }))
+      .toMatchObject({ ok: false, output: null, error: "Inscription would be spent as fee" });
+  });
+});
+
+describe("swap sat-flow checks", () => {
+  const seller = ECPair.makeRandom();
+  const buyer = ECPair.makeRandom();
+  const p2wpkh = (pubkey: Uint8Array) => bitcoin.payments.p2wpkh({ pubkey });
+  const buyerAddress = p2wpkh(buyer.publicKey).address!;
+  const inscriptionTxid = Buffer.alloc(32, 1).toString("hex");
+  const utxo = (byte: number, value: number) => ({
+    txid: Buffer.alloc(32, byte).toString("hex"),
+    vout: 0,
+    value,
+    script: p2wpkh(buyer.publicKey).output!,
+  });
+  const sellerPsbt = () => createSellerPsbt({
+    inscriptionUtxoTxid: inscriptionTxid,
+    inscriptionUtxoVout: 0,
+    inscriptionUtxoValue: 10_000,
+    inscriptionUtxoScript: p2wpkh(seller.publicKey).output!,
+    sellerAddress: p2wpkh(seller.publicKey).address!,
+    priceSats: 50_000,
+    signer: { privateKey: Buffer.from(seller.privateKey!) },
+  });
+  const swap = async (overrides = {}) => completeBuyerPsbt({
+    psbtBase64: await sellerPsbt(),
+    buyerAddress,
+    changeAddress: buyerAddress,
+    paddingUtxo: utxo(2, 600),
+    fundingUtxos: [utxo(4, 100_000)],
+    feeRate: 2,
+    ...overrides,
+  });
+
+  it("places the inscription in the buyer output, and refuses an offset outside its UTXO", async () => {
+    await expect(swap({ inscriptionOffset: 9_999 })).resolves.toMatchObject({
+      inscription: { input: 1, output: 0, offset: 10_599 },
+    });
+    await expect(swap({ inscriptionOffset: 10_000 })).rejects.toThrow(/outside input 1/);
+  });
+
+  it("refuses a completed swap whose outputs misdeliver the inscription to the seller", async () => {
+    const completed = bitcoin.Psbt.fromBase64((await swap()).psbtBase64);
+    // Same signed inputs, but the buyer output only takes the padding: the
+    // inscription's sats run into the payment, which the seller's signature still covers
+    const tampered = new bitcoin.Psbt();
+    completed.txInputs.forEach(({ hash, index, sequence }, i) => tampered.addInput({ hash, index, sequence, ...completed.data.inputs[i] }));
+    const [buyerOut, payment, change] = completed.txOutputs;
+    tampered.addOutput({ script: buyerOut.script, value: 600n });
+    tampered.addOutput({ script: payment.script, value: payment.value });
+    tampered.addOutput({ script: change.script, value: change.value + 10_000n });
+
+    const result = validateSellerPsbt(tampered.toBase64(), `${inscriptionTxid}:0`, 50_000, { buyerAddress });
+    expect(result.valid).toBe(false);
+    expect(result.findings).toContainEqual(expect.objectContaining({
+      code: "inscription-flow",
+      message: "Inscription would land in the seller's payment output",
+    }));
+    expect(validateSellerPsbt(completed.toBase64(), `${inscriptionTxid}:0`, 50_000, { buyerAddress }).valid).toBe(true);
+  });
+});
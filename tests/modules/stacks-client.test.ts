@@ -0,0 +1,70 @@
+import { describe, it, expect, afterEach } from "vitest";
+import { createServer, type Server } from "http";
+import { createStacksClient } from "../../stacks-client.mjs";
+
+const PORT = 3996;
+
+let server: Server | null = null;
+
+afterEach(async () => {
+  await new Promise(resolve => (server ? server.close(resolve) : resolve(null)));
+  server = null;
+});
+
+/** Node stand-in answering `{}` after `delayMs`; tracks the most requests it had open at once */
+async function slowNode(delayMs: number) {
+  const seen = { open: 0, maxOpen: 0, total: 0 };
+  server = createServer((req, res) => {
+    seen.open++;
+    seen.total++;
+    seen.maxOpen = Math.max(seen.maxOpen, seen.open);
+    setTimeout(() => {
+      seen.open--;
+      res.setHeader("Content-Type", "application/json");
+      res.end("{}");
+    }, delayMs);
+  });
+  await new Promise(resolve => server!.listen(PORT, "127.0.0.1", () => resolve(null)));
+  return seen;
+}
+
+describe("stacks-client concurrency", () => {
+  it("never has more than `concurrency` requests in flight, including queued ones", async () => {
+    const seen = await slowNode(5);
+    const inFlight: number[] = [];
+    const client = createStacksClient({
+      urls: [`http://127.0.0.1:${PORT}`],
+      concurrency: 2,
+      onRequest: () => inFlight.push(client.status().inFlight),
+    });
+
+    // Later requests arrive as earlier ones finish and hand over their slots
+    const requests = Array.from({ length: 12 }, (_, i) =>
+      new Promise(resolve => setTimeout(resolve, i * 2)).then(() => client.getJson(`/r/${i}`)));
+    await Promise.all(requests);
+
+    expect(seen.total).toBe(12);
+    expect(seen.maxOpen).toBeLessThanOrEqual(2);
+    expect(Math.max(...inFlight)).toBeLessThanOrEqual(2);
+    expect(client.status()).toMatchObject({ inFlight: 0, queued: 0 });
+  });
+
+  it("runs mapSettled's fn at most `concurrency` at a time and keeps results in order", async () => {
+    const client = createStacksClient({ urls: ["http://127.0.0.1:9"], concurrency: 3 });
+    let open = 0;
+    let maxOpen = 0;
+    const results = await client.mapSettled(Array.from({ length: 10 }, (_, i) => i), async (i: number) => {
+      open++;
+      maxOpen = Math.max(maxOpen, open);
+      await new Promise(resolve => setTimeout(resolve, 10 - i));
+      open--;
+      if (i === 4) throw new Error("boom");
+      return i * 2;
+    });
+
+    expect(maxOpen).toBe(3);
+    expect(results[4]).toEqual({ ok: false, error: "boom" });
+    expect(results.filter((r: { ok: boolean }) => r.ok).map((r: { value: number }) => r.value))
+      .toEqual([0, 2, 4, 6, 10, 12, 14, 16, 18]);
+  });
+});
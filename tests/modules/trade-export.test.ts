@@ -0,0 +1,126 @@
+import { describe, it, expect } from "vitest";
+import { parseExportQuery, exportRecord, exportLines } from "../../trade-export.mjs";
+
+const ALICE = "ST3D88581D35Z0ZAM7QFVWTDRM14N1TBEYWCGE4Z3";
+const BOB = "ST1PQHQKV0RJXZFY1DGX8MNSNYVE3VGZJSRTPGZGM";
+const ALICE_BTC = "0014" + "0a".repeat(20);
+// Internal byte order, as the contract stores it
+const INSCRIPTION_TXID = Buffer.from(Array.from({ length: 32 }, (_, i) => i + 1)).toString("hex");
+
+function listing(id: number, status: string, overrides: Record<string, unknown>, events: [string, string?][]) {
+  return {
+    id,
+    status,
+    seller: ALICE,
+    buyer: BOB,
+    sellerBtc: ALICE_BTC,
+    buyerBtc: null,
+    inscriptionTxid: INSCRIPTION_TXID,
+    inscriptionVout: 2,
+    price: 10_000,
+    premium: 500,
+    collateral: 0,
+    history: events.map(([event, from], i) => ({
+      event,
+      blockHeight: 100 + i,
+      burnBlockHeight: 800_000 + i,
+      txid: `0x${String(i).repeat(64)}`,
+      ...(from && { from }),
+    })),
+    ...overrides,
+  };
+}
+
+const SETTLED = listing(1, "done", { collateral: 1000 }, [["list"], ["accept"], ["commit"], ["settle"]]);
+
+describe("exportRecord", () => {
+  it("reports what each side paid and received on a settled trade", () => {
+    expect(exportRecord(SETTLED, "seller")).toMatchObject({
+      buyerPaid: 10_500,
+      collateral: 1000,
+      sellerReceived: 11_500,
+      buyerRefunded: 0,
+      // The collateral came back with the payment
+      net: 10_500,
+      listedHeight: 100,
+      closedHeight: 103,
+      closedBurnHeight: 800_003,
+    });
+    expect(exportRecord(SETTLED, "buyer").net).toBe(-10_500);
+  });
+
+  it("refunds price + premium when escrowed, and adds the collateral when committed", () => {
+    const escrowed = listing(2, "cancelled", {}, [["list"], ["accept"], ["cancel", "escrowed"]]);
+    expect(exportRecord(escrowed, "buyer")).toMatchObject({ buyerPaid: 10_500, buyerRefunded: 10_500, net: 0 });
+
+    const committed = listing(3, "cancelled", { collateral: 1000 }, [["list"], ["accept"], ["commit"], ["cancel", "committed"]]);
+    expect(exportRecord(committed, "buyer")).toMatchObject({ buyerRefunded: 11_500, net: 1000 });
+    expect(exportRecord(committed, "seller")).toMatchObject({ sellerReceived: 0, net: -1000 });
+  });
+
+  it("sums both sides for a party that was seller and buyer", () => {
+    const self = listing(4, "cancelled", { buyer: ALICE, collateral: 1000 }, [["list"], ["accept"], ["commit"], ["cancel", "committed"]]);
+    // -1000 collateral as seller, +1000 compensation as buyer
+    expect(exportRecord(self, "seller+buyer").net).toBe(0);
+    expect(exportRecord({ ...SETTLED, buyer: ALICE }, "seller+buyer").net).toBe(0);
+  });
+
+  it("keeps amounts above 2^53 exact, as strings", () => {
+    const huge = listing(5, "done", { price: "9007199254740993", premium: 7 }, [["list"], ["accept"], ["commit"], ["settle"]]);
+    expect(exportRecord(huge, "seller")).toMatchObject({
+      price: "9007199254740993",
+      premium: 7,
+      buyerPaid: "9007199254741000",
+      sellerReceived: "9007199254741000",
+      net: "9007199254741000",
+    });
+  });
+
+  it("shows the inscription outpoint in display byte order", () => {
+    const reversed = Buffer.from(INSCRIPTION_TXID, "hex").reverse().toString("hex");
+    expect(reversed.startsWith("201f1e")).toBe(true);
+    expect(exportRecord(SETTLED, "seller").inscriptionOutput).toBe(`${reversed}:2`);
+    expect(exportRecord({ ...SETTLED, inscriptionTxid: null }, "seller").inscriptionOutput).toBeNull();
+  });
+});
+
+describe("exportLines", () => {
+  const open = listing(6, "open", { buyer: null }, [["list"]]);
+  const other = listing(7, "open", { seller: BOB, sellerBtc: "0014" + "0b".repeat(20), buyer: null }, [["list"]]);
+
+  it("writes a CSV header and one row per trade of the party, by principal or BTC script", () => {
+    const byPrincipal = [...exportLines([SETTLED, open, other], parseExportQuery({ principal: ALICE }, { network: "testnet" }))];
+    expect(byPrincipal[0]).toBe("id,status,role,seller,buyer,sellerBtc,buyerBtc,inscriptionOutput,price,premium,collateral,"
+      + "buyerPaid,buyerRefunded,sellerReceived,net,listedHeight,listedBurnHeight,closedHeight,closedBurnHeight,closedTxid,btcTxid,history\n");
+    expect(byPrincipal.slice(1).map(line => line.split(",").slice(0, 3).join(","))).toEqual(["1,done,seller", "6,open,seller"]);
+    expect(byPrincipal[1]).toMatch(/,list@100 accept@101 commit@102 settle@103\n$/);
+    // Empty cells for nulls
+    expect(byPrincipal[2]).toContain(`,${ALICE},,${ALICE_BTC},,`);
+
+    const byScript = [...exportLines([SETTLED, other], parseExportQuery({ btc: ALICE_BTC, format: "jsonl" }, { network: "testnet" }))];
+    expect(byScript.map(line => JSON.parse(line).id)).toEqual([1]);
+  });
+
+  it("quotes CSV fields and defuses spreadsheet formulas", () => {
+    const hostile = listing(8, "open", { seller: '=HYPERLINK("http://x","y")', buyer: "+1", sellerBtc: ALICE_BTC }, [["list"]]);
+    const [, row] = [...exportLines([hostile], parseExportQuery({ btc: ALICE_BTC }, { network: "testnet" }))];
+    // Prefixed with ', then quoted for the embedded quotes and comma
+    expect(row).toContain(`,open,seller,"'=HYPERLINK(""http://x"",""y"")",'+1,${ALICE_BTC},`);
+
+    const comma = listing(9, "open", { seller: "a,b", buyer: "-2", sellerBtc: ALICE_BTC }, [["list"]]);
+    const [, commaRow] = [...exportLines([comma], parseExportQuery({ btc: ALICE_BTC }, { network: "testnet" }))];
+    expect(commaRow).toContain(',open,seller,"a,b",\'-2,');
+  });
+});
+
+describe("parseExportQuery", () => {
+  it("needs a valid party and format", () => {
+    expect(() => parseExportQuery({}, { network: "mainnet" })).toThrow("Missing party");
+    expect(() => parseExportQuery({ principal: "alice" }, { network: "mainnet" })).toThrow("Invalid principal");
+    expect(() => parseExportQuery({ principal: ALICE, format: "xlsx" }, { network: "mainnet" })).toThrow("Invalid format");
+    expect(() => parseExportQuery({ btc: "tb1qw508d6qejxtdg4y5r3zarvary0c5xw7kxpjzsx" }, { network: "mainnet" }))
+      .toThrow("Invalid btc: expected a mainnet Bitcoin address or scriptPubKey hex");
+    expect(parseExportQuery({ btc: "bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4" }, { network: "mainnet" }).btcScript)
+      .toBe("0014751e76e8199196d454941c45d1b3a323f1433bd6");
+  });
+});
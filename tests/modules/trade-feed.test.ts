@@ -0,0 +1,38 @@
+import { describe, it, expect } from "vitest";
+import { createTradeFeed } from "../../trade-feed.mjs";
+import { createLogger } from "../../logger.mjs";
+
+/** Indexer stand-in: `sync` hands an update to the feed */
+function fixtureIndexer() {
+  let listener: (update: object) => void = () => {};
+  return {
+    subscribe(fn: (update: object) => void) {
+      listener = fn;
+      return () => {};
+    },
+    getListing: () => null,
+    getListings: () => [],
+    getEvents: () => [],
+    sync(update: object) {
+      listener({ events: [], reorg: null, burnHeight: 800_000, ...update });
+    },
+  };
+}
+
+describe("trade feed", () => {
+  it("logs a failing subscriber as JSON and keeps delivering to the others", () => {
+    const lines: string[] = [];
+    const indexer = fixtureIndexer();
+    const feed = createTradeFeed({ indexer, log: createLogger({ write: line => lines.push(line) }) });
+    const received: object[] = [];
+    feed.subscribe({ ids: null, seller: null, buyer: null }, () => { throw new Error("socket closed"); });
+    feed.subscribe({ ids: null, seller: null, buyer: null }, (message: object) => received.push(message));
+
+    indexer.sync({ reorg: { from: 10, to: 8 } });
+
+    expect(received).toEqual([{ type: "reorg", from: 10, to: 8 }]);
+    expect(lines.map(line => JSON.parse(line))).toEqual([
+      expect.objectContaining({ level: "warn", msg: "feed subscriber failed", type: "reorg", error: "socket closed" }),
+    ]);
+  });
+});
@@ -0,0 +1,49 @@
+import { describe, it, expect } from "vitest";
+import { createTxBuilder, txidToInternalOrder, txidToDisplayOrder } from "../../tx-builder.mjs";
+
+const CONTRACT_ADDRESS = "SP16H0KE0BPR4XNQ64115V5Y1V3XTPGMWG5YPC9TR";
+const PUBLIC_KEY = "03" + "79be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798";
+const LIST = {
+  publicKey: PUBLIC_KEY,
+  inscriptionTxid: "ab".repeat(32),
+  inscriptionVout: 0,
+  price: 100_000,
+  sellerBtc: "0014" + "01".repeat(20),
+};
+
+/** Stacks client stand-in; fee estimates go to baseUrl, where nothing listens */
+function client(getJson: (path: string) => Promise<unknown>) {
+  return { baseUrl: "http://127.0.0.1:9", getJson };
+}
+
+const builder = (getJson: (path: string) => Promise<unknown>) =>
+  createTxBuilder({ client: client(getJson), contractAddress: CONTRACT_ADDRESS, contractName: "inscription-escrow" });
+
+describe("tx-builder", () => {
+  it("converts txids between display and internal order", () => {
+    const display = "01" + "00".repeat(31);
+    expect(txidToInternalOrder(display).toString("hex")).toBe("00".repeat(31) + "01");
+    expect(txidToDisplayOrder(txidToInternalOrder(display).toString("hex"))).toBe(display);
+  });
+
+  it("builds with the caller's nonce and fee without any lookup", async () => {
+    const tx = await builder(async () => { throw new Error("unexpected lookup"); })
+      .buildList({ ...LIST, nonce: 4, fee: 2000 });
+    expect(tx).toMatchObject({ nonce: 4, nonceSource: "caller", fee: 2000, feeEstimates: null, functionName: "list-inscription" });
+  });
+
+  it("fails with UPSTREAM_ERROR when the nonce lookup fails", async () => {
+    const build = builder(async () => { throw new Error("Stacks API 503"); }).buildList({ ...LIST, fee: 2000 });
+    await expect(build).rejects.toMatchObject({ code: "UPSTREAM_ERROR", message: expect.stringMatching(/Nonce lookup/) });
+  });
+
+  it("fails with UPSTREAM_ERROR when the API has no nonce", async () => {
+    const build = builder(async () => null).buildList({ ...LIST, fee: 2000 });
+    await expect(build).rejects.toMatchObject({ code: "UPSTREAM_ERROR" });
+  });
+
+  it("fails with UPSTREAM_ERROR instead of building a zero-fee transaction", async () => {
+    const build = builder(async () => ({ possible_next_nonce: 3 })).buildList(LIST);
+    await expect(build).rejects.toMatchObject({ code: "UPSTREAM_ERROR", message: expect.stringMatching(/Fee estimate failed/) });
+  });
+});
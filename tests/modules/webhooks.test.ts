@@ -0,0 +1,186 @@
+import { describe, it, expect, afterEach } from "vitest";
+import { createServer, type Server } from "http";
+import { mkdtempSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { createWebhookRegistry, isPublicAddress, verifyWebhookSignature } from "../../webhooks.mjs";
+
+const PORT = 3995;
+
+/** Trade feed stand-in: `publish` hands a message to the registry */
+function fixtureFeed() {
+  let listener: (message: object) => void = () => {};
+  return {
+    subscribe(_filter: object, fn: (message: object) => void) {
+      listener = fn;
+      return () => {};
+    },
+    publish(message: object) {
+      listener(message);
+    },
+  };
+}
+
+const listMessage = { type: "listing", event: "list", id: 1, trade: { id: 1 } };
+
+let server: Server | null = null;
+const dirs: string[] = [];
+
+afterEach(async () => {
+  await new Promise(resolve => (server ? server.close(resolve) : resolve(null)));
+  server = null;
+  for (const dir of dirs.splice(0)) rmSync(dir, { recursive: true, force: true });
+});
+
+describe("isPublicAddress", () => {
+  it("refuses loopback, private, link-local and other reserved ranges", () => {
+    for (const address of [
+      "127.0.0.1", "10.1.2.3", "172.16.0.1", "192.168.1.1", "169.254.169.254", "100.64.0.1",
+      "0.0.0.0", "224.0.0.1", "255.255.255.255", "::1", "::", "fe80::1", "fd00::1", "ff02::1",
+      "::ffff:127.0.0.1", "::ffff:169.254.169.254", "not-an-ip",
+    ]) {
+      expect(isPublicAddress(address), address).toBe(false);
+    }
+  });
+
+  it("accepts public addresses", () => {
+    for (const address of ["8.8.8.8", "1.1.1.1", "172.32.0.1", "2606:4700:4700::1111"]) {
+      expect(isPublicAddress(address), address).toBe(true);
+    }
+  });
+});
+
+describe("webhook registration", () => {
+  it("refuses non-public destinations", async () => {
+    const webhooks = createWebhookRegistry({ feed: fixtureFeed() });
+    for (const url of [
+      "http://169.254.169.254/latest/meta-data",
+      "http://127.0.0.1:8080/hook",
+      "http://[::1]/hook",
+      "http://10.0.0.5/hook",
+      "http://localhost/hook",
+      "http://api.localhost/hook",
+    ]) {
+      await expect(webhooks.register({ url }), url).rejects.toThrow(/not a public/);
+    }
+    expect(webhooks.status().webhooks).toBe(0);
+  });
+
+  it("refuses hosts that do not resolve", async () => {
+    const webhooks = createWebhookRegistry({ feed: fixtureFeed() });
+    await expect(webhooks.register({ url: "https://hooks.example.invalid/x" })).rejects.toThrow(/does not resolve/);
+  });
+
+  it("limits webhooks per owner and in total", async () => {
+    const webhooks = createWebhookRegistry({
+      feed: fixtureFeed(),
+      allowPrivateNetworks: true,
+      maxWebhooks: 3,
+      maxWebhooksPerOwner: 2,
+    });
+    const url = `http://127.0.0.1:${PORT}/hook`;
+    await webhooks.register({ url }, { owner: "a" });
+    await webhooks.register({ url }, { owner: "a" });
+    await expect(webhooks.register({ url }, { owner: "a" })).rejects.toMatchObject({ code: "WEBHOOK_LIMIT" });
+    const hook = await webhooks.register({ url }, { owner: "b" });
+    await expect(webhooks.register({ url }, { owner: "c" })).rejects.toMatchObject({ code: "WEBHOOK_LIMIT" });
+
+    expect(hook).not.toHaveProperty("owner");
+    expect(webhooks.get(hook.id)).not.toHaveProperty("owner");
+  });
+});
+
+describe("webhook delivery", () => {
+  it("POSTs a signed delivery", async () => {
+    const received: { headers: Record<string, unknown>; body: string }[] = [];
+    server = createServer((req, res) => {
+      let body = "";
+      req.on("data", chunk => (body += chunk));
+      req.on("end", () => {
+        received.push({ headers: req.headers, body });
+        res.end("ok");
+      });
+    });
+    await new Promise(resolve => server!.listen(PORT, "127.0.0.1", () => resolve(null)));
+
+    const feed = fixtureFeed();
+    const webhooks = createWebhookRegistry({ feed, allowPrivateNetworks: true });
+    const hook = await webhooks.register({ url: `http://127.0.0.1:${PORT}/hook` });
+    feed.publish(listMessage);
+    await webhooks.flush();
+
+    expect(received).toHaveLength(1);
+    const { headers, body } = received[0];
+    expect(JSON.parse(body)).toMatchObject({ webhookId: hook.id, event: "list", data: listMessage });
+    expect(verifyWebhookSignature({
+      secret: hook.secret,
+      timestamp: headers["x-escrow-timestamp"],
+      body,
+      signature: headers["x-escrow-signature"],
+    })).toBe(true);
+    expect(webhooks.deliveries(hook.id)[0]).toMatchObject({ status: "delivered", attempts: [{ status: 200 }] });
+  });
+
+  it("does not deliver to a private address once the check applies, and does not retry", async () => {
+    const dir = mkdtempSync(join(tmpdir(), "webhooks-"));
+    dirs.push(dir);
+    const storePath = join(dir, "webhooks.json");
+
+    // Registered while private networks were allowed, delivered after they no longer are
+    const hook = await createWebhookRegistry({ feed: fixtureFeed(), storePath, allowPrivateNetworks: true })
+      .register({ url: `http://127.0.0.1:${PORT}/hook` });
+    const feed = fixtureFeed();
+    const webhooks = createWebhookRegistry({ feed, storePath });
+    feed.publish(listMessage);
+    await webhooks.flush();
+
+    expect(webhooks.deliveries(hook.id)[0]).toMatchObject({
+      status: "failed",
+      attempts: [{ error: expect.stringMatching(/not a public address/) }],
+    });
+  });
+
+  it("keeps delivering to other webhooks while one receiver is slow", async () => {
+    const finished: string[] = [];
+    server = createServer((req, res) => {
+      req.resume();
+      const delay = req.url === "/slow" ? 300 : 0;
+      setTimeout(() => {
+        finished.push(req.url!);
+        res.end();
+      }, delay);
+    });
+    await new Promise(resolve => server!.listen(PORT, "127.0.0.1", () => resolve(null)));
+
+    const feed = fixtureFeed();
+    const webhooks = createWebhookRegistry({ feed, allowPrivateNetworks: true, concurrency: 2 });
+    await webhooks.register({ url: `http://127.0.0.1:${PORT}/slow` });
+    await webhooks.register({ url: `http://127.0.0.1:${PORT}/fast` });
+    feed.publish(listMessage);
+    feed.publish({ ...listMessage, id: 2 });
+
+    expect(await webhooks.flush()).toBe(4);
+    // Both fast deliveries finish while the first slow one is still in flight
+    expect(finished).toEqual(["/fast", "/fast", "/slow", "/slow"]);
+  });
+
+  it("backs off a failing webhook as a whole", async () => {
+    server = createServer((req, res) => {
+      req.resume();
+      res.statusCode = 503;
+      res.end();
+    });
+    await new Promise(resolve => server!.listen(PORT, "127.0.0.1", () => resolve(null)));
+
+    const feed = fixtureFeed();
+    const webhooks = createWebhookRegistry({ feed, allowPrivateNetworks: true, backoffMs: 60_000 });
+    const hook = await webhooks.register({ url: `http://127.0.0.1:${PORT}/down` });
+    for (let id = 1; id <= 3; id++) feed.publish({ ...listMessage, id });
+
+    expect(await webhooks.flush()).toBe(1);
+    expect(await webhooks.flush()).toBe(0);
+    const attempts = webhooks.deliveries(hook.id).map((d: { attempts: unknown[] }) => d.attempts.length);
+    expect(attempts.sort()).toEqual([0, 0, 1]);
+    expect(webhooks.status().deliveries).toMatchObject({ pending: 3 });
+  });
+});
@@ -0,0 +1,232 @@
+/**
+ * Trade Export — a party's escrow trades as CSV or JSON Lines
+ *
+ * One record per listing the party was seller or buyer of, matched by Stacks
+ * principal and/or BTC scriptPubKey (`seller-btc` / `buyer-btc`), with its
+ * status history, block heights, the Bitcoin txid of the settlement proof
+ * and the sBTC (sats) that moved through the escrow:
+ *   buyerPaid         price + premium, once accepted
+ *   buyerRefunded     on cancel: price + premium (escrowed) or price + premium + collateral (committed)
+ *   collateral        posted by the seller with commit-listing
+ *   sellerReceived    on settle: price + premium, plus the collateral back
+ *   net               for the exported party: what it received minus what it paid in
+ * Open trades report what is in escrow so far.
+ *
+ * Output is produced line by line (exportLines is a generator), so callers
+ * can stream histories of any size.
+ *
+ * Usage:
+ *   import { parseExportQuery, exportLines } from './trade-export.mjs';
+ *   const query = parseExportQuery({ principal: 'SP...', format: 'csv' }, { network: 'mainnet' });
+ *   for (const line of exportLines(indexer.getListings(), query)) out.write(line);
+ *
+ * CLI (reads the local index of the default deployment, or --deployment <network>/<name>):
+ *   node trade-export.mjs <principal | btc-address | script-hex> [--format csv|jsonl] [--sync]
+ */
+
+import { once } from 'events';
+import { isValidPrincipal } from './clarity.mjs';
+import { txidToDisplayOrder } from './tx-builder.mjs';
+import { addressToScriptHex, bitcoinNetwork } from './message-signing.mjs';
+import { createIndexer, createStacksEventSource } from './indexer.mjs';
+import { loadDeployments } from './deployments.mjs';
+
+export const EXPORT_FORMATS = ['csv', 'jsonl'];
+
+export const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  jsonl: 'application/x-ndjson',
+};
+
+const SCRIPT_HEX = /^([0-9a-f]{2})+$/;
+
+/** BTC party as scriptPubKey hex: an address on `network`, or script hex */
+function parseBtcParty(value, network) {
+  const hex = value.toLowerCase().replace(/^0x/, '');
+  if (SCRIPT_HEX.test(hex)) return hex;
+  const script = addressToScriptHex(value, bitcoinNetwork(network));
+  if (!script) throw new Error(`Invalid btc: expected a ${network} Bitcoin address or scriptPubKey hex`);
+  return script;
+}
+
+/**
+ * Validate export params: { principal?, btc?, format? }. At least one party is
+ * required; with both, trades matching either are exported.
+ * Throws an Error with a client-facing message on invalid input.
+ *
+ * @param {Object} params
+ * @param {Object} opts
+ * @param {string} opts.network - deployment network (for BTC addresses)
+ */
+export function parseExportQuery(params = {}, { network }) {
+  const { principal, btc, format = 'csv' } = params;
+  if (!principal && !btc) throw new Error('Missing party: pass principal and/or btc');
+  if (principal && !isValidPrincipal(principal)) throw new Error('Invalid principal: expected a Stacks address or contract principal');
+  if (!EXPORT_FORMATS.includes(format)) throw new Error(`Invalid format: expected one of ${EXPORT_FORMATS.join(', ')}`);
+  return {
+    principal: principal || null,
+    btcScript: btc ? parseBtcParty(btc, network) : null,
+    format,
+  };
+}
+
+// --- Records ---
+
+/** 'seller', 'buyer', 'seller+buyer' or null if the listing isn't the party's */
+function roleOf(listing, { principal, btcScript }) {
+  const seller = (principal && listing.seller === principal) || (btcScript && listing.sellerBtc === btcScript);
+  const buyer = (principal && listing.buyer === principal) || (btcScript && listing.buyerBtc === btcScript);
+  if (seller && buyer) return 'seller+buyer';
+  return seller ? 'seller' : buyer ? 'buyer' : null;
+}
+
+// Clarity uints above 2^53 are decoded as strings; amounts are summed as BigInt
+const sats = (value) => BigInt(value ?? 0);
+const toJson = (n) => (n <= BigInt(Number.MAX_SAFE_INTEGER) && n >= -BigInt(Number.MAX_SAFE_INTEGER) ? Number(n) : String(n));
+
+/** sBTC moved by a listing, mirroring the contract's transfers */
+function flows(listing) {
+  const price = sats(listing.price);
+  const premium = sats(listing.premium);
+  const collateral = sats(listing.collateral);
+  const accepted = listing.history.some(e => e.event === 'accept');
+  const cancelled = listing.history.find(e => e.event === 'cancel');
+
+  const buyerPaid = accepted ? price + premium : 0n;
+  let buyerRefunded = 0n;
+  let sellerReceived = 0n;
+  if (listing.status === 'done') sellerReceived = price + premium + collateral;
+  if (cancelled?.from === 'escrowed') buyerRefunded = price + premium;
+  if (cancelled?.from === 'committed') buyerRefunded = price + premium + collateral;
+  return { collateral, buyerPaid, buyerRefunded, sellerReceived };
+}
+
+/**
+ * Export record for one listing from `role`'s point of view.
+ */
+export function exportRecord(listing, role) {
+  const { collateral, buyerPaid, buyerRefunded, sellerReceived } = flows(listing);
+  let net = 0n;
+  if (role.startsWith('seller')) net += sellerReceived - collateral;
+  if (role.endsWith('buyer')) net += buyerRefunded - buyerPaid;
+
+  const listed = listing.history[0];
+  const closed = listing.history.find(e => e.event === 'settle' || e.event === 'cancel');
+  return {
+    id: listing.id,
+    status: listing.status,
+    role,
+    seller: listing.seller,
+    buyer: listing.buyer,
+    sellerBtc: listing.sellerBtc,
+    buyerBtc: listing.buyerBtc,
+    inscriptionOutput: listing.inscriptionTxid
+      ? `${txidToDisplayOrder(listing.inscriptionTxid)}:${listing.inscriptionVout}`
+      : null,
+    price: toJson(sats(listing.price)),
+    premium: toJson(sats(listing.premium)),
+    collateral: toJson(collateral),
+    buyerPaid: toJson(buyerPaid),
+    buyerRefunded: toJson(buyerRefunded),
+    sellerReceived: toJson(sellerReceived),
+    net: toJson(net),
+    listedHeight: listed.blockHeight,
+    listedBurnHeight: listed.burnBlockHeight,
+    closedHeight: closed?.blockHeight ?? null,
+    closedBurnHeight: closed?.burnBlockHeight ?? null,
+    closedTxid: closed?.txid ?? null,
+    btcTxid: closed?.btcTxid ?? null,
+    history: listing.history,
+  };
+}
+
+// --- Formats ---
+
+const CSV_COLUMNS = [
+  'id', 'status', 'role', 'seller', 'buyer', 'sellerBtc', 'buyerBtc', 'inscriptionOutput',
+  'price', 'premium', 'collateral', 'buyerPaid', 'buyerRefunded', 'sellerReceived', 'net',
+  'listedHeight', 'listedBurnHeight', 'closedHeight', 'closedBurnHeight', 'closedTxid', 'btcTxid', 'history',
+];
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value !== 'string') return String(value);
+  // Leading = + - @ would be evaluated as a formula by spreadsheet apps
+  const text = /^[=+\-@]/.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** History as one CSV cell: "list@150 accept@152 settle@171" (Stacks heights) */
+function historyCell(history) {
+  return history.map(e => `${e.event}@${e.blockHeight}`).join(' ');
+}
+
+function formatRecord(record, format) {
+  if (format === 'jsonl') return `${JSON.stringify(record)}\n`;
+  return `${CSV_COLUMNS.map(col => csvField(col === 'history' ? historyCell(record.history) : record[col])).join(',')}\n`;
+}
+
+/**
+ * Lines of the export (CSV header first), ascending by listing id.
+ *
+ * @param {Object[]} listings - indexed listings (see indexer.mjs)
+ * @param {Object} query - parseExportQuery() result
+ */
+export function* exportLines(listings, query) {
+  if (query.format === 'csv') yield `${CSV_COLUMNS.join(',')}\n`;
+  for (const listing of listings) {
+    const role = roleOf(listing, query);
+    if (role) yield formatRecord(exportRecord(listing, role), query.format);
+  }
+}
+
+// --- CLI interface (only when run directly) ---
+const isMain = import.meta.url === `file://${process.argv[1]}` || process.argv[1]?.endsWith('trade-export.mjs');
+if (isMain) {
+  const [,, party, ...flags] = process.argv;
+  const flag = (name) => {
+    const i = flags.indexOf(name);
+    return i >= 0 ? flags[i + 1] : undefined;
+  };
+  const format = flag('--format');
+  const deploymentKey = flag('--deployment');
+  const sync = flags.includes('--sync');
+
+  if (!party || party.startsWith('--')) {
+    console.log(`Trade Export
+
+Usage:
+  node trade-export.mjs <principal | btc-address | script-hex> [--format csv|jsonl] [--sync] [--deployment <network>/<name>]
+
+Writes the party's trades to stdout from the local index (INDEX_PATH or the
+deployment's indexPath); --sync updates the index from the Stacks API first.`);
+    process.exit(party ? 1 : 0);
+  }
+
+  try {
+    const { deployments, defaultKey } = loadDeployments();
+    const deployment = deployments.get(deploymentKey ?? defaultKey);
+    if (!deployment) throw new Error(`Unknown deployment ${deploymentKey}`);
+
+    const query = parseExportQuery(
+      isValidPrincipal(party) ? { principal: party, format } : { btc: party, format },
+      { network: deployment.network }
+    );
+    const indexer = createIndexer({
+      source: createStacksEventSource({
+        apiUrl: deployment.stacksApi,
+        contractAddress: deployment.contractAddress,
+        contractName: deployment.contractName,
+      }),
+      storePath: deployment.indexPath,
+    });
+    if (sync) await indexer.sync();
+
+    for (const line of exportLines(indexer.getListings(), query)) {
+      if (!process.stdout.write(line)) await once(process.stdout, 'drain');
+    }
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,209 @@
+/**
+ * Trade Feed — live listing updates for streaming clients
+ *
+ * Turns index syncs into messages that GET /stream (SSE) and /stream/ws
+ * (WebSocket) push to clients, so UIs don't have to poll /trades:
+ *   listing     — a new listing (list event)
+ *   transition  — open → escrowed → committed → done / cancelled
+ *   expiry      — an escrowed/committed listing is within `warnBlocks` burn
+ *                 blocks of its deadline, or past it (cancel now allowed)
+ *   reorg       — the index rolled back to `to`; refetch anything above it
+ *
+ * listing/transition messages carry an `eventId` (`<block>.<txIndex>.<eventIndex>`)
+ * so a reconnecting client can resume with `Last-Event-ID` or `fromBlock`
+ * and get every event it missed replayed from the index.
+ *
+ * Usage:
+ *   import { createTradeFeed, parseFeedFilter } from './trade-feed.mjs';
+ *   const feed = createTradeFeed({ indexer });
+ *   const filter = parseFeedFilter(c.req.query(), c.req.header('Last-Event-ID'));
+ *   for (const msg of feed.replay(filter)) send(msg);
+ *   const unsubscribe = feed.subscribe(filter, send);
+ */
+
+import { getTradeTimeline } from './escrow-rules.mjs';
+import { createLogger } from './logger.mjs';
+
+// Warn this many burn blocks (~10 min each) before a commit/delivery deadline
+export const DEFAULT_WARN_BLOCKS = 6;
+
+// Status change made by each print event (cancel reports the status it left)
+const TRANSITIONS = {
+  list: () => [null, 'open'],
+  accept: () => ['open', 'escrowed'],
+  commit: () => ['escrowed', 'committed'],
+  settle: () => ['committed', 'done'],
+  cancel: (payload) => [payload.status, 'cancelled'],
+};
+
+// --- Filters ---
+
+function parseEventId(value) {
+  const match = /^(\d+)\.(\d+)\.(\d+)$/.exec(value);
+  if (!match) throw new Error('Invalid Last-Event-ID: expected <block>.<txIndex>.<eventIndex>');
+  return { blockHeight: parseInt(match[1]), txIndex: parseInt(match[2]), eventIndex: parseInt(match[3]) };
+}
+
+/**
+ * Validate stream query params (`seller`, `buyer`, `id` — comma-separated
+ * listing ids, `fromBlock` — Stacks height to replay from, inclusive) and
+ * an optional Last-Event-ID. Throws an Error with a client-facing message.
+ */
+export function parseFeedFilter(params = {}, lastEventId) {
+  const filter = {
+    seller: params.seller || null,
+    buyer: params.buyer || null,
+    ids: null,
+    fromBlock: null,
+    after: lastEventId ? parseEventId(lastEventId) : null,
+  };
+
+  if (params.id) {
+    const ids = params.id.split(',');
+    if (!ids.every(id => /^\d+$/.test(id))) throw new Error('Invalid id: expected comma-separated listing ids');
+    filter.ids = new Set(ids.map(Number));
+  }
+  if (params.fromBlock !== undefined) {
+    if (!/^\d+$/.test(params.fromBlock)) throw new Error('Invalid fromBlock: expected a non-negative integer');
+    filter.fromBlock = parseInt(params.fromBlock);
+  }
+  return filter;
+}
+
+/** Whether a feed message passes a filter from parseFeedFilter (reorgs always do) */
+export function matchesFilter(message, filter) {
+  if (message.type === 'reorg') return true;
+  if (filter.ids && !filter.ids.has(message.id)) return false;
+  if (filter.seller && message.trade?.seller !== filter.seller) return false;
+  if (filter.buyer && message.trade?.buyer !== filter.buyer) return false;
+  return true;
+}
+
+function compareEventId(event, after) {
+  return event.blockHeight - after.blockHeight
+    || event.txIndex - after.txIndex
+    || event.eventIndex - after.eventIndex;
+}
+
+// --- Feed ---
+
+/**
+ * @param {Object} opts
+ * @param {Object} opts.indexer - see indexer.mjs (needs subscribe/getEvents)
+ * @param {number} [opts.warnBlocks] - burn blocks before a deadline to send an expiry warning
+ * @param {Function} [opts.format] - listing → `trade` payload (default: listing without history)
+ * @param {Object} [opts.log] - logger.mjs logger for subscriber failures
+ */
+export function createTradeFeed({ indexer, warnBlocks = DEFAULT_WARN_BLOCKS, format, log = createLogger() }) {
+  const formatTrade = format || (({ history, ...fields }) => fields);
+  const subscribers = new Set();
+  // `${id}:${deadline}:${stage}` of expiry messages already sent, so each goes out once
+  let warned = new Set();
+
+  function eventMessage(event) {
+    const { id, event: kind } = event.payload;
+    const transition = TRANSITIONS[kind];
+    if (!transition) return null;
+    const [from, to] = transition(event.payload);
+    const listing = indexer.getListing(id);
+    return {
+      type: kind === 'list' ? 'listing' : 'transition',
+      eventId: `${event.blockHeight}.${event.txIndex}.${event.eventIndex}`,
+      id,
+      event: kind,
+      from,
+      to,
+      txid: event.txid,
+      blockHeight: event.blockHeight,
+      burnBlockHeight: event.burnBlockHeight,
+      trade: listing ? formatTrade(listing) : null,
+    };
+  }
+
+  /** Expiry message for a listing, or null if no deadline is near */
+  function expiryMessage(listing, burnHeight) {
+    const timeline = getTradeTimeline(listing, burnHeight);
+    if (timeline.blocksRemaining === null || timeline.blocksRemaining > warnBlocks) return null;
+    return {
+      type: 'expiry',
+      id: listing.id,
+      deadline: listing.status === 'escrowed' ? 'commit' : 'delivery',
+      deadlineHeight: timeline.commitDeadline ?? timeline.deliveryDeadline,
+      blocksRemaining: timeline.blocksRemaining,
+      expired: timeline.expired,
+      burnHeight,
+      trade: formatTrade(listing),
+    };
+  }
+
+  function expiring(burnHeight) {
+    return indexer.getListings()
+      .map(listing => expiryMessage(listing, burnHeight))
+      .filter(Boolean);
+  }
+
+  function publish(message) {
+    for (const { filter, fn } of subscribers) {
+      if (!matchesFilter(message, filter)) continue;
+      try {
+        fn(message);
+      } catch (err) {
+        log.warn('feed subscriber failed', { type: message.type, error: err.message });
+      }
+    }
+  }
+
+  const unsubscribeIndexer = indexer.subscribe(({ events, reorg, burnHeight }) => {
+    if (reorg) publish({ type: 'reorg', from: reorg.from, to: reorg.to });
+    for (const event of events) {
+      const message = eventMessage(event);
+      if (message) publish(message);
+    }
+    // Only keys of still-expiring listings are kept, so the set doesn't grow
+    const current = new Set();
+    for (const message of expiring(burnHeight)) {
+      const key = `${message.id}:${message.deadlineHeight}:${message.expired ? 'expired' : 'warning'}`;
+      current.add(key);
+      if (!warned.has(key)) publish(message);
+    }
+    warned = current;
+  });
+
+  return {
+    /**
+     * Messages a (re)connecting client missed: events from `fromBlock` or
+     * after `Last-Event-ID`, then current expiry warnings. Without either,
+     * only the expiry warnings are returned.
+     */
+    replay(filter) {
+      const messages = [];
+      if (filter.after || filter.fromBlock !== null) {
+        const fromHeight = filter.fromBlock ?? filter.after.blockHeight;
+        for (const event of indexer.getEvents({ fromHeight })) {
+          if (filter.after && compareEventId(event, filter.after) <= 0) continue;
+          const message = eventMessage(event);
+          if (message) messages.push(message);
+        }
+      }
+      messages.push(...expiring(indexer.status().burnHeight));
+      return messages.filter(m => matchesFilter(m, filter));
+    },
+
+    /** Call fn(message) for every live message matching filter. Returns unsubscribe. */
+    subscribe(filter, fn) {
+      const entry = { filter, fn };
+      subscribers.add(entry);
+      return () => subscribers.delete(entry);
+    },
+
+    /** Number of connected subscribers */
+    size() {
+      return subscribers.size;
+    },
+
+    close() {
+      unsubscribeIndexer();
+      subscribers.clear();
+    },
+  };
+}
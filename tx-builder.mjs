@@ -0,0 +1,283 @@
+/**
+ * Unsigned Transaction Builder — escrow contract calls for wallets to sign
+ *
+ * Builds serialized, unsigned Stacks contract-call transactions for every
+ * escrow action, with deny-mode sBTC post-conditions matching the transfers
+ * the contract performs:
+ *   list-inscription   — no transfers
+ *   accept-listing     — buyer sends exactly price + premium
+ *   commit-listing     — seller sends exactly collateral (if > 0)
+ *   cancel-listing     — contract sends the refund to the buyer (escrowed/committed)
+ *   submit-proof(-segwit) — contract sends price + premium + collateral to the seller
+ *
+ * Nonce and fee are suggested from the Stacks API unless the caller passes them.
+ * If a lookup fails the build fails too (error code UPSTREAM_ERROR): a
+ * transaction with a guessed nonce or a zero fee can't be broadcast safely.
+ *
+ * Usage:
+ *   import { createTxBuilder } from './tx-builder.mjs';
+ *   const builder = createTxBuilder({ apiUrl, contractAddress, contractName });
+ *   const { transaction } = await builder.buildAccept(listing, { publicKey, buyerBtc });
+ */
+
+import {
+  makeUnsignedContractCall,
+  fetchFeeEstimateTransaction,
+  serializePayload,
+  estimateTransactionByteLength,
+  getAddressFromPublicKey,
+  PostConditionMode,
+  deserializeCV,
+  Cl,
+  Pc,
+} from '@stacks/transactions';
+import { c32addressDecode, ADDRESS_VERSIONS } from './clarity.mjs';
+import { MIN_PRICE, getTradeTimeline } from './escrow-rules.mjs';
+import { createStacksClient } from './stacks-client.mjs';
+
+// Mainnet sBTC; testnet/devnet deployments use the mock token in contracts/sbtc-token.clar
+export const DEFAULT_SBTC = {
+  contract: 'SM3VDXK3WZZSA84XXFKAFAF15NNZX32CTSG82JFQ4.sbtc-token',
+  asset: 'sbtc-token',
+};
+
+// --- Helpers ---
+
+/** A Stacks API lookup the build depends on failed (the API answers 502) */
+function upstreamError(message) {
+  const err = new Error(message);
+  err.code = 'UPSTREAM_ERROR';
+  return err;
+}
+
+/**
+ * Stacks network name for a deployer address (SP/SM → mainnet, ST/SN → testnet)
+ */
+export function networkForAddress(address) {
+  const { version } = c32addressDecode(address);
+  return version === ADDRESS_VERSIONS.mainnetSingleSig || version === ADDRESS_VERSIONS.mainnetMultiSig
+    ? 'mainnet' : 'testnet';
+}
+
+/**
+ * Convert a txid as shown by wallets/explorers into the internal byte order
+ * used in transaction outpoints (which is what the contract compares against).
+ */
+export function txidToInternalOrder(txid) {
+  const hex = txid.replace(/^0x/, '');
+  if (!/^[0-9a-fA-F]{64}$/.test(hex)) throw new Error('Invalid txid: expected 32 bytes hex');
+  return Buffer.from(hex, 'hex').reverse();
+}
+
+/**
+ * Inverse of txidToInternalOrder: on-chain (internal order) hex to display order.
+ */
+export function txidToDisplayOrder(txid) {
+  return Buffer.from(txid.replace(/^0x/, ''), 'hex').reverse().toString('hex');
+}
+
+function parseHexBuffer(name, value, maxLen) {
+  const hex = typeof value === 'string' ? value.replace(/^0x/, '') : '';
+  if (!hex || hex.length % 2 || !/^[0-9a-fA-F]+$/.test(hex)) throw new Error(`Invalid ${name}: expected hex`);
+  if (hex.length / 2 > maxLen) throw new Error(`Invalid ${name}: at most ${maxLen} bytes`);
+  return Buffer.from(hex, 'hex');
+}
+
+function parseAmount(name, value, min = 0) {
+  const n = typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value;
+  if (!Number.isSafeInteger(n) || n < min) throw new Error(`Invalid ${name}: expected an integer >= ${min}`);
+  return n;
+}
+
+function parsePublicKey(publicKey) {
+  const hex = typeof publicKey === 'string' ? publicKey.replace(/^0x/, '') : '';
+  if (!/^(02|03)[0-9a-fA-F]{64}$/.test(hex)) throw new Error('Invalid publicKey: expected 33-byte compressed hex');
+  return hex;
+}
+
+// --- Builder ---
+
+/**
+ * @param {Object} opts
+ * @param {string} [opts.apiUrl] - Stacks API base URL (nonce/fee lookups, when no client is given)
+ * @param {Object} [opts.client] - shared Stacks client (see stacks-client.mjs)
+ * @param {string} opts.contractAddress - escrow deployer
+ * @param {string} opts.contractName - escrow contract name
+ * @param {{contract: string, asset: string}} [opts.sbtc] - sBTC token used by the deployment
+ * @param {string} [opts.network] - 'mainnet' | 'testnet' | 'devnet' (default: from contract address)
+ */
+export function createTxBuilder({ apiUrl, client: stacks, contractAddress, contractName, sbtc = DEFAULT_SBTC, network }) {
+  const networkName = network || networkForAddress(contractAddress);
+  stacks = stacks ?? createStacksClient({ urls: [apiUrl] });
+  // @stacks/transactions talks to a single node: the primary
+  const client = { baseUrl: stacks.baseUrl };
+  const contractId = `${contractAddress}.${contractName}`;
+
+  const sbtcPc = (principal, amount) =>
+    Pc.principal(principal).willSendEq(amount).ft(sbtc.contract, sbtc.asset);
+
+  async function suggestNonce(address) {
+    let data;
+    try {
+      data = await stacks.getJson(`/extended/v1/address/${address}/nonces`);
+    } catch (err) {
+      throw upstreamError(`Nonce lookup for ${address} failed: ${err.message}`);
+    }
+    if (!Number.isSafeInteger(data?.possible_next_nonce)) {
+      throw upstreamError(`Stacks API returned no nonce for ${address}`);
+    }
+    return data.possible_next_nonce;
+  }
+
+  async function suggestFees(transaction) {
+    let estimates;
+    try {
+      estimates = await fetchFeeEstimateTransaction({
+        payload: serializePayload(transaction.payload),
+        estimatedLength: estimateTransactionByteLength(transaction),
+        network: networkName,
+        client,
+      });
+    } catch (err) {
+      throw upstreamError(`Fee estimate failed: ${err.message}`);
+    }
+    return { low: Number(estimates[0].fee), medium: Number(estimates[1].fee), high: Number(estimates[2].fee) };
+  }
+
+  /**
+   * Build an unsigned contract call. Nonce/fee default to API suggestions
+   * (medium fee estimate); the response reports both so wallets can adjust.
+   * Throws UPSTREAM_ERROR when a suggestion the caller relies on can't be had.
+   */
+  async function build({ publicKey, functionName, functionArgs, postConditions, nonce, fee }) {
+    const key = parsePublicKey(publicKey);
+    const sender = getAddressFromPublicKey(key, networkName);
+
+    const txNonce = nonce !== undefined ? parseAmount('nonce', nonce) : await suggestNonce(sender);
+    const options = {
+      contractAddress,
+      contractName,
+      functionName,
+      functionArgs,
+      publicKey: key,
+      network: networkName,
+      client,
+      postConditionMode: PostConditionMode.Deny,
+      postConditions,
+      nonce: txNonce,
+      // Placeholder fee when estimating: the estimate only needs the payload and length
+      fee: fee !== undefined ? parseAmount('fee', fee) : 0,
+    };
+
+    let transaction = await makeUnsignedContractCall(options);
+    let feeEstimates = null;
+    if (fee === undefined) {
+      feeEstimates = await suggestFees(transaction);
+      transaction = await makeUnsignedContractCall({ ...options, fee: feeEstimates.medium });
+    }
+
+    return {
+      transaction: transaction.serialize(),
+      contract: contractId,
+      functionName,
+      sender,
+      nonce: Number(transaction.auth.spendingCondition.nonce),
+      nonceSource: nonce !== undefined ? 'caller' : 'api',
+      fee: Number(transaction.auth.spendingCondition.fee),
+      feeEstimates,
+      postConditionMode: 'deny',
+      postConditions: postConditions.map(pc => ({
+        principal: pc.address,
+        condition: pc.condition,
+        amount: String(pc.amount),
+        asset: pc.asset,
+      })),
+    };
+  }
+
+  return {
+    network: networkName,
+
+    /** list-inscription (inscriptionTxid in display order; converted for the contract) */
+    async buildList({ publicKey, inscriptionTxid, inscriptionVout, price, premium = 0, sellerBtc, nonce, fee }) {
+      return build({
+        publicKey,
+        functionName: 'list-inscription',
+        functionArgs: [
+          Cl.buffer(txidToInternalOrder(String(inscriptionTxid ?? ''))),
+          Cl.uint(parseAmount('inscriptionVout', inscriptionVout)),
+          Cl.uint(parseAmount('price', price, MIN_PRICE)),
+          Cl.uint(parseAmount('premium', premium)),
+          Cl.buffer(parseHexBuffer('sellerBtc', sellerBtc, 40)),
+        ],
+        postConditions: [],
+        nonce,
+        fee,
+      });
+    },
+
+    /** accept-listing: buyer escrows price + premium */
+    async buildAccept(listing, { publicKey, buyerBtc, nonce, fee }) {
+      const total = Number(listing.price) + Number(listing.premium);
+      const sender = getAddressFromPublicKey(parsePublicKey(publicKey), networkName);
+      if (sender === listing.seller) throw new Error('Seller cannot accept their own listing');
+      return build({
+        publicKey,
+        functionName: 'accept-listing',
+        functionArgs: [Cl.uint(listing.id), Cl.buffer(parseHexBuffer('buyerBtc', buyerBtc, 40))],
+        postConditions: [sbtcPc(sender, total)],
+        nonce,
+        fee,
+      });
+    },
+
+    /** commit-listing: seller deposits collateral (>= premium) */
+    async buildCommit(listing, { publicKey, collateral, nonce, fee }) {
+      const amount = parseAmount('collateral', collateral ?? listing.premium, Number(listing.premium));
+      const sender = getAddressFromPublicKey(parsePublicKey(publicKey), networkName);
+      if (sender !== listing.seller) throw new Error('Only the seller can commit');
+      return build({
+        publicKey,
+        functionName: 'commit-listing',
+        functionArgs: [Cl.uint(listing.id), Cl.uint(amount)],
+        // Zero collateral skips the transfer, so no post-condition either
+        postConditions: amount > 0 ? [sbtcPc(sender, amount)] : [],
+        nonce,
+        fee,
+      });
+    },
+
+    /** cancel-listing: refund flows from the contract to the buyer once expired */
+    async buildCancel(listing, { publicKey, nonce, fee }) {
+      const refund = getTradeTimeline(listing, 0).payouts.onCancel?.buyer ?? 0;
+      const sender = getAddressFromPublicKey(parsePublicKey(publicKey), networkName);
+      if (listing.status === 'open' && sender !== listing.seller) {
+        throw new Error('Only the seller can cancel an open listing');
+      }
+      return build({
+        publicKey,
+        functionName: 'cancel-listing',
+        functionArgs: [Cl.uint(listing.id)],
+        postConditions: refund > 0 ? [sbtcPc(contractId, refund)] : [],
+        nonce,
+        fee,
+      });
+    },
+
+    /**
+     * submit-proof / submit-proof-segwit: clarityArgs from btc-proof.mjs
+     * buildSubmitProof / buildSubmitProofSegwit (listing id first)
+     */
+    async buildSubmitProof(listing, { publicKey, clarityArgs, segwit = false, nonce, fee }) {
+      const payout = getTradeTimeline(listing, 0).payouts.onSettle?.seller ?? 0;
+      return build({
+        publicKey,
+        functionName: segwit ? 'submit-proof-segwit' : 'submit-proof',
+        functionArgs: clarityArgs.map(hex => deserializeCV(hex.replace(/^0x/, ''))),
+        postConditions: payout > 0 ? [sbtcPc(contractId, payout)] : [],
+        nonce,
+        fee,
+      });
+    },
+  };
+}
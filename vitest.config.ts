@@ -6,15 +6,33 @@ import {
 
 export default defineConfig({
   test: {
-    environment: "clarinet",
-    pool: "forks",
-    isolate: false,
-    maxWorkers: 1,
-    setupFiles: [vitestSetupFilePath],
-    environmentOptions: {
-      clarinet: {
-        ...getClarinetVitestsArgv(),
+    projects: [
+      {
+        // Contract tests run against Clarinet's simnet
+        test: {
+          name: "contracts",
+          include: ["tests/inscription-escrow.test.ts"],
+          environment: "clarinet",
+          pool: "forks",
+          isolate: false,
+          maxWorkers: 1,
+          setupFiles: [vitestSetupFilePath],
+          environmentOptions: {
+            clarinet: {
+              ...getClarinetVitestsArgv(),
+            },
+          },
+        },
       },
-    },
+      {
+        // Off-chain modules (*.mjs) run in plain Node
+        test: {
+          name: "modules",
+          include: ["tests/modules/**/*.test.ts"],
+          environment: "node",
+          maxWorkers: 1,
+        },
+      },
+    ],
   },
 });
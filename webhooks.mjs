@@ -0,0 +1,519 @@
+/**
+ * Webhooks — signed HTTP callbacks for trade lifecycle events
+ *
+ * Subscribers register a URL with optional filters (listing ids, seller,
+ * buyer, event types) and get a POST for every matching trade-feed message
+ * (see trade-feed.mjs): list, accept, commit, settle, cancel, plus `expiry`
+ * when a commit/delivery deadline is near and `expired` once it has passed.
+ *
+ * Each POST is signed with the webhook's secret:
+ *   X-Escrow-Signature: sha256=<hex HMAC-SHA256 of `${X-Escrow-Timestamp}.${body}`>
+ * Failed deliveries (network errors, timeouts, 408/429/5xx) are retried with
+ * exponential backoff; other 4xx responses fail immediately. Webhooks and the
+ * delivery log are persisted to a JSON store, so pending retries survive restarts.
+ * Retries can reorder deliveries: use `data.eventId` / `createdAt` to order them.
+ *
+ * Up to `concurrency` webhooks are delivered to at once, one request per
+ * webhook at a time, so a slow receiver only holds up its own deliveries.
+ * A receiver that keeps failing is backed off as a whole (in memory): while
+ * it is, none of its deliveries are attempted.
+ *
+ * Webhook URLs must point at the public internet: loopback, private,
+ * link-local and other special-purpose addresses are refused at registration
+ * (after resolving the host) and again at delivery time, where the connection
+ * only goes to addresses that pass the same check (no redirects are followed).
+ * `allowPrivateNetworks` turns the check off for local development.
+ *
+ * Usage:
+ *   import { createWebhookRegistry, verifyWebhookSignature } from './webhooks.mjs';
+ *   const webhooks = createWebhookRegistry({ feed, storePath: '.cache/webhooks.json' });
+ *   webhooks.start();
+ *   const hook = await webhooks.register({ url, seller: 'SP...', events: ['accept'] }, { owner });
+ *
+ *   // Receiver side
+ *   verifyWebhookSignature({ secret, timestamp, body, signature });
+ */
+
+import { readFileSync, writeFileSync, renameSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+import { lookup as dnsLookup } from 'dns';
+import { BlockList, isIP } from 'net';
+import http from 'http';
+import https from 'https';
+import { isValidPrincipal } from './clarity.mjs';
+import { matchesFilter } from './trade-feed.mjs';
+import { createLogger } from './logger.mjs';
+
+const STORE_VERSION = 1;
+
+export const WEBHOOK_EVENTS = ['list', 'accept', 'commit', 'settle', 'cancel', 'expiry', 'expired'];
+
+const MAX_BACKOFF_MS = 60 * 60_000;
+
+// --- Signing ---
+
+export function signPayload(secret, timestamp, body) {
+  return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Check a received delivery: signature header, timestamp header and raw body.
+ * Rejects timestamps older than toleranceSec to limit replays.
+ */
+export function verifyWebhookSignature({ secret, timestamp, body, signature, toleranceSec = 300 }) {
+  const age = Math.abs(Math.floor(Date.now() / 1000) - Number(timestamp));
+  if (!Number.isFinite(age) || age > toleranceSec) return false;
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const actual = Buffer.from(String(signature ?? ''));
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+// --- Destination checks ---
+
+// Special-purpose ranges (RFC 6890 and successors) a webhook must not reach
+const NON_PUBLIC = new BlockList();
+for (const [prefix, bits] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4],
+]) NON_PUBLIC.addSubnet(prefix, bits, 'ipv4');
+for (const [prefix, bits] of [
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64],
+  ['2001:db8::', 32], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+]) NON_PUBLIC.addSubnet(prefix, bits, 'ipv6');
+// IPv4-mapped IPv6, kept apart: in NON_PUBLIC it would match every IPv4 address
+const IPV4_MAPPED = new BlockList();
+IPV4_MAPPED.addSubnet('::ffff:0:0', 96, 'ipv6');
+
+/** Whether an IP address is publicly routable (false for anything that is not an IP) */
+export function isPublicAddress(address) {
+  const family = isIP(address);
+  if (!family) return false;
+  if (family === 6 && IPV4_MAPPED.check(address, 'ipv6')) return false;
+  return !NON_PUBLIC.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+function blockedError(message) {
+  return Object.assign(new Error(message), { code: 'WEBHOOK_DESTINATION_BLOCKED' });
+}
+
+/** URL hostname without IPv6 brackets */
+const hostOf = url => url.hostname.replace(/^\[(.*)\]$/, '$1');
+
+/**
+ * dns.lookup replacement for outgoing deliveries: fails when any resolved
+ * address is not public, so DNS changes after registration can't redirect a
+ * webhook to an internal host.
+ */
+function publicLookup(hostname, options, callback) {
+  dnsLookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find(a => !isPublicAddress(a.address));
+    if (blocked) return callback(blockedError(`${hostname} resolves to non-public address ${blocked.address}`));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Check that a webhook URL's host is public: IP literals directly, names by
+ * resolving them (a name that does not resolve is refused).
+ * Throws with code WEBHOOK_DESTINATION_BLOCKED.
+ */
+export async function checkWebhookDestination(url) {
+  const host = hostOf(url);
+  if (isIP(host)) {
+    if (!isPublicAddress(host)) throw blockedError(`Invalid url: ${host} is not a public address`);
+    return;
+  }
+  if (host === 'localhost' || host.endsWith('.localhost')) throw blockedError(`Invalid url: ${host} is not a public host`);
+  await new Promise((resolve, reject) => {
+    publicLookup(host, {}, err => {
+      if (!err) return resolve();
+      reject(err.code === 'WEBHOOK_DESTINATION_BLOCKED'
+        ? blockedError(`Invalid url: ${err.message}`)
+        : blockedError(`Invalid url: ${host} does not resolve`));
+    });
+  });
+}
+
+/**
+ * POST `body` to `url` and resolve with the response status. Redirects are
+ * not followed; `lookup` decides which addresses a host name may connect to.
+ * Every request opens its own connection, so each one goes through `lookup`.
+ */
+function post(url, { headers, body, timeoutMs, lookup }) {
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === 'https:' ? https : http;
+    const req = client.request(url, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup,
+      agent: false,
+    }, (res) => {
+      res.resume();
+      resolve(res.statusCode);
+    });
+    const timer = setTimeout(() => {
+      req.destroy(Object.assign(new Error(`Timed out after ${timeoutMs}ms`), { name: 'TimeoutError' }));
+    }, timeoutMs);
+    req.on('close', () => clearTimeout(timer));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+// --- Registration input ---
+
+/**
+ * Validate a registration body into { url, secret, filter }.
+ * Throws an Error with a client-facing message on invalid input. Only checks
+ * the URL's syntax: see checkWebhookDestination for where it points.
+ */
+export function parseWebhookInput(body = {}) {
+  let url;
+  try {
+    url = new URL(body.url);
+  } catch {
+    throw new Error('Invalid url');
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') throw new Error('Invalid url: expected http(s)');
+
+  if (body.secret !== undefined && (typeof body.secret !== 'string' || body.secret.length < 16)) {
+    throw new Error('Invalid secret: expected a string of at least 16 characters');
+  }
+  for (const name of ['seller', 'buyer']) {
+    if (body[name] !== undefined && !isValidPrincipal(body[name])) throw new Error(`Invalid ${name}: expected a Stacks principal`);
+  }
+  if (body.ids !== undefined && (!Array.isArray(body.ids) || !body.ids.every(id => Number.isSafeInteger(id) && id >= 0))) {
+    throw new Error('Invalid ids: expected an array of listing ids');
+  }
+  if (body.events !== undefined) {
+    if (!Array.isArray(body.events) || !body.events.length || !body.events.every(e => WEBHOOK_EVENTS.includes(e))) {
+      throw new Error(`Invalid events: expected a non-empty array of ${WEBHOOK_EVENTS.join(', ')}`);
+    }
+  }
+
+  return {
+    url: url.toString(),
+    secret: body.secret ?? randomBytes(32).toString('hex'),
+    filter: {
+      ids: body.ids ?? null,
+      seller: body.seller ?? null,
+      buyer: body.buyer ?? null,
+      events: body.events ?? null,
+    },
+  };
+}
+
+/** Webhook event name for a feed message (null for messages webhooks don't carry) */
+function eventName(message) {
+  if (message.type === 'expiry') return message.expired ? 'expired' : 'expiry';
+  if (message.type === 'listing' || message.type === 'transition') return message.event;
+  return null;
+}
+
+function hookMatches(hook, message, event) {
+  const { ids, seller, buyer, events } = hook.filter;
+  if (events && !events.includes(event)) return false;
+  return matchesFilter(message, { ids: ids ? new Set(ids) : null, seller, buyer });
+}
+
+// --- Store ---
+
+function emptyState() {
+  return { version: STORE_VERSION, hooks: {}, deliveries: [] };
+}
+
+function loadState(storePath) {
+  if (!storePath) return emptyState();
+  try {
+    const state = JSON.parse(readFileSync(storePath, 'utf8'));
+    return state.version === STORE_VERSION ? state : emptyState();
+  } catch {
+    return emptyState();
+  }
+}
+
+function saveState(storePath, state) {
+  if (!storePath) return;
+  mkdirSync(dirname(storePath), { recursive: true });
+  const tmp = `${storePath}.tmp`;
+  writeFileSync(tmp, JSON.stringify(state));
+  renameSync(tmp, storePath);
+}
+
+// --- Registry ---
+
+/**
+ * @param {Object} opts
+ * @param {Object} opts.feed - trade feed (see trade-feed.mjs)
+ * @param {string} [opts.storePath] - JSON file for webhooks + delivery log (in-memory if omitted)
+ * @param {number} [opts.maxAttempts] - attempts per delivery before it is marked failed
+ * @param {number} [opts.backoffMs] - delay before the first retry (doubles each attempt, capped at 1h)
+ * @param {number} [opts.timeoutMs] - per-request timeout
+ * @param {number} [opts.concurrency] - webhooks delivered to at once
+ * @param {number} [opts.logSize] - finished deliveries kept per webhook
+ * @param {number} [opts.maxWebhooks] - registrations kept in total
+ * @param {number} [opts.maxWebhooksPerOwner] - registrations per owner (e.g. API key)
+ * @param {boolean} [opts.allowPrivateNetworks] - allow loopback / private destinations (local development)
+ * @param {Object} [opts.log] - logger.mjs logger for delivery failures
+ */
+export function createWebhookRegistry({
+  feed,
+  storePath,
+  maxAttempts = 8,
+  backoffMs = 30_000,
+  timeoutMs = 10_000,
+  concurrency = 4,
+  logSize = 100,
+  maxWebhooks = 1000,
+  maxWebhooksPerOwner = 20,
+  allowPrivateNetworks = false,
+  log = createLogger(),
+}) {
+  const state = loadState(storePath);
+  let timer = null;
+  let attempted = 0;
+  // webhook id → promise of its delivery in flight
+  const inFlight = new Map();
+  // webhook id → { failures, until } after retryable failures in a row
+  const hookBackoff = new Map();
+
+  const publicHook = ({ secret, owner, ...hook }) => hook;
+
+  function enqueue(message) {
+    const event = eventName(message);
+    if (!event) return;
+    const createdAt = new Date().toISOString();
+    let queued = false;
+    for (const hook of Object.values(state.hooks)) {
+      if (!hookMatches(hook, message, event)) continue;
+      state.deliveries.push({
+        id: `dl_${randomBytes(8).toString('hex')}`,
+        webhookId: hook.id,
+        event,
+        data: message,
+        status: 'pending',
+        attempts: [],
+        nextAttemptAt: Date.now(),
+        createdAt,
+      });
+      queued = true;
+    }
+    if (queued) saveState(storePath, state);
+  }
+
+  /** Keep every pending delivery and the latest `logSize` finished ones per webhook */
+  function pruneLog() {
+    const finished = new Map();
+    for (let i = state.deliveries.length - 1; i >= 0; i--) {
+      const d = state.deliveries[i];
+      if (d.status === 'pending') continue;
+      const count = (finished.get(d.webhookId) ?? 0) + 1;
+      finished.set(d.webhookId, count);
+      if (count > logSize) state.deliveries.splice(i, 1);
+    }
+  }
+
+  async function attempt(delivery) {
+    const hook = state.hooks[delivery.webhookId];
+    const body = JSON.stringify({
+      id: delivery.id,
+      webhookId: hook.id,
+      event: delivery.event,
+      createdAt: delivery.createdAt,
+      data: delivery.data,
+    });
+    const timestamp = Math.floor(Date.now() / 1000);
+    const started = Date.now();
+    const record = { at: new Date(started).toISOString() };
+
+    let retry = false;
+    try {
+      const url = new URL(hook.url);
+      // Registered before a destination check, or allowed then and not now
+      if (!allowPrivateNetworks && isIP(hostOf(url)) && !isPublicAddress(hostOf(url))) {
+        throw blockedError(`${hostOf(url)} is not a public address`);
+      }
+      const status = await post(url, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'inscription-escrow-webhooks',
+          'X-Escrow-Webhook-Id': hook.id,
+          'X-Escrow-Delivery': delivery.id,
+          'X-Escrow-Event': delivery.event,
+          'X-Escrow-Timestamp': String(timestamp),
+          'X-Escrow-Signature': signPayload(hook.secret, timestamp, body),
+        },
+        body,
+        timeoutMs,
+        lookup: allowPrivateNetworks ? undefined : publicLookup,
+      });
+      record.status = status;
+      retry = status === 408 || status === 429 || status >= 500;
+      if (status < 200 || status >= 300) record.error = `HTTP ${status}`;
+    } catch (err) {
+      record.error = err.message;
+      retry = err.code !== 'WEBHOOK_DESTINATION_BLOCKED';
+    }
+    record.durationMs = Date.now() - started;
+    delivery.attempts.push(record);
+
+    if (!record.error) {
+      delivery.status = 'delivered';
+      delivery.nextAttemptAt = null;
+    } else if (retry && delivery.attempts.length < maxAttempts) {
+      delivery.nextAttemptAt = Date.now() + Math.min(backoffMs * 2 ** (delivery.attempts.length - 1), MAX_BACKOFF_MS);
+    } else {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = null;
+    }
+  }
+
+  /** Back a webhook off after a retryable failure, or clear its backoff */
+  function updateBackoff(webhookId, delivery) {
+    if (delivery.status !== 'pending') {
+      hookBackoff.delete(webhookId);
+      return;
+    }
+    const failures = (hookBackoff.get(webhookId)?.failures ?? 0) + 1;
+    hookBackoff.set(webhookId, {
+      failures,
+      until: Date.now() + Math.min(backoffMs * 2 ** (failures - 1), MAX_BACKOFF_MS),
+    });
+  }
+
+  async function run(delivery) {
+    const { webhookId } = delivery;
+    try {
+      await attempt(delivery);
+      attempted++;
+      updateBackoff(webhookId, delivery);
+      pruneLog();
+      saveState(storePath, state);
+    } catch (err) {
+      log.warn('webhook delivery failed', { webhookId, delivery: delivery.id, error: err.message });
+    } finally {
+      inFlight.delete(webhookId);
+      dispatch();
+    }
+  }
+
+  /**
+   * Start the oldest due delivery of each idle webhook that is not backed
+   * off, while fewer than `concurrency` are in flight. Returns immediately.
+   */
+  function dispatch() {
+    const now = Date.now();
+    for (const delivery of state.deliveries) {
+      if (inFlight.size >= concurrency) break;
+      const { webhookId } = delivery;
+      if (delivery.status !== 'pending' || delivery.nextAttemptAt > now) continue;
+      // The webhook may have been removed while its deliveries were queued
+      if (!state.hooks[webhookId] || inFlight.has(webhookId)) continue;
+      if ((hookBackoff.get(webhookId)?.until ?? 0) > now) continue;
+      inFlight.set(webhookId, run(delivery));
+    }
+  }
+
+  const unsubscribe = feed.subscribe({ ids: null, seller: null, buyer: null }, enqueue);
+
+  return {
+    /**
+     * Register a webhook for `owner`. The returned object is the only one that
+     * includes the secret. Rejects with a client-facing message on invalid
+     * input or a non-public destination, and with code WEBHOOK_LIMIT when the
+     * owner's or the registry's limit is reached.
+     */
+    async register(input, { owner = null } = {}) {
+      const { url, secret, filter } = parseWebhookInput(input);
+      if (!allowPrivateNetworks) await checkWebhookDestination(new URL(url));
+
+      const hooks = Object.values(state.hooks);
+      if (hooks.length >= maxWebhooks) {
+        throw Object.assign(new Error(`Webhook limit reached (${maxWebhooks})`), { code: 'WEBHOOK_LIMIT' });
+      }
+      if (owner && hooks.filter(h => h.owner === owner).length >= maxWebhooksPerOwner) {
+        throw Object.assign(new Error(`Webhook limit per client reached (${maxWebhooksPerOwner})`), { code: 'WEBHOOK_LIMIT' });
+      }
+      const hook = {
+        id: `wh_${randomBytes(8).toString('hex')}`,
+        url,
+        secret,
+        filter,
+        owner,
+        createdAt: new Date().toISOString(),
+      };
+      state.hooks[hook.id] = hook;
+      saveState(storePath, state);
+      return { ...publicHook(hook), secret };
+    },
+
+    /** Webhook without its secret, or null */
+    get(id) {
+      return state.hooks[id] ? publicHook(state.hooks[id]) : null;
+    },
+
+    /** Whether `secret` is the webhook's secret (constant time) */
+    authorize(id, secret) {
+      const hook = state.hooks[id];
+      if (!hook || typeof secret !== 'string') return false;
+      const expected = Buffer.from(hook.secret);
+      const actual = Buffer.from(secret);
+      return expected.length === actual.length && timingSafeEqual(expected, actual);
+    },
+
+    /** Remove a webhook and drop its pending deliveries */
+    remove(id) {
+      if (!state.hooks[id]) return false;
+      delete state.hooks[id];
+      state.deliveries = state.deliveries.filter(d => d.webhookId !== id);
+      saveState(storePath, state);
+      return true;
+    },
+
+    /** Delivery log for a webhook, newest first */
+    deliveries(id, { limit = 50 } = {}) {
+      return state.deliveries
+        .filter(d => d.webhookId === id)
+        .reverse()
+        .slice(0, limit);
+    },
+
+    /**
+     * Send what is due now and wait until nothing due is left in flight.
+     * Resolves with the number of attempts made meanwhile.
+     */
+    async flush() {
+      const before = attempted;
+      dispatch();
+      while (inFlight.size) await Promise.all(inFlight.values());
+      return attempted - before;
+    },
+
+    /** Start due deliveries every `intervalMs`; a finished delivery starts the next one right away */
+    start(intervalMs = 1000) {
+      if (timer) return;
+      timer = setInterval(dispatch, intervalMs);
+      timer.unref?.();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+
+    close() {
+      this.stop();
+      unsubscribe();
+    },
+
+    status() {
+      const deliveries = { pending: 0, delivered: 0, failed: 0 };
+      for (const d of state.deliveries) deliveries[d.status]++;
+      return { webhooks: Object.keys(state.hooks).length, deliveries };
+    },
+  };
+}